@@ -7,8 +7,18 @@
 const BOOKING_STATUS = {
   PENDING: 'pending',
   CONFIRMED: 'confirmed',
+  PARTIALLY_CANCELLED: 'partially_cancelled', // Some seats cancelled, the rest still travelling
   CANCELLED: 'cancelled',
-  COMPLETED: 'completed'
+  RESCHEDULED: 'rescheduled', // Moved to another trip - see booking.rescheduledTo
+  COMPLETED: 'completed', // Trip arrived with at least one passenger on board
+  NO_SHOW: 'no_show' // Trip arrived and nobody on the booking boarded
+};
+
+// Per-seat boarding state recorded by the conductor's ticket scan
+const BOARDING_STATUS = {
+  PENDING: 'pending',
+  BOARDED: 'boarded',
+  NO_SHOW: 'no_show'
 };
 
 const PAYMENT_METHODS = {
@@ -42,6 +52,11 @@ const SEAT_TYPES = {
   LUXURY: 'luxury'
 };
 
+const FARE_SETTINGS = {
+  GST_RATE: 0.18, // 18% GST on the seat fare
+  CONVENIENCE_FEE: 30 // Flat fee per booking (₹)
+};
+
 const SEAT_STATUS = {
   AVAILABLE: 'available',
   BOOKED: 'booked',
@@ -69,10 +84,12 @@ const NOTIFICATION_TYPES = {
 
 module.exports = {
   BOOKING_STATUS,
+  BOARDING_STATUS,
   PAYMENT_METHODS,
   PAYMENT_STATUS,
   TRIP_STATUS,
   SEAT_TYPES,
+  FARE_SETTINGS,
   SEAT_STATUS,
   AMENITIES,
   NOTIFICATION_TYPES
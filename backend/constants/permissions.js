@@ -0,0 +1,32 @@
+// FILE: backend/constants/permissions.js
+/**
+ * Admin permission constants
+ * Database admins hold a subset of these; super-admins (including the
+ * environment bootstrap account) hold all of them and can manage other admins.
+ */
+
+const PERMISSIONS = {
+  MANAGE_BUSES: 'manage_buses',
+  MANAGE_TRIPS: 'manage_trips',
+  HANDLE_REFUNDS: 'handle_refunds',
+  VIEW_ANALYTICS: 'view_analytics',
+  APPROVE_STAFF: 'approve_staff',
+  MANAGE_USERS: 'manage_users'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+// Helper function to check if an admin identity holds a permission
+const hasPermission = (admin, permission) => {
+  if (!admin) {
+    return false;
+  }
+
+  return Boolean(admin.isSuperAdmin) || (admin.permissions || []).includes(permission);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  hasPermission
+};
@@ -0,0 +1,108 @@
+// FILE: backend/controllers/adminAccountController.js
+/**
+ * Admin account controller
+ * Routes: /api/v1/admin/me, /api/v1/admin/admins/*
+ * Managing admin accounts is limited to super-admins.
+ */
+
+const adminAccountService = require('../services/adminAccountService');
+const { ALL_PERMISSIONS } = require('../constants/permissions');
+
+/**
+ * Get the signed-in admin with current permissions
+ * GET /api/v1/admin/me
+ */
+const getCurrentAdmin = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: { admin: req.admin },
+      message: 'Admin profile fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List admin accounts and the available permissions
+ * GET /api/v1/admin/admins
+ */
+const getAdmins = async (req, res, next) => {
+  try {
+    const admins = await adminAccountService.getAdmins();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        admins,
+        permissions: ALL_PERMISSIONS,
+        bootstrapEmail: process.env.ADMIN_EMAIL || null
+      },
+      message: 'Admin accounts fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an admin account
+ * POST /api/v1/admin/admins
+ */
+const createAdmin = async (req, res, next) => {
+  try {
+    const admin = await adminAccountService.createAdmin(req.body, req.admin);
+
+    res.status(201).json({
+      success: true,
+      data: { admin },
+      message: 'Admin account created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an admin account (permissions, status, password)
+ * PUT /api/v1/admin/admins/:id
+ */
+const updateAdmin = async (req, res, next) => {
+  try {
+    const admin = await adminAccountService.updateAdmin(req.params.id, req.body, req.admin);
+
+    res.status(200).json({
+      success: true,
+      data: { admin },
+      message: 'Admin account updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an admin account
+ * DELETE /api/v1/admin/admins/:id
+ */
+const deleteAdmin = async (req, res, next) => {
+  try {
+    await adminAccountService.deleteAdmin(req.params.id, req.admin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin account deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getCurrentAdmin,
+  getAdmins,
+  createAdmin,
+  updateAdmin,
+  deleteAdmin
+};
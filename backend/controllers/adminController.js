@@ -5,7 +5,9 @@
  */
 
 const adminService = require('../services/adminService');
+const sessionService = require('../services/sessionService');
 const analyticsService = require('../services/analyticsService');
+const User = require('../models/userModel');
 const Staff = require('../models/staffModel');
 const Notification = require('../models/notificationModel');
 const { sendStaffApprovalEmail } = require('../services/emailService');
@@ -162,6 +164,11 @@ const toggleUserStatus = async (req, res, next) => {
   try {
     const user = await adminService.toggleUserStatus(req.params.id);
 
+    // A deactivated account is signed out everywhere at once
+    if (!user.isActive) {
+      await sessionService.revokeAllSessions(user._id, 'account_deactivated');
+    }
+
     res.status(200).json({
       success: true,
       data: { user },
@@ -172,6 +179,33 @@ const toggleUserStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Sign a user out of every device
+ * POST /api/v1/admin/users/:id/revoke-sessions
+ */
+const revokeUserSessions = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('name email');
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const revoked = await sessionService.revokeAllSessions(user._id, 'admin_revoked');
+
+    res.status(200).json({
+      success: true,
+      data: { sessionsRevoked: revoked },
+      message: `${revoked} session(s) of ${user.name} revoked`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update user role
  * PATCH /api/v1/admin/users/:id/role
@@ -503,6 +537,11 @@ const toggleStaffStatus = async (req, res, next) => {
     staff.isActive = !staff.isActive;
     await staff.save();
 
+    // A deactivated account is signed out everywhere at once
+    if (!staff.isActive) {
+      await sessionService.revokeAllSessions(staff._id, 'account_deactivated');
+    }
+
     // Remove password from response
     const staffData = staff.toObject();
     delete staffData.password;
@@ -517,6 +556,33 @@ const toggleStaffStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Sign a staff member out of every device (Admin only)
+ * POST /api/v1/admin/staff/:id/revoke-sessions
+ */
+const revokeStaffSessions = async (req, res, next) => {
+  try {
+    const staff = await Staff.findById(req.params.id).select('name email');
+
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const revoked = await sessionService.revokeAllSessions(staff._id, 'admin_revoked');
+
+    res.status(200).json({
+      success: true,
+      data: { sessionsRevoked: revoked },
+      message: `${revoked} session(s) of ${staff.name} revoked`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Delete staff member (Admin only)
  * DELETE /api/v1/admin/staff/:id
@@ -896,6 +962,7 @@ module.exports = {
   getOperationalAnalytics,
   getUsersManagement,
   toggleUserStatus,
+  revokeUserSessions,
   updateUserRole,
   deleteUser,
   getSystemHealth,
@@ -907,6 +974,7 @@ module.exports = {
   approveStaff,
   rejectStaff,
   toggleStaffStatus,
+  revokeStaffSessions,
   deleteStaff,
   getPendingStaff,
   getPendingStaffCount,
@@ -8,7 +8,8 @@ const BusLocationStatus = require('../models/busLocationStatusModel');
 const LocationLog = require('../models/locationLogModel');
 const Trip = require('../models/tripModel');
 const Staff = require('../models/staffModel');
-const Notification = require('../models/notificationModel');
+const escalationService = require('../services/escalationService');
+const { sendStaffReminder, getActiveEscalationsByTrip } = escalationService;
 
 /**
  * Get all monitored bus locations with status
@@ -32,6 +33,10 @@ const getAllMonitoredBuses = async (req, res, next) => {
       .populate('staff', 'name email phone designation')
       .sort({ lastUpdated: -1 });
 
+    const escalationsByTrip = await getActiveEscalationsByTrip(
+      busStatuses.filter(bus => bus.trip).map(bus => bus.trip._id)
+    );
+
     // Calculate real-time status for each bus
     const busesWithStatus = busStatuses.map(bus => {
       const status = bus.calculateStatus();
@@ -46,7 +51,11 @@ const getAllMonitoredBuses = async (req, res, next) => {
         connectivityIssue: bus.connectivityIssue,
         remindersSent: bus.remindersSent,
         lastReminderSent: bus.lastReminderSent,
-        tripStarted: bus.tripStarted
+        tripStarted: bus.tripStarted,
+        flagged: bus.flagged,
+        flaggedAt: bus.flaggedAt,
+        flagReason: bus.flagReason,
+        escalations: bus.trip ? escalationsByTrip[bus.trip._id.toString()] || [] : []
       };
     });
 
@@ -56,7 +65,8 @@ const getAllMonitoredBuses = async (req, res, next) => {
       active: busesWithStatus.filter(b => b.status === 'active').length,
       sleep: busesWithStatus.filter(b => b.status === 'sleep').length,
       offline: busesWithStatus.filter(b => b.status === 'offline').length,
-      needingAttention: busesWithStatus.filter(b => b.connectivityIssue).length
+      needingAttention: busesWithStatus.filter(b => b.connectivityIssue).length,
+      flagged: busesWithStatus.filter(b => b.flagged).length
     };
 
     res.status(200).json({
@@ -150,48 +160,14 @@ const sendLocationReminder = async (req, res, next) => {
       }
     }
 
-    // Create notification for staff
+    // Notify staff in-app and in real time, and log the reminder
     const defaultMessage = `⚠️ Location Update Reminder: Your bus location for ${busStatus.bus.busNumber} is not updating regularly. Please check your GPS and internet connectivity.`;
-    
-    await Notification.create({
-      user: busStatus.staff._id,
-      type: 'system',
-      title: 'Location Update Required',
-      message: customMessage || defaultMessage,
-      priority: 'high',
-      metadata: {
-        tripId: tripId,
-        busId: busStatus.bus._id,
-        reminderType: 'location_update'
-      }
-    });
-
-    // Update reminder count and timestamp
-    busStatus.remindersSent += 1;
-    busStatus.lastReminderSent = new Date();
-    await busStatus.save();
 
-    // Log the reminder
-    await LocationLog.logReminderSent(
-      tripId,
-      busStatus.bus._id,
-      busStatus.staff._id,
-      {
-        name: busStatus.staff.name,
-        email: busStatus.staff.email,
-        phone: busStatus.staff.phone
-      }
-    );
-
-    // Emit socket event to notify staff in real-time
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`user_${busStatus.staff._id}`).emit('location_reminder', {
-        title: 'Location Update Required',
-        message: customMessage || defaultMessage,
-        priority: 'high'
-      });
-    }
+    await sendStaffReminder(busStatus, customMessage || defaultMessage, {
+      channels: ['in_app'],
+      performedBy: req.user.email,
+      io: req.app.get('io')
+    });
 
     res.status(200).json({
       success: true,
@@ -399,11 +375,140 @@ const updateBusStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Get escalation rules
+ * GET /api/v1/admin/location-monitor/escalation-rules
+ */
+const getEscalationRules = async (req, res, next) => {
+  try {
+    const rules = await escalationService.getRules();
+
+    res.status(200).json({
+      success: true,
+      data: rules,
+      message: 'Escalation rules fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create an escalation rule
+ * POST /api/v1/admin/location-monitor/escalation-rules
+ */
+const createEscalationRule = async (req, res, next) => {
+  try {
+    const { name, triggerStatus, afterMinutes, action } = req.body;
+
+    if (!name || !triggerStatus || afterMinutes === undefined || !action) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide name, triggerStatus, afterMinutes and action'
+      });
+    }
+
+    const rule = await escalationService.createRule(req.body, req.user.email);
+
+    res.status(201).json({
+      success: true,
+      data: rule,
+      message: 'Escalation rule created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update an escalation rule
+ * PUT /api/v1/admin/location-monitor/escalation-rules/:ruleId
+ */
+const updateEscalationRule = async (req, res, next) => {
+  try {
+    const rule = await escalationService.updateRule(req.params.ruleId, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: rule,
+      message: 'Escalation rule updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an escalation rule
+ * DELETE /api/v1/admin/location-monitor/escalation-rules/:ruleId
+ */
+const deleteEscalationRule = async (req, res, next) => {
+  try {
+    await escalationService.deleteRule(req.params.ruleId);
+
+    res.status(200).json({
+      success: true,
+      data: null,
+      message: 'Escalation rule deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get escalation history
+ * GET /api/v1/admin/location-monitor/escalations?status=open&tripId=...
+ */
+const getEscalations = async (req, res, next) => {
+  try {
+    const { status, tripId, page, limit } = req.query;
+    const result = await escalationService.getEscalations({ status, tripId, page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: 'Escalations fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Acknowledge an escalation
+ * PATCH /api/v1/admin/location-monitor/escalations/:escalationId/acknowledge
+ */
+const acknowledgeEscalation = async (req, res, next) => {
+  try {
+    const escalation = await escalationService.acknowledgeEscalation(
+      req.params.escalationId,
+      req.user.email,
+      req.body.note,
+      req.app.get('io')
+    );
+
+    res.status(200).json({
+      success: true,
+      data: escalation,
+      message: 'Escalation acknowledged'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getAllMonitoredBuses,
   getTripLocationStatus,
   sendLocationReminder,
   getMonitoringStats,
   getActivityLogs,
-  updateBusStatus
+  updateBusStatus,
+  getEscalationRules,
+  createEscalationRule,
+  updateEscalationRule,
+  deleteEscalationRule,
+  getEscalations,
+  acknowledgeEscalation
 };
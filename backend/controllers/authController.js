@@ -5,8 +5,9 @@
  */
 
 const authService = require('../services/authService');
+const sessionService = require('../services/sessionService');
+const adminAccountService = require('../services/adminAccountService');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const Staff = require('../models/staffModel');
 const User = require('../models/userModel');
 const OTP = require('../models/otpModel');
@@ -63,7 +64,7 @@ const login = async (req, res, next) => {
       });
     }
 
-    const result = await authService.loginUser(email, password);
+    const result = await authService.loginUser(email, password, sessionService.getClientInfo(req));
 
     res.status(200).json({
       success: true,
@@ -112,13 +113,13 @@ const updateProfile = async (req, res, next) => {
 };
 
 /**
- * Logout user
+ * Logout user - ends the session of this device
  * POST /api/v1/auth/logout
  */
 const logout = async (req, res, next) => {
   try {
-    // In a stateless JWT system, we just send success
-    // The client will remove the token
+    await sessionService.revokeSession(req.sessionId, req.user._id);
+
     res.status(200).json({
       success: true,
       message: 'Logged out successfully'
@@ -129,7 +130,70 @@ const logout = async (req, res, next) => {
 };
 
 /**
- * Admin login - Environment-based authentication
+ * Logout from every device
+ * POST /api/v1/auth/logout-all
+ */
+const logoutAll = async (req, res, next) => {
+  try {
+    const revoked = await sessionService.revokeAllSessions(req.user._id, 'logout_all');
+
+    res.status(200).json({
+      success: true,
+      data: { sessionsRevoked: revoked },
+      message: 'Logged out from all devices'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair
+ * POST /api/v1/auth/refresh
+ */
+const refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token is required'
+      });
+    }
+
+    const tokens = await sessionService.refreshSession(token, sessionService.getClientInfo(req));
+
+    res.status(200).json({
+      success: true,
+      data: tokens,
+      message: 'Token refreshed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the signed-in devices of the current account
+ * GET /api/v1/auth/sessions
+ */
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.getActiveSessions(req.user._id, req.sessionId);
+
+    res.status(200).json({
+      success: true,
+      data: { sessions },
+      message: 'Active sessions fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Admin login - database admin accounts, with the environment admin as bootstrap super-admin
  * POST /api/v1/auth/admin/login
  */
 const adminLogin = async (req, res, next) => {
@@ -144,59 +208,31 @@ const adminLogin = async (req, res, next) => {
       });
     }
 
-    // Check if admin credentials are configured
-    if (!process.env.ADMIN_EMAIL || !process.env.ADMIN_PASSWORD_HASH) {
-      return res.status(500).json({
-        success: false,
-        message: 'Admin authentication not configured properly'
-      });
-    }
+    const admin = await adminAccountService.authenticateAdmin(email, password);
 
-    // Check if email matches admin email from environment (case-insensitive)
-    if (email.toLowerCase() !== process.env.ADMIN_EMAIL.toLowerCase()) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid admin credentials'
-      });
-    }
-
-    // Verify password against environment hash
-    const isPasswordValid = await bcrypt.compare(password, process.env.ADMIN_PASSWORD_HASH);
-    
-    if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid admin credentials'
-      });
-    }
-
-    // Generate JWT token with 48 hours expiry
-    const token = jwt.sign(
-      { 
-        email: process.env.ADMIN_EMAIL,
-        role: 'admin',
-        type: 'admin',
-        iat: Math.floor(Date.now() / 1000)
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '48h' }
+    // Start a session for this device (short-lived access token + refresh token)
+    const tokens = await sessionService.createSession(
+      { subject: admin._id, role: 'admin', email: admin.email },
+      sessionService.getClientInfo(req)
     );
 
     res.status(200).json({
       success: true,
       data: {
-        token,
+        ...tokens,
         admin: {
-          email: process.env.ADMIN_EMAIL,
+          id: admin._id,
+          email: admin.email,
           role: 'admin',
-          name: 'Admin'
-        },
-        expiresIn: '48h'
+          name: admin.name,
+          permissions: admin.permissions,
+          isSuperAdmin: admin.isSuperAdmin
+        }
       },
       message: 'Admin login successful'
     });
   } catch (error) {
-    console.error('❌ Admin login error:', error);
+    console.error('❌ Admin login error:', error.message);
     next(error);
   }
 };
@@ -375,23 +411,16 @@ const staffLogin = async (req, res, next) => {
     // Update last login
     await staff.updateLastLogin();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        id: staff._id,
-        email: staff.email,
-        role: staff.role,
-        type: 'staff',
-        iat: Math.floor(Date.now() / 1000)
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: '48h' }
+    // Start a session for this device (short-lived access token + refresh token)
+    const tokens = await sessionService.createSession(
+      { subject: staff._id, role: staff.role, email: staff.email },
+      sessionService.getClientInfo(req)
     );
 
     res.status(200).json({
       success: true,
       data: {
-        token,
+        ...tokens,
         staff: {
           _id: staff._id,
           name: staff.name,
@@ -402,8 +431,7 @@ const staffLogin = async (req, res, next) => {
           department: staff.department,
           employeeId: staff.employeeId,
           status: staff.status
-        },
-        expiresIn: '48h'
+        }
       },
       message: 'Login successful'
     });
@@ -588,6 +616,9 @@ const resetPassword = async (req, res, next) => {
     user.password = hashedPassword;
     await user.save();
 
+    // Sign out every device that used the old password
+    await sessionService.revokeAllSessions(user._id, 'logout_all');
+
     // Delete OTP after successful password reset
     await OTP.deleteOne({ _id: otpRecord._id });
 
@@ -605,6 +636,9 @@ module.exports = {
   register,
   login,
   logout,
+  logoutAll,
+  refreshToken,
+  getSessions,
   getProfile,
   updateProfile,
   adminLogin,
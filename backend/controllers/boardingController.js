@@ -0,0 +1,119 @@
+// FILE: backend/controllers/boardingController.js
+/**
+ * Boarding controller for ticket scans and the live boarding manifest
+ * Routes: /api/v1/boarding/*
+ */
+
+const boardingService = require('../services/boardingService');
+const { getTicketPublicKey } = require('../utils/ticketCode');
+const { emitBoardingUpdate } = require('../sockets/bookingSocket');
+const { BOARDING_STATUS } = require('../constants/enums');
+
+/**
+ * Get the public key ticket codes are verified with (cached by scanners for offline checks)
+ * GET /api/v1/boarding/public-key
+ */
+const getPublicKey = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: getTicketPublicKey(),
+      message: 'Ticket public key fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a trip's boarding manifest
+ * GET /api/v1/boarding/trips/:tripId/manifest
+ */
+const getManifest = async (req, res, next) => {
+  try {
+    const manifest = await boardingService.getManifest(req.params.tripId, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: manifest,
+      message: 'Manifest fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Board a passenger (or mark them a no-show) from a scanned ticket
+ * POST /api/v1/boarding/trips/:tripId/scan
+ */
+const scanTicket = async (req, res, next) => {
+  try {
+    const { code, status = BOARDING_STATUS.BOARDED } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket code is required'
+      });
+    }
+
+    const passenger = await boardingService.scanTicket(req.params.tripId, code, req.user, status);
+
+    const io = req.app.get('io');
+    if (io) {
+      emitBoardingUpdate(io, req.params.tripId, passenger);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { passenger },
+      message: `${passenger.passengerName} (seat ${passenger.seatNumber}) marked ${passenger.boardingStatus.replace('_', '-')}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Set a passenger's boarding status by hand
+ * PATCH /api/v1/boarding/trips/:tripId/passengers
+ */
+const updateBoardingStatus = async (req, res, next) => {
+  try {
+    const { bookingId, seatNumber, status } = req.body;
+
+    if (!bookingId || !seatNumber || !status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking, seat number and status are required'
+      });
+    }
+
+    const passenger = await boardingService.updateBoardingStatus(
+      req.params.tripId,
+      { bookingId, seatNumber, status },
+      req.user
+    );
+
+    const io = req.app.get('io');
+    if (io) {
+      emitBoardingUpdate(io, req.params.tripId, passenger);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { passenger },
+      message: 'Boarding status updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getPublicKey,
+  getManifest,
+  scanTicket,
+  updateBoardingStatus
+};
@@ -5,9 +5,13 @@
  */
 
 const bookingService = require('../services/bookingService');
+const rescheduleService = require('../services/rescheduleService');
+const boardingService = require('../services/boardingService');
 const OTP = require('../models/otpModel');
 const Trip = require('../models/tripModel');
 const { generateOTP, sendBookingOTP } = require('../services/emailService');
+const { emitBookingCreated } = require('../sockets/bookingSocket');
+const { BOOKING_STATUS } = require('../constants/enums');
 
 /**
  * Create a new booking
@@ -20,7 +24,10 @@ const createBooking = async (req, res, next) => {
       seats,
       passengerInfo,
       paymentMethod,
-      promoCode
+      promoCode,
+      boardingStopId,
+      droppingStopId,
+      quotedBaseAmount
     } = req.body;
 
     // Basic validation
@@ -52,6 +59,13 @@ const createBooking = async (req, res, next) => {
       });
     }
 
+    if (quotedBaseAmount !== undefined && (typeof quotedBaseAmount !== 'number' || !Number.isFinite(quotedBaseAmount))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quoted base amount must be a number'
+      });
+    }
+
     // Validate passengerInfo has matching length
     if (passengerInfo.length !== seats.length) {
       return res.status(400).json({
@@ -113,17 +127,27 @@ const createBooking = async (req, res, next) => {
           seats,
           passengerInfo,
           paymentMethod,
-          promoCode
+          promoCode,
+          boardingStopId,
+          droppingStopId,
+          quotedBaseAmount
         },
         req.user._id
       );
     } catch (serviceError) {
       return res.status(serviceError.statusCode || 500).json({
         success: false,
-        message: serviceError.message || 'Failed to create booking'
+        message: serviceError.message || 'Failed to create booking',
+        ...(serviceError.quote && { data: { quote: serviceError.quote } })
       });
     }
 
+    // The seats are taken once the booking commits - tell seat pickers and admins
+    const io = req.app.get('io');
+    if (io) {
+      emitBookingCreated(io, booking);
+    }
+
     res.status(201).json({
       success: true,
       data: { booking },
@@ -134,6 +158,46 @@ const createBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * Get a fare quote for selected seats before payment
+ * POST /api/v1/bookings/quote
+ */
+const getFareQuote = async (req, res, next) => {
+  try {
+    const { tripId, seats, promoCode, boardingStopId, droppingStopId } = req.body;
+
+    if (!tripId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Trip ID is required'
+      });
+    }
+
+    if (!seats || !Array.isArray(seats) || seats.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one seat must be selected'
+      });
+    }
+
+    const quote = await bookingService.getFareQuote(
+      tripId,
+      seats,
+      req.user,
+      promoCode,
+      { boardingStopId, droppingStopId }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { quote },
+      message: 'Fare quote calculated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get user's bookings
  * GET /api/v1/bookings/mybookings
@@ -158,6 +222,45 @@ const getMyBookings = async (req, res, next) => {
   }
 };
 
+/**
+ * Preview the refund for cancelling a booking
+ * GET /api/v1/bookings/:id/refund-preview
+ */
+const getRefundPreview = async (req, res, next) => {
+  try {
+    // Optional ?seats=A1,A2 previews a partial cancellation
+    const seats = req.query.seats ? req.query.seats.split(',').map(seat => seat.trim()) : null;
+
+    const refund = await bookingService.getRefundPreview(req.params.id, req.user._id, seats);
+
+    res.status(200).json({
+      success: true,
+      data: { refund },
+      message: 'Refund preview calculated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get signed boarding QR codes for each seat of a booking
+ * GET /api/v1/bookings/:id/tickets
+ */
+const getTicketCodes = async (req, res, next) => {
+  try {
+    const tickets = await boardingService.getTicketCodes(req.params.id, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { tickets },
+      message: 'Ticket codes generated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Cancel a booking
  * PUT /api/v1/bookings/:id/cancel
@@ -189,6 +292,172 @@ const cancelBooking = async (req, res, next) => {
   }
 };
 
+/**
+ * Cancel selected seats of a booking
+ * PUT /api/v1/bookings/:id/cancel-seats
+ */
+const cancelSeats = async (req, res, next) => {
+  try {
+    const { seats, reason } = req.body;
+
+    if (!seats || !Array.isArray(seats) || seats.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one seat must be selected'
+      });
+    }
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancellation reason is required'
+      });
+    }
+
+    const booking = await bookingService.cancelSeats(
+      req.params.id,
+      req.user._id,
+      seats,
+      reason
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { booking },
+      message: booking.bookingStatus === BOOKING_STATUS.CANCELLED
+        ? 'Booking cancelled successfully'
+        : `${seats.length} seat(s) cancelled successfully`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List alternative trips a booking can be moved to
+ * GET /api/v1/bookings/:id/reschedule-options
+ */
+const getRescheduleOptions = async (req, res, next) => {
+  try {
+    const days = req.query.days ? parseInt(req.query.days, 10) : undefined;
+
+    if (Number.isNaN(days)) {
+      return res.status(400).json({
+        success: false,
+        message: `days must be a number between 1 and ${rescheduleService.MAX_SEARCH_DAYS}`
+      });
+    }
+
+    const options = await rescheduleService.getRescheduleOptions(req.params.id, req.user._id, days);
+
+    res.status(200).json({
+      success: true,
+      data: options,
+      message: 'Reschedule options fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Validate the target trip and seats sent for a reschedule
+ * @param {object} body - Request body
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateRescheduleRequest = ({ tripId, seats }) => {
+  if (!tripId) {
+    return 'Trip ID is required';
+  }
+
+  if (!seats || !Array.isArray(seats) || seats.length === 0) {
+    return 'At least one seat must be selected';
+  }
+
+  return null;
+};
+
+/**
+ * Quote the fare difference and fee for moving a booking
+ * POST /api/v1/bookings/:id/reschedule-quote
+ */
+const getRescheduleQuote = async (req, res, next) => {
+  try {
+    const validationError = validateRescheduleRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const quote = await rescheduleService.getRescheduleQuote(
+      req.params.id,
+      req.user._id,
+      req.body.tripId,
+      req.body.seats
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { quote },
+      message: 'Reschedule quote calculated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Move a booking to another trip on the same route
+ * POST /api/v1/bookings/:id/reschedule
+ */
+const rescheduleBooking = async (req, res, next) => {
+  try {
+    const validationError = validateRescheduleRequest(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const booking = await rescheduleService.rescheduleBooking(
+      req.params.id,
+      req.user._id,
+      req.body.tripId,
+      req.body.seats,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { booking },
+      message: `Booking rescheduled. New PNR: ${booking.pnrNumber}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the reschedule chain (PNR history) of a booking
+ * GET /api/v1/bookings/:id/reschedule-history
+ */
+const getRescheduleHistory = async (req, res, next) => {
+  try {
+    const history = await rescheduleService.getRescheduleHistory(req.params.id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { history },
+      message: 'Reschedule history fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get booking by ID
  * GET /api/v1/bookings/:id
@@ -210,6 +479,33 @@ const getBookingById = async (req, res, next) => {
   }
 };
 
+/**
+ * Look up a ticket by PNR without logging in
+ * GET /api/v1/bookings/pnr/:pnr?email=...|phone=...
+ */
+const getBookingByPnr = async (req, res, next) => {
+  try {
+    const { email, phone } = req.query;
+
+    if (!email && !phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email or phone number used for the booking is required'
+      });
+    }
+
+    const booking = await bookingService.getBookingByPnr(req.params.pnr, { email, phone });
+
+    res.status(200).json({
+      success: true,
+      data: { booking },
+      message: 'Booking fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Send OTP for booking confirmation
  * POST /api/v1/bookings/send-otp
@@ -350,9 +646,18 @@ const verifyBookingOTP = async (req, res, next) => {
 
 module.exports = {
   createBooking,
+  getFareQuote,
   getMyBookings,
+  getRefundPreview,
+  getTicketCodes,
   cancelBooking,
+  cancelSeats,
+  getRescheduleOptions,
+  getRescheduleQuote,
+  rescheduleBooking,
+  getRescheduleHistory,
   getBookingById,
+  getBookingByPnr,
   sendBookingConfirmationOTP,
   verifyBookingOTP
 };
\ No newline at end of file
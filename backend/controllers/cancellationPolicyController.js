@@ -0,0 +1,114 @@
+// FILE: backend/controllers/cancellationPolicyController.js
+/**
+ * Cancellation policy controller handling HTTP requests for policy management
+ * Routes: /api/v1/cancellation-policies/*
+ */
+
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+
+/**
+ * Create a new cancellation policy
+ * POST /api/v1/cancellation-policies
+ */
+const createPolicy = async (req, res, next) => {
+  try {
+    const policy = await cancellationPolicyService.createPolicy(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { policy },
+      message: 'Cancellation policy created successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all cancellation policies
+ * GET /api/v1/cancellation-policies
+ */
+const getAllPolicies = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, scope, isActive } = req.query;
+
+    const filters = {};
+    if (scope) filters.scope = scope;
+    if (isActive !== undefined) filters.isActive = isActive === 'true';
+
+    const result = await cancellationPolicyService.getAllPolicies(
+      filters,
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: 'Cancellation policies fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get cancellation policy by ID
+ * GET /api/v1/cancellation-policies/:id
+ */
+const getPolicyById = async (req, res, next) => {
+  try {
+    const policy = await cancellationPolicyService.getPolicyById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: { policy },
+      message: 'Cancellation policy fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update cancellation policy
+ * PUT /api/v1/cancellation-policies/:id
+ */
+const updatePolicy = async (req, res, next) => {
+  try {
+    const policy = await cancellationPolicyService.updatePolicy(req.params.id, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: { policy },
+      message: 'Cancellation policy updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete cancellation policy
+ * DELETE /api/v1/cancellation-policies/:id
+ */
+const deletePolicy = async (req, res, next) => {
+  try {
+    await cancellationPolicyService.deletePolicy(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cancellation policy deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createPolicy,
+  getAllPolicies,
+  getPolicyById,
+  updatePolicy,
+  deletePolicy
+};
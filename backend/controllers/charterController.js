@@ -0,0 +1,167 @@
+// FILE: backend/controllers/charterController.js
+/**
+ * Charter controller handling rental inquiry confirmation and charter bookings
+ * Routes: /api/v1/rentals/inquiries/:id/*, /api/v1/rentals/charters/*
+ */
+
+const charterService = require('../services/charterService');
+
+/**
+ * Get buses that could serve a rental inquiry
+ * GET /api/v1/rentals/inquiries/:id/bus-options
+ */
+const getBusOptions = async (req, res, next) => {
+  try {
+    const { startDateTime, endDateTime } = req.query;
+
+    const result = await charterService.getBusOptions(req.params.id, { startDateTime, endDateTime });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: 'Bus options fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Confirm a rental inquiry as a charter
+ * POST /api/v1/rentals/inquiries/:id/charter
+ */
+const confirmInquiry = async (req, res, next) => {
+  try {
+    const { busId, driver, advance } = req.body;
+
+    if (!busId || !driver || !advance?.amount || !advance?.method) {
+      return res.status(400).json({
+        success: false,
+        message: 'Bus, driver and advance payment (amount and method) are required'
+      });
+    }
+
+    const charter = await charterService.confirmInquiry(req.params.id, req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      data: { charter },
+      message: `Inquiry confirmed as charter ${charter.charterNumber}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get all charters
+ * GET /api/v1/rentals/charters
+ */
+const getAllCharters = async (req, res, next) => {
+  try {
+    const { page = 1, limit = 10, status, bus, from, to } = req.query;
+
+    const result = await charterService.getAllCharters(
+      { status, bus, from, to },
+      parseInt(page),
+      parseInt(limit)
+    );
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: 'Charters fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get charter by ID
+ * GET /api/v1/rentals/charters/:id
+ */
+const getCharterById = async (req, res, next) => {
+  try {
+    const charter = await charterService.getCharterById(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: { charter },
+      message: 'Charter fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Download the charter contract and invoice
+ * GET /api/v1/rentals/charters/:id/contract
+ */
+const downloadContract = async (req, res, next) => {
+  try {
+    const { charter, pdf } = await charterService.getContractPDF(req.params.id);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=charter_${charter.charterNumber}.pdf`);
+    res.send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Record a payment against a charter
+ * POST /api/v1/rentals/charters/:id/payments
+ */
+const recordPayment = async (req, res, next) => {
+  try {
+    const { amount, method, reference } = req.body;
+
+    if (!amount || !method) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment amount and method are required'
+      });
+    }
+
+    const charter = await charterService.recordPayment(req.params.id, { amount, method, reference }, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { charter },
+      message: 'Payment recorded successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel a charter
+ * PATCH /api/v1/rentals/charters/:id/cancel
+ */
+const cancelCharter = async (req, res, next) => {
+  try {
+    const charter = await charterService.cancelCharter(req.params.id, req.body.reason, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { charter },
+      message: 'Charter cancelled successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBusOptions,
+  confirmInquiry,
+  getAllCharters,
+  getCharterById,
+  downloadContract,
+  recordPayment,
+  cancelCharter
+};
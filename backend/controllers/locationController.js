@@ -7,6 +7,169 @@
 const Trip = require('../models/tripModel');
 const BusLocationStatus = require('../models/busLocationStatusModel');
 const LocationLog = require('../models/locationLogModel');
+const locationHistoryService = require('../services/locationHistoryService');
+const etaService = require('../services/etaService');
+const geofenceService = require('../services/geofenceService');
+const escalationService = require('../services/escalationService');
+const { isTripCrew } = require('../services/crewService');
+const { generateGPX, generateGeoJSON } = require('../utils/trackExportUtils');
+const { ROLES } = require('../constants/roles');
+
+// Most fixes accepted in one batch upload
+const MAX_BATCH_POINTS = parseInt(process.env.LOCATION_BATCH_MAX_POINTS) || 500;
+
+// Fixes stamped further ahead than this are rejected (allows for device clock drift)
+const MAX_CLOCK_SKEW_MS = 2 * 60 * 1000;
+
+/**
+ * Check whether the caller may report a trip's position
+ * Fixes drive geofence status changes and no-show settlement, so only the trip's crew (or an admin) may send them.
+ * @param {object} user - Authenticated admin or staff member
+ * @param {object} trip - Trip document
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canReportLocation = async (user, trip) => {
+  return user.role === ROLES.ADMIN || isTripCrew(user._id, trip);
+};
+
+/**
+ * Apply the newest fixes of a trip to its live state
+ * Moves currentLocation and the monitoring status to the last fix, runs geofencing over
+ * each fix in order, refreshes ETAs and notifies trackers and admins.
+ * @param {object} req - Express request (user and io)
+ * @param {object} trip - Trip with bus and route populated
+ * @param {array} fixes - Fixes newer than the trip's current location, oldest first
+ * @returns {object} { busStatus, stopEvents, eta }
+ */
+const applyLatestFixes = async (req, trip, fixes) => {
+  const tripId = trip._id.toString();
+  const latest = fixes[fixes.length - 1];
+  const { latitude, longitude, speed, heading, recordedAt } = latest;
+
+  // Update current location in Trip
+  trip.currentLocation = {
+    latitude,
+    longitude,
+    lastUpdated: recordedAt,
+    speed: speed || 0,
+    heading: heading || 0
+  };
+
+  await trip.save();
+
+  // Update or create BusLocationStatus for admin monitoring
+  let busStatus = await BusLocationStatus.findOne({ trip: tripId });
+
+  if (!busStatus) {
+    // Create new status record
+    busStatus = await BusLocationStatus.create({
+      trip: tripId,
+      bus: trip.bus._id,
+      staff: req.user?.id, // From auth middleware
+      lastLocation: {
+        latitude,
+        longitude,
+        speed: speed || 0,
+        heading: heading || 0
+      },
+      lastUpdated: recordedAt,
+      tripStarted: true,
+      status: 'active'
+    });
+
+    // Log tracking started
+    await LocationLog.create({
+      trip: tripId,
+      bus: trip.bus._id,
+      staff: req.user?.id,
+      eventType: 'tracking_started',
+      newStatus: 'active',
+      location: { latitude, longitude },
+      performedBy: req.user?.email || 'staff',
+      notes: 'Location tracking started'
+    });
+  } else {
+    // Update existing status
+    const previousStatus = busStatus.status;
+
+    busStatus.lastLocation = {
+      latitude,
+      longitude,
+      speed: speed || 0,
+      heading: heading || 0
+    };
+    busStatus.lastUpdated = recordedAt;
+
+    if (!busStatus.staff && req.user?.id) {
+      busStatus.staff = req.user.id;
+    }
+
+    if (!busStatus.tripStarted) {
+      busStatus.tripStarted = true;
+    }
+
+    // Update status based on timing
+    const { statusChanged, newStatus } = await busStatus.updateStatus();
+
+    // Log status change if it changed
+    if (statusChanged && previousStatus !== newStatus) {
+      await LocationLog.logStatusChange(
+        tripId,
+        trip.bus._id,
+        busStatus.staff,
+        previousStatus,
+        newStatus,
+        { latitude, longitude }
+      );
+    }
+
+    // The bus is reporting again - close any escalations raised while it was quiet
+    if (newStatus === 'active' && (previousStatus !== 'active' || busStatus.flagged)) {
+      await escalationService.resolveEscalations(busStatus, req.app.get('io'));
+    }
+  }
+
+  // Emit socket event for real-time updates
+  const io = req.app.get('io');
+
+  // Stop arrivals and departures advance the trip status and warn waiting passengers
+  const stopEvents = [];
+  for (const fix of fixes) {
+    const events = await geofenceService.processLocation(
+      trip,
+      { latitude: fix.latitude, longitude: fix.longitude },
+      io,
+      busStatus.staff,
+      fix.recordedAt
+    );
+    stopEvents.push(...events);
+  }
+
+  // Push fresh stop ETAs to trackers (may mark the trip delayed)
+  const eta = await etaService.publishTripEta(trip, io);
+
+  if (io) {
+    io.to(`trip_${tripId}`).emit('location_update', {
+      tripId,
+      latitude,
+      longitude,
+      speed: speed || 0,
+      heading: heading || 0,
+      timestamp: recordedAt
+    });
+
+    // Emit admin monitoring event
+    io.to('admin_monitoring').emit('bus_status_update', {
+      tripId,
+      busId: trip.bus._id,
+      status: busStatus.status,
+      location: { latitude, longitude, speed: speed || 0 },
+      lastUpdated: recordedAt
+    });
+  }
+
+  return { busStatus, stopEvents, eta };
+};
 
 /**
  * Update bus location for a trip
@@ -14,7 +177,7 @@ const LocationLog = require('../models/locationLogModel');
  */
 const updateLocation = async (req, res, next) => {
   try {
-    const { tripId, latitude, longitude, speed, heading } = req.body;
+    const { tripId, latitude, longitude, speed, heading, accuracy } = req.body;
 
     if (!tripId || latitude === undefined || longitude === undefined) {
       return res.status(400).json({
@@ -23,7 +186,7 @@ const updateLocation = async (req, res, next) => {
       });
     }
 
-    const trip = await Trip.findById(tripId).populate('bus');
+    const trip = await Trip.findById(tripId).populate('bus').populate('route');
     
     if (!trip) {
       return res.status(404).json({
@@ -32,133 +195,141 @@ const updateLocation = async (req, res, next) => {
       });
     }
 
-    const now = new Date();
+    if (!(await canReportLocation(req.user, trip))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not on the crew of this trip'
+      });
+    }
 
-    // Update current location in Trip
-    trip.currentLocation = {
-      latitude,
-      longitude,
-      lastUpdated: now,
-      speed: speed || 0,
-      heading: heading || 0
-    };
+    const fix = { latitude, longitude, speed, heading, accuracy, recordedAt: new Date() };
 
-    // Add to location history (limit to last 50 points)
-    if (!trip.locationHistory) {
-      trip.locationHistory = [];
-    }
-    
-    trip.locationHistory.push({
-      latitude,
-      longitude,
-      timestamp: now,
-      speed: speed || 0
+    // Every ping is kept in the breadcrumb trail
+    await locationHistoryService.recordPing(trip, fix, req.user?.id, fix.recordedAt);
+
+    const { busStatus, stopEvents, eta } = await applyLatestFixes(req, trip, [fix]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tripId,
+        location: trip.currentLocation,
+        monitoringStatus: busStatus.status,
+        tripStatus: trip.status,
+        stopEvents: stopEvents.map(event => ({ type: event.type, stopId: event.stop.stopId, stopName: event.stop.name })),
+        eta
+      },
+      message: 'Location updated successfully'
     });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Keep only last 50 location points
-    if (trip.locationHistory.length > 50) {
-      trip.locationHistory = trip.locationHistory.slice(-50);
-    }
+/**
+ * Validate one fix of a batch upload
+ * @param {object} point - { latitude, longitude, speed, heading, accuracy, recordedAt }
+ * @param {Date} now - Time the batch arrived
+ * @returns {object|null} Normalised fix, or null if it is unusable
+ */
+const parseBatchPoint = (point, now) => {
+  const latitude = Number(point?.latitude);
+  const longitude = Number(point?.longitude);
+  const recordedAt = new Date(point?.recordedAt);
 
-    await trip.save();
+  if (
+    point?.latitude == null || point?.longitude == null ||
+    !Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+    !Number.isFinite(longitude) || longitude < -180 || longitude > 180 ||
+    !point.recordedAt || isNaN(recordedAt.getTime()) ||
+    recordedAt.getTime() > now.getTime() + MAX_CLOCK_SKEW_MS
+  ) {
+    return null;
+  }
 
-    // Update or create BusLocationStatus for admin monitoring
-    let busStatus = await BusLocationStatus.findOne({ trip: tripId });
-    
-    if (!busStatus) {
-      // Create new status record
-      busStatus = await BusLocationStatus.create({
-        trip: tripId,
-        bus: trip.bus._id,
-        staff: req.user?.id, // From auth middleware
-        lastLocation: {
-          latitude,
-          longitude,
-          speed: speed || 0,
-          heading: heading || 0
-        },
-        lastUpdated: now,
-        tripStarted: true,
-        status: 'active'
+  return {
+    latitude,
+    longitude,
+    speed: Number(point.speed) || 0,
+    heading: Number(point.heading) || 0,
+    accuracy: point.accuracy != null ? Number(point.accuracy) : null,
+    recordedAt
+  };
+};
+
+/**
+ * Upload a batch of fixes queued on the device while it was offline
+ * Fixes may arrive out of order and more than once; all new ones join the trail, and
+ * the live location only moves if the batch holds a fix newer than the current one.
+ * POST /api/v1/location/batch
+ */
+const updateLocationBatch = async (req, res, next) => {
+  try {
+    const { tripId, points } = req.body;
+
+    if (!tripId || !Array.isArray(points) || points.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Trip ID and a non-empty points array are required'
       });
+    }
 
-      // Log tracking started
-      await LocationLog.create({
-        trip: tripId,
-        bus: trip.bus._id,
-        staff: req.user?.id,
-        eventType: 'tracking_started',
-        newStatus: 'active',
-        location: { latitude, longitude },
-        performedBy: req.user?.email || 'staff',
-        notes: 'Location tracking started'
+    if (points.length > MAX_BATCH_POINTS) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch can contain at most ${MAX_BATCH_POINTS} points`
       });
-    } else {
-      // Update existing status
-      const previousStatus = busStatus.status;
-      
-      busStatus.lastLocation = {
-        latitude,
-        longitude,
-        speed: speed || 0,
-        heading: heading || 0
-      };
-      busStatus.lastUpdated = now;
-      
-      if (!busStatus.staff && req.user?.id) {
-        busStatus.staff = req.user.id;
-      }
-      
-      if (!busStatus.tripStarted) {
-        busStatus.tripStarted = true;
-      }
-
-      // Update status based on timing
-      const { statusChanged, newStatus } = await busStatus.updateStatus();
-
-      // Log status change if it changed
-      if (statusChanged && previousStatus !== newStatus) {
-        await LocationLog.logStatusChange(
-          tripId,
-          trip.bus._id,
-          busStatus.staff,
-          previousStatus,
-          newStatus,
-          { latitude, longitude }
-        );
-      }
     }
 
-    // Emit socket event for real-time updates
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`trip_${tripId}`).emit('location_update', {
-        tripId,
-        latitude,
-        longitude,
-        speed: speed || 0,
-        heading: heading || 0,
-        timestamp: now
+    const trip = await Trip.findById(tripId).populate('bus').populate('route');
+
+    if (!trip) {
+      return res.status(404).json({
+        success: false,
+        message: 'Trip not found'
       });
+    }
 
-      // Emit admin monitoring event
-      io.to('admin_monitoring').emit('bus_status_update', {
-        tripId,
-        busId: trip.bus._id,
-        status: busStatus.status,
-        location: { latitude, longitude, speed: speed || 0 },
-        lastUpdated: now
+    if (!(await canReportLocation(req.user, trip))) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not on the crew of this trip'
       });
     }
 
+    const now = new Date();
+    const fixes = points
+      .map(point => parseBatchPoint(point, now))
+      .filter(Boolean)
+      .sort((a, b) => a.recordedAt - b.recordedAt);
+    const rejected = points.length - fixes.length;
+
+    const { recorded, duplicates } = await locationHistoryService.recordPings(trip, fixes, req.user?.id);
+
+    // Only fixes newer than the live location move the bus on
+    const lastUpdated = trip.currentLocation?.lastUpdated;
+    const newer = recorded.filter(fix => !lastUpdated || fix.recordedAt > lastUpdated);
+
+    let result = null;
+    if (newer.length > 0) {
+      result = await applyLatestFixes(req, trip, newer);
+    }
+
     res.status(200).json({
       success: true,
       data: {
         tripId,
+        accepted: recorded.length,
+        duplicates,
+        rejected,
+        currentLocationUpdated: newer.length > 0,
         location: trip.currentLocation,
-        monitoringStatus: busStatus.status
+        monitoringStatus: result?.busStatus.status || null,
+        tripStatus: trip.status,
+        stopEvents: (result?.stopEvents || []).map(event => ({ type: event.type, stopId: event.stop.stopId, stopName: event.stop.name })),
+        eta: result?.eta || null
       },
-      message: 'Location updated successfully'
+      message: `${recorded.length} location point(s) recorded`
     });
   } catch (error) {
     next(error);
@@ -172,7 +343,7 @@ const updateLocation = async (req, res, next) => {
 const getLocation = async (req, res, next) => {
   try {
     const trip = await Trip.findById(req.params.tripId)
-      .select('currentLocation locationHistory route bus')
+      .select('currentLocation route bus')
       .populate('route', 'sourceCity destinationCity sourceCoordinates destinationCoordinates')
       .populate('bus', 'busNumber operator');
     
@@ -187,7 +358,7 @@ const getLocation = async (req, res, next) => {
       success: true,
       data: {
         currentLocation: trip.currentLocation,
-        locationHistory: trip.locationHistory || [],
+        locationHistory: await locationHistoryService.getRecentPings(trip._id),
         route: trip.route,
         bus: trip.bus
       },
@@ -200,24 +371,22 @@ const getLocation = async (req, res, next) => {
 
 /**
  * Get location history for a trip
- * GET /api/v1/location/:tripId/history
+ * GET /api/v1/location/:tripId/history?from=&to=&maxPoints=
  */
 const getLocationHistory = async (req, res, next) => {
   try {
-    const trip = await Trip.findById(req.params.tripId)
-      .select('locationHistory');
-    
-    if (!trip) {
-      return res.status(404).json({
-        success: false,
-        message: 'Trip not found'
-      });
-    }
+    const { from, to, maxPoints } = req.query;
+
+    const history = await locationHistoryService.getHistory(req.params.tripId, { from, to, maxPoints });
 
     res.status(200).json({
       success: true,
       data: {
-        history: trip.locationHistory || []
+        history: history.points,
+        totalPoints: history.totalPoints,
+        downsampled: history.downsampled,
+        from: history.from,
+        to: history.to
       },
       message: 'Location history fetched successfully'
     });
@@ -226,6 +395,56 @@ const getLocationHistory = async (req, res, next) => {
   }
 };
 
+/**
+ * Get the ETA to each upcoming stop of a trip
+ * GET /api/v1/location/:tripId/eta
+ */
+const getTripEta = async (req, res, next) => {
+  try {
+    const eta = await etaService.getTripEta(req.params.tripId);
+
+    res.status(200).json({
+      success: true,
+      data: { eta },
+      message: eta ? 'ETA fetched successfully' : 'ETA not available until the bus shares its location'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Export the full GPS track of a trip (Admin only)
+ * GET /api/v1/location/:tripId/export?format=gpx|geojson&from=&to=
+ */
+const exportTrack = async (req, res, next) => {
+  try {
+    const { format = 'gpx', from, to } = req.query;
+
+    if (!['gpx', 'geojson'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export format. Use: gpx or geojson'
+      });
+    }
+
+    const { trip, points } = await locationHistoryService.getTrack(req.params.tripId, { from, to });
+    const filename = `trip_${trip._id}_track.${format}`;
+
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+    if (format === 'gpx') {
+      res.setHeader('Content-Type', 'application/gpx+xml');
+      return res.send(generateGPX(trip, points));
+    }
+
+    res.setHeader('Content-Type', 'application/geo+json');
+    res.send(JSON.stringify(generateGeoJSON(trip, points)));
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Get all active trips with their current locations (Admin only)
  * GET /api/v1/location/all-active
@@ -261,7 +480,10 @@ const getAllActiveLocations = async (req, res, next) => {
 
 module.exports = {
   updateLocation,
+  updateLocationBatch,
   getLocation,
   getLocationHistory,
+  getTripEta,
+  exportTrack,
   getAllActiveLocations
 };
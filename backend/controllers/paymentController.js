@@ -5,7 +5,10 @@
  */
 
 const paymentService = require('../services/paymentService');
+const bookingPaymentService = require('../services/bookingPaymentService');
 const Booking = require('../models/bookingModel');
+const logger = require('../utils/logger');
+const { BOOKING_STATUS } = require('../constants/enums');
 const { sendBookingConfirmation } = require('../services/emailService');
 
 /**
@@ -14,67 +17,24 @@ const { sendBookingConfirmation } = require('../services/emailService');
  */
 const createPaymentOrder = async (req, res, next) => {
   try {
-    const { bookingId, amount } = req.body;
+    const { bookingId } = req.body;
 
-    if (!bookingId || !amount) {
-      return res.status(400).json({
-        success: false,
-        message: 'Booking ID and amount are required'
-      });
-    }
-
-    // Verify booking exists
-    const booking = await Booking.findById(bookingId);
-    if (!booking) {
-      return res.status(404).json({
-        success: false,
-        message: 'Booking not found'
-      });
-    }
-
-    // Check if booking belongs to user
-    if (booking.user.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
-        success: false,
-        message: 'Unauthorized access to this booking'
-      });
-    }
-
-    // Check if already paid
-    if (booking.paymentStatus === 'completed') {
+    if (!bookingId) {
       return res.status(400).json({
         success: false,
-        message: 'Booking is already paid'
+        message: 'Booking ID is required'
       });
     }
 
-    // Create Razorpay order
-    const order = await paymentService.createOrder(
-      amount,
-      'INR',
-      `booking_${bookingId}`,
-      {
-        bookingId: bookingId,
-        userId: req.user._id.toString()
-      }
-    );
-
-    // Update booking with order details
-    booking.razorpayOrderId = order.id;
-    await booking.save();
+    // Amount is taken from the booking, not the request
+    const order = await bookingPaymentService.createOrderForBooking(bookingId, req.user._id);
 
     res.status(200).json({
       success: true,
-      data: {
-        orderId: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        keyId: process.env.RAZORPAY_KEY_ID
-      },
+      data: order,
       message: 'Payment order created successfully'
     });
   } catch (error) {
-    console.error('Create payment order error:', error);
     next(error);
   }
 };
@@ -108,39 +68,40 @@ const verifyPayment = async (req, res, next) => {
       });
     }
 
-    // Find booking
-    const booking = await Booking.findById(bookingId)
-      .populate('user', 'name email')
-      .populate('trip')
-      .populate({
-        path: 'trip',
-        populate: {
-          path: 'bus route'
-        }
-      });
-
-    if (!booking) {
+    // Check the order belongs to this user's booking before confirming it
+    const ownBooking = await Booking.findByOrderId(razorpay_order_id, { _id: bookingId, user: req.user._id });
+    if (!ownBooking) {
       return res.status(404).json({
         success: false,
-        message: 'Booking not found'
+        message: 'Booking not found for this order'
       });
     }
 
-    // Check if booking belongs to user
-    if (booking.user._id.toString() !== req.user._id.toString()) {
-      return res.status(403).json({
+    // Same path as the payment.captured webhook - whichever lands first confirms the booking
+    const paidBooking = await bookingPaymentService.confirmPayment(razorpay_order_id, razorpay_payment_id);
+
+    // The booking expired before the capture arrived - the payment was refunded, not applied
+    if (paidBooking.bookingStatus === BOOKING_STATUS.CANCELLED) {
+      return res.status(409).json({
         success: false,
-        message: 'Unauthorized access to this booking'
+        data: {
+          bookingId: paidBooking._id,
+          status: paidBooking.bookingStatus,
+          paymentStatus: paidBooking.paymentStatus,
+          paymentRefunded: true
+        },
+        message: 'Booking expired before the payment arrived. Your payment has been refunded.'
       });
     }
 
-    // Update booking status
-    booking.paymentStatus = 'completed';
-    booking.bookingStatus = 'confirmed';
-    booking.razorpayPaymentId = razorpay_payment_id;
-    booking.razorpaySignature = razorpay_signature;
-    booking.paidAt = new Date();
-    await booking.save();
+    const booking = await Booking.findById(bookingId)
+      .populate('user', 'name email')
+      .populate({
+        path: 'trip',
+        populate: {
+          path: 'bus route'
+        }
+      });
 
     // Send confirmation email
     try {
@@ -148,7 +109,7 @@ const verifyPayment = async (req, res, next) => {
         booking.user.email,
         booking.user.name,
         {
-          bookingId: booking.bookingId,
+          bookingId: booking.pnrNumber,
           busName: booking.trip.bus.name || 'Luxury Bus',
           route: `${booking.trip.route.sourceCity} → ${booking.trip.route.destinationCity}`,
           date: new Date(booking.trip.departureDateTime).toLocaleDateString('en-IN', {
@@ -172,7 +133,8 @@ const verifyPayment = async (req, res, next) => {
       data: {
         booking: {
           _id: booking._id,
-          bookingId: booking.bookingId,
+          bookingId: booking._id,
+          pnrNumber: booking.pnrNumber,
           status: booking.bookingStatus,
           paymentStatus: booking.paymentStatus,
           paymentId: razorpay_payment_id
@@ -201,8 +163,7 @@ const handlePaymentFailure = async (req, res, next) => {
       });
     }
 
-    // Find booking
-    const booking = await Booking.findById(bookingId);
+    const booking = await Booking.findOne({ _id: bookingId, user: req.user._id });
     if (!booking) {
       return res.status(404).json({
         success: false,
@@ -210,17 +171,18 @@ const handlePaymentFailure = async (req, res, next) => {
       });
     }
 
-    // Update booking status
-    booking.paymentStatus = 'failed';
-    booking.bookingStatus = 'pending';
-    await booking.save();
+    if (booking.razorpayOrderId) {
+      await bookingPaymentService.markPaymentFailed(booking.razorpayOrderId);
+    }
+    logger.warn(`Payment failed for booking ${booking._id}: ${error?.description || error?.message || 'unknown error'}`);
 
     res.status(200).json({
       success: true,
       message: 'Payment failure recorded',
       data: {
         bookingId: booking._id,
-        status: booking.bookingStatus
+        status: booking.bookingStatus,
+        paymentExpiresAt: booking.paymentExpiresAt
       }
     });
   } catch (error) {
@@ -229,8 +191,80 @@ const handlePaymentFailure = async (req, res, next) => {
   }
 };
 
+/**
+ * Handle Razorpay webhooks (payment.captured, payment.failed, refund.processed)
+ * POST /api/v1/payment/webhook
+ */
+const handleWebhook = async (req, res, next) => {
+  try {
+    const signature = req.get('x-razorpay-signature');
+    const eventId = req.get('x-razorpay-event-id');
+
+    if (!paymentService.verifyWebhookSignature(req.rawBody, signature)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    if (!eventId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event ID header is required'
+      });
+    }
+
+    const result = await bookingPaymentService.processWebhookEvent(eventId, req.body);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: result.duplicate ? 'Event already processed' : 'Webhook processed'
+    });
+  } catch (error) {
+    // A non-2xx response makes Razorpay redeliver the event
+    next(error);
+  }
+};
+
+/**
+ * Complete or fail a payment on the fake gateway (PAYMENT_GATEWAY=fake only)
+ * POST /api/v1/payment/fake/pay
+ */
+const simulateFakePayment = async (req, res, next) => {
+  try {
+    const { bookingId, outcome = 'captured' } = req.body;
+
+    if (!paymentService.isFakeGateway()) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fake gateway is not enabled'
+      });
+    }
+
+    if (!bookingId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking ID is required'
+      });
+    }
+
+    const checkout = await bookingPaymentService.simulateFakePayment(bookingId, req.user._id, outcome);
+
+    res.status(200).json({
+      success: true,
+      data: { checkout },
+      message: checkout ? 'Fake payment captured' : 'Fake payment failed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   createPaymentOrder,
   verifyPayment,
-  handlePaymentFailure
+  handlePaymentFailure,
+  handleWebhook,
+  simulateFakePayment
 };
@@ -73,7 +73,7 @@ const getPromoCodeById = async (req, res, next) => {
 };
 
 /**
- * Validate and apply promo code
+ * Validate promo code and preview the discount
  * POST /api/v1/promocodes/validate
  */
 const validatePromoCode = async (req, res, next) => {
@@ -87,7 +87,7 @@ const validatePromoCode = async (req, res, next) => {
       });
     }
 
-    const result = await promoCodeService.validateAndApplyPromoCode(
+    const result = await promoCodeService.previewPromoCode(
       code,
       bookingAmount,
       req.user,
@@ -97,7 +97,7 @@ const validatePromoCode = async (req, res, next) => {
     res.status(200).json({
       success: true,
       data: result,
-      message: 'Promo code applied successfully'
+      message: 'Promo code is valid'
     });
   } catch (error) {
     next(error);
@@ -154,7 +154,7 @@ const assignStaffToInquiry = async (req, res, next) => {
  */
 const setInquiryQuote = async (req, res, next) => {
   try {
-    const { amount, notes } = req.body;
+    const { amount, notes, breakdown, validUntil } = req.body;
 
     if (!amount || amount <= 0) {
       return res.status(400).json({
@@ -163,16 +163,76 @@ const setInquiryQuote = async (req, res, next) => {
       });
     }
 
-    const inquiry = await rentalInquiryService.setInquiryQuote(
+    if (breakdown !== undefined && !Array.isArray(breakdown)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quote breakdown must be a list of { label, amount } lines'
+      });
+    }
+
+    const { inquiry, quoteUrl } = await rentalInquiryService.setInquiryQuote(
       req.params.id,
       amount,
-      notes
+      notes,
+      { breakdown, validUntil },
+      req.user
     );
 
     res.status(200).json({
       success: true,
-      data: { inquiry },
-      message: 'Quote set for rental inquiry successfully'
+      data: { inquiry, quoteUrl },
+      message: 'Quote sent to the customer successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the quote behind a customer quote link
+ * GET /api/v1/rentals/quote/:token
+ */
+const getQuoteByToken = async (req, res, next) => {
+  try {
+    const quote = await rentalInquiryService.getQuoteByToken(req.params.token);
+
+    res.status(200).json({
+      success: true,
+      data: { quote },
+      message: 'Quote fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept, decline or counter a quote from the customer quote link
+ * POST /api/v1/rentals/quote/:token/respond
+ */
+const respondToQuote = async (req, res, next) => {
+  try {
+    const { response, amount, message } = req.body;
+
+    if (!response) {
+      return res.status(400).json({
+        success: false,
+        message: 'Response is required'
+      });
+    }
+
+    const quote = await rentalInquiryService.respondToQuote(req.params.token, response, { amount, message });
+
+    const messages = {
+      confirmed: 'Thank you! Your booking is confirmed - our team will contact you about the advance payment',
+      declined: 'Quote declined. Thank you for considering easyLuxury Go',
+      negotiating: 'Counter-offer sent. We will get back to you with a revised quote'
+    };
+
+    res.status(200).json({
+      success: true,
+      data: { quote },
+      message: messages[quote.status]
     });
   } catch (error) {
     next(error);
@@ -242,6 +302,8 @@ module.exports = {
   updateInquiryStatus,
   assignStaffToInquiry,
   setInquiryQuote,
+  getQuoteByToken,
+  respondToQuote,
   deleteRentalInquiry,
   getUpcomingInquiries,
   getInquiryStatistics
@@ -0,0 +1,226 @@
+// FILE: backend/controllers/rosterController.js
+/**
+ * Roster controller for shift templates, leave and crew suggestions
+ * Routes: /api/v1/roster/*
+ */
+
+const rosterService = require('../services/rosterService');
+
+/**
+ * Get the logged-in staff member's schedule (shifts, leave, trips)
+ * GET /api/v1/roster/my-schedule?from=...&to=...
+ */
+const getMySchedule = async (req, res, next) => {
+  try {
+    const from = req.query.from || new Date();
+    const to = req.query.to || new Date(new Date(from).getTime() + 7 * 24 * 60 * 60 * 1000);
+
+    const schedule = await rosterService.getSchedule({ from, to, staffId: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...schedule,
+        template: schedule.staff[0]?.template || null
+      },
+      message: 'Schedule fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the logged-in staff member's leave requests
+ * GET /api/v1/roster/my-leaves
+ */
+const getMyLeaves = async (req, res, next) => {
+  try {
+    const leaves = await rosterService.getLeaveRequests({ staffId: req.user._id });
+
+    res.status(200).json({
+      success: true,
+      data: { leaves },
+      message: 'Leave requests fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Request leave
+ * POST /api/v1/roster/leaves
+ */
+const requestLeave = async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.body;
+
+    if (!startDate || !endDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Start and end date are required'
+      });
+    }
+
+    const { leave, conflictingTrips } = await rosterService.requestLeave(req.user._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      data: { leave, conflictingTrips },
+      message: conflictingTrips.length > 0
+        ? `Leave requested. You are rostered on ${conflictingTrips.length} trip(s) or charter(s) in this period; they will be reassigned before approval.`
+        : 'Leave requested successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Cancel one's own leave request
+ * PATCH /api/v1/roster/leaves/:id/cancel
+ */
+const cancelLeave = async (req, res, next) => {
+  try {
+    const leave = await rosterService.cancelLeave(req.params.id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { leave },
+      message: 'Leave request cancelled'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the roster calendar for a period
+ * GET /api/v1/roster/schedule?from=...&to=...
+ */
+const getSchedule = async (req, res, next) => {
+  try {
+    const { from, to } = req.query;
+
+    if (!from || !to) {
+      return res.status(400).json({
+        success: false,
+        message: 'From and to dates are required'
+      });
+    }
+
+    const schedule = await rosterService.getSchedule({ from, to });
+
+    res.status(200).json({
+      success: true,
+      data: schedule,
+      message: 'Roster fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create or replace a staff member's weekly shift template
+ * PUT /api/v1/roster/templates/:staffId
+ */
+const saveShiftTemplate = async (req, res, next) => {
+  try {
+    const template = await rosterService.saveShiftTemplate(req.params.staffId, req.body, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { template },
+      message: 'Shift template saved successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List leave requests
+ * GET /api/v1/roster/leaves?status=pending
+ */
+const getLeaveRequests = async (req, res, next) => {
+  try {
+    const { status, staffId } = req.query;
+    const leaves = await rosterService.getLeaveRequests({ status, staffId });
+
+    res.status(200).json({
+      success: true,
+      data: { leaves },
+      message: 'Leave requests fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Approve or reject a leave request
+ * PATCH /api/v1/roster/leaves/:id/review
+ */
+const reviewLeave = async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
+    const leave = await rosterService.reviewLeave(req.params.id, { status, note }, req.user);
+
+    res.status(200).json({
+      success: true,
+      data: { leave },
+      message: `Leave ${leave.status}`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Suggest crew for a trip window
+ * GET /api/v1/roster/crew-suggestions?departureDateTime=...&arrivalDateTime=...&tripId=...
+ */
+const suggestCrew = async (req, res, next) => {
+  try {
+    const { departureDateTime, arrivalDateTime, tripId } = req.query;
+
+    if (!departureDateTime || !arrivalDateTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Departure and arrival time are required'
+      });
+    }
+
+    const suggestions = await rosterService.suggestCrew({ departureDateTime, arrivalDateTime, tripId });
+
+    res.status(200).json({
+      success: true,
+      data: suggestions,
+      message: 'Crew suggestions fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getMySchedule,
+  getMyLeaves,
+  requestLeave,
+  cancelLeave,
+  getSchedule,
+  saveShiftTemplate,
+  getLeaveRequests,
+  reviewLeave,
+  suggestCrew
+};
@@ -0,0 +1,122 @@
+// FILE: backend/controllers/seatHoldController.js
+/**
+ * Seat hold controller handling HTTP requests for checkout seat holds
+ * Routes: /api/v1/trips/:id/holds
+ */
+
+const seatHoldService = require('../services/seatHoldService');
+
+/**
+ * Hold seats on a trip
+ * POST /api/v1/trips/:id/holds
+ */
+const holdSeats = async (req, res, next) => {
+  try {
+    const { seats, boardingStopId, droppingStopId } = req.body;
+
+    if (!seats || !Array.isArray(seats) || seats.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one seat must be selected'
+      });
+    }
+
+    const hold = await seatHoldService.holdSeats(
+      req.params.id,
+      seats,
+      req.user._id,
+      null,
+      { boardingStopId, droppingStopId }
+    );
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`trip-${req.params.id}`).emit('seats-locked', {
+        seatNumbers: hold.seatNumbers,
+        segment: hold.segment,
+        lockedBy: req.user._id
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { hold },
+      message: 'Seats held successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Extend the current user's seat hold
+ * PATCH /api/v1/trips/:id/holds
+ */
+const extendHold = async (req, res, next) => {
+  try {
+    const hold = await seatHoldService.extendHold(req.params.id, req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: { hold },
+      message: 'Seat hold extended successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Release the current user's seat hold
+ * DELETE /api/v1/trips/:id/holds
+ */
+const releaseHold = async (req, res, next) => {
+  try {
+    const { seats } = req.body || {};
+
+    const seatNumbers = await seatHoldService.releaseSeats(req.params.id, req.user._id, seats);
+
+    const io = req.app.get('io');
+    if (io && seatNumbers.length > 0) {
+      io.to(`trip-${req.params.id}`).emit('seats-unlocked', { seatNumbers });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { seatNumbers },
+      message: 'Seat hold released successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get seats currently held by other users on a trip
+ * GET /api/v1/trips/:id/holds?boardingStopId=&droppingStopId=
+ */
+const getHeldSeats = async (req, res, next) => {
+  try {
+    const { boardingStopId, droppingStopId } = req.query;
+    const seatNumbers = await seatHoldService.getHeldSeats(
+      req.params.id,
+      req.user._id,
+      { boardingStopId, droppingStopId }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: { seatNumbers },
+      message: 'Held seats fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  holdSeats,
+  extendHold,
+  releaseHold,
+  getHeldSeats
+};
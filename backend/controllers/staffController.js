@@ -5,6 +5,7 @@
  */
 
 const staffService = require('../services/staffService');
+const crewService = require('../services/crewService');
 
 /**
  * Create a new staff member
@@ -144,6 +145,52 @@ const getAvailableDrivers = async (req, res, next) => {
   }
 };
 
+/**
+ * Get staff who can crew a trip window, with the reason others cannot
+ * GET /api/v1/staff/crew/available?role=driver&departureDateTime=...&arrivalDateTime=...&tripId=...
+ */
+const getCrewAvailability = async (req, res, next) => {
+  try {
+    const { role, departureDateTime, arrivalDateTime, tripId } = req.query;
+
+    if (!departureDateTime || !arrivalDateTime) {
+      return res.status(400).json({
+        success: false,
+        message: 'Departure and arrival time are required'
+      });
+    }
+
+    const staff = await crewService.getCrewAvailability({ role, departureDateTime, arrivalDateTime, tripId });
+
+    res.status(200).json({
+      success: true,
+      data: { staff, minRestHours: crewService.MIN_REST_HOURS },
+      message: 'Crew availability fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the trips the logged-in staff member is rostered on
+ * GET /api/v1/staff/my-trips
+ */
+const getMyTrips = async (req, res, next) => {
+  try {
+    const { from, to, status } = req.query;
+    const trips = await crewService.getRosteredTrips(req.user._id, { from, to, status });
+
+    res.status(200).json({
+      success: true,
+      data: { trips },
+      message: 'Rostered trips fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Assign bus to staff
  * PATCH /api/v1/staff/:id/assign-bus
@@ -199,6 +246,8 @@ module.exports = {
   deleteStaff,
   toggleStaffStatus,
   getAvailableDrivers,
+  getCrewAvailability,
+  getMyTrips,
   assignBusToStaff,
   getCurrentStaff
 };
\ No newline at end of file
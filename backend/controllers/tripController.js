@@ -5,6 +5,9 @@
  */
 
 const tripService = require('../services/tripService');
+const tripCancellationService = require('../services/tripCancellationService');
+const { emitBookingCancellation, emitTripStatusUpdate } = require('../sockets/bookingSocket');
+const { TRIP_STATUS } = require('../constants/enums');
 
 /**
  * Create a new trip
@@ -121,13 +124,40 @@ const updateTrip = async (req, res, next) => {
   }
 };
 
+/**
+ * Assign trip crew (driver and conductor) from staff records
+ * PATCH /api/v1/trips/:id/crew
+ */
+const assignTripCrew = async (req, res, next) => {
+  try {
+    const { driver, conductor } = req.body;
+
+    if (driver === undefined && conductor === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Driver or conductor is required'
+      });
+    }
+
+    const trip = await tripService.assignCrew(req.params.id, { driver, conductor });
+
+    res.status(200).json({
+      success: true,
+      data: { trip },
+      message: 'Trip crew updated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Update trip status
  * PATCH /api/v1/trips/:id/status
  */
 const updateTripStatus = async (req, res, next) => {
   try {
-    const { status } = req.body;
+    const { status, reason } = req.body;
 
     if (!status) {
       return res.status(400).json({
@@ -136,6 +166,30 @@ const updateTripStatus = async (req, res, next) => {
       });
     }
 
+    // Cancelling a trip cascades to its bookings with full refunds
+    if (status === TRIP_STATUS.CANCELLED) {
+      const { trip, report } = await tripCancellationService.cancelTrip(req.params.id, reason);
+
+      const io = req.app.get('io');
+      if (io) {
+        emitTripStatusUpdate(io, trip._id, trip.status, report.reason);
+        report.refunds.forEach(entry => {
+          emitBookingCancellation(io, entry.user, {
+            _id: entry.bookingId,
+            pnrNumber: entry.pnrNumber,
+            cancellation: { refundAmount: entry.refundAmount }
+          });
+        });
+        io.to('admin-room').emit('trip-cancellation-report', report);
+      }
+
+      return res.status(200).json({
+        success: true,
+        data: { trip, report },
+        message: `Trip cancelled. ${report.bookingsCancelled} booking(s) refunded ₹${report.totalRefunded}`
+      });
+    }
+
     const trip = await tripService.updateTripStatus(req.params.id, status);
 
     res.status(200).json({
@@ -154,5 +208,6 @@ module.exports = {
   getTripById,
   searchTrips,
   updateTrip,
+  assignTripCrew,
   updateTripStatus
 };
\ No newline at end of file
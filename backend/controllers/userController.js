@@ -145,11 +145,49 @@ const deleteSavedPassenger = async (req, res, next) => {
   }
 };
 
+/**
+ * Get user's in-app notifications
+ * GET /api/v1/users/notifications
+ */
+const getNotifications = async (req, res, next) => {
+  try {
+    const result = await userService.getNotifications(req.user._id);
+
+    res.status(200).json({
+      success: true,
+      data: result,
+      message: 'Notifications fetched successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Mark a notification as read
+ * PATCH /api/v1/users/notifications/:id/read
+ */
+const markNotificationAsRead = async (req, res, next) => {
+  try {
+    const notification = await userService.markNotificationAsRead(req.user._id, req.params.id);
+
+    res.status(200).json({
+      success: true,
+      data: { notification },
+      message: 'Notification marked as read'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   addToWallet,
   getWalletBalance,
   addSavedPassenger,
   getSavedPassengers,
   updateSavedPassenger,
-  deleteSavedPassenger
+  deleteSavedPassenger,
+  getNotifications,
+  markNotificationAsRead
 };
\ No newline at end of file
@@ -10,6 +10,15 @@ const User = require('../models/userModel');
 const Staff = require('../models/staffModel');
 const MESSAGES = require('../constants/messages');
 const { ROLES, hasRequiredRole } = require('../constants/roles');
+const { isSessionActive } = require('../services/sessionService');
+const { resolveAdmin } = require('../services/adminAccountService');
+const { hasPermission } = require('../constants/permissions');
+
+const SESSION_ENDED = {
+  success: false,
+  message: 'Your session has ended. Please login again.',
+  sessionEnded: true
+};
 
 // Verify JWT token - works with all user types (user, admin, staff)
 const protect = async (req, res, next) => {
@@ -30,16 +39,26 @@ const protect = async (req, res, next) => {
     try {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      // Logged-out and revoked sessions stop working at once, not when the token expires
+      if (!(await isSessionActive(decoded.sid, decoded.id))) {
+        return res.status(401).json(SESSION_ENDED);
+      }
+      req.sessionId = decoded.sid;
       
       // Handle different token types
       if (decoded.role === 'admin') {
-        // Admin token from environment
-        req.user = {
-          email: decoded.email,
-          role: 'admin',
-          name: 'Admin',
-          _id: 'admin'
-        };
+        // Admin token - database admin or the environment bootstrap admin
+        const admin = await resolveAdmin(decoded);
+
+        if (!admin) {
+          return res.status(401).json({
+            success: false,
+            message: MESSAGES.AUTH.TOKEN_INVALID
+          });
+        }
+
+        req.user = admin;
         next();
       } else if (decoded.role === 'staff') {
         // Staff token from database
@@ -185,8 +204,15 @@ const verifyAdmin = async (req, res, next) => {
         });
       }
 
-      // Verify email matches admin email from environment (case-insensitive)
-      if (!process.env.ADMIN_EMAIL || decoded.email.toLowerCase() !== process.env.ADMIN_EMAIL.toLowerCase()) {
+      if (!(await isSessionActive(decoded.sid, decoded.id))) {
+        return res.status(401).json(SESSION_ENDED);
+      }
+      req.sessionId = decoded.sid;
+
+      // Load the admin account (database admin or environment bootstrap admin)
+      const admin = await resolveAdmin(decoded);
+
+      if (!admin) {
         return res.status(403).json({
           success: false,
           message: 'Unauthorized admin access'
@@ -194,11 +220,7 @@ const verifyAdmin = async (req, res, next) => {
       }
 
       // Attach admin info to request
-      req.admin = {
-        email: decoded.email,
-        role: decoded.role,
-        name: 'Admin'
-      };
+      req.admin = admin;
       
       next();
     } catch (jwtError) {
@@ -260,6 +282,11 @@ const verifyStaff = async (req, res, next) => {
         });
       }
 
+      if (!(await isSessionActive(decoded.sid, decoded.id))) {
+        return res.status(401).json(SESSION_ENDED);
+      }
+      req.sessionId = decoded.sid;
+
       // Get staff from database to verify approval status
       const staff = await Staff.findById(decoded.id).select('-password');
       
@@ -328,9 +355,52 @@ const verifyStaff = async (req, res, next) => {
   }
 };
 
+// Permission check for admin routes - use after protect or verifyAdmin
+// Super-admins pass every check; other admins need each listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const admin = req.admin || req.user;
+
+    if (!admin || admin.role !== ROLES.ADMIN) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin privileges required.'
+      });
+    }
+
+    const missing = permissions.filter(permission => !hasPermission(admin, permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission: ${missing.join(', ')}`,
+        missingPermissions: missing
+      });
+    }
+
+    next();
+  };
+};
+
+// Super-admin-only middleware (managing admin accounts) - use after verifyAdmin
+const requireSuperAdmin = (req, res, next) => {
+  const admin = req.admin || req.user;
+
+  if (!admin || !admin.isSuperAdmin) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied. Super-admin privileges required.'
+    });
+  }
+
+  next();
+};
+
 module.exports = {
   protect,
   authorize,
+  requirePermission,
+  requireSuperAdmin,
   optionalAuth,
   verifyAdmin,
   verifyStaff
@@ -0,0 +1,142 @@
+// FILE: backend/models/adminModel.js
+/**
+ * Admin model for MongoDB
+ * Database-backed admin accounts with fine-grained permissions.
+ * The environment admin (ADMIN_EMAIL / ADMIN_PASSWORD_HASH) is not stored here;
+ * it remains a bootstrap super-admin.
+ */
+
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { ALL_PERMISSIONS } = require('../constants/permissions');
+
+const adminSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: ALL_PERMISSIONS
+    }],
+    default: []
+  },
+  // Super-admins hold every permission and can manage other admins
+  isSuperAdmin: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  },
+  lastLogin: Date,
+  loginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Hash password before saving
+adminSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) {
+    return next();
+  }
+
+  try {
+    const salt = await bcrypt.genSalt(12);
+    this.password = await bcrypt.hash(this.password, salt);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compare password method
+adminSchema.methods.comparePassword = async function(candidatePassword) {
+  return await bcrypt.compare(candidatePassword, this.password);
+};
+
+// Method to check a single permission
+adminSchema.methods.hasPermission = function(permission) {
+  return this.isSuperAdmin || this.permissions.includes(permission);
+};
+
+// Method to check if account is locked
+adminSchema.methods.isLocked = function() {
+  return !!(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Method to increment login attempts
+adminSchema.methods.incLoginAttempts = function() {
+  // If previous lock has expired, restart at 1
+  if (this.lockUntil && this.lockUntil < Date.now()) {
+    return this.updateOne({
+      $set: { loginAttempts: 1 },
+      $unset: { lockUntil: 1 }
+    });
+  }
+
+  const updates = { $inc: { loginAttempts: 1 } };
+  const maxAttempts = parseInt(process.env.MAX_LOGIN_ATTEMPTS) || 5;
+
+  // Lock account if max attempts reached
+  if (this.loginAttempts + 1 >= maxAttempts && !this.isLocked()) {
+    updates.$set = { lockUntil: Date.now() + 3600000 }; // Lock for 1 hour
+  }
+
+  return this.updateOne(updates);
+};
+
+// Method to record a successful login
+adminSchema.methods.recordLogin = function() {
+  return this.updateOne({
+    $set: { loginAttempts: 0, lastLogin: new Date() },
+    $unset: { lockUntil: 1 }
+  });
+};
+
+// Method to build the identity attached to requests and sockets
+adminSchema.methods.toIdentity = function() {
+  return {
+    _id: this._id.toString(),
+    email: this.email,
+    name: this.name,
+    role: 'admin',
+    permissions: this.isSuperAdmin ? [...ALL_PERMISSIONS] : [...this.permissions],
+    isSuperAdmin: this.isSuperAdmin
+  };
+};
+
+module.exports = mongoose.model('Admin', adminSchema);
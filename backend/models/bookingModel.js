@@ -5,7 +5,8 @@
  */
 
 const mongoose = require('mongoose');
-const { BOOKING_STATUS, PAYMENT_METHODS, PAYMENT_STATUS } = require('../constants/enums');
+const Counter = require('./counterModel');
+const { BOOKING_STATUS, BOARDING_STATUS, PAYMENT_METHODS, PAYMENT_STATUS } = require('../constants/enums');
 
 const bookingSchema = new mongoose.Schema({
   user: {
@@ -39,8 +40,49 @@ const bookingSchema = new mongoose.Schema({
       type: String,
       enum: ['male', 'female', 'other'],
       required: [true, 'Passenger gender is required']
-    }
+    },
+    seatType: {
+      type: String,
+      enum: ['single', 'double', 'sleeper-lower', 'sleeper-upper']
+    },
+    fare: {
+      type: Number,
+      min: [0, 'Fare cannot be negative']
+    },
+    status: {
+      type: String,
+      // transferred: moved to the new booking when the booking was rescheduled
+      enum: ['booked', 'cancelled', 'transferred'],
+      default: 'booked'
+    },
+    cancelledAt: Date,
+    refundAmount: {
+      type: Number,
+      default: 0
+    },
+    // Set by the conductor's ticket scan; pending seats become no_show when the trip arrives
+    boardingStatus: {
+      type: String,
+      enum: Object.values(BOARDING_STATUS),
+      default: BOARDING_STATUS.PENDING
+    },
+    boardingUpdatedAt: Date,
+    boardingUpdatedBy: String // Email of the staff member or admin who marked the seat
   }],
+  // Fare breakdown from fareService - the same numbers shown in the quote and the invoice
+  fareBreakdown: {
+    baseAmount: Number,
+    discountAmount: {
+      type: Number,
+      default: 0
+    },
+    gstAmount: Number,
+    convenienceFee: Number,
+    dynamicMultiplier: {
+      type: Number,
+      default: 1
+    }
+  },
   totalAmount: {
     type: Number,
     required: [true, 'Total amount is required'],
@@ -61,11 +103,52 @@ const bookingSchema = new mongoose.Schema({
     enum: Object.values(BOOKING_STATUS),
     default: BOOKING_STATUS.PENDING
   },
+  razorpayOrderId: {
+    type: String, // Latest gateway order created for this booking
+    trim: true
+  },
+  // Every gateway order created for this booking - an earlier order can still be captured
+  razorpayOrderIds: [{
+    type: String,
+    trim: true
+  }],
+  razorpayPaymentId: {
+    type: String, // Set once the gateway payment is captured
+    trim: true
+  },
+  paidAt: Date,
+  // Gateway bookings not paid by this time are cancelled and their seats released
+  paymentExpiresAt: Date,
   pnrNumber: {
     type: String,
     unique: true,
     trim: true
   },
+  // Reschedule chain - each move creates a new booking with a new PNR
+  rescheduledFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  rescheduledTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  pnrHistory: [{
+    type: String, // Earlier PNRs of this journey, oldest first
+    trim: true
+  }],
+  reschedule: {
+    rescheduledAt: Date,
+    fee: {
+      type: Number,
+      default: 0
+    },
+    fareDifference: {
+      type: Number,
+      default: 0
+    },
+    reason: String
+  },
   promoCode: {
     code: String,
     discountAmount: {
@@ -81,17 +164,38 @@ const bookingSchema = new mongoose.Schema({
       default: 0,
       min: [0, 'Refund amount cannot be negative']
     },
+    deductionAmount: {
+      type: Number,
+      default: 0
+    },
+    nonRefundableAmount: {
+      type: Number,
+      default: 0
+    },
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CancellationPolicy'
+    },
     cancellationReason: String
   },
   boardingPoint: {
+    stopId: String, // Route stop ID (see trip.stopTimes)
     terminal: String,
     address: String,
-    time: String
+    time: String,
+    scheduledTime: Date
   },
   droppingPoint: {
+    stopId: String,
     terminal: String,
     address: String,
-    time: String
+    time: String,
+    scheduledTime: Date
+  },
+  // Trip stop indexes travelled between (see routeStopService)
+  segment: {
+    fromStopIndex: Number,
+    toStopIndex: Number
   }
 }, {
   timestamps: true
@@ -101,18 +205,41 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.index({ user: 1 });
 bookingSchema.index({ trip: 1 });
 bookingSchema.index({ pnrNumber: 1 });
+bookingSchema.index({ pnrHistory: 1 });
+bookingSchema.index({ razorpayOrderId: 1 });
+bookingSchema.index({ razorpayOrderIds: 1 });
+bookingSchema.index({ bookingStatus: 1, paymentExpiresAt: 1 }); // Unpaid booking expiry
 bookingSchema.index({ bookingStatus: 1 });
 bookingSchema.index({ createdAt: 1 });
 // Compound indexes for common query patterns
 bookingSchema.index({ user: 1, bookingStatus: 1 }); // User bookings filtered by status
 bookingSchema.index({ user: 1, createdAt: -1 }); // User bookings sorted by date
 
+// Highest PNR issued before the counter existed, looked up once per process
+let pnrFloor = null;
+const getPnrFloor = () => {
+  if (!pnrFloor) {
+    pnrFloor = mongoose.model('Booking')
+      .findOne({ pnrNumber: /^PNR\d{6}$/ })
+      .sort({ pnrNumber: -1 })
+      .select('pnrNumber')
+      .lean()
+      .then(latest => (latest ? parseInt(latest.pnrNumber.slice(3)) : 0))
+      .catch(error => {
+        pnrFloor = null;
+        throw error;
+      });
+  }
+  return pnrFloor;
+};
+
 // Pre-save middleware to generate PNR number
+// Taken from an atomic counter, so concurrent bookings never share a PNR and numbers are never reused.
+// Runs outside the booking's transaction: an aborted booking leaves a gap rather than a conflict.
 bookingSchema.pre('save', async function(next) {
   if (this.isNew && !this.pnrNumber) {
-    const Booking = mongoose.model('Booking');
-    const count = await Booking.countDocuments();
-    this.pnrNumber = `PNR${String(count + 1).padStart(6, '0')}`;
+    const seq = await Counter.nextSequence('pnr', await getPnrFloor());
+    this.pnrNumber = `PNR${String(seq).padStart(6, '0')}`;
   }
   next();
 });
@@ -122,35 +249,70 @@ bookingSchema.virtual('passengerCount').get(function() {
   return this.seats.length;
 });
 
-// Method to calculate cancellation refund
-bookingSchema.methods.calculateRefund = function(hoursBeforeDeparture) {
-  const baseRefundPercentage = 0.8; // 80% base refund
-  
-  // Reduce refund based on how close to departure
-  if (hoursBeforeDeparture < 2) {
-    return this.totalAmount * 0.5; // 50% refund if less than 2 hours
-  } else if (hoursBeforeDeparture < 6) {
-    return this.totalAmount * 0.7; // 70% refund if less than 6 hours
-  } else if (hoursBeforeDeparture < 24) {
-    return this.totalAmount * 0.8; // 80% refund if less than 24 hours
+// Virtual for seats that are still travelling
+bookingSchema.virtual('activeSeats').get(function() {
+  return this.seats.filter(seat => seat.status !== 'cancelled' && seat.status !== 'transferred');
+});
+
+// Method to cancel seats (all remaining seats cancels the whole booking)
+// refund comes from cancellationPolicyService.calculateRefund for the same seats
+bookingSchema.methods.cancelSeats = function(seatNumbers, reason, refund) {
+  const cancelledAt = new Date();
+
+  this.seats.forEach(seat => {
+    if (seatNumbers.includes(seat.seatNumber) && seat.status === 'booked') {
+      const seatRefund = refund.seats.find(entry => entry.seatNumber === seat.seatNumber);
+      seat.status = 'cancelled';
+      seat.cancelledAt = cancelledAt;
+      seat.refundAmount = seatRefund ? seatRefund.refundAmount : 0;
+    }
+  });
+
+  const previous = this.cancellation || {};
+  this.cancellation = {
+    cancelledAt,
+    refundAmount: (previous.refundAmount || 0) + refund.refundAmount,
+    deductionAmount: (previous.deductionAmount || 0) + refund.deductionAmount,
+    nonRefundableAmount: (previous.nonRefundableAmount || 0) + refund.nonRefundableAmount,
+    policy: refund.policy?._id,
+    cancellationReason: reason
+  };
+
+  if (this.activeSeats.length === 0) {
+    this.bookingStatus = BOOKING_STATUS.CANCELLED;
+    this.paymentStatus = PAYMENT_STATUS.REFUNDED;
+  } else {
+    this.bookingStatus = BOOKING_STATUS.PARTIALLY_CANCELLED;
   }
   
-  return this.totalAmount * baseRefundPercentage;
+  return this.save();
 };
 
-// Method to cancel booking
-bookingSchema.methods.cancelBooking = function(reason, hoursBeforeDeparture) {
+// Method to cancel a booking whose payment never completed (nothing to refund)
+bookingSchema.methods.expireUnpaid = function(reason) {
+  const cancelledAt = new Date();
+
+  this.seats.forEach(seat => {
+    seat.status = 'cancelled';
+    seat.cancelledAt = cancelledAt;
+  });
+
   this.bookingStatus = BOOKING_STATUS.CANCELLED;
-  this.paymentStatus = PAYMENT_STATUS.REFUNDED;
+  this.paymentStatus = PAYMENT_STATUS.FAILED;
+  this.paymentExpiresAt = undefined;
   this.cancellation = {
-    cancelledAt: new Date(),
-    refundAmount: this.calculateRefund(hoursBeforeDeparture),
+    cancelledAt,
     cancellationReason: reason
   };
-  
+
   return this.save();
 };
 
+// Method to cancel booking
+bookingSchema.methods.cancelBooking = function(reason, refund) {
+  return this.cancelSeats(this.activeSeats.map(seat => seat.seatNumber), reason, refund);
+};
+
 // Static method to find bookings by user
 // PERFORMANCE: Optimized with selective field projection and .lean()
 bookingSchema.statics.findByUser = function(userId, page = 1, limit = 10) {
@@ -171,4 +333,13 @@ bookingSchema.statics.findByUser = function(userId, page = 1, limit = 10) {
     .lean(); // PERFORMANCE: Read-only operation, 30-50% faster
 };
 
+// Static method to find the booking a gateway order was created for
+// Bookings created before orders were listed only carry razorpayOrderId
+bookingSchema.statics.findByOrderId = function(orderId, filter = {}) {
+  return this.findOne({
+    ...filter,
+    $or: [{ razorpayOrderIds: orderId }, { razorpayOrderId: orderId }]
+  });
+};
+
 module.exports = mongoose.model('Booking', bookingSchema);
\ No newline at end of file
@@ -5,6 +5,7 @@
  */
 
 const mongoose = require('mongoose');
+const EscalationRule = require('./escalationRuleModel');
 
 const busLocationStatusSchema = new mongoose.Schema({
   trip: {
@@ -68,6 +69,19 @@ const busLocationStatusSchema = new mongoose.Schema({
   tripCompleted: {
     type: Boolean,
     default: false
+  },
+  // Set by escalation rules with flagTrip; cleared when the bus reports again
+  flagged: {
+    type: Boolean,
+    default: false
+  },
+  flaggedAt: {
+    type: Date,
+    default: null
+  },
+  flagReason: {
+    type: String,
+    default: null
   }
 }, {
   timestamps: true
@@ -93,10 +107,12 @@ busLocationStatusSchema.methods.calculateStatus = function() {
   const now = new Date();
   const diffMinutes = (now - this.lastUpdated) / (1000 * 60);
 
-  if (diffMinutes < 2) {
+  const { sleep, offline } = EscalationRule.STATUS_THRESHOLDS;
+
+  if (diffMinutes < sleep) {
     this.connectivityIssue = false;
     return 'active';
-  } else if (diffMinutes >= 2 && diffMinutes <= 6) {
+  } else if (diffMinutes >= sleep && diffMinutes <= offline) {
     return 'sleep';
   } else {
     this.connectivityIssue = true;
@@ -104,6 +120,16 @@ busLocationStatusSchema.methods.calculateStatus = function() {
   }
 };
 
+// Method to get when the current sleep/offline spell began
+busLocationStatusSchema.methods.getStatusSince = function(status, thresholds = EscalationRule.STATUS_THRESHOLDS) {
+  if (!this.lastUpdated) {
+    return null;
+  }
+
+  const startMinutes = thresholds[status] || 0;
+  return new Date(this.lastUpdated.getTime() + startMinutes * 60 * 1000);
+};
+
 // Method to update status
 busLocationStatusSchema.methods.updateStatus = async function() {
   const newStatus = this.calculateStatus();
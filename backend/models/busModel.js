@@ -150,6 +150,11 @@ const busSchema = new mongoose.Schema({
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Bumped by lockSchedule so concurrent schedulers of the same bus conflict
+  scheduleVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true,
@@ -317,4 +322,11 @@ busSchema.methods.generateSeatLayout = function() {
   return this.seatLayout;
 };
 
+// Static method to take a bus's schedule lock inside a transaction
+// Charter confirmations and trip creation write it before re-checking availability, so two
+// of them for the same bus cannot both commit - the second retries and sees the first
+busSchema.statics.lockSchedule = function(busId, session) {
+  return this.updateOne({ _id: busId }, { $inc: { scheduleVersion: 1 } }, { session });
+};
+
 module.exports = mongoose.model('Bus', busSchema);
\ No newline at end of file
@@ -0,0 +1,76 @@
+// FILE: backend/models/cancellationPolicyModel.js
+/**
+ * Cancellation policy model for MongoDB
+ * Time-before-departure refund slabs attached to a trip, route, bus operator or the whole platform
+ */
+
+const mongoose = require('mongoose');
+
+// Fare components that can be kept back on cancellation (keys of booking.fareBreakdown)
+const FEE_COMPONENTS = ['convenienceFee', 'gstAmount'];
+
+const cancellationPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [100, 'Policy name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  scope: {
+    type: String,
+    enum: ['trip', 'route', 'operator', 'default'],
+    required: [true, 'Policy scope is required']
+  },
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip'
+  },
+  route: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Route'
+  },
+  operator: {
+    type: String,
+    trim: true
+  },
+  slabs: [{
+    minHoursBeforeDeparture: {
+      type: Number,
+      required: [true, 'Slab start (hours before departure) is required'],
+      min: [0, 'Hours before departure cannot be negative']
+    },
+    deductionType: {
+      type: String,
+      enum: ['percentage', 'flat'],
+      required: [true, 'Deduction type is required']
+    },
+    deductionValue: {
+      type: Number,
+      required: [true, 'Deduction value is required'],
+      min: [0, 'Deduction cannot be negative']
+    }
+  }],
+  nonRefundableFees: [{
+    type: String,
+    enum: FEE_COMPONENTS
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for policy lookup by target
+cancellationPolicySchema.index({ scope: 1, isActive: 1 });
+cancellationPolicySchema.index({ trip: 1 });
+cancellationPolicySchema.index({ route: 1 });
+cancellationPolicySchema.index({ operator: 1 });
+
+module.exports = mongoose.model('CancellationPolicy', cancellationPolicySchema);
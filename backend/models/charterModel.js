@@ -0,0 +1,189 @@
+// FILE: backend/models/charterModel.js
+/**
+ * Charter model for MongoDB
+ * A confirmed rental inquiry: the bus and crew blocked for the hire, the agreed
+ * amount and the payments taken against it.
+ */
+
+const mongoose = require('mongoose');
+const Counter = require('./counterModel');
+
+const CHARTER_STATUS = {
+  CONFIRMED: 'confirmed',
+  CANCELLED: 'cancelled'
+};
+
+const CHARTER_PAYMENT_METHODS = ['cash', 'upi', 'card', 'bank_transfer', 'cheque'];
+
+const charterPaymentSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    required: [true, 'Payment amount is required'],
+    min: [1, 'Payment amount must be greater than 0']
+  },
+  method: {
+    type: String,
+    enum: CHARTER_PAYMENT_METHODS,
+    required: [true, 'Payment method is required']
+  },
+  kind: {
+    type: String,
+    enum: ['advance', 'balance'],
+    default: 'balance'
+  },
+  reference: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Payment reference cannot exceed 100 characters']
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  recordedBy: {
+    type: String,
+    default: null
+  }
+});
+
+const charterSchema = new mongoose.Schema({
+  charterNumber: {
+    type: String,
+    unique: true
+  },
+  inquiry: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RentalInquiry',
+    required: [true, 'Rental inquiry is required'],
+    unique: true
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: [true, 'Bus is required']
+  },
+  // The bus (and crew) are blocked for this whole window, return leg included
+  startDateTime: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDateTime: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  tripType: {
+    type: String,
+    enum: ['one-way', 'round-trip', 'multi-city', 'hourly'],
+    required: [true, 'Trip type is required']
+  },
+  fromCity: {
+    type: String,
+    required: [true, 'From city is required'],
+    trim: true
+  },
+  toCity: {
+    type: String,
+    required: [true, 'To city is required'],
+    trim: true
+  },
+  passengers: {
+    type: Number,
+    required: [true, 'Number of passengers is required'],
+    min: [1, 'At least 1 passenger is required']
+  },
+  driver: {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    name: String,
+    phone: String,
+    licenseNumber: String
+  },
+  conductor: {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
+    name: String,
+    phone: String
+  },
+  totalAmount: {
+    type: Number,
+    required: [true, 'Total amount is required'],
+    min: [0, 'Total amount cannot be negative']
+  },
+  payments: [charterPaymentSchema],
+  status: {
+    type: String,
+    enum: Object.values(CHARTER_STATUS),
+    default: CHARTER_STATUS.CONFIRMED
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Notes cannot exceed 1000 characters']
+  },
+  createdBy: {
+    type: String,
+    default: null
+  },
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+charterSchema.index({ bus: 1, startDateTime: 1 });
+charterSchema.index({ 'driver.staff': 1, startDateTime: 1 });
+charterSchema.index({ 'conductor.staff': 1, startDateTime: 1 });
+charterSchema.index({ status: 1, startDateTime: 1 });
+
+// Virtual for the amount received so far
+charterSchema.virtual('amountPaid').get(function() {
+  return (this.payments || []).reduce((sum, payment) => sum + payment.amount, 0);
+});
+
+// Virtual for the amount still to be collected
+charterSchema.virtual('balanceDue').get(function() {
+  return Math.max(0, this.totalAmount - this.amountPaid);
+});
+
+// Pre-save middleware to number new charters
+charterSchema.pre('save', async function(next) {
+  if (this.isNew && !this.charterNumber) {
+    const seq = await Counter.nextSequence('charter');
+    this.charterNumber = `CHR${String(seq).padStart(6, '0')}`;
+  }
+  next();
+});
+
+// Static method to find confirmed charters holding a bus during a period
+charterSchema.statics.findBusConflicts = function(busId, from, to, excludeCharterId = null) {
+  const query = {
+    bus: busId,
+    status: CHARTER_STATUS.CONFIRMED,
+    startDateTime: { $lt: to },
+    endDateTime: { $gt: from }
+  };
+
+  if (excludeCharterId) {
+    query._id = { $ne: excludeCharterId };
+  }
+
+  return this.find(query).sort({ startDateTime: 1 });
+};
+
+charterSchema.statics.CHARTER_STATUS = CHARTER_STATUS;
+charterSchema.statics.CHARTER_PAYMENT_METHODS = CHARTER_PAYMENT_METHODS;
+
+module.exports = mongoose.model('Charter', charterSchema);
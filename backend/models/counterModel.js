@@ -0,0 +1,35 @@
+// FILE: backend/models/counterModel.js
+/**
+ * Counter model for MongoDB
+ * Named sequences incremented atomically (used for PNR numbers and one-time setup markers)
+ */
+
+const mongoose = require('mongoose');
+
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, 'Counter name is required']
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  versionKey: false
+});
+
+// Static method to take the next value of a sequence
+// floor lets a new counter start after numbers issued before it existed; a single
+// pipeline update keeps creation, seeding and increment atomic under concurrency
+counterSchema.statics.nextSequence = async function(name, floor = 0) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    [{ $set: { seq: { $add: [{ $max: [{ $ifNull: ['$seq', 0] }, floor] }, 1] } } }],
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
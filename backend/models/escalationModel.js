@@ -0,0 +1,105 @@
+// FILE: backend/models/escalationModel.js
+/**
+ * Escalation model for MongoDB
+ * History of escalation rules fired for a bus outage, with admin acknowledgements
+ */
+
+const mongoose = require('mongoose');
+
+const escalationSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: true
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus',
+    required: true
+  },
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EscalationRule',
+    required: true
+  },
+  // Copied from the rule so history survives rule edits
+  ruleName: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['remind_staff', 'alert_admins'],
+    required: true
+  },
+  triggerStatus: {
+    type: String,
+    enum: ['sleep', 'offline'],
+    required: true
+  },
+  channels: [{
+    type: String,
+    enum: ['in_app', 'email']
+  }],
+  // Last location fix before the outage - identifies the outage the escalation belongs to
+  outageStartedAt: {
+    type: Date,
+    required: true
+  },
+  silentMinutes: {
+    type: Number,
+    default: 0
+  },
+  timesNotified: {
+    type: Number,
+    default: 1
+  },
+  lastNotifiedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open'
+  },
+  acknowledgedBy: {
+    type: String,
+    default: null
+  },
+  acknowledgedAt: {
+    type: Date,
+    default: null
+  },
+  acknowledgementNote: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A rule fires once per outage of a trip
+escalationSchema.index({ rule: 1, trip: 1, outageStartedAt: 1 }, { unique: true });
+escalationSchema.index({ trip: 1, status: 1 });
+escalationSchema.index({ status: 1, createdAt: -1 });
+
+// Method to acknowledge an escalation
+escalationSchema.methods.acknowledge = async function(adminEmail, note = '') {
+  this.status = 'acknowledged';
+  this.acknowledgedBy = adminEmail;
+  this.acknowledgedAt = new Date();
+  this.acknowledgementNote = note;
+  return this.save();
+};
+
+module.exports = mongoose.model('Escalation', escalationSchema);
@@ -0,0 +1,76 @@
+// FILE: backend/models/escalationRuleModel.js
+/**
+ * EscalationRule model for MongoDB
+ * Configurable steps taken when a bus stops sending its location
+ * e.g. remind the staff after 2 minutes asleep, alert admins after 10 minutes offline
+ */
+
+const mongoose = require('mongoose');
+
+// Minutes without a location fix after which a bus counts as asleep, then offline
+// Rules' afterMinutes count from these points; BusLocationStatus uses the same values.
+const STATUS_THRESHOLDS = {
+  sleep: 2,
+  offline: 6
+};
+
+const escalationRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  triggerStatus: {
+    type: String,
+    enum: ['sleep', 'offline'],
+    required: [true, 'Trigger status is required']
+  },
+  afterMinutes: {
+    type: Number, // Minutes the bus has been in triggerStatus
+    required: [true, 'Minutes before escalating are required'],
+    min: [0, 'Minutes cannot be negative']
+  },
+  action: {
+    type: String,
+    enum: ['remind_staff', 'alert_admins'],
+    required: [true, 'Action is required']
+  },
+  channels: {
+    type: [{
+      type: String,
+      enum: ['in_app', 'email']
+    }],
+    default: ['in_app']
+  },
+  flagTrip: {
+    type: Boolean,
+    default: false // Highlight the trip on the monitoring page until it recovers
+  },
+  repeatEveryMinutes: {
+    type: Number,
+    default: 0, // 0 = once per outage
+    min: [0, 'Repeat interval cannot be negative']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: String,
+    default: 'system'
+  }
+}, {
+  timestamps: true
+});
+
+escalationRuleSchema.index({ isActive: 1, triggerStatus: 1 });
+
+// Static method to get the active rules in the order they escalate
+escalationRuleSchema.statics.getActiveRules = function() {
+  return this.find({ isActive: true }).sort({ triggerStatus: -1, afterMinutes: 1 });
+};
+
+escalationRuleSchema.statics.STATUS_THRESHOLDS = STATUS_THRESHOLDS;
+
+module.exports = mongoose.model('EscalationRule', escalationRuleSchema);
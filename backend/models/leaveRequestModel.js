@@ -0,0 +1,79 @@
+// FILE: backend/models/leaveRequestModel.js
+/**
+ * LeaveRequest model for MongoDB
+ * Leave asked for by a staff member and approved or rejected by an admin.
+ * Approved leave keeps the staff member off trip crews (see crewService).
+ */
+
+const mongoose = require('mongoose');
+
+const LEAVE_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  CANCELLED: 'cancelled'
+};
+
+const leaveRequestSchema = new mongoose.Schema({
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: [true, 'Staff is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  // Exclusive end: the first moment the staff member is back on duty
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  leaveType: {
+    type: String,
+    enum: ['annual', 'sick', 'casual', 'unpaid', 'other'],
+    default: 'annual'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: Object.values(LEAVE_STATUS),
+    default: LEAVE_STATUS.PENDING
+  },
+  reviewedBy: {
+    type: String,
+    default: null
+  },
+  reviewedAt: {
+    type: Date,
+    default: null
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+leaveRequestSchema.index({ staff: 1, startDate: 1 });
+leaveRequestSchema.index({ status: 1, startDate: 1 });
+
+// Static method to find leave of a staff member overlapping a period
+leaveRequestSchema.statics.findOverlapping = function(staffId, from, to, statuses = [LEAVE_STATUS.APPROVED]) {
+  return this.find({
+    staff: staffId,
+    status: { $in: statuses },
+    startDate: { $lt: to },
+    endDate: { $gt: from }
+  }).sort({ startDate: 1 });
+};
+
+leaveRequestSchema.statics.LEAVE_STATUS = LEAVE_STATUS;
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
@@ -30,7 +30,14 @@ const locationLogSchema = new mongoose.Schema({
       'tracking_stopped',
       'trip_started',
       'trip_completed',
-      'manual_update'
+      'manual_update',
+      'stop_arrival',
+      'stop_departure',
+      'trip_status_change',
+      'approach_notice_sent',
+      'escalation_triggered',
+      'escalation_acknowledged',
+      'escalation_resolved'
     ],
     required: true
   },
@@ -90,14 +97,14 @@ locationLogSchema.statics.logStatusChange = async function(tripId, busId, staffI
 };
 
 // Static method to log reminder sent
-locationLogSchema.statics.logReminderSent = async function(tripId, busId, staffId, staffInfo) {
+locationLogSchema.statics.logReminderSent = async function(tripId, busId, staffId, staffInfo, performedBy = 'admin') {
   return this.create({
     trip: tripId,
     bus: busId,
     staff: staffId,
     eventType: 'reminder_sent',
     reminderSentTo: staffInfo,
-    performedBy: 'admin',
+    performedBy,
     notes: `Location update reminder sent to ${staffInfo.name}`
   });
 };
@@ -0,0 +1,33 @@
+// FILE: backend/models/locationPingKeyModel.js
+/**
+ * LocationPingKey model for MongoDB
+ * One document per stored GPS fix, keyed by trip and fix time
+ * Time-series collections cannot carry a unique index, so the unique (trip, recordedAt)
+ * index that keeps re-uploaded fixes out of the LocationPing trail lives here instead.
+ */
+
+const mongoose = require('mongoose');
+
+// Keys are kept as long as the pings they guard (see locationPingModel)
+const RETENTION_SECONDS = (parseInt(process.env.LOCATION_PING_RETENTION_DAYS) || 90) * 24 * 60 * 60;
+
+const locationPingKeySchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip is required']
+  },
+  recordedAt: {
+    type: Date,
+    required: [true, 'Recorded time is required']
+  }
+}, {
+  versionKey: false
+});
+
+// A fix is stored once per trip, however often it is uploaded
+locationPingKeySchema.index({ trip: 1, recordedAt: 1 }, { unique: true });
+// TTL index - keys go when their pings do
+locationPingKeySchema.index({ recordedAt: 1 }, { expireAfterSeconds: RETENTION_SECONDS });
+
+module.exports = mongoose.model('LocationPingKey', locationPingKeySchema);
@@ -0,0 +1,68 @@
+// FILE: backend/models/locationPingModel.js
+/**
+ * LocationPing model for MongoDB
+ * One document per GPS fix sent for a trip, stored in a time-series collection
+ * Pings are removed automatically once they are older than the retention period
+ */
+
+const mongoose = require('mongoose');
+
+// How long GPS pings are kept (default 90 days)
+const RETENTION_SECONDS = (parseInt(process.env.LOCATION_PING_RETENTION_DAYS) || 90) * 24 * 60 * 60;
+
+const locationPingSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip is required']
+  },
+  recordedAt: {
+    type: Date,
+    required: [true, 'Recorded time is required']
+  },
+  bus: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Bus'
+  },
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff'
+  },
+  latitude: {
+    type: Number,
+    required: [true, 'Latitude is required'],
+    min: -90,
+    max: 90
+  },
+  longitude: {
+    type: Number,
+    required: [true, 'Longitude is required'],
+    min: -180,
+    max: 180
+  },
+  speed: {
+    type: Number,
+    default: 0 // km/h
+  },
+  heading: {
+    type: Number,
+    default: 0 // degrees
+  },
+  accuracy: {
+    type: Number,
+    default: null // metres, as reported by the device
+  }
+}, {
+  timeseries: {
+    timeField: 'recordedAt',
+    metaField: 'trip',
+    granularity: 'seconds'
+  },
+  expireAfterSeconds: RETENTION_SECONDS,
+  versionKey: false
+});
+
+// History and export queries read one trip's pings in time order
+locationPingSchema.index({ trip: 1, recordedAt: 1 });
+
+module.exports = mongoose.model('LocationPing', locationPingSchema);
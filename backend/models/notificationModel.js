@@ -9,7 +9,20 @@ const mongoose = require('mongoose');
 const notificationSchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['staff_registration', 'staff_approved', 'staff_rejected', 'system'],
+    enum: [
+      'staff_registration',
+      'staff_approved',
+      'staff_rejected',
+      'trip_cancelled',
+      'trip_cancellation_report',
+      'bus_approaching',
+      'bus_offline',
+      'location_reminder',
+      'leave_requested',
+      'leave_reviewed',
+      'rental_quote_response',
+      'system'
+    ],
     required: true,
     default: 'staff_registration'
   },
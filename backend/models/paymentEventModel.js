@@ -0,0 +1,42 @@
+// FILE: backend/models/paymentEventModel.js
+/**
+ * Payment event model for MongoDB
+ * Records each gateway webhook event once so redelivered events are not processed twice
+ */
+
+const mongoose = require('mongoose');
+
+const paymentEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: [true, 'Event ID is required'],
+    unique: true,
+    trim: true
+  },
+  event: {
+    type: String,
+    required: [true, 'Event type is required'],
+    trim: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  error: String,
+  payload: {
+    type: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for event lookups
+paymentEventSchema.index({ booking: 1 });
+paymentEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('PaymentEvent', paymentEventSchema);
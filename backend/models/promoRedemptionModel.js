@@ -0,0 +1,38 @@
+// FILE: backend/models/promoRedemptionModel.js
+/**
+ * Promo redemption model for MongoDB
+ * Records which user redeemed which promo code on which booking
+ */
+
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema({
+  promoCode: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PromoCode',
+    required: [true, 'Promo code is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  discountAmount: {
+    type: Number,
+    required: [true, 'Discount amount is required'],
+    min: [0, 'Discount cannot be negative']
+  }
+}, {
+  timestamps: true
+});
+
+// A user can redeem each promo code only once
+promoRedemptionSchema.index({ promoCode: 1, user: 1 }, { unique: true });
+promoRedemptionSchema.index({ booking: 1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
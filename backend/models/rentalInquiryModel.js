@@ -6,6 +6,57 @@
 
 const mongoose = require('mongoose');
 
+const quoteLineSchema = new mongoose.Schema({
+  label: {
+    type: String,
+    required: [true, 'Quote line label is required'],
+    trim: true,
+    maxlength: [100, 'Quote line label cannot exceed 100 characters']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Quote line amount is required']
+  }
+}, { _id: false });
+
+// One entry per quote revision or customer response
+const quoteHistorySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['quoted', 'countered', 'accepted', 'declined'],
+    required: true
+  },
+  by: {
+    type: String,
+    enum: ['staff', 'customer'],
+    required: true
+  },
+  actor: {
+    type: String,
+    default: null
+  },
+  amount: {
+    type: Number,
+    min: [0, 'Amount cannot be negative']
+  },
+  breakdown: [quoteLineSchema],
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Message cannot exceed 1000 characters']
+  },
+  expiresAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Inquiry status after each customer response to a quote
+const RESPONSE_STATUSES = { accepted: 'confirmed', declined: 'declined', countered: 'negotiating' };
+
 const rentalInquirySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -79,7 +130,8 @@ const rentalInquirySchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['new', 'contacted', 'quoted', 'confirmed', 'cancelled'],
+    // new → quoted → negotiating (customer counter-offer) → quoted again or confirmed (accepted)
+    enum: ['new', 'contacted', 'quoted', 'negotiating', 'confirmed', 'declined', 'cancelled'],
     default: 'new'
   },
   assignedTo: {
@@ -95,9 +147,25 @@ const rentalInquirySchema = new mongoose.Schema({
     type: Number,
     min: [0, 'Quote amount cannot be negative']
   },
+  quoteBreakdown: [quoteLineSchema],
+  quoteExpiresAt: {
+    type: Date
+  },
+  quoteHistory: [quoteHistorySchema],
+  // SHA-256 of the secret in the customer's quote link; replaced with every new quote
+  quoteTokenHash: {
+    type: String,
+    select: false
+  },
   followUpDate: {
     type: Date
   },
+  // Set when the inquiry is confirmed as a charter (see charterService)
+  charter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Charter',
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -112,6 +180,7 @@ rentalInquirySchema.index({ status: 1 });
 rentalInquirySchema.index({ departureDate: 1 });
 rentalInquirySchema.index({ fromCity: 1, toCity: 1 });
 rentalInquirySchema.index({ createdAt: -1 });
+rentalInquirySchema.index({ quoteTokenHash: 1 }, { sparse: true });
 
 // Virtual for trip duration in days
 rentalInquirySchema.virtual('tripDuration').get(function() {
@@ -128,6 +197,11 @@ rentalInquirySchema.virtual('formattedRoute').get(function() {
   return `${this.fromCity} to ${this.toCity}`;
 });
 
+// Virtual for whether the current quote can no longer be accepted
+rentalInquirySchema.virtual('quoteExpired').get(function() {
+  return Boolean(this.quoteExpiresAt && this.quoteExpiresAt < new Date());
+});
+
 // Method to update status
 rentalInquirySchema.methods.updateStatus = function(status, notes = '') {
   this.status = status;
@@ -143,13 +217,39 @@ rentalInquirySchema.methods.assignToStaff = function(staffId) {
   return this.save();
 };
 
-// Method to set quote
-rentalInquirySchema.methods.setQuote = function(amount, notes = '') {
+// Method to set quote (each revision is kept in the quote history)
+rentalInquirySchema.methods.setQuote = function(amount, notes = '', details = {}) {
+  const { breakdown = [], expiresAt, quotedBy = null } = details;
+
   this.quoteAmount = amount;
+  this.quoteBreakdown = breakdown;
+  this.quoteExpiresAt = expiresAt;
   this.status = 'quoted';
   if (notes) {
     this.notes = notes;
   }
+  this.quoteHistory.push({
+    action: 'quoted',
+    by: 'staff',
+    actor: quotedBy,
+    amount,
+    breakdown,
+    message: notes,
+    expiresAt
+  });
+  return this.save();
+};
+
+// Method to record the customer's answer to the current quote
+rentalInquirySchema.methods.recordCustomerResponse = function(action, { amount, message } = {}) {
+  this.status = RESPONSE_STATUSES[action];
+  this.quoteHistory.push({
+    action,
+    by: 'customer',
+    actor: this.email,
+    amount: action === 'countered' ? amount : this.quoteAmount,
+    message
+  });
   return this.save();
 };
 
@@ -175,7 +275,7 @@ rentalInquirySchema.statics.findUpcomingInquiries = function(days = 7) {
       $gte: startDate,
       $lte: endDate
     },
-    status: { $in: ['new', 'contacted', 'quoted', 'confirmed'] }
+    status: { $in: ['new', 'contacted', 'quoted', 'negotiating', 'confirmed'] }
   }).populate('assignedTo');
 };
 
@@ -21,9 +21,43 @@ const routeSchema = new mongoose.Schema({
     required: [true, 'Destination city is required'],
     trim: true
   },
+  // Ordered stops from origin to destination (array order is travel order)
   stops: [{
-    type: String,
-    trim: true
+    name: {
+      type: String,
+      required: [true, 'Stop name is required'],
+      trim: true
+    },
+    location: {
+      lat: {
+        type: Number,
+        min: [-90, 'Latitude must be between -90 and 90'],
+        max: [90, 'Latitude must be between -90 and 90']
+      },
+      lng: {
+        type: Number,
+        min: [-180, 'Longitude must be between -180 and 180'],
+        max: [180, 'Longitude must be between -180 and 180']
+      }
+    },
+    distanceFromOrigin: {
+      type: Number, // km
+      default: 0,
+      min: [0, 'Distance from origin cannot be negative']
+    },
+    offsetMinutes: {
+      type: Number, // Scheduled minutes after departure
+      default: 0,
+      min: [0, 'Stop offset cannot be negative']
+    },
+    isBoarding: {
+      type: Boolean,
+      default: true
+    },
+    isDropping: {
+      type: Boolean,
+      default: true
+    }
   }],
   distance: {
     type: Number,
@@ -40,6 +74,22 @@ const routeSchema = new mongoose.Schema({
     required: [true, 'Base fare is required'],
     min: [1, 'Base fare must be at least ₹1']
   },
+  // Fixed fares between two stops; other segments are prorated by distance
+  segmentFares: [{
+    fromStopId: {
+      type: String,
+      required: true
+    },
+    toStopId: {
+      type: String,
+      required: true
+    },
+    fare: {
+      type: Number,
+      required: true,
+      min: [1, 'Segment fare must be at least ₹1']
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -0,0 +1,62 @@
+// FILE: backend/models/seatHoldModel.js
+/**
+ * Seat hold model for MongoDB
+ * Temporary, server-side holds on seats while a user completes checkout
+ */
+
+const mongoose = require('mongoose');
+
+const seatHoldSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip is required']
+  },
+  seatNumber: {
+    type: String,
+    required: [true, 'Seat number is required'],
+    trim: true
+  },
+  leg: {
+    type: Number, // Leg i runs from trip stop i to stop i + 1
+    default: 0,
+    min: 0
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  socketId: {
+    type: String,
+    default: null // Set when the hold was taken over a socket connection
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Expiry time is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Only one holder per seat per leg of a trip
+seatHoldSchema.index({ trip: 1, seatNumber: 1, leg: 1 }, { unique: true });
+// TTL index - MongoDB removes holds once expiresAt has passed
+seatHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+seatHoldSchema.index({ user: 1, trip: 1 });
+seatHoldSchema.index({ socketId: 1 });
+
+// Virtual for expiry check (the TTL monitor only runs once a minute)
+seatHoldSchema.virtual('isExpired').get(function() {
+  return this.expiresAt <= new Date();
+});
+
+// Static method to find unexpired holds for a trip
+seatHoldSchema.statics.findActiveForTrip = function(tripId) {
+  return this.find({
+    trip: tripId,
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+module.exports = mongoose.model('SeatHold', seatHoldSchema);
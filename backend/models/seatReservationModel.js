@@ -0,0 +1,67 @@
+// FILE: backend/models/seatReservationModel.js
+/**
+ * Seat reservation model for MongoDB
+ * One document per booked seat per leg; the unique (trip, seatNumber, leg) index is what
+ * stops two bookings from ever holding the same seat on the same stretch of road
+ */
+
+const mongoose = require('mongoose');
+
+const seatReservationSchema = new mongoose.Schema({
+  trip: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Trip',
+    required: [true, 'Trip is required']
+  },
+  seatNumber: {
+    type: String,
+    required: [true, 'Seat number is required'],
+    trim: true
+  },
+  leg: {
+    type: Number, // Leg i runs from trip stop i to stop i + 1
+    default: 0,
+    min: 0
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: [true, 'Booking is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  }
+}, {
+  timestamps: true
+});
+
+// A seat can only be reserved once per leg of a trip
+seatReservationSchema.index({ trip: 1, seatNumber: 1, leg: 1 }, { unique: true });
+seatReservationSchema.index({ booking: 1 });
+
+// Static method to reserve seats on the given legs for a booking (fails with E11000 if any is taken)
+seatReservationSchema.statics.reserveSeats = function(tripId, seatNumbers, bookingId, userId, session = null, legs = [0]) {
+  const docs = seatNumbers.flatMap(seatNumber => legs.map(leg => ({
+    trip: tripId,
+    seatNumber,
+    leg,
+    booking: bookingId,
+    user: userId
+  })));
+
+  return this.insertMany(docs, { session, ordered: true });
+};
+
+// Static method to release all seats held by a booking
+seatReservationSchema.statics.releaseBooking = function(bookingId, session = null) {
+  return this.deleteMany({ booking: bookingId }, { session });
+};
+
+// Static method to release some of a booking's seats (partial cancellation)
+seatReservationSchema.statics.releaseSeats = function(bookingId, seatNumbers, session = null) {
+  return this.deleteMany({ booking: bookingId, seatNumber: { $in: seatNumbers } }, { session });
+};
+
+module.exports = mongoose.model('SeatReservation', seatReservationSchema);
@@ -0,0 +1,108 @@
+// FILE: backend/models/sessionModel.js
+/**
+ * Session model for MongoDB
+ * One login on one device. Holds the hash of the current refresh token and of the
+ * tokens it replaced, so a replayed old token can be spotted and the session ended.
+ */
+
+const mongoose = require('mongoose');
+
+// Rotated token hashes kept for reuse detection
+const MAX_ROTATED_HASHES = 20;
+
+const sessionSchema = new mongoose.Schema({
+  // User/staff ID, or 'admin' for the environment admin
+  subject: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['customer', 'user', 'admin', 'staff'],
+    required: true
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  rotatedTokenHashes: {
+    type: [String],
+    default: []
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  ipAddress: {
+    type: String,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: { expires: 0 } // TTL index - auto-delete after expiry
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'admin_revoked', 'account_deactivated', 'token_reuse', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Index for listing and revoking a subject's sessions
+sessionSchema.index({ subject: 1, revokedAt: 1 });
+
+// Method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Method to replace the refresh token, remembering the old one
+// A conditional update - only matches while the presented token is still current, so of two
+// refreshes racing with the same token exactly one wins. Resolves with the rotated session or null.
+sessionSchema.methods.rotate = function(presentedHash, newTokenHash, ipAddress = null) {
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: newTokenHash,
+        lastUsedAt: new Date(),
+        ...(ipAddress && { ipAddress })
+      },
+      $push: { rotatedTokenHashes: { $each: [presentedHash], $slice: -MAX_ROTATED_HASHES } }
+    },
+    { new: true }
+  );
+};
+
+// Method to revoke the session
+sessionSchema.methods.revoke = function(reason) {
+  this.revokedAt = new Date();
+  this.revokedReason = reason;
+  return this.save();
+};
+
+// Static method to revoke every active session of a subject
+sessionSchema.statics.revokeAllForSubject = function(subject, reason) {
+  return this.updateMany(
+    { subject: subject.toString(), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,105 @@
+// FILE: backend/models/shiftTemplateModel.js
+/**
+ * ShiftTemplate model for MongoDB
+ * The weekly duty pattern of one staff member (e.g. Mon-Fri 06:00-14:00 as driver).
+ * Times are server-local "HH:mm"; a shift whose end is not after its start runs past midnight.
+ */
+
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const DUTY_ROLES = ['driver', 'conductor', 'support'];
+
+const shiftTemplateSchema = new mongoose.Schema({
+  staff: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Staff',
+    required: [true, 'Staff is required'],
+    unique: true
+  },
+  dutyRole: {
+    type: String,
+    enum: DUTY_ROLES,
+    required: [true, 'Duty role is required']
+  },
+  weeklyShifts: [{
+    dayOfWeek: {
+      type: Number, // 0 = Sunday
+      required: true,
+      min: 0,
+      max: 6
+    },
+    startTime: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Shift times must be HH:mm']
+    },
+    endTime: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, 'Shift times must be HH:mm']
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Set a date's clock to an "HH:mm" time
+const atTime = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+// Method to list the concrete shifts that overlap a period
+shiftTemplateSchema.methods.getShiftsBetween = function(from, to) {
+  if (!this.isActive) {
+    return [];
+  }
+
+  const shifts = [];
+  // Start a day early so overnight shifts from the previous day are included
+  const day = new Date(from);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() - 1);
+
+  while (day < to) {
+    this.weeklyShifts
+      .filter(shift => shift.dayOfWeek === day.getDay())
+      .forEach(shift => {
+        const start = atTime(day, shift.startTime);
+        const end = atTime(day, shift.endTime);
+        if (end <= start) {
+          end.setDate(end.getDate() + 1);
+        }
+        if (start < to && end > from) {
+          shifts.push({ start, end, dutyRole: this.dutyRole });
+        }
+      });
+    day.setDate(day.getDate() + 1);
+  }
+
+  return shifts;
+};
+
+// Method to check whether a moment falls inside one of the shifts
+shiftTemplateSchema.methods.isOnShiftAt = function(moment) {
+  const time = new Date(moment);
+  return this.getShiftsBetween(time, new Date(time.getTime() + 1))
+    .some(shift => shift.start <= time && shift.end > time);
+};
+
+shiftTemplateSchema.statics.DUTY_ROLES = DUTY_ROLES;
+shiftTemplateSchema.statics.TIME_PATTERN = TIME_PATTERN;
+
+module.exports = mongoose.model('ShiftTemplate', shiftTemplateSchema);
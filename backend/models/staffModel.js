@@ -132,6 +132,11 @@ const staffSchema = new mongoose.Schema({
   lockUntil: {
     type: Date,
     default: null
+  },
+  // Bumped by lockSchedule so concurrent crew assignments of the same staff member conflict
+  scheduleVersion: {
+    type: Number,
+    default: 0
   }
 }, {
   timestamps: true
@@ -293,6 +298,13 @@ staffSchema.statics.countPending = function() {
   return this.countDocuments({ status: 'pending' });
 };
 
+// Static method to take staff members' schedule locks inside a transaction
+// Crew assignments write it before re-checking availability, so two of them for the same
+// staff member cannot both commit - the second retries and sees the first
+staffSchema.statics.lockSchedule = function(staffIds, session) {
+  return this.updateMany({ _id: { $in: staffIds } }, { $inc: { scheduleVersion: 1 } }, { session });
+};
+
 // Check if staff can login
 staffSchema.methods.canLogin = function() {
   return this.status === 'approved' && this.isActive && !this.isLocked();
@@ -130,7 +130,7 @@ transactionSchema.statics.createWalletTopUp = async function(userId, amount, pay
 };
 
 // Static method to create booking payment transaction
-transactionSchema.statics.createBookingPayment = async function(userId, amount, bookingId, paymentMethod, referenceId = null) {
+transactionSchema.statics.createBookingPayment = async function(userId, amount, bookingId, paymentMethod, referenceId = null, session = null) {
   const Transaction = mongoose.model('Transaction');
   
   const transaction = new Transaction({
@@ -144,26 +144,48 @@ transactionSchema.statics.createBookingPayment = async function(userId, amount,
     booking: bookingId
   });
 
-  await transaction.save();
+  await transaction.save({ session });
   return transaction;
 };
 
 // Static method to create refund transaction
-transactionSchema.statics.createRefund = async function(userId, amount, bookingId, referenceId = null) {
+// paymentMethod is where the money went back to (wallet unless refunded through the gateway)
+transactionSchema.statics.createRefund = async function(userId, amount, bookingId, referenceId = null, session = null, paymentMethod = PAYMENT_METHODS.WALLET) {
   const Transaction = mongoose.model('Transaction');
   
   const transaction = new Transaction({
     user: userId,
     type: 'credit',
     amount: amount,
-    paymentMethod: PAYMENT_METHODS.WALLET,
+    paymentMethod: paymentMethod,
     status: PAYMENT_STATUS.SUCCESS,
     description: `Refund for cancelled booking ${bookingId}`,
     referenceId: referenceId,
     booking: bookingId
   });
 
-  await transaction.save();
+  await transaction.save({ session });
+  return transaction;
+};
+
+// Static method to record the wallet side of a reschedule
+// type is 'debit' when the new trip costs more (fare difference plus fee), 'credit' when it costs less
+transactionSchema.statics.createRescheduleAdjustment = async function(userId, amount, bookingId, type, session = null) {
+  const Transaction = mongoose.model('Transaction');
+  
+  const transaction = new Transaction({
+    user: userId,
+    type: type,
+    amount: amount,
+    paymentMethod: PAYMENT_METHODS.WALLET,
+    status: PAYMENT_STATUS.SUCCESS,
+    description: type === 'debit'
+      ? `Reschedule charge for booking ${bookingId}`
+      : `Reschedule fare difference refund for booking ${bookingId}`,
+    booking: bookingId
+  });
+
+  await transaction.save({ session });
   return transaction;
 };
 
@@ -82,7 +82,37 @@ const tripSchema = new mongoose.Schema({
     bookingId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Booking'
-    }
+    },
+    // Stop indexes (into stopTimes) the seat is booked between; unset means the whole trip
+    fromStopIndex: Number,
+    toStopIndex: Number
+  }],
+  // Scheduled time at each route stop, taken from the route's stop offsets (see routeStopService)
+  stopTimes: [{
+    stopId: {
+      type: String,
+      required: true
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    location: {
+      lat: Number,
+      lng: Number
+    },
+    distanceFromOrigin: Number,
+    scheduledTime: {
+      type: Date,
+      required: true
+    },
+    isBoarding: Boolean,
+    isDropping: Boolean,
+    // Set from geofence events as the bus enters and leaves the stop (see geofenceService)
+    actualArrival: Date,
+    actualDeparture: Date,
+    approachNoticeSentAt: Date
   }],
   availableSeats: {
     type: Number,
@@ -94,12 +124,22 @@ const tripSchema = new mongoose.Schema({
     enum: Object.values(TRIP_STATUS),
     default: TRIP_STATUS.SCHEDULED
   },
+  // Crew is assigned from Staff records (see crewService); name, phone and licence
+  // are copied at assignment time. Older trips may only have the free-text fields.
   driver: {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
     name: String,
     phone: String,
     licenseNumber: String
   },
   conductor: {
+    staff: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Staff'
+    },
     name: String,
     phone: String
   },
@@ -125,12 +165,6 @@ const tripSchema = new mongoose.Schema({
       default: 0 // degrees
     }
   },
-  locationHistory: [{
-    latitude: Number,
-    longitude: Number,
-    timestamp: Date,
-    speed: Number
-  }],
   isActive: {
     type: Boolean,
     default: true
@@ -150,23 +184,52 @@ tripSchema.index({ 'bookedSeats.seatNumber': 1 });
 tripSchema.index({ departureDateTime: 1, status: 1 }); // For expired trip updates
 tripSchema.index({ bus: 1, departureDateTime: 1, status: 1 }); // For overlap checks
 tripSchema.index({ status: 1, isActive: 1, departureDateTime: 1 }); // For user searches
+tripSchema.index({ 'driver.staff': 1, departureDateTime: 1 }); // For crew rosters and overlap checks
+tripSchema.index({ 'conductor.staff': 1, departureDateTime: 1 });
+
+// Whether a booked seat entry overlaps a { fromStopIndex, toStopIndex } segment (null = whole trip)
+const occupiesSegment = (bookedSeat, segment) => {
+  if (!segment) {
+    return true;
+  }
+  const from = bookedSeat.fromStopIndex ?? 0;
+  const to = bookedSeat.toStopIndex ?? Infinity;
+  return from < segment.toStopIndex && segment.fromStopIndex < to;
+};
+
+// Virtual for the number of seats booked on at least one leg
+tripSchema.virtual('occupiedSeatCount').get(function() {
+  return new Set(this.bookedSeats.map(seat => seat.seatNumber)).size;
+});
 
 // Virtual for occupancy percentage
 tripSchema.virtual('occupancy').get(function() {
   const bus = this.bus;
   if (bus && bus.totalSeats) {
-    return (this.bookedSeats.length / bus.totalSeats) * 100;
+    return (this.occupiedSeatCount / bus.totalSeats) * 100;
   }
   return 0;
 });
 
-// Method to check if seat is available
-tripSchema.methods.isSeatAvailable = function(seatNumber) {
-  return !this.bookedSeats.some(seat => seat.seatNumber === seatNumber);
+// Static method to list seats booked on any leg of a segment (works on lean trips)
+tripSchema.statics.getOccupiedSeatNumbers = function(bookedSeats = [], segment = null) {
+  return [...new Set(
+    bookedSeats
+      .filter(seat => occupiesSegment(seat, segment))
+      .map(seat => seat.seatNumber)
+  )];
+};
+
+// Method to check if seat is available (for the whole trip, or only for a segment)
+tripSchema.methods.isSeatAvailable = function(seatNumber, segment = null) {
+  return !this.bookedSeats.some(seat => seat.seatNumber === seatNumber && occupiesSegment(seat, segment));
 };
 
 // Method to book seats
-tripSchema.methods.bookSeats = function(seats, passengerInfo, bookingId) {
+// pricedSeats (from fareService.calculateFare) overrides the seat-number heuristic below
+// segment limits the booking to { fromStopIndex, toStopIndex }; availableSeats only counts
+// seats that are free on every leg
+tripSchema.methods.bookSeats = function(seats, passengerInfo, bookingId, pricedSeats = null, segment = null) {
   // Validate inputs
   if (!passengerInfo || !Array.isArray(passengerInfo)) {
     throw new Error('Passenger info must be an array');
@@ -216,7 +279,8 @@ tripSchema.methods.bookSeats = function(seats, passengerInfo, bookingId) {
       throw new Error(`Passenger ${index + 1}: gender is required`);
     }
 
-    const { seatType, fare } = getSeatTypeAndFare(passenger.seatNumber);
+    const pricedSeat = pricedSeats && pricedSeats.find(seat => seat.seatNumber === passenger.seatNumber);
+    const { seatType, fare } = pricedSeat || getSeatTypeAndFare(passenger.seatNumber);
     
     return {
       seatNumber: passenger.seatNumber,
@@ -225,38 +289,57 @@ tripSchema.methods.bookSeats = function(seats, passengerInfo, bookingId) {
       passengerName: passenger.name,
       passengerAge: parseInt(passenger.age),
       passengerGender: passenger.gender.toLowerCase(),
-      bookingId: bookingId
+      bookingId: bookingId,
+      ...(segment && { fromStopIndex: segment.fromStopIndex, toStopIndex: segment.toStopIndex })
     };
   });
 
+  const occupiedBefore = this.occupiedSeatCount;
   this.bookedSeats.push(...bookedSeats);
-  this.availableSeats -= seats.length;
+  this.availableSeats -= this.occupiedSeatCount - occupiedBefore;
   
   return this.save();
 };
 
 // Method to cancel seat booking
 tripSchema.methods.cancelSeats = function(bookingId) {
-  const seatsToRemove = this.bookedSeats.filter(seat => 
-    seat.bookingId.toString() === bookingId.toString()
-  );
-  
+  const occupiedBefore = this.occupiedSeatCount;
+
   this.bookedSeats = this.bookedSeats.filter(seat => 
     seat.bookingId.toString() !== bookingId.toString()
   );
   
-  this.availableSeats += seatsToRemove.length;
+  this.availableSeats += occupiedBefore - this.occupiedSeatCount;
   
   return this.save();
 };
 
+// Static method to release a booking's seats (all of them, or only seatNumbers)
+tripSchema.statics.releaseBookingSeats = async function(tripId, bookingId, seatNumbers = null, session = null) {
+  const trip = await this.findById(tripId).session(session);
+
+  if (!trip) {
+    return null;
+  }
+
+  const occupiedBefore = trip.occupiedSeatCount;
+
+  trip.bookedSeats = trip.bookedSeats.filter(seat =>
+    seat.bookingId?.toString() !== bookingId.toString() ||
+    (seatNumbers && !seatNumbers.includes(seat.seatNumber))
+  );
+  trip.availableSeats += occupiedBefore - trip.occupiedSeatCount;
+
+  return trip.save();
+};
+
 // Pre-save middleware to calculate available seats
 tripSchema.pre('save', async function(next) {
   if (this.isModified('bus') && this.bus) {
     const Bus = mongoose.model('Bus');
     const bus = await Bus.findById(this.bus);
     if (bus) {
-      this.availableSeats = bus.totalSeats - this.bookedSeats.length;
+      this.availableSeats = bus.totalSeats - this.occupiedSeatCount;
     }
   }
   next();
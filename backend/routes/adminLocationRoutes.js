@@ -6,55 +6,97 @@
 
 const express = require('express');
 const adminLocationController = require('../controllers/adminLocationController');
-const { protect, authorize } = require('../middleware/authMiddleware');
-const { ROLES } = require('../constants/roles');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
-// All routes are admin-only
+// All routes are protected and require an admin with the manage_trips permission
 router.use(protect);
-router.use(authorize(ROLES.ADMIN));
+router.use(requirePermission(PERMISSIONS.MANAGE_TRIPS));
 
 /**
  * @route   GET /api/v1/admin/location-monitor/buses
  * @desc    Get all monitored bus locations with status
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.get('/buses', adminLocationController.getAllMonitoredBuses);
 
 /**
  * @route   GET /api/v1/admin/location-monitor/stats
  * @desc    Get location monitoring dashboard statistics
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.get('/stats', adminLocationController.getMonitoringStats);
 
 /**
  * @route   GET /api/v1/admin/location-monitor/logs
  * @desc    Get activity logs with optional filters
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.get('/logs', adminLocationController.getActivityLogs);
 
 /**
  * @route   GET /api/v1/admin/location-monitor/trip/:tripId
  * @desc    Get location status for a specific trip
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.get('/trip/:tripId', adminLocationController.getTripLocationStatus);
 
 /**
  * @route   POST /api/v1/admin/location-monitor/remind/:tripId
  * @desc    Send location update reminder to staff
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.post('/remind/:tripId', adminLocationController.sendLocationReminder);
 
 /**
  * @route   PATCH /api/v1/admin/location-monitor/status/:tripId
  * @desc    Manually update bus location status
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.patch('/status/:tripId', adminLocationController.updateBusStatus);
 
+/**
+ * @route   GET /api/v1/admin/location-monitor/escalation-rules
+ * @desc    List escalation rules
+ * @access  Private/Admin (manage_trips)
+ */
+router.get('/escalation-rules', adminLocationController.getEscalationRules);
+
+/**
+ * @route   POST /api/v1/admin/location-monitor/escalation-rules
+ * @desc    Create an escalation rule
+ * @access  Private/Admin (manage_trips)
+ */
+router.post('/escalation-rules', adminLocationController.createEscalationRule);
+
+/**
+ * @route   PUT /api/v1/admin/location-monitor/escalation-rules/:ruleId
+ * @desc    Update an escalation rule
+ * @access  Private/Admin (manage_trips)
+ */
+router.put('/escalation-rules/:ruleId', adminLocationController.updateEscalationRule);
+
+/**
+ * @route   DELETE /api/v1/admin/location-monitor/escalation-rules/:ruleId
+ * @desc    Delete an escalation rule
+ * @access  Private/Admin (manage_trips)
+ */
+router.delete('/escalation-rules/:ruleId', adminLocationController.deleteEscalationRule);
+
+/**
+ * @route   GET /api/v1/admin/location-monitor/escalations
+ * @desc    Get escalation history
+ * @access  Private/Admin (manage_trips)
+ */
+router.get('/escalations', adminLocationController.getEscalations);
+
+/**
+ * @route   PATCH /api/v1/admin/location-monitor/escalations/:escalationId/acknowledge
+ * @desc    Acknowledge an escalation
+ * @access  Private/Admin (manage_trips)
+ */
+router.patch('/escalations/:escalationId/acknowledge', adminLocationController.acknowledgeEscalation);
+
 module.exports = router;
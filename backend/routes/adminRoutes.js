@@ -7,106 +7,156 @@
 const express = require('express');
 const adminController = require('../controllers/adminController');
 const analyticsController = require('../controllers/analyticsController');
-const { verifyAdmin } = require('../middleware/authMiddleware');
+const adminAccountController = require('../controllers/adminAccountController');
+const { verifyAdmin, requirePermission, requireSuperAdmin } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
 // All routes require admin authentication
 router.use(verifyAdmin);
 
+const canViewAnalytics = requirePermission(PERMISSIONS.VIEW_ANALYTICS);
+const canApproveStaff = requirePermission(PERMISSIONS.APPROVE_STAFF);
+const canHandleRefunds = requirePermission(PERMISSIONS.HANDLE_REFUNDS);
+const canManageUsers = requirePermission(PERMISSIONS.MANAGE_USERS);
+
+// Admin Account Routes
+/**
+ * @route   GET /api/v1/admin/me
+ * @desc    Get the signed-in admin with current permissions
+ * @access  Private/Admin
+ */
+router.get('/me', adminAccountController.getCurrentAdmin);
+
+/**
+ * @route   GET /api/v1/admin/admins
+ * @desc    List admin accounts
+ * @access  Private/SuperAdmin
+ */
+router.get('/admins', requireSuperAdmin, adminAccountController.getAdmins);
+
+/**
+ * @route   POST /api/v1/admin/admins
+ * @desc    Create an admin account
+ * @access  Private/SuperAdmin
+ */
+router.post('/admins', requireSuperAdmin, adminAccountController.createAdmin);
+
+/**
+ * @route   PUT /api/v1/admin/admins/:id
+ * @desc    Update an admin account (permissions, status, password)
+ * @access  Private/SuperAdmin
+ */
+router.put('/admins/:id', requireSuperAdmin, adminAccountController.updateAdmin);
+
+/**
+ * @route   DELETE /api/v1/admin/admins/:id
+ * @desc    Delete an admin account
+ * @access  Private/SuperAdmin
+ */
+router.delete('/admins/:id', requireSuperAdmin, adminAccountController.deleteAdmin);
+
 // Analytics Routes
 /**
  * @route   GET /api/v1/admin/analytics/dashboard
  * @desc    Get dashboard analytics
- * @access  Private/Admin
+ * @access  Private/Admin (view_analytics)
  */
-router.get('/analytics/dashboard', adminController.getDashboardAnalytics);
+router.get('/analytics/dashboard', canViewAnalytics, adminController.getDashboardAnalytics);
 
 /**
  * @route   GET /api/v1/admin/analytics/detailed
  * @desc    Get detailed analytics with date range
- * @access  Private/Admin
+ * @access  Private/Admin (view_analytics)
  */
-router.get('/analytics/detailed', adminController.getDetailedAnalytics);
+router.get('/analytics/detailed', canViewAnalytics, adminController.getDetailedAnalytics);
 
 /**
  * @route   GET /api/v1/admin/analytics/revenue
  * @desc    Get revenue analytics
- * @access  Private/Admin
+ * @access  Private/Admin (view_analytics)
  */
-router.get('/analytics/revenue', adminController.getRevenueAnalytics);
+router.get('/analytics/revenue', canViewAnalytics, adminController.getRevenueAnalytics);
 
 /**
  * @route   GET /api/v1/admin/analytics/bookings
  * @desc    Get booking analytics
- * @access  Private/Admin
+ * @access  Private/Admin (view_analytics)
  */
-router.get('/analytics/bookings', adminController.getBookingAnalytics);
+router.get('/analytics/bookings', canViewAnalytics, adminController.getBookingAnalytics);
 
 /**
  * @route   GET /api/v1/admin/analytics/users
  * @desc    Get user analytics
- * @access  Private/Admin
+ * @access  Private/Admin (view_analytics)
  */
-router.get('/analytics/users', adminController.getUserAnalytics);
+router.get('/analytics/users', canViewAnalytics, adminController.getUserAnalytics);
 
 /**
  * @route   GET /api/v1/admin/analytics/operational
  * @desc    Get operational analytics
- * @access  Private/Admin
+ * @access  Private/Admin (view_analytics)
  */
-router.get('/analytics/operational', adminController.getOperationalAnalytics);
+router.get('/analytics/operational', canViewAnalytics, adminController.getOperationalAnalytics);
 
 // User Management Routes
 /**
  * @route   GET /api/v1/admin/users
  * @desc    Get users management data
- * @access  Private/Admin
+ * @access  Private/Admin (manage_users)
  */
-router.get('/users', adminController.getUsersManagement);
+router.get('/users', canManageUsers, adminController.getUsersManagement);
 
 /**
  * @route   PATCH /api/v1/admin/users/:id/toggle-status
  * @desc    Toggle user active status
- * @access  Private/Admin
+ * @access  Private/Admin (manage_users)
+ */
+router.patch('/users/:id/toggle-status', canManageUsers, adminController.toggleUserStatus);
+
+/**
+ * @route   POST /api/v1/admin/users/:id/revoke-sessions
+ * @desc    Sign a user out of every device
+ * @access  Private/Admin (manage_users)
  */
-router.patch('/users/:id/toggle-status', adminController.toggleUserStatus);
+router.post('/users/:id/revoke-sessions', canManageUsers, adminController.revokeUserSessions);
 
 /**
  * @route   PATCH /api/v1/admin/users/:id/role
  * @desc    Update user role
- * @access  Private/Admin
+ * @access  Private/Admin (manage_users)
  */
-router.patch('/users/:id/role', adminController.updateUserRole);
+router.patch('/users/:id/role', canManageUsers, adminController.updateUserRole);
 
 /**
  * @route   DELETE /api/v1/admin/users/:id
  * @desc    Delete user
- * @access  Private/Admin
+ * @access  Private/Admin (manage_users)
  */
-router.delete('/users/:id', adminController.deleteUser);
+router.delete('/users/:id', canManageUsers, adminController.deleteUser);
 
 // Booking Management Routes
 /**
  * @route   GET /api/v1/admin/bookings
  * @desc    Get all bookings (admin/staff)
- * @access  Private/Admin/Staff
+ * @access  Private/Admin/Staff (handle_refunds)
  */
-router.get('/bookings', adminController.getAllBookings);
+router.get('/bookings', canHandleRefunds, adminController.getAllBookings);
 
 /**
  * @route   GET /api/v1/admin/bookings/:id
  * @desc    Get booking details
- * @access  Private/Admin/Staff
+ * @access  Private/Admin/Staff (handle_refunds)
  */
-router.get('/bookings/:id', adminController.getBookingDetails);
+router.get('/bookings/:id', canHandleRefunds, adminController.getBookingDetails);
 
 /**
  * @route   PATCH /api/v1/admin/bookings/:id/status
  * @desc    Update booking status
- * @access  Private/Admin/Staff
+ * @access  Private/Admin/Staff (handle_refunds)
  */
-router.patch('/bookings/:id/status', adminController.updateBookingStatus);
+router.patch('/bookings/:id/status', canHandleRefunds, adminController.updateBookingStatus);
 
 // System Routes
 /**
@@ -120,80 +170,87 @@ router.get('/system/health', adminController.getSystemHealth);
 /**
  * @route   POST /api/v1/admin/staff/add
  * @desc    Add new staff member
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.post('/staff/add', adminController.addStaff);
+router.post('/staff/add', canApproveStaff, adminController.addStaff);
 
 /**
  * @route   GET /api/v1/admin/staff
  * @desc    Get all staff members
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.get('/staff', adminController.getAllStaff);
+router.get('/staff', canApproveStaff, adminController.getAllStaff);
 
 /**
  * @route   PATCH /api/v1/admin/staff/:id/approve
  * @desc    Approve staff member
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.patch('/staff/:id/approve', adminController.approveStaff);
+router.patch('/staff/:id/approve', canApproveStaff, adminController.approveStaff);
 
 /**
  * @route   PATCH /api/v1/admin/staff/:id/reject
  * @desc    Reject/revoke staff approval
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.patch('/staff/:id/reject', adminController.rejectStaff);
+router.patch('/staff/:id/reject', canApproveStaff, adminController.rejectStaff);
 
 /**
  * @route   PATCH /api/v1/admin/staff/:id/toggle-status
  * @desc    Toggle staff active status
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
+ */
+router.patch('/staff/:id/toggle-status', canApproveStaff, adminController.toggleStaffStatus);
+
+/**
+ * @route   POST /api/v1/admin/staff/:id/revoke-sessions
+ * @desc    Sign a staff member out of every device
+ * @access  Private/Admin (approve_staff)
  */
-router.patch('/staff/:id/toggle-status', adminController.toggleStaffStatus);
+router.post('/staff/:id/revoke-sessions', canApproveStaff, adminController.revokeStaffSessions);
 
 /**
  * @route   DELETE /api/v1/admin/staff/:id
  * @desc    Delete staff member
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.delete('/staff/:id', adminController.deleteStaff);
+router.delete('/staff/:id', canApproveStaff, adminController.deleteStaff);
 
 // Staff Registration Approval Routes
 /**
  * @route   GET /api/v1/admin/staff/pending
  * @desc    Get all pending staff registrations
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.get('/staff/pending', adminController.getPendingStaff);
+router.get('/staff/pending', canApproveStaff, adminController.getPendingStaff);
 
 /**
  * @route   GET /api/v1/admin/staff/pending/count
  * @desc    Get count of pending staff registrations
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.get('/staff/pending/count', adminController.getPendingStaffCount);
+router.get('/staff/pending/count', canApproveStaff, adminController.getPendingStaffCount);
 
 /**
  * @route   POST /api/v1/admin/staff/:staffId/approve-registration
  * @desc    Approve staff registration
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.post('/staff/:staffId/approve-registration', adminController.approveStaffRegistration);
+router.post('/staff/:staffId/approve-registration', canApproveStaff, adminController.approveStaffRegistration);
 
 /**
  * @route   POST /api/v1/admin/staff/:staffId/reject-registration
  * @desc    Reject staff registration
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.post('/staff/:staffId/reject-registration', adminController.rejectStaffRegistration);
+router.post('/staff/:staffId/reject-registration', canApproveStaff, adminController.rejectStaffRegistration);
 
 /**
  * @route   POST /api/v1/admin/staff/:staffId/cancel-registration
  * @desc    Cancel staff registration
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.post('/staff/:staffId/cancel-registration', adminController.cancelStaffRegistration);
+router.post('/staff/:staffId/cancel-registration', canApproveStaff, adminController.cancelStaffRegistration);
 
 // Notification Routes
 /**
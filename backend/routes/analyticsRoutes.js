@@ -6,33 +6,33 @@
 
 const express = require('express');
 const analyticsController = require('../controllers/analyticsController');
-const { protect, authorize } = require('../middleware/authMiddleware');
-const { ROLES } = require('../constants/roles');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
-// All routes are protected and require admin role
+// All routes are protected and require an admin with the view_analytics permission
 router.use(protect);
-router.use(authorize(ROLES.ADMIN));
+router.use(requirePermission(PERMISSIONS.VIEW_ANALYTICS));
 
 /**
  * @route   GET /api/v1/analytics/comprehensive
  * @desc    Get comprehensive analytics report
- * @access  Private/Admin
+ * @access  Private/Admin (view_analytics)
  */
 router.get('/comprehensive', analyticsController.getComprehensiveAnalytics);
 
 /**
  * @route   GET /api/v1/analytics/export
  * @desc    Export analytics data in various formats
- * @access  Private/Admin
+ * @access  Private/Admin (view_analytics)
  */
 router.get('/export', analyticsController.exportAnalyticsData);
 
 /**
  * @route   GET /api/v1/analytics/realtime
  * @desc    Get real-time analytics data
- * @access  Private/Admin
+ * @access  Private/Admin (view_analytics)
  */
 router.get('/realtime', analyticsController.getRealTimeAnalytics);
 
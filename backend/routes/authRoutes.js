@@ -46,6 +46,27 @@ router.post('/login', loginValidation, handleValidationErrors, authController.lo
  */
 router.post('/logout', protect, authController.logout);
 
+/**
+ * @route   POST /api/v1/auth/logout-all
+ * @desc    Logout from every device
+ * @access  Private
+ */
+router.post('/logout-all', protect, authController.logoutAll);
+
+/**
+ * @route   POST /api/v1/auth/refresh
+ * @desc    Exchange a refresh token for a new access token (rotates the refresh token)
+ * @access  Public
+ */
+router.post('/refresh', authController.refreshToken);
+
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    List signed-in devices of the current account
+ * @access  Private
+ */
+router.get('/sessions', protect, authController.getSessions);
+
 /**
  * @route   POST /api/v1/auth/admin/login
  * @desc    Admin login (environment-based)
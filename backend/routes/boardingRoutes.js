@@ -0,0 +1,44 @@
+// FILE: backend/routes/boardingRoutes.js
+/**
+ * Boarding routes
+ * Trip crew and admins scan tickets and follow the boarding manifest.
+ */
+
+const express = require('express');
+const boardingController = require('../controllers/boardingController');
+const { protect, authorize } = require('../middleware/authMiddleware');
+const { ROLES } = require('../constants/roles');
+
+const router = express.Router();
+
+router.use(protect, authorize(ROLES.STAFF, ROLES.ADMIN));
+
+/**
+ * @route   GET /api/v1/boarding/public-key
+ * @desc    Get the public key for verifying ticket QR codes offline
+ * @access  Private/Staff, Admin
+ */
+router.get('/public-key', boardingController.getPublicKey);
+
+/**
+ * @route   GET /api/v1/boarding/trips/:tripId/manifest
+ * @desc    Get the trip's passengers with their boarding status
+ * @access  Private/Staff (trip crew), Admin
+ */
+router.get('/trips/:tripId/manifest', boardingController.getManifest);
+
+/**
+ * @route   POST /api/v1/boarding/trips/:tripId/scan
+ * @desc    Mark the passenger on a scanned ticket as boarded or no-show
+ * @access  Private/Staff (trip crew), Admin
+ */
+router.post('/trips/:tripId/scan', boardingController.scanTicket);
+
+/**
+ * @route   PATCH /api/v1/boarding/trips/:tripId/passengers
+ * @desc    Set a passenger's boarding status without a scan
+ * @access  Private/Staff (trip crew), Admin
+ */
+router.patch('/trips/:tripId/passengers', boardingController.updateBoardingStatus);
+
+module.exports = router;
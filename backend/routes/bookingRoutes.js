@@ -10,16 +10,30 @@ const { protect } = require('../middleware/authMiddleware');
 
 const router = express.Router();
 
-// All routes are protected
+/**
+ * @route   GET /api/v1/bookings/pnr/:pnr
+ * @desc    View a ticket by PNR with the booking's email or phone (?email= or ?phone=)
+ * @access  Public
+ */
+router.get('/pnr/:pnr', bookingController.getBookingByPnr);
+
+// All other routes are protected
 router.use(protect);
 
 /**
  * @route   POST /api/v1/bookings
- * @desc    Create a new booking
+ * @desc    Create a new booking (send quotedBaseAmount from the quote to refuse a changed price)
  * @access  Private
  */
 router.post('/', bookingController.createBooking);
 
+/**
+ * @route   POST /api/v1/bookings/quote
+ * @desc    Get per-seat fare quote before payment
+ * @access  Private
+ */
+router.post('/quote', bookingController.getFareQuote);
+
 /**
  * @route   GET /api/v1/bookings/mybookings
  * @desc    Get user's bookings
@@ -34,6 +48,20 @@ router.get('/mybookings', bookingController.getMyBookings);
  */
 router.get('/:id', bookingController.getBookingById);
 
+/**
+ * @route   GET /api/v1/bookings/:id/refund-preview
+ * @desc    Preview refund under the trip's cancellation policy (?seats= for a partial cancel)
+ * @access  Private
+ */
+router.get('/:id/refund-preview', bookingController.getRefundPreview);
+
+/**
+ * @route   GET /api/v1/bookings/:id/tickets
+ * @desc    Get a signed boarding QR code for each active seat
+ * @access  Private
+ */
+router.get('/:id/tickets', bookingController.getTicketCodes);
+
 /**
  * @route   PUT /api/v1/bookings/:id/cancel
  * @desc    Cancel a booking
@@ -41,6 +69,41 @@ router.get('/:id', bookingController.getBookingById);
  */
 router.put('/:id/cancel', bookingController.cancelBooking);
 
+/**
+ * @route   PUT /api/v1/bookings/:id/cancel-seats
+ * @desc    Cancel selected seats, keeping the rest of the booking
+ * @access  Private
+ */
+router.put('/:id/cancel-seats', bookingController.cancelSeats);
+
+/**
+ * @route   GET /api/v1/bookings/:id/reschedule-options
+ * @desc    List other trips on the same route around the original date (3 days either side; ?days= up to 7)
+ * @access  Private
+ */
+router.get('/:id/reschedule-options', bookingController.getRescheduleOptions);
+
+/**
+ * @route   POST /api/v1/bookings/:id/reschedule-quote
+ * @desc    Quote fare difference and reschedule fee for seats on another trip
+ * @access  Private
+ */
+router.post('/:id/reschedule-quote', bookingController.getRescheduleQuote);
+
+/**
+ * @route   POST /api/v1/bookings/:id/reschedule
+ * @desc    Move a booking to another trip, settling the difference through the wallet
+ * @access  Private
+ */
+router.post('/:id/reschedule', bookingController.rescheduleBooking);
+
+/**
+ * @route   GET /api/v1/bookings/:id/reschedule-history
+ * @desc    Get every booking (PNR) in the booking's reschedule chain
+ * @access  Private
+ */
+router.get('/:id/reschedule-history', bookingController.getRescheduleHistory);
+
 /**
  * @route   POST /api/v1/bookings/send-otp
  * @desc    Send OTP for booking confirmation
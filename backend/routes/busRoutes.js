@@ -6,8 +6,9 @@
 
 const express = require('express');
 const busController = require('../controllers/busController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 const { ROLES } = require('../constants/roles');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
@@ -15,12 +16,15 @@ const router = express.Router();
 router.use(protect);
 router.use(authorize(ROLES.ADMIN));
 
+// Fleet changes need the manage_buses permission; any admin may read the fleet
+const canManageBuses = requirePermission(PERMISSIONS.MANAGE_BUSES);
+
 /**
  * @route   POST /api/v1/buses
  * @desc    Create a new bus
- * @access  Private/Admin
+ * @access  Private/Admin (manage_buses)
  */
-router.post('/', busController.createBus);
+router.post('/', canManageBuses, busController.createBus);
 
 /**
  * @route   GET /api/v1/buses
@@ -39,22 +43,22 @@ router.get('/:id', busController.getBusById);
 /**
  * @route   PUT /api/v1/buses/:id
  * @desc    Update bus by ID
- * @access  Private/Admin
+ * @access  Private/Admin (manage_buses)
  */
-router.put('/:id', busController.updateBus);
+router.put('/:id', canManageBuses, busController.updateBus);
 
 /**
  * @route   DELETE /api/v1/buses/:id
  * @desc    Delete bus by ID
- * @access  Private/Admin
+ * @access  Private/Admin (manage_buses)
  */
-router.delete('/:id', busController.deleteBus);
+router.delete('/:id', canManageBuses, busController.deleteBus);
 
 /**
  * @route   PATCH /api/v1/buses/:id/toggle-status
  * @desc    Toggle bus active status
- * @access  Private/Admin
+ * @access  Private/Admin (manage_buses)
  */
-router.patch('/:id/toggle-status', busController.toggleBusStatus);
+router.patch('/:id/toggle-status', canManageBuses, busController.toggleBusStatus);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,53 @@
+// FILE: backend/routes/cancellationPolicyRoutes.js
+/**
+ * Cancellation policy routes
+ * Defines endpoints for cancellation policy CRUD operations (Admin only)
+ */
+
+const express = require('express');
+const cancellationPolicyController = require('../controllers/cancellationPolicyController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../constants/permissions');
+
+const router = express.Router();
+
+// All routes are protected and require an admin with the handle_refunds permission
+router.use(protect);
+router.use(requirePermission(PERMISSIONS.HANDLE_REFUNDS));
+
+/**
+ * @route   POST /api/v1/cancellation-policies
+ * @desc    Create a cancellation policy for a trip, route, operator or the platform
+ * @access  Private/Admin (handle_refunds)
+ */
+router.post('/', cancellationPolicyController.createPolicy);
+
+/**
+ * @route   GET /api/v1/cancellation-policies
+ * @desc    Get all cancellation policies with filtering and pagination
+ * @access  Private/Admin (handle_refunds)
+ */
+router.get('/', cancellationPolicyController.getAllPolicies);
+
+/**
+ * @route   GET /api/v1/cancellation-policies/:id
+ * @desc    Get cancellation policy by ID
+ * @access  Private/Admin (handle_refunds)
+ */
+router.get('/:id', cancellationPolicyController.getPolicyById);
+
+/**
+ * @route   PUT /api/v1/cancellation-policies/:id
+ * @desc    Update cancellation policy by ID
+ * @access  Private/Admin (handle_refunds)
+ */
+router.put('/:id', cancellationPolicyController.updatePolicy);
+
+/**
+ * @route   DELETE /api/v1/cancellation-policies/:id
+ * @desc    Delete cancellation policy by ID
+ * @access  Private/Admin (handle_refunds)
+ */
+router.delete('/:id', cancellationPolicyController.deletePolicy);
+
+module.exports = router;
@@ -18,6 +18,13 @@ const router = express.Router();
  */
 router.post('/update', protect, authorize(ROLES.ADMIN, ROLES.STAFF), locationController.updateLocation);
 
+/**
+ * @route   POST /api/v1/location/batch
+ * @desc    Upload fixes queued while the device was offline (Staff only)
+ * @access  Private/Staff/Admin
+ */
+router.post('/batch', protect, authorize(ROLES.ADMIN, ROLES.STAFF), locationController.updateLocationBatch);
+
 /**
  * @route   GET /api/v1/location/all-active
  * @desc    Get all active trips with current locations (Admin only)
@@ -34,9 +41,23 @@ router.get('/:tripId', protect, locationController.getLocation);
 
 /**
  * @route   GET /api/v1/location/:tripId/history
- * @desc    Get location history for a trip
+ * @desc    Get location history for a trip (optional time window, downsampled when long)
  * @access  Private
  */
 router.get('/:tripId/history', protect, locationController.getLocationHistory);
 
+/**
+ * @route   GET /api/v1/location/:tripId/eta
+ * @desc    Get the ETA to each upcoming stop and the destination
+ * @access  Private
+ */
+router.get('/:tripId/eta', protect, locationController.getTripEta);
+
+/**
+ * @route   GET /api/v1/location/:tripId/export
+ * @desc    Export the full GPS track of a trip as GPX or GeoJSON
+ * @access  Private/Admin
+ */
+router.get('/:tripId/export', protect, authorize(ROLES.ADMIN), locationController.exportTrack);
+
 module.exports = router;
@@ -34,4 +34,11 @@ router.post('/verify', paymentController.verifyPayment);
  */
 router.post('/failure', paymentController.handlePaymentFailure);
 
+/**
+ * @route   POST /api/v1/payment/fake/pay
+ * @desc    Capture or fail a booking's order on the fake gateway (PAYMENT_GATEWAY=fake only)
+ * @access  Private
+ */
+router.post('/fake/pay', paymentController.simulateFakePayment);
+
 module.exports = router;
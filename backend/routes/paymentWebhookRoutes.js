@@ -0,0 +1,19 @@
+// FILE: backend/routes/paymentWebhookRoutes.js
+/**
+ * Payment webhook routes
+ * Called by Razorpay, authenticated by the webhook signature instead of a user token
+ */
+
+const express = require('express');
+const paymentController = require('../controllers/paymentController');
+
+const router = express.Router();
+
+/**
+ * @route   POST /api/v1/payment/webhook
+ * @desc    Receive signed Razorpay events (payment.captured, payment.failed, refund.processed)
+ * @access  Public (signature verified)
+ */
+router.post('/', paymentController.handleWebhook);
+
+module.exports = router;
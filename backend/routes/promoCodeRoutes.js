@@ -16,7 +16,7 @@ router.use(protect);
 
 /**
  * @route   POST /api/v1/promocodes/validate
- * @desc    Validate and apply promo code
+ * @desc    Validate promo code and preview the discount
  * @access  Private
  */
 router.post('/validate', promoCodeController.validatePromoCode);
@@ -6,8 +6,10 @@
 
 const express = require('express');
 const rentalInquiryController = require('../controllers/rentalInquiryController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const charterController = require('../controllers/charterController');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 const { ROLES } = require('../constants/roles');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
@@ -18,6 +20,20 @@ const router = express.Router();
  */
 router.post('/inquiry', rentalInquiryController.createRentalInquiry);
 
+/**
+ * @route   GET /api/v1/rentals/quote/:token
+ * @desc    View a quote from the link emailed to the customer
+ * @access  Public (quote link)
+ */
+router.get('/quote/:token', rentalInquiryController.getQuoteByToken);
+
+/**
+ * @route   POST /api/v1/rentals/quote/:token/respond
+ * @desc    Accept, decline or counter a quote from the customer quote link
+ * @access  Public (quote link)
+ */
+router.post('/quote/:token/respond', rentalInquiryController.respondToQuote);
+
 // All other routes are protected
 router.use(protect);
 
@@ -68,11 +84,25 @@ router.patch('/inquiries/:id/assign-staff', rentalInquiryController.assignStaffT
 
 /**
  * @route   PATCH /api/v1/rentals/inquiries/:id/quote
- * @desc    Set quote for rental inquiry
+ * @desc    Set or revise the quote and email the customer their quote link
  * @access  Private/Admin
  */
 router.patch('/inquiries/:id/quote', rentalInquiryController.setInquiryQuote);
 
+/**
+ * @route   GET /api/v1/rentals/inquiries/:id/bus-options
+ * @desc    Get matching buses and their availability for the charter period
+ * @access  Private/Admin (manage_trips)
+ */
+router.get('/inquiries/:id/bus-options', requirePermission(PERMISSIONS.MANAGE_TRIPS), charterController.getBusOptions);
+
+/**
+ * @route   POST /api/v1/rentals/inquiries/:id/charter
+ * @desc    Confirm a quoted inquiry as a charter (bus, crew and advance payment)
+ * @access  Private/Admin (manage_trips)
+ */
+router.post('/inquiries/:id/charter', requirePermission(PERMISSIONS.MANAGE_TRIPS), charterController.confirmInquiry);
+
 /**
  * @route   DELETE /api/v1/rentals/inquiries/:id
  * @desc    Delete rental inquiry
@@ -80,4 +110,39 @@ router.patch('/inquiries/:id/quote', rentalInquiryController.setInquiryQuote);
  */
 router.delete('/inquiries/:id', rentalInquiryController.deleteRentalInquiry);
 
+/**
+ * @route   GET /api/v1/rentals/charters
+ * @desc    Get all charters with filtering and pagination
+ * @access  Private/Admin
+ */
+router.get('/charters', charterController.getAllCharters);
+
+/**
+ * @route   GET /api/v1/rentals/charters/:id
+ * @desc    Get charter by ID
+ * @access  Private/Admin
+ */
+router.get('/charters/:id', charterController.getCharterById);
+
+/**
+ * @route   GET /api/v1/rentals/charters/:id/contract
+ * @desc    Download the charter contract and invoice PDF
+ * @access  Private/Admin
+ */
+router.get('/charters/:id/contract', charterController.downloadContract);
+
+/**
+ * @route   POST /api/v1/rentals/charters/:id/payments
+ * @desc    Record a payment received against a charter
+ * @access  Private/Admin (handle_refunds)
+ */
+router.post('/charters/:id/payments', requirePermission(PERMISSIONS.HANDLE_REFUNDS), charterController.recordPayment);
+
+/**
+ * @route   PATCH /api/v1/rentals/charters/:id/cancel
+ * @desc    Cancel a charter, releasing its bus and crew
+ * @access  Private/Admin (manage_trips)
+ */
+router.patch('/charters/:id/cancel', requirePermission(PERMISSIONS.MANAGE_TRIPS), charterController.cancelCharter);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,84 @@
+// FILE: backend/routes/rosterRoutes.js
+/**
+ * Duty roster routes
+ * Staff see their own schedule and request leave; admins plan shifts,
+ * review leave and get crew suggestions.
+ */
+
+const express = require('express');
+const rosterController = require('../controllers/rosterController');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
+const { ROLES } = require('../constants/roles');
+const { PERMISSIONS } = require('../constants/permissions');
+
+const router = express.Router();
+
+router.use(protect);
+
+/**
+ * @route   GET /api/v1/roster/my-schedule
+ * @desc    Get the logged-in staff member's shifts, leave and trips (default: next 7 days)
+ * @access  Private/Staff
+ */
+router.get('/my-schedule', authorize(ROLES.STAFF), rosterController.getMySchedule);
+
+/**
+ * @route   GET /api/v1/roster/my-leaves
+ * @desc    Get the logged-in staff member's leave requests
+ * @access  Private/Staff
+ */
+router.get('/my-leaves', authorize(ROLES.STAFF), rosterController.getMyLeaves);
+
+/**
+ * @route   POST /api/v1/roster/leaves
+ * @desc    Request leave
+ * @access  Private/Staff
+ */
+router.post('/leaves', authorize(ROLES.STAFF), rosterController.requestLeave);
+
+/**
+ * @route   PATCH /api/v1/roster/leaves/:id/cancel
+ * @desc    Cancel one's own leave request before it starts
+ * @access  Private/Staff
+ */
+router.patch('/leaves/:id/cancel', authorize(ROLES.STAFF), rosterController.cancelLeave);
+
+// Admin only routes
+router.use(authorize(ROLES.ADMIN));
+
+/**
+ * @route   GET /api/v1/roster/schedule
+ * @desc    Get the roster calendar for a period
+ * @access  Private/Admin
+ */
+router.get('/schedule', rosterController.getSchedule);
+
+/**
+ * @route   GET /api/v1/roster/leaves
+ * @desc    List leave requests
+ * @access  Private/Admin
+ */
+router.get('/leaves', rosterController.getLeaveRequests);
+
+/**
+ * @route   PATCH /api/v1/roster/leaves/:id/review
+ * @desc    Approve or reject a leave request
+ * @access  Private/Admin (approve_staff)
+ */
+router.patch('/leaves/:id/review', requirePermission(PERMISSIONS.APPROVE_STAFF), rosterController.reviewLeave);
+
+/**
+ * @route   PUT /api/v1/roster/templates/:staffId
+ * @desc    Create or replace a staff member's weekly shift template
+ * @access  Private/Admin (manage_trips)
+ */
+router.put('/templates/:staffId', requirePermission(PERMISSIONS.MANAGE_TRIPS), rosterController.saveShiftTemplate);
+
+/**
+ * @route   GET /api/v1/roster/crew-suggestions
+ * @desc    Suggest a driver and conductor for a trip window
+ * @access  Private/Admin (manage_trips)
+ */
+router.get('/crew-suggestions', requirePermission(PERMISSIONS.MANAGE_TRIPS), rosterController.suggestCrew);
+
+module.exports = router;
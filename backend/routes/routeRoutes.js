@@ -6,8 +6,8 @@
 
 const express = require('express');
 const routeController = require('../controllers/routeController');
-const { protect, authorize } = require('../middleware/authMiddleware');
-const { ROLES } = require('../constants/roles');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
@@ -21,48 +21,48 @@ router.use(protect);
  */
 router.get('/search', routeController.searchRoutes);
 
-// Admin only routes
-router.use(authorize(ROLES.ADMIN));
+// Admin routes - manage_trips permission
+router.use(requirePermission(PERMISSIONS.MANAGE_TRIPS));
 
 /**
  * @route   POST /api/v1/routes
  * @desc    Create a new route
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.post('/', routeController.createRoute);
 
 /**
  * @route   GET /api/v1/routes
  * @desc    Get all routes with filtering and pagination
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.get('/', routeController.getAllRoutes);
 
 /**
  * @route   GET /api/v1/routes/:id
  * @desc    Get route by ID
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.get('/:id', routeController.getRouteById);
 
 /**
  * @route   PUT /api/v1/routes/:id
  * @desc    Update route by ID
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.put('/:id', routeController.updateRoute);
 
 /**
  * @route   DELETE /api/v1/routes/:id
  * @desc    Delete route by ID
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.delete('/:id', routeController.deleteRoute);
 
 /**
  * @route   PATCH /api/v1/routes/:id/toggle-pricing
  * @desc    Toggle dynamic pricing for a route
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.patch('/:id/toggle-pricing', routeController.toggleDynamicPricing);
 
@@ -7,8 +7,9 @@
 const express = require('express');
 const staffController = require('../controllers/staffController');
 const adminController = require('../controllers/adminController');
-const { protect, authorize } = require('../middleware/authMiddleware');
+const { protect, authorize, requirePermission } = require('../middleware/authMiddleware');
 const { ROLES } = require('../constants/roles');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
@@ -26,6 +27,13 @@ router.use(protect);
  */
 router.get('/me', authorize(ROLES.ADMIN, ROLES.STAFF), staffController.getCurrentStaff);
 
+/**
+ * @route   GET /api/v1/staff/my-trips
+ * @desc    Get the trips the logged-in staff member is rostered on
+ * @access  Private/Staff
+ */
+router.get('/my-trips', authorize(ROLES.STAFF), staffController.getMyTrips);
+
 /**
  * @route   GET /api/v1/staff/bookings
  * @desc    Get all bookings for staff management
@@ -47,15 +55,17 @@ router.get('/bookings/:id', authorize(ROLES.ADMIN, ROLES.STAFF), adminController
  */
 router.patch('/bookings/:id/status', authorize(ROLES.ADMIN, ROLES.STAFF), adminController.updateBookingStatus);
 
-// Admin only routes
+// Admin only routes - reads are open to every admin, changes need a permission
 router.use(authorize(ROLES.ADMIN));
 
+const canApproveStaff = requirePermission(PERMISSIONS.APPROVE_STAFF);
+
 /**
  * @route   POST /api/v1/staff
  * @desc    Create a new staff member
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.post('/', staffController.createStaff);
+router.post('/', canApproveStaff, staffController.createStaff);
 
 /**
  * @route   GET /api/v1/staff
@@ -71,6 +81,13 @@ router.get('/', staffController.getAllStaff);
  */
 router.get('/drivers/available', staffController.getAvailableDrivers);
 
+/**
+ * @route   GET /api/v1/staff/crew/available
+ * @desc    Get staff who can crew a trip window (overlap, rest and licence checks)
+ * @access  Private/Admin
+ */
+router.get('/crew/available', staffController.getCrewAvailability);
+
 /**
  * @route   GET /api/v1/staff/:id
  * @desc    Get staff by ID
@@ -81,29 +98,29 @@ router.get('/:id', staffController.getStaffById);
 /**
  * @route   PUT /api/v1/staff/:id
  * @desc    Update staff by ID
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.put('/:id', staffController.updateStaff);
+router.put('/:id', canApproveStaff, staffController.updateStaff);
 
 /**
  * @route   DELETE /api/v1/staff/:id
  * @desc    Delete staff by ID
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.delete('/:id', staffController.deleteStaff);
+router.delete('/:id', canApproveStaff, staffController.deleteStaff);
 
 /**
  * @route   PATCH /api/v1/staff/:id/toggle-status
  * @desc    Toggle staff active status
- * @access  Private/Admin
+ * @access  Private/Admin (approve_staff)
  */
-router.patch('/:id/toggle-status', staffController.toggleStaffStatus);
+router.patch('/:id/toggle-status', canApproveStaff, staffController.toggleStaffStatus);
 
 /**
  * @route   PATCH /api/v1/staff/:id/assign-bus
  * @desc    Assign bus to staff
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
-router.patch('/:id/assign-bus', staffController.assignBusToStaff);
+router.patch('/:id/assign-bus', requirePermission(PERMISSIONS.MANAGE_TRIPS), staffController.assignBusToStaff);
 
 module.exports = router;
\ No newline at end of file
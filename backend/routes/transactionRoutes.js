@@ -6,8 +6,8 @@
 
 const express = require('express');
 const transactionController = require('../controllers/transactionController');
-const { protect, authorize } = require('../middleware/authMiddleware');
-const { ROLES } = require('../constants/roles');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
@@ -42,13 +42,13 @@ router.get('/wallet/balance', transactionController.getWalletBalance);
  */
 router.get('/:id', transactionController.getTransactionById);
 
-// Admin only routes
-router.use(authorize(ROLES.ADMIN));
+// Admin routes - handle_refunds permission
+router.use(requirePermission(PERMISSIONS.HANDLE_REFUNDS));
 
 /**
  * @route   GET /api/v1/transactions/admin/all
  * @desc    Get all transactions with filtering (admin)
- * @access  Private/Admin
+ * @access  Private/Admin (handle_refunds)
  */
 router.get('/admin/all', transactionController.getAllTransactions);
 
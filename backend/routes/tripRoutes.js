@@ -6,8 +6,9 @@
 
 const express = require('express');
 const tripController = require('../controllers/tripController');
-const { protect, authorize } = require('../middleware/authMiddleware');
-const { ROLES } = require('../constants/roles');
+const seatHoldController = require('../controllers/seatHoldController');
+const { protect, requirePermission } = require('../middleware/authMiddleware');
+const { PERMISSIONS } = require('../constants/permissions');
 
 const router = express.Router();
 
@@ -35,27 +36,62 @@ router.get('/search', tripController.searchTrips);
  */
 router.get('/:id', tripController.getTripById);
 
-// Admin only routes (must come after public routes)
-router.use(authorize(ROLES.ADMIN));
+/**
+ * @route   GET /api/v1/trips/:id/holds
+ * @desc    Get seats currently held by other users
+ * @access  Private (All authenticated users)
+ */
+router.get('/:id/holds', seatHoldController.getHeldSeats);
+
+/**
+ * @route   POST /api/v1/trips/:id/holds
+ * @desc    Hold seats during checkout
+ * @access  Private (All authenticated users)
+ */
+router.post('/:id/holds', seatHoldController.holdSeats);
+
+/**
+ * @route   PATCH /api/v1/trips/:id/holds
+ * @desc    Extend the current user's seat hold
+ * @access  Private (All authenticated users)
+ */
+router.patch('/:id/holds', seatHoldController.extendHold);
+
+/**
+ * @route   DELETE /api/v1/trips/:id/holds
+ * @desc    Release the current user's seat hold
+ * @access  Private (All authenticated users)
+ */
+router.delete('/:id/holds', seatHoldController.releaseHold);
+
+// Admin routes - manage_trips permission (must come after public routes)
+router.use(requirePermission(PERMISSIONS.MANAGE_TRIPS));
 
 /**
  * @route   POST /api/v1/trips
  * @desc    Create a new trip
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.post('/', tripController.createTrip);
 
 /**
  * @route   PUT /api/v1/trips/:id
  * @desc    Update trip by ID
- * @access  Private/Admin
+ * @access  Private/Admin (manage_trips)
  */
 router.put('/:id', tripController.updateTrip);
 
+/**
+ * @route   PATCH /api/v1/trips/:id/crew
+ * @desc    Assign the driver and conductor from staff records
+ * @access  Private/Admin (manage_trips)
+ */
+router.patch('/:id/crew', tripController.assignTripCrew);
+
 /**
  * @route   PATCH /api/v1/trips/:id/status
- * @desc    Update trip status
- * @access  Private/Admin
+ * @desc    Update trip status (cancelling refunds and notifies every booking)
+ * @access  Private/Admin (manage_trips)
  */
 router.patch('/:id/status', tripController.updateTripStatus);
 
@@ -126,4 +126,18 @@ router.put('/passengers/:id',
  */
 router.delete('/passengers/:id', userController.deleteSavedPassenger);
 
+/**
+ * @route   GET /api/v1/users/notifications
+ * @desc    Get user's in-app notifications
+ * @access  Private
+ */
+router.get('/notifications', userController.getNotifications);
+
+/**
+ * @route   PATCH /api/v1/users/notifications/:id/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.patch('/notifications/:id/read', userController.markNotificationAsRead);
+
 module.exports = router;
\ No newline at end of file
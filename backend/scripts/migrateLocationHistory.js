@@ -0,0 +1,91 @@
+/**
+ * Migration script to move trip location history into the breadcrumb collection
+ * Trips used to keep their last 50 GPS points in an embedded locationHistory array.
+ * This creates the time-series LocationPing collection, copies those points into it
+ * and removes the old array from each trip.
+ *
+ * Usage: node backend/scripts/migrateLocationHistory.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Trip = require('../models/tripModel');
+const LocationPing = require('../models/locationPingModel');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+const migrateLocationHistory = async () => {
+  try {
+    console.log('\n🔧 Starting location history migration...\n');
+
+    // Creates the time-series collection with its retention period if it is missing
+    await LocationPing.init();
+
+    // Read raw documents - locationHistory is no longer part of the schema
+    const trips = await Trip.collection
+      .find({ 'locationHistory.0': { $exists: true } })
+      .project({ bus: 1, locationHistory: 1 })
+      .toArray();
+    console.log(`📊 Found ${trips.length} trips with location history\n`);
+
+    let pingCount = 0;
+
+    for (const trip of trips) {
+      const alreadyMigrated = await LocationPing.exists({ trip: trip._id });
+
+      if (!alreadyMigrated) {
+        const pings = trip.locationHistory
+          .filter(point => point.latitude !== undefined && point.longitude !== undefined && point.timestamp)
+          .map(point => ({
+            trip: trip._id,
+            recordedAt: point.timestamp,
+            bus: trip.bus,
+            latitude: point.latitude,
+            longitude: point.longitude,
+            speed: point.speed || 0
+          }));
+
+        if (pings.length > 0) {
+          await LocationPing.insertMany(pings);
+        }
+        pingCount += pings.length;
+        console.log(`  📍 Trip ${trip._id}: ${pings.length} points copied`);
+      } else {
+        console.log(`  ⏭️  Trip ${trip._id}: already has pings, skipping copy`);
+      }
+
+      await Trip.collection.updateOne({ _id: trip._id }, { $unset: { locationHistory: '' } });
+    }
+
+    console.log('\n' + '='.repeat(50));
+    console.log('📈 Migration Summary:');
+    console.log(`  ✅ Trips migrated: ${trips.length}`);
+    console.log(`  📍 Points copied: ${pingCount}`);
+    console.log('='.repeat(50) + '\n');
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    throw error;
+  }
+};
+
+const main = async () => {
+  try {
+    await connectDB();
+    await migrateLocationHistory();
+    console.log('✅ Migration completed successfully!\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,107 @@
+/**
+ * Migration script to convert route stops to the ordered stop format
+ * Old routes stored stops as plain names. This rewrites them as stop objects between the
+ * origin and destination, spacing distance and time evenly (edit them in Manage Routes
+ * afterwards), then fills stop times on upcoming trips.
+ *
+ * Usage: node backend/scripts/migrateRouteStops.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Route = require('../models/routeModel');
+const Trip = require('../models/tripModel');
+const { buildStopTimes } = require('../services/routeStopService');
+const { TRIP_STATUS } = require('../constants/enums');
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+const toStop = (name, fraction, route, flags) => ({
+  _id: new mongoose.Types.ObjectId(),
+  name,
+  distanceFromOrigin: Math.round(route.distance * fraction),
+  offsetMinutes: Math.round(route.estimatedDuration * 60 * fraction),
+  ...flags
+});
+
+const migrateRouteStops = async () => {
+  try {
+    console.log('\n🔧 Starting route stop migration...\n');
+
+    // Read raw documents - old string stops do not cast to the new schema
+    const routes = await Route.collection.find({}).toArray();
+    console.log(`📊 Found ${routes.length} routes in database\n`);
+
+    let migratedCount = 0;
+
+    for (const route of routes) {
+      const stops = route.stops || [];
+      const needsMigration = stops.some(stop => typeof stop === 'string');
+
+      if (!needsMigration) {
+        continue;
+      }
+
+      const names = stops.filter(stop => typeof stop === 'string' && stop.trim());
+      const newStops = [
+        toStop(route.sourceCity, 0, route, { isBoarding: true, isDropping: false }),
+        ...names.map((name, index) => toStop(name.trim(), (index + 1) / (names.length + 1), route, {
+          isBoarding: true,
+          isDropping: true
+        })),
+        toStop(route.destinationCity, 1, route, { isBoarding: false, isDropping: true })
+      ];
+
+      await Route.collection.updateOne({ _id: route._id }, { $set: { stops: newStops } });
+      console.log(`  🔄 ${route.sourceCity} → ${route.destinationCity}: ${names.length} stops converted`);
+      migratedCount++;
+    }
+
+    // Upcoming trips get stop times from their route
+    const trips = await Trip.find({
+      status: { $in: [TRIP_STATUS.SCHEDULED, TRIP_STATUS.BOARDING, TRIP_STATUS.DELAYED] },
+      departureDateTime: { $gte: new Date() }
+    }).populate('route');
+
+    let tripCount = 0;
+    for (const trip of trips) {
+      if (!trip.route) {
+        continue;
+      }
+      trip.stopTimes = buildStopTimes(trip.route, trip.departureDateTime, trip.arrivalDateTime);
+      await trip.save();
+      tripCount++;
+    }
+
+    console.log('\n' + '='.repeat(50));
+    console.log('📈 Migration Summary:');
+    console.log(`  ✅ Routes migrated: ${migratedCount}`);
+    console.log(`  🕒 Upcoming trips given stop times: ${tripCount}`);
+    console.log('='.repeat(50) + '\n');
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    throw error;
+  }
+};
+
+const main = async () => {
+  try {
+    await connectDB();
+    await migrateRouteStops();
+    console.log('✅ Migration completed successfully!\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+main();
@@ -0,0 +1,111 @@
+/**
+ * Migration script for per-leg seat inventory
+ * Seat reservations and holds used to be unique per (trip, seat). They are now unique per
+ * (trip, seat, leg) so one seat can be sold for different segments of the same trip.
+ * This drops the old indexes, expands existing reservations to cover every leg of their
+ * trip, pins stop times on trips that have bookings, and builds the new indexes.
+ * Run after migrateRouteStops.js.
+ *
+ * Usage: node backend/scripts/migrateSegmentInventory.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Trip = require('../models/tripModel');
+require('../models/routeModel');
+const SeatReservation = require('../models/seatReservationModel');
+const SeatHold = require('../models/seatHoldModel');
+const { getTripStopTimes } = require('../services/routeStopService');
+
+const LEGACY_INDEX = 'trip_1_seatNumber_1';
+
+const connectDB = async () => {
+  try {
+    await mongoose.connect(process.env.MONGO_URI);
+    console.log('✅ MongoDB connected');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+};
+
+const dropLegacyIndex = async (Model) => {
+  const indexes = await Model.collection.indexes();
+  if (indexes.some(index => index.name === LEGACY_INDEX)) {
+    await Model.collection.dropIndex(LEGACY_INDEX);
+    console.log(`  🗑️  Dropped ${Model.collection.collectionName}.${LEGACY_INDEX}`);
+  }
+};
+
+const migrateSegmentInventory = async () => {
+  try {
+    console.log('\n🔧 Starting per-leg seat inventory migration...\n');
+
+    await dropLegacyIndex(SeatReservation);
+    await dropLegacyIndex(SeatHold);
+
+    // Holds only last a few minutes - old ones are simply dropped
+    const holds = await SeatHold.collection.deleteMany({ leg: { $exists: false } });
+    console.log(`  🧹 Removed ${holds.deletedCount} old seat holds`);
+
+    const tripIds = await SeatReservation.collection.distinct('trip', { leg: { $exists: false } });
+    console.log(`📊 Found ${tripIds.length} trips with whole-trip reservations\n`);
+
+    let reservationCount = 0;
+
+    for (const tripId of tripIds) {
+      const trip = await Trip.findById(tripId).populate('route');
+      if (!trip) {
+        console.log(`  ⚠️  Trip ${tripId} not found - leaving its reservations on leg 0`);
+        await SeatReservation.collection.updateMany({ trip: tripId, leg: { $exists: false } }, { $set: { leg: 0 } });
+        continue;
+      }
+
+      if (trip.stopTimes.length === 0) {
+        trip.stopTimes = getTripStopTimes(trip);
+        await trip.save();
+      }
+      const legCount = Math.max(trip.stopTimes.length - 1, 1);
+
+      const reservations = await SeatReservation.collection.find({ trip: tripId, leg: { $exists: false } }).toArray();
+      for (const reservation of reservations) {
+        const { _id, ...fields } = reservation;
+        await SeatReservation.collection.updateOne({ _id }, { $set: { leg: 0 } });
+
+        const extraLegs = Array.from({ length: legCount - 1 }, (_, index) => ({ ...fields, leg: index + 1 }));
+        if (extraLegs.length > 0) {
+          await SeatReservation.collection.insertMany(extraLegs);
+        }
+        reservationCount++;
+      }
+
+      console.log(`  🚌 Trip ${tripId}: ${reservations.length} reservations over ${legCount} legs`);
+    }
+
+    await SeatReservation.syncIndexes();
+    await SeatHold.syncIndexes();
+
+    console.log('\n' + '='.repeat(50));
+    console.log('📈 Migration Summary:');
+    console.log(`  ✅ Reservations expanded: ${reservationCount}`);
+    console.log(`  🚌 Trips updated: ${tripIds.length}`);
+    console.log('='.repeat(50) + '\n');
+  } catch (error) {
+    console.error('❌ Migration error:', error);
+    throw error;
+  }
+};
+
+const main = async () => {
+  try {
+    await connectDB();
+    await migrateSegmentInventory();
+    console.log('✅ Migration completed successfully!\n');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+};
+
+main();
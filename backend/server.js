@@ -18,6 +18,7 @@ const connectDB = require('./config/db');
 const { validateEnv } = require('./config/validateEnv');
 const { startLocationScheduler, stopLocationScheduler } = require('./services/locationStatusScheduler');
 const { startExpirationScheduler, stopExpirationScheduler } = require('./services/tripExpirationService');
+const { startPaymentExpiryScheduler, stopPaymentExpiryScheduler } = require('./services/bookingPaymentService');
 const { authLimiter, bookingLimiter, paymentLimiter } = require('./middleware/rateLimitMiddleware');
 const logger = require('./utils/logger');
 
@@ -32,12 +33,16 @@ const analyticsRoutes = require('./routes/analyticsRoutes');
 const busRoutes = require('./routes/busRoutes');
 const routeRoutes = require('./routes/routeRoutes');
 const promoCodeRoutes = require('./routes/promoCodeRoutes');
+const cancellationPolicyRoutes = require('./routes/cancellationPolicyRoutes');
 const transactionRoutes = require('./routes/transactionRoutes');
 const staffRoutes = require('./routes/staffRoutes');
 const rentalInquiryRoutes = require('./routes/rentalInquiryRoutes');
 const locationRoutes = require('./routes/locationRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
+const paymentWebhookRoutes = require('./routes/paymentWebhookRoutes');
 const adminLocationRoutes = require('./routes/adminLocationRoutes');
+const rosterRoutes = require('./routes/rosterRoutes');
+const boardingRoutes = require('./routes/boardingRoutes');
 
 require('dotenv').config();
 
@@ -102,7 +107,13 @@ app.use(compression({
   }
 }));
 
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body for webhook signature checks
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // HTTP request logging
@@ -156,10 +167,15 @@ app.use('/api/v1/analytics', analyticsRoutes);
 app.use('/api/v1/buses', busRoutes);
 app.use('/api/v1/routes', routeRoutes);
 app.use('/api/v1/promocodes', promoCodeRoutes);
+app.use('/api/v1/cancellation-policies', cancellationPolicyRoutes);
 app.use('/api/v1/transactions', transactionRoutes);
 app.use('/api/v1/staff', staffRoutes);
 app.use('/api/v1/rentals', rentalInquiryRoutes);
 app.use('/api/v1/location', locationRoutes);
+app.use('/api/v1/roster', rosterRoutes);
+app.use('/api/v1/boarding', boardingRoutes);
+// Webhooks come from Razorpay's servers, so they sit outside the per-IP payment limiter
+app.use('/api/v1/payment/webhook', paymentWebhookRoutes);
 app.use('/api/v1/payment', paymentLimiter, paymentRoutes);
 app.use('/api/v1/admin/location-monitor', adminLocationRoutes);
 
@@ -221,8 +237,9 @@ const startServer = async () => {
       logger.info(`Server running on port ${PORT} | Environment: ${process.env.NODE_ENV || 'development'}`);
       
       // Start schedulers only after server and DB are ready
-      startLocationScheduler();
+      startLocationScheduler(io);
       startExpirationScheduler();
+      startPaymentExpiryScheduler();
     });
   } catch (error) {
     logger.error(`Failed to start server: ${error.message}`);
@@ -237,6 +254,7 @@ startServer();
 process.on('SIGINT', async () => {
   stopLocationScheduler();
   stopExpirationScheduler();
+  stopPaymentExpiryScheduler();
   await mongoose.connection.close();
   server.close(() => {
     process.exit(0);
@@ -0,0 +1,261 @@
+// FILE: backend/services/adminAccountService.js
+/**
+ * Admin account service
+ * Authenticates admins (database accounts first, then the environment bootstrap
+ * super-admin), resolves the admin behind a token, and manages admin accounts.
+ * Environment dependencies: ADMIN_EMAIL, ADMIN_PASSWORD_HASH
+ */
+
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const Admin = require('../models/adminModel');
+const sessionService = require('./sessionService');
+const { ALL_PERMISSIONS } = require('../constants/permissions');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// Session subject / token id of the environment admin
+const BOOTSTRAP_ADMIN_ID = 'admin';
+
+const isBootstrapEmail = (email) => Boolean(
+  process.env.ADMIN_EMAIL && email && email.toLowerCase() === process.env.ADMIN_EMAIL.toLowerCase()
+);
+
+/**
+ * Identity of the environment bootstrap super-admin
+ * @returns {object} Admin identity
+ */
+const getBootstrapIdentity = () => ({
+  _id: BOOTSTRAP_ADMIN_ID,
+  email: process.env.ADMIN_EMAIL,
+  name: 'Admin',
+  role: 'admin',
+  permissions: [...ALL_PERMISSIONS],
+  isSuperAdmin: true,
+  isBootstrap: true
+});
+
+/**
+ * Check admin credentials
+ * Database accounts are tried first; the environment account is the fallback.
+ * @param {string} email - Admin email
+ * @param {string} password - Admin password
+ * @returns {object} Admin identity
+ */
+const authenticateAdmin = async (email, password) => {
+  const admin = await Admin.findOne({ email: email.toLowerCase() }).select('+password');
+
+  if (admin) {
+    if (!admin.isActive) {
+      throw new AppError('This admin account has been deactivated', 403);
+    }
+
+    if (admin.isLocked()) {
+      const lockTime = Math.ceil((admin.lockUntil - Date.now()) / 60000);
+      throw new AppError(`Account locked due to too many failed login attempts. Try again in ${lockTime} minutes.`, 403);
+    }
+
+    if (!(await admin.comparePassword(password))) {
+      await admin.incLoginAttempts();
+      throw new AppError('Invalid admin credentials', 401);
+    }
+
+    await admin.recordLogin();
+    return admin.toIdentity();
+  }
+
+  if (!isBootstrapEmail(email)) {
+    throw new AppError('Invalid admin credentials', 401);
+  }
+
+  if (!process.env.ADMIN_PASSWORD_HASH) {
+    throw new AppError('Admin authentication not configured properly', 500);
+  }
+
+  if (!(await bcrypt.compare(password, process.env.ADMIN_PASSWORD_HASH))) {
+    throw new AppError('Invalid admin credentials', 401);
+  }
+
+  return getBootstrapIdentity();
+};
+
+/**
+ * Resolve the admin behind a verified token payload
+ * Permissions are read on every call, so changes apply without a new login.
+ * @param {object} decoded - JWT payload ({ id, email, role })
+ * @returns {Promise<object|null>} Admin identity, or null if the account is unknown or inactive
+ */
+const resolveAdmin = async (decoded) => {
+  if (decoded.id === BOOTSTRAP_ADMIN_ID) {
+    return isBootstrapEmail(decoded.email) ? getBootstrapIdentity() : null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(decoded.id)) {
+    return null;
+  }
+
+  const admin = await Admin.findById(decoded.id);
+  return admin && admin.isActive ? admin.toIdentity() : null;
+};
+
+/**
+ * List database admin accounts
+ * @returns {array} Admins without passwords
+ */
+const getAdmins = async () => {
+  return Admin.find().sort({ createdAt: -1 }).lean();
+};
+
+/**
+ * Email addresses of the admins who should hear about an operational alert
+ * The environment admin plus every active database admin holding the permission.
+ * @param {string} permission - Permission the alert concerns
+ * @returns {array} Unique email addresses
+ */
+const getAlertEmails = async (permission) => {
+  const admins = await Admin.find({
+    isActive: true,
+    $or: [{ isSuperAdmin: true }, { permissions: permission }]
+  }).select('email').lean();
+
+  const emails = admins.map(admin => admin.email);
+  if (process.env.ADMIN_EMAIL) {
+    emails.push(process.env.ADMIN_EMAIL.toLowerCase());
+  }
+
+  return [...new Set(emails)];
+};
+
+/**
+ * Validate a permission list
+ * @param {array} permissions - Requested permissions
+ * @returns {array} Unique, valid permissions
+ */
+const sanitizePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    throw new AppError('Permissions must be a list', 400);
+  }
+
+  const invalid = permissions.filter(permission => !ALL_PERMISSIONS.includes(permission));
+  if (invalid.length > 0) {
+    throw new AppError(`Unknown permission(s): ${invalid.join(', ')}`, 400);
+  }
+
+  return [...new Set(permissions)];
+};
+
+/**
+ * Create an admin account
+ * @param {object} data - { name, email, password, permissions, isSuperAdmin }
+ * @param {object} actor - Admin identity performing the change
+ * @returns {object} Created admin
+ */
+const createAdmin = async ({ name, email, password, permissions = [], isSuperAdmin = false }, actor) => {
+  if (!name || !email || !password) {
+    throw new AppError('Name, email and password are required', 400);
+  }
+
+  if (isBootstrapEmail(email)) {
+    throw new AppError('This email belongs to the bootstrap admin account', 400);
+  }
+
+  if (await Admin.exists({ email: email.toLowerCase() })) {
+    throw new AppError('An admin with this email already exists', 400);
+  }
+
+  const admin = await Admin.create({
+    name,
+    email,
+    password,
+    permissions: sanitizePermissions(permissions),
+    isSuperAdmin: Boolean(isSuperAdmin),
+    createdBy: actor.email
+  });
+
+  logger.info(`Admin ${admin.email} created by ${actor.email}`);
+
+  return Admin.findById(admin._id).lean();
+};
+
+/**
+ * Update an admin account (name, permissions, super-admin flag, active status, password)
+ * @param {string} adminId - Admin ID
+ * @param {object} updates - Fields to change
+ * @param {object} actor - Admin identity performing the change
+ * @returns {object} Updated admin
+ */
+const updateAdmin = async (adminId, updates, actor) => {
+  const admin = await Admin.findById(adminId);
+
+  if (!admin) {
+    throw new AppError('Admin not found', 404);
+  }
+
+  const isSelf = admin._id.toString() === actor._id;
+
+  if (isSelf && (updates.isActive === false || updates.isSuperAdmin === false)) {
+    throw new AppError('You cannot deactivate or demote your own account', 400);
+  }
+
+  if (updates.name !== undefined) {
+    admin.name = updates.name;
+  }
+  if (updates.permissions !== undefined) {
+    admin.permissions = sanitizePermissions(updates.permissions);
+  }
+  if (updates.isSuperAdmin !== undefined) {
+    admin.isSuperAdmin = Boolean(updates.isSuperAdmin);
+  }
+  if (updates.isActive !== undefined) {
+    admin.isActive = Boolean(updates.isActive);
+  }
+  if (updates.password) {
+    admin.password = updates.password;
+  }
+  admin.updatedBy = actor.email;
+
+  await admin.save();
+
+  // A deactivated account or a changed password signs the admin out everywhere
+  if (!admin.isActive) {
+    await sessionService.revokeAllSessions(admin._id, 'account_deactivated');
+  } else if (updates.password) {
+    await sessionService.revokeAllSessions(admin._id, 'admin_revoked');
+  }
+
+  logger.info(`Admin ${admin.email} updated by ${actor.email}`);
+
+  return Admin.findById(admin._id).lean();
+};
+
+/**
+ * Delete an admin account
+ * @param {string} adminId - Admin ID
+ * @param {object} actor - Admin identity performing the change
+ */
+const deleteAdmin = async (adminId, actor) => {
+  if (adminId === actor._id) {
+    throw new AppError('You cannot delete your own account', 400);
+  }
+
+  const admin = await Admin.findByIdAndDelete(adminId);
+
+  if (!admin) {
+    throw new AppError('Admin not found', 404);
+  }
+
+  await sessionService.revokeAllSessions(admin._id, 'account_deactivated');
+
+  logger.info(`Admin ${admin.email} deleted by ${actor.email}`);
+};
+
+module.exports = {
+  BOOTSTRAP_ADMIN_ID,
+  authenticateAdmin,
+  resolveAdmin,
+  getAdmins,
+  getAlertEmails,
+  createAdmin,
+  updateAdmin,
+  deleteAdmin
+};
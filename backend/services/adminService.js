@@ -48,7 +48,7 @@ const getDashboardAnalytics = async () => {
           }
         }
       ]),
-      RentalInquiry.countDocuments({ status: 'new' })
+      RentalInquiry.countDocuments({ status: { $in: ['new', 'negotiating'] } })
     ]);
 
     // Get recent bookings
@@ -372,8 +372,13 @@ const updateUserRole = async (userId, role) => {
     throw new Error('User not found');
   }
 
+  // Admins are separate accounts with their own permissions, not promoted users
+  if (role === 'admin') {
+    throw new Error('Admins are managed under admin accounts');
+  }
+
   // Validate role
-  const validRoles = ['customer', 'admin', 'staff'];
+  const validRoles = ['customer', 'staff'];
   if (!validRoles.includes(role)) {
     throw new Error('Invalid role');
   }
@@ -399,7 +404,7 @@ const deleteUser = async (userId) => {
   // Check if user has active bookings
   const activeBookings = await Booking.countDocuments({
     user: userId,
-    bookingStatus: { $in: ['confirmed', 'pending'] }
+    bookingStatus: { $in: ['confirmed', 'partially_cancelled', 'pending'] }
   });
 
   if (activeBookings > 0) {
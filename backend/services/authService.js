@@ -5,7 +5,7 @@
  */
 
 const User = require('../models/userModel');
-const { generateToken } = require('../utils/generateToken');
+const sessionService = require('./sessionService');
 const MESSAGES = require('../constants/messages');
 
 /**
@@ -43,9 +43,10 @@ const registerUser = async (userData) => {
  * Authenticate user login
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {object} User and token
+ * @param {object} clientInfo - Device the login comes from ({ userAgent, ipAddress })
+ * @returns {object} User, access token and refresh token
  */
-const loginUser = async (email, password) => {
+const loginUser = async (email, password, clientInfo = {}) => {
   // Find user and include password for comparison (case-insensitive)
   const user = await User.findOne({ email: { $regex: new RegExp(`^${email}$`, 'i') } }).select('+password');
   
@@ -64,15 +65,18 @@ const loginUser = async (email, password) => {
     throw new Error(MESSAGES.AUTH.INVALID_CREDENTIALS);
   }
 
-  // Generate token with email
-  const token = generateToken(user._id, user.role, user.email);
+  // Start a session for this device
+  const tokens = await sessionService.createSession(
+    { subject: user._id, role: user.role, email: user.email },
+    clientInfo
+  );
 
   // Return user without password
   const userResponse = await User.findById(user._id).select('-password');
 
   return {
     user: userResponse,
-    token
+    ...tokens
   };
 };
 
@@ -0,0 +1,341 @@
+// FILE: backend/services/boardingService.js
+/**
+ * Boarding service
+ * Issues signed ticket codes, records the conductor's boarding scans on each seat,
+ * builds the trip's boarding manifest and settles bookings when the trip arrives.
+ */
+
+const mongoose = require('mongoose');
+const Trip = require('../models/tripModel');
+const Booking = require('../models/bookingModel');
+const { isTripCrew } = require('./crewService');
+const { signTicketCode, verifyTicketCode, toQRDataURL } = require('../utils/ticketCode');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { ROLES } = require('../constants/roles');
+const { TRIP_STATUS, BOOKING_STATUS, BOARDING_STATUS } = require('../constants/enums');
+
+// Bookings whose passengers are expected on the bus
+const BOARDABLE_BOOKING_STATUSES = [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.PARTIALLY_CANCELLED];
+
+// Bookings shown on the manifest (settled ones stay visible after arrival)
+const MANIFEST_BOOKING_STATUSES = [...BOARDABLE_BOOKING_STATUSES, BOOKING_STATUS.COMPLETED, BOOKING_STATUS.NO_SHOW];
+
+// Trips that can no longer be boarded
+const CLOSED_TRIP_STATUSES = [TRIP_STATUS.ARRIVED, TRIP_STATUS.CANCELLED, TRIP_STATUS.EXPIRED];
+
+/**
+ * Load a trip and check the user may run its boarding
+ * Admins may board any trip; staff only the trips they work on.
+ * @param {string} tripId - Trip ID
+ * @param {object} user - req.user
+ * @returns {object} Trip
+ */
+const getOperableTrip = async (tripId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(tripId)) {
+    throw new AppError('Invalid trip ID', 400);
+  }
+
+  const trip = await Trip.findById(tripId);
+
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  if (user.role !== ROLES.ADMIN && !(await isTripCrew(user._id, trip))) {
+    throw new AppError('You are not on the crew of this trip', 403);
+  }
+
+  return trip.populate([
+    { path: 'bus', select: 'busNumber type totalSeats' },
+    { path: 'route', select: 'sourceCity destinationCity' }
+  ]);
+};
+
+/**
+ * Shape a seat for the manifest and scan responses
+ * @param {object} booking - Booking (user populated on the manifest)
+ * @param {object} seat - Booking seat
+ * @returns {object} Passenger entry
+ */
+const toPassenger = (booking, seat) => ({
+  bookingId: booking._id,
+  pnrNumber: booking.pnrNumber,
+  seatNumber: seat.seatNumber,
+  passengerName: seat.passengerName,
+  passengerAge: seat.passengerAge,
+  passengerGender: seat.passengerGender,
+  phone: booking.user?.phone,
+  boardingPoint: booking.boardingPoint?.terminal,
+  droppingPoint: booking.droppingPoint?.terminal,
+  boardingStatus: seat.boardingStatus,
+  boardingUpdatedAt: seat.boardingUpdatedAt,
+  boardingUpdatedBy: seat.boardingUpdatedBy
+});
+
+/**
+ * Count passengers by boarding status
+ * @param {array} passengers - Manifest entries
+ * @returns {object} { total, boarded, pending, noShow }
+ */
+const countPassengers = (passengers) => ({
+  total: passengers.length,
+  boarded: passengers.filter(p => p.boardingStatus === BOARDING_STATUS.BOARDED).length,
+  pending: passengers.filter(p => p.boardingStatus === BOARDING_STATUS.PENDING).length,
+  noShow: passengers.filter(p => p.boardingStatus === BOARDING_STATUS.NO_SHOW).length
+});
+
+/**
+ * Get signed ticket codes and QR images for the active seats of a booking
+ * @param {string} bookingId - Booking ID
+ * @param {object} user - req.user (passengers only see their own bookings)
+ * @returns {array} [{ seatNumber, passengerName, boardingStatus, code, qrCode }]
+ */
+const getTicketCodes = async (bookingId, user) => {
+  const filter = { _id: bookingId };
+  if (user.role !== ROLES.ADMIN) {
+    filter.user = user._id;
+  }
+
+  const booking = await Booking.findOne(filter);
+
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+
+  if (![...BOARDABLE_BOOKING_STATUSES, BOOKING_STATUS.COMPLETED].includes(booking.bookingStatus)) {
+    throw new AppError(`Tickets are not available for a booking that is ${booking.bookingStatus}`, 400);
+  }
+
+  return Promise.all(booking.activeSeats.map(async (seat) => {
+    const code = signTicketCode({ pnrNumber: booking.pnrNumber, seatNumber: seat.seatNumber, tripId: booking.trip });
+    return {
+      seatNumber: seat.seatNumber,
+      passengerName: seat.passengerName,
+      boardingStatus: seat.boardingStatus,
+      code,
+      qrCode: await toQRDataURL(code)
+    };
+  }));
+};
+
+/**
+ * Set a seat's boarding status
+ * @param {object} trip - Trip being boarded
+ * @param {object} booking - Booking document
+ * @param {string} seatNumber - Seat number
+ * @param {string} status - BOARDING_STATUS value
+ * @param {object} user - req.user
+ * @param {boolean} scanned - True for a ticket scan (a repeat scan is refused)
+ * @returns {object} Passenger entry
+ */
+const markSeat = async (trip, booking, seatNumber, status, user, scanned = false) => {
+  if (CLOSED_TRIP_STATUSES.includes(trip.status)) {
+    throw new AppError(`Boarding is closed - the trip is ${trip.status}`, 400);
+  }
+
+  if (!Object.values(BOARDING_STATUS).includes(status)) {
+    throw new AppError(`Boarding status must be one of: ${Object.values(BOARDING_STATUS).join(', ')}`, 400);
+  }
+
+  if (booking.bookingStatus === BOOKING_STATUS.RESCHEDULED) {
+    throw new AppError('This ticket was rescheduled to another trip', 409);
+  }
+
+  if (!BOARDABLE_BOOKING_STATUSES.includes(booking.bookingStatus)) {
+    throw new AppError(`Booking ${booking.pnrNumber} is ${booking.bookingStatus}`, 409);
+  }
+
+  const seat = booking.seats.find(entry => entry.seatNumber === seatNumber);
+
+  if (!seat) {
+    throw new AppError(`Seat ${seatNumber} is not on booking ${booking.pnrNumber}`, 404);
+  }
+
+  if (seat.status === 'cancelled') {
+    throw new AppError(`Seat ${seatNumber} was cancelled`, 409);
+  }
+
+  const alreadyBoarded = (entry) => new AppError(
+    `${entry.passengerName} (seat ${seatNumber}) already boarded at ${entry.boardingUpdatedAt.toLocaleTimeString('en-IN')}`,
+    409
+  );
+
+  if (scanned && seat.boardingStatus === BOARDING_STATUS.BOARDED) {
+    throw alreadyBoarded(seat);
+  }
+
+  // Conditional update, so two devices scanning the same ticket cannot both board it
+  const updated = await Booking.findOneAndUpdate(
+    {
+      _id: booking._id,
+      bookingStatus: { $in: BOARDABLE_BOOKING_STATUSES },
+      seats: {
+        $elemMatch: {
+          seatNumber,
+          status: { $ne: 'cancelled' },
+          ...(scanned && { boardingStatus: { $ne: BOARDING_STATUS.BOARDED } })
+        }
+      }
+    },
+    {
+      $set: {
+        'seats.$.boardingStatus': status,
+        'seats.$.boardingUpdatedAt': new Date(),
+        'seats.$.boardingUpdatedBy': user.email
+      }
+    },
+    { new: true }
+  );
+
+  if (!updated) {
+    const current = await Booking.findById(booking._id);
+    const currentSeat = current?.seats.find(entry => entry.seatNumber === seatNumber);
+    if (scanned && currentSeat?.boardingStatus === BOARDING_STATUS.BOARDED) {
+      throw alreadyBoarded(currentSeat);
+    }
+    throw new AppError(`Booking ${booking.pnrNumber} changed while seat ${seatNumber} was being updated - please try again`, 409);
+  }
+
+  return toPassenger(booking, updated.seats.find(entry => entry.seatNumber === seatNumber));
+};
+
+/**
+ * Board a passenger from a scanned ticket code
+ * @param {string} tripId - Trip being boarded
+ * @param {string} code - Scanned ticket code
+ * @param {object} user - req.user
+ * @param {string} status - BOARDING_STATUS value (default boarded)
+ * @returns {object} Passenger entry
+ */
+const scanTicket = async (tripId, code, user, status = BOARDING_STATUS.BOARDED) => {
+  const trip = await getOperableTrip(tripId, user);
+  const ticket = verifyTicketCode(code);
+
+  if (!ticket) {
+    throw new AppError('Invalid ticket - the QR code was not issued by easyLuxury Go', 400);
+  }
+
+  if (ticket.tripId !== trip._id.toString()) {
+    throw new AppError(`Ticket ${ticket.pnrNumber} is for another trip`, 409);
+  }
+
+  const booking = await Booking.findOne({ pnrNumber: ticket.pnrNumber, trip: trip._id });
+
+  if (!booking) {
+    throw new AppError(`Booking ${ticket.pnrNumber} not found on this trip`, 404);
+  }
+
+  return markSeat(trip, booking, ticket.seatNumber, status, user, true);
+};
+
+/**
+ * Set a passenger's boarding status by hand (no ticket to scan, no-shows, corrections)
+ * @param {string} tripId - Trip ID
+ * @param {object} seatRef - { bookingId, seatNumber, status }
+ * @param {object} user - req.user
+ * @returns {object} Passenger entry
+ */
+const updateBoardingStatus = async (tripId, { bookingId, seatNumber, status }, user) => {
+  const trip = await getOperableTrip(tripId, user);
+  const booking = mongoose.Types.ObjectId.isValid(bookingId)
+    ? await Booking.findOne({ _id: bookingId, trip: trip._id })
+    : null;
+
+  if (!booking) {
+    throw new AppError('Booking not found on this trip', 404);
+  }
+
+  return markSeat(trip, booking, seatNumber, status, user);
+};
+
+/**
+ * Get the boarding manifest of a trip
+ * @param {string} tripId - Trip ID
+ * @param {object} user - req.user
+ * @returns {object} { trip, passengers, counts }
+ */
+const getManifest = async (tripId, user) => {
+  const trip = await getOperableTrip(tripId, user);
+
+  const bookings = await Booking.find({
+    trip: trip._id,
+    bookingStatus: { $in: MANIFEST_BOOKING_STATUSES }
+  })
+    .populate('user', 'phone')
+    .lean();
+
+  const passengers = bookings
+    .flatMap(booking => booking.seats
+      .filter(seat => seat.status !== 'cancelled')
+      .map(seat => toPassenger(booking, seat)))
+    .sort((a, b) => a.seatNumber.localeCompare(b.seatNumber, undefined, { numeric: true }));
+
+  return {
+    trip: {
+      _id: trip._id,
+      status: trip.status,
+      departureDateTime: trip.departureDateTime,
+      arrivalDateTime: trip.arrivalDateTime,
+      route: trip.route,
+      bus: trip.bus
+    },
+    passengers,
+    counts: countPassengers(passengers)
+  };
+};
+
+/**
+ * Settle a trip's bookings once it arrives
+ * Passengers still pending become no-shows; a booking completes if anyone on it boarded
+ * and is a no-show otherwise. Trips where nobody was scanned at all are completed without
+ * no-show marks, as boarding was evidently not recorded.
+ * @param {string} tripId - Trip ID
+ * @returns {object} { completed, noShow }
+ */
+const settleTripBookings = async (tripId) => {
+  const bookings = await Booking.find({
+    trip: tripId,
+    bookingStatus: { $in: BOARDABLE_BOOKING_STATUSES }
+  });
+
+  const boardingRecorded = bookings.some(booking => booking.seats.some(seat => seat.boardingStatus !== BOARDING_STATUS.PENDING));
+  const now = new Date();
+  const result = { completed: 0, noShow: 0 };
+
+  if (!boardingRecorded && bookings.length > 0) {
+    logger.warn(`No boarding recorded for trip ${tripId}; completing ${bookings.length} booking(s) without no-show marks`);
+  }
+
+  for (const booking of bookings) {
+    if (boardingRecorded) {
+      booking.activeSeats
+        .filter(seat => seat.boardingStatus === BOARDING_STATUS.PENDING)
+        .forEach(seat => {
+          seat.boardingStatus = BOARDING_STATUS.NO_SHOW;
+          seat.boardingUpdatedAt = now;
+          seat.boardingUpdatedBy = 'system';
+        });
+    }
+
+    const anyoneBoarded = !boardingRecorded || booking.activeSeats.some(seat => seat.boardingStatus === BOARDING_STATUS.BOARDED);
+    booking.bookingStatus = anyoneBoarded ? BOOKING_STATUS.COMPLETED : BOOKING_STATUS.NO_SHOW;
+    await booking.save();
+
+    result[anyoneBoarded ? 'completed' : 'noShow'] += 1;
+  }
+
+  if (bookings.length > 0) {
+    logger.info(`Trip ${tripId} arrived: ${result.completed} booking(s) completed, ${result.noShow} no-show`);
+  }
+
+  return result;
+};
+
+module.exports = {
+  getTicketCodes,
+  scanTicket,
+  updateBoardingStatus,
+  getManifest,
+  settleTripBookings
+};
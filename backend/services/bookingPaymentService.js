@@ -0,0 +1,441 @@
+// FILE: backend/services/bookingPaymentService.js
+/**
+ * Booking payment service tying gateway orders and webhooks to bookings
+ * Confirms paid bookings, records failures and expires bookings left unpaid
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/bookingModel');
+const Trip = require('../models/tripModel');
+const Transaction = require('../models/transactionModel');
+const SeatReservation = require('../models/seatReservationModel');
+const PaymentEvent = require('../models/paymentEventModel');
+const paymentService = require('./paymentService');
+const promoCodeService = require('./promoCodeService');
+const { BOOKING_STATUS, PAYMENT_STATUS } = require('../constants/enums');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// How often unpaid bookings are checked for expiry
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Load a booking the user can still pay for
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @returns {object} Booking document
+ */
+const getPayableBooking = async (bookingId, userId) => {
+  const booking = await Booking.findById(bookingId);
+
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+
+  if (booking.user.toString() !== userId.toString()) {
+    throw new AppError('Unauthorized access to this booking', 403);
+  }
+
+  if (booking.paymentStatus === PAYMENT_STATUS.SUCCESS) {
+    throw new AppError('Booking is already paid', 400);
+  }
+
+  if (booking.bookingStatus !== BOOKING_STATUS.PENDING) {
+    throw new AppError(`Cannot pay for a ${booking.bookingStatus} booking`, 400);
+  }
+
+  if (booking.paymentExpiresAt && booking.paymentExpiresAt <= new Date()) {
+    throw new AppError('Payment window has expired. Please book again.', 400);
+  }
+
+  return booking;
+};
+
+/**
+ * Create a gateway order for a pending booking
+ * The amount always comes from the booking, never from the client.
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @returns {object} Order details for the checkout widget
+ */
+const createOrderForBooking = async (bookingId, userId) => {
+  const booking = await getPayableBooking(bookingId, userId);
+
+  let order;
+  try {
+    order = await paymentService.createOrder(
+      booking.totalAmount,
+      'INR',
+      `booking_${booking._id}`,
+      {
+        bookingId: booking._id.toString(),
+        userId: userId.toString()
+      }
+    );
+  } catch (error) {
+    throw new AppError(error.message, 502);
+  }
+
+  booking.razorpayOrderId = order.id;
+  booking.razorpayOrderIds.addToSet(order.id);
+  await booking.save();
+
+  return {
+    orderId: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    keyId: paymentService.getKeyId(),
+    bookingId: booking._id,
+    expiresAt: booking.paymentExpiresAt,
+    fakeGateway: paymentService.isFakeGateway()
+  };
+};
+
+/**
+ * Release the seats and promo of a booking that will not be travelling
+ * @param {object} booking - Booking document
+ * @param {object} session - Mongoose session
+ */
+const releaseBookingSeats = async (booking, session) => {
+  await Trip.releaseBookingSeats(booking.trip, booking._id, null, session);
+  await SeatReservation.releaseBooking(booking._id, session);
+  await promoCodeService.revertPromoRedemption(booking._id, session);
+};
+
+/**
+ * Refund a payment that was captured after its booking had already expired
+ * @param {object} booking - Cancelled booking
+ * @param {string} paymentId - Captured gateway payment ID
+ * @param {number} amount - Amount captured in rupees
+ */
+const refundLatePayment = async (booking, paymentId, amount) => {
+  const refund = await paymentService.initiateRefund(paymentId, amount, {
+    bookingId: booking._id.toString(),
+    reason: 'Payment received after booking expired'
+  });
+
+  await Transaction.createRefund(
+    booking.user,
+    amount,
+    booking._id,
+    refund.id,
+    null,
+    booking.paymentMethod
+  );
+
+  booking.razorpayPaymentId = paymentId;
+  booking.paymentStatus = PAYMENT_STATUS.REFUNDED;
+  booking.cancellation.refundAmount = amount;
+  await booking.save();
+
+  logger.warn(`Payment ${paymentId} arrived after booking ${booking._id} expired - refunded ₹${amount}`);
+};
+
+/**
+ * Mark a booking paid once the gateway reports the payment captured
+ * Safe to call more than once (checkout callback and webhook both land here).
+ * A capture that arrives after the booking expired is refunded and the cancelled booking returned.
+ * @param {string} orderId - Gateway order ID (any order created for the booking)
+ * @param {string} paymentId - Gateway payment ID
+ * @param {number} amountPaise - Amount captured in paise (checked when known)
+ * @returns {object} Booking
+ */
+const confirmPayment = async (orderId, paymentId, amountPaise = null) => {
+  const booking = await Booking.findByOrderId(orderId);
+
+  if (!booking) {
+    throw new AppError(`No booking found for order ${orderId}`, 404);
+  }
+
+  if (booking.paymentStatus === PAYMENT_STATUS.SUCCESS || booking.razorpayPaymentId === paymentId) {
+    return booking;
+  }
+
+  if (amountPaise !== null && amountPaise !== booking.totalAmount * 100) {
+    throw new AppError(`Captured amount does not match booking ${booking._id}`, 400);
+  }
+
+  if (booking.bookingStatus === BOOKING_STATUS.CANCELLED) {
+    await refundLatePayment(booking, paymentId, booking.totalAmount);
+    return booking;
+  }
+
+  const session = await mongoose.startSession();
+  let confirmed = null;
+
+  try {
+    await session.withTransaction(async () => {
+      // Only a booking that is still pending can be confirmed - the expiry job may have released its seats since the read
+      confirmed = await Booking.findOneAndUpdate(
+        {
+          _id: booking._id,
+          bookingStatus: BOOKING_STATUS.PENDING,
+          paymentStatus: { $in: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED] }
+        },
+        {
+          $set: {
+            paymentStatus: PAYMENT_STATUS.SUCCESS,
+            bookingStatus: BOOKING_STATUS.CONFIRMED,
+            razorpayPaymentId: paymentId,
+            paidAt: new Date()
+          },
+          $unset: { paymentExpiresAt: 1 }
+        },
+        { new: true, session }
+      );
+
+      if (!confirmed) {
+        return;
+      }
+
+      await Transaction.createBookingPayment(
+        confirmed.user,
+        confirmed.totalAmount,
+        confirmed._id,
+        confirmed.paymentMethod,
+        paymentId,
+        session
+      );
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (confirmed) {
+    return confirmed;
+  }
+
+  // Another capture confirmed the booking first, or it expired while this one was in flight
+  const current = await Booking.findById(booking._id);
+
+  if (current.paymentStatus === PAYMENT_STATUS.SUCCESS) {
+    return current;
+  }
+
+  if (current.bookingStatus === BOOKING_STATUS.CANCELLED) {
+    await refundLatePayment(current, paymentId, current.totalAmount);
+    return current;
+  }
+
+  throw new AppError(`Cannot confirm payment for a ${current.bookingStatus} booking`, 409);
+};
+
+/**
+ * Record a failed payment attempt - the booking stays payable until it expires
+ * @param {string} orderId - Gateway order ID
+ * @returns {object|null} Booking, or null if the order is unknown
+ */
+const markPaymentFailed = async (orderId) => {
+  const booking = await Booking.findByOrderId(orderId);
+
+  if (!booking || booking.paymentStatus !== PAYMENT_STATUS.PENDING) {
+    return booking;
+  }
+
+  booking.paymentStatus = PAYMENT_STATUS.FAILED;
+  await booking.save();
+
+  return booking;
+};
+
+/**
+ * Record that the gateway has settled a refund
+ * @param {object} refund - Razorpay refund entity
+ * @returns {object|null} Refund transaction, or null if it is not one of ours
+ */
+const markRefundProcessed = async (refund) => {
+  const transaction = await Transaction.findOneAndUpdate(
+    { referenceId: refund.id },
+    {
+      status: PAYMENT_STATUS.SUCCESS,
+      gatewayResponse: refund
+    },
+    { new: true }
+  );
+
+  if (!transaction) {
+    logger.warn(`refund.processed for unknown refund ${refund.id}`);
+  }
+
+  return transaction;
+};
+
+/**
+ * Claim a webhook event so it is processed only once
+ * Failed events can be claimed again when Razorpay redelivers them.
+ * @param {string} eventId - X-Razorpay-Event-Id header
+ * @param {string} event - Event type
+ * @returns {object|null} Event record, or null if already handled
+ */
+const claimEvent = async (eventId, event) => {
+  try {
+    return await PaymentEvent.create({ eventId, event });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return PaymentEvent.findOneAndUpdate(
+      { eventId, status: 'failed' },
+      { status: 'processing', error: null },
+      { new: true }
+    );
+  }
+};
+
+/**
+ * Process a verified Razorpay webhook
+ * @param {string} eventId - X-Razorpay-Event-Id header
+ * @param {object} body - Parsed webhook body
+ * @returns {object} Outcome ({ duplicate } or the event status)
+ */
+const processWebhookEvent = async (eventId, body) => {
+  const record = await claimEvent(eventId, body.event);
+
+  if (!record) {
+    return { duplicate: true };
+  }
+
+  const payment = body.payload?.payment?.entity;
+  const refund = body.payload?.refund?.entity;
+
+  try {
+    let booking = null;
+    let status = 'processed';
+
+    switch (body.event) {
+      case 'payment.captured':
+        booking = await confirmPayment(payment.order_id, payment.id, payment.amount);
+        break;
+      case 'payment.failed':
+        booking = await markPaymentFailed(payment.order_id);
+        break;
+      case 'refund.processed':
+        await markRefundProcessed(refund);
+        break;
+      default:
+        status = 'ignored';
+    }
+
+    record.status = status;
+    record.booking = booking?._id;
+    record.payload = payment || refund;
+    await record.save();
+
+    return { duplicate: false, status };
+  } catch (error) {
+    record.status = 'failed';
+    record.error = error.message;
+    record.payload = payment || refund;
+    await record.save();
+    throw error;
+  }
+};
+
+/**
+ * Pay or fail a booking's order on the fake gateway
+ * Delivers the signed webhook through the normal webhook path, then returns the checkout response.
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @param {string} outcome - 'captured' or 'failed'
+ * @returns {object} Checkout response to pass to verify (null when failed)
+ */
+const simulateFakePayment = async (bookingId, userId, outcome = 'captured') => {
+  const booking = await getPayableBooking(bookingId, userId);
+
+  if (!booking.razorpayOrderId) {
+    throw new AppError('Create a payment order first', 400);
+  }
+
+  const { checkout, webhook } = paymentService.simulatePayment(
+    { orderId: booking.razorpayOrderId, amount: booking.totalAmount },
+    outcome
+  );
+
+  if (!paymentService.verifyWebhookSignature(webhook.body, webhook.signature)) {
+    throw new AppError('Fake webhook signature mismatch', 500);
+  }
+  await processWebhookEvent(webhook.eventId, JSON.parse(webhook.body));
+
+  return checkout;
+};
+
+/**
+ * Cancel gateway bookings whose payment window has passed and release their seats
+ * @returns {Promise<number>} Number of bookings expired
+ */
+const expireUnpaidBookings = async () => {
+  const bookings = await Booking.find({
+    bookingStatus: BOOKING_STATUS.PENDING,
+    paymentStatus: { $in: [PAYMENT_STATUS.PENDING, PAYMENT_STATUS.FAILED] },
+    paymentExpiresAt: { $lte: new Date() }
+  }).select('_id');
+
+  let expired = 0;
+
+  for (const { _id } of bookings) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Re-check inside the transaction - a capture may have landed since the query
+        const booking = await Booking.findOne({
+          _id,
+          bookingStatus: BOOKING_STATUS.PENDING,
+          paymentStatus: { $ne: PAYMENT_STATUS.SUCCESS }
+        }).session(session);
+
+        if (!booking) {
+          return;
+        }
+
+        await releaseBookingSeats(booking, session);
+        await booking.expireUnpaid('Payment not completed in time');
+        expired += 1;
+      });
+    } catch (error) {
+      logger.error(`Failed to expire unpaid booking ${_id}: ${error.message}`);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  if (expired > 0) {
+    logger.info(`Expired ${expired} unpaid bookings`);
+  }
+
+  return expired;
+};
+
+/**
+ * Scheduler that expires unpaid bookings every minute
+ */
+let schedulerInterval = null;
+
+const startPaymentExpiryScheduler = () => {
+  const run = () => expireUnpaidBookings().catch(error =>
+    logger.error(`Unpaid booking expiry failed: ${error.message}`)
+  );
+
+  run();
+  schedulerInterval = setInterval(run, EXPIRY_CHECK_INTERVAL_MS);
+
+  logger.info('Unpaid booking expiry scheduler started');
+};
+
+const stopPaymentExpiryScheduler = () => {
+  if (schedulerInterval) {
+    clearInterval(schedulerInterval);
+    schedulerInterval = null;
+    logger.info('Unpaid booking expiry scheduler stopped');
+  }
+};
+
+module.exports = {
+  createOrderForBooking,
+  confirmPayment,
+  markPaymentFailed,
+  processWebhookEvent,
+  simulateFakePayment,
+  expireUnpaidBookings,
+  startPaymentExpiryScheduler,
+  stopPaymentExpiryScheduler
+};
@@ -4,15 +4,30 @@
  * Business logic for booking operations
  */
 
+const mongoose = require('mongoose');
 const Booking = require('../models/bookingModel');
 const Trip = require('../models/tripModel');
 const User = require('../models/userModel');
-const { BOOKING_STATUS, PAYMENT_STATUS, PAYMENT_METHODS } = require('../constants/enums');
+const Transaction = require('../models/transactionModel');
+const SeatReservation = require('../models/seatReservationModel');
+const seatHoldService = require('./seatHoldService');
+const promoCodeService = require('./promoCodeService');
+const fareService = require('./fareService');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const { resolveBookingPoints, getSegmentLegs, getTripStopTimes } = require('./routeStopService');
+const { BOOKING_STATUS, BOARDING_STATUS, PAYMENT_STATUS, PAYMENT_METHODS } = require('../constants/enums');
 const MESSAGES = require('../constants/messages');
 const AppError = require('../utils/AppError');
 
+// How long a gateway booking keeps its seats while waiting for payment (default 15 minutes)
+const PAYMENT_WINDOW_MS = (parseInt(process.env.PAYMENT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
 /**
  * Create a new booking
+ * Runs seat reservation, promo redemption, wallet debit and booking creation in one transaction.
+ * Every seat must be held by the user (see seatHoldService) before it can be booked.
+ * Dynamic pricing moves with occupancy and time, so a booking sent with the quoted base amount
+ * is refused (409, with the new quote attached) if the seats no longer cost that.
  * @param {object} bookingData - Booking data
  * @param {string} userId - User ID making the booking
  * @returns {object} Created booking
@@ -23,7 +38,10 @@ const createBooking = async (bookingData, userId) => {
     seats,
     passengerInfo,
     paymentMethod,
-    promoCode
+    promoCode,
+    boardingStopId,
+    droppingStopId,
+    quotedBaseAmount
   } = bookingData;
 
   // Validate trip exists and is active
@@ -44,109 +62,159 @@ const createBooking = async (bookingData, userId) => {
     throw new AppError('Cannot book a trip that has already departed', 400);
   }
 
-  // Validate seats availability
+  // Seats are booked only for the legs between the boarding and dropping stops
+  const { boardingPoint, droppingPoint, segment } = resolveBookingPoints(trip, boardingStopId, droppingStopId);
+  const legs = getSegmentLegs(segment);
+
+  // Fast-fail on seats already booked (the reservation index is the real guarantee)
   const unavailableSeats = seats.filter(seat => 
-    !trip.isSeatAvailable(seat)
+    !trip.isSeatAvailable(seat, segment)
   );
 
   if (unavailableSeats.length > 0) {
     throw new AppError(`Seats ${unavailableSeats.join(', ')} are not available`, 400);
   }
 
-  // Validate user exists
-  const user = await User.findById(userId);
-  if (!user) {
-    throw new AppError(MESSAGES.USER.USER_NOT_FOUND, 404);
-  }
-
-  // Calculate total amount
-  const seatCount = seats.length;
-  const baseAmount = trip.baseFare * seatCount;
-  let discountAmount = 0;
-
-  // Apply promo code discount if provided
-  if (promoCode) {
-    // Mock promo code validation - in real app, validate against promo code model
-    discountAmount = Math.min(baseAmount * 0.1, 200); // 10% discount, max ₹200
-  }
-
-  // Calculate GST (18%) and convenience fee
-  const gstAmount = Math.round(baseAmount * 0.18); // 18% GST
-  const convenienceFee = 30; // Fixed convenience fee
-
-  // Total = Base - Discount + GST + Convenience Fee
-  const totalAmount = baseAmount - discountAmount + gstAmount + convenienceFee;
-
-  // Check wallet balance if payment method is wallet
-  if (paymentMethod === PAYMENT_METHODS.WALLET) {
-    if (!user.hasSufficientBalance(totalAmount)) {
-      throw new AppError(
-        `Insufficient wallet balance. Available: ₹${user.walletBalance}, Required: ₹${totalAmount}`,
-        400
-      );
-    }
+  // Price each seat by its type and the share of the route travelled (same calculation as the fare quote)
+  const fare = fareService.calculateFare(trip, seats, 0, segment);
+  const { baseAmount, gstAmount, convenienceFee } = fare;
+
+  // Never charge a different price from the one the user agreed to
+  if (quotedBaseAmount !== undefined && quotedBaseAmount !== baseAmount) {
+    const error = new AppError(
+      `The fare has changed since your quote - these seats now cost ₹${fare.totalAmount} before any promo. Please review the new price and confirm again.`,
+      409
+    );
+    error.quote = fare;
+    throw error;
   }
 
-  // Create booking - map passenger info correctly from array
-  const booking = new Booking({
-    user: userId,
-    trip: tripId,
-    seats: passengerInfo.map(passenger => ({
-      seatNumber: passenger.seatNumber,
-      passengerName: passenger.name,
-      passengerAge: parseInt(passenger.age),
-      passengerGender: passenger.gender
-    })),
-    totalAmount,
-    paymentMethod,
-    promoCode: promoCode ? {
-      code: promoCode,
-      discountAmount
-    } : undefined,
-    boardingPoint: {
-      terminal: trip.route.sourceCity,
-      address: trip.route.sourceCity,
-      time: trip.departureDateTime.toTimeString().split(' ')[0]
-    },
-    droppingPoint: {
-      terminal: trip.route.destinationCity,
-      address: trip.route.destinationCity,
-      time: trip.arrivalDateTime.toTimeString().split(' ')[0]
-    }
-  });
+  // Seat reservation, wallet debit, transaction record and booking all commit or roll back together
+  const session = await mongoose.startSession();
+  let booking;
 
-  // Process payment based on method
-  if (paymentMethod === PAYMENT_METHODS.WALLET) {
-    await user.deductFromWallet(totalAmount);
-    booking.paymentStatus = PAYMENT_STATUS.SUCCESS;
-    booking.bookingStatus = BOOKING_STATUS.CONFIRMED;
-  } else {
-    // For other payment methods, mark as pending
-    // In real app, integrate with payment gateway
-    booking.paymentStatus = PAYMENT_STATUS.PENDING;
-    booking.bookingStatus = BOOKING_STATUS.PENDING;
-  }
-
-  // Save booking
   try {
-    await booking.save();
+    await session.withTransaction(async () => {
+      // Validate user exists (re-read inside the transaction so the wallet balance is current)
+      const user = await User.findById(userId).session(session);
+      if (!user) {
+        throw new AppError(MESSAGES.USER.USER_NOT_FOUND, 404);
+      }
+
+      const bookingId = new mongoose.Types.ObjectId();
+
+      // Redeem promo code through the PromoCode model (validates route and user restrictions)
+      let appliedPromo = null;
+      if (promoCode) {
+        appliedPromo = await promoCodeService.redeemPromoCode(
+          promoCode,
+          baseAmount,
+          user,
+          trip.route._id,
+          bookingId,
+          session
+        );
+      }
+      const discountAmount = appliedPromo ? appliedPromo.discountAmount : 0;
+
+      // Total = Base - Discount + GST + Convenience Fee
+      const totalAmount = baseAmount - discountAmount + gstAmount + convenienceFee;
+
+      // Check wallet balance if payment method is wallet
+      if (paymentMethod === PAYMENT_METHODS.WALLET && !user.hasSufficientBalance(totalAmount)) {
+        throw new AppError(
+          `Insufficient wallet balance. Available: ₹${user.walletBalance}, Required: ₹${totalAmount}`,
+          400
+        );
+      }
+
+      // Create booking - map passenger info correctly from array
+      booking = new Booking({
+        _id: bookingId,
+        user: userId,
+        trip: tripId,
+        seats: passengerInfo.map(passenger => {
+          const pricedSeat = fare.seats.find(seat => seat.seatNumber === passenger.seatNumber);
+          return {
+            seatNumber: passenger.seatNumber,
+            passengerName: passenger.name,
+            passengerAge: parseInt(passenger.age),
+            passengerGender: passenger.gender,
+            seatType: pricedSeat?.seatType,
+            fare: pricedSeat?.fare
+          };
+        }),
+        totalAmount,
+        fareBreakdown: {
+          baseAmount,
+          discountAmount,
+          gstAmount,
+          convenienceFee,
+          dynamicMultiplier: fare.dynamicMultiplier
+        },
+        paymentMethod,
+        promoCode: appliedPromo ? {
+          code: appliedPromo.promoCode,
+          discountAmount
+        } : undefined,
+        boardingPoint,
+        droppingPoint,
+        segment
+      });
+
+      // Only seats the caller currently holds can be booked
+      await seatHoldService.assertSeatsHeld(tripId, seats, userId, session, segment);
+
+      // Reserve seats first - a concurrent booking for the same seat fails here
+      await SeatReservation.reserveSeats(tripId, seats, booking._id, userId, session, legs);
+
+      // Process payment based on method
+      if (paymentMethod === PAYMENT_METHODS.WALLET) {
+        await user.deductFromWallet(totalAmount);
+        await Transaction.createBookingPayment(
+          userId,
+          totalAmount,
+          booking._id,
+          paymentMethod,
+          null,
+          session
+        );
+        booking.paymentStatus = PAYMENT_STATUS.SUCCESS;
+        booking.bookingStatus = BOOKING_STATUS.CONFIRMED;
+      } else {
+        // Gateway payments confirm through bookingPaymentService; unpaid bookings expire and free their seats
+        booking.paymentStatus = PAYMENT_STATUS.PENDING;
+        booking.bookingStatus = BOOKING_STATUS.PENDING;
+        booking.paymentExpiresAt = new Date(Date.now() + PAYMENT_WINDOW_MS);
+      }
+
+      await booking.save({ session });
+      await seatHoldService.consumeHolds(tripId, seats, userId, session);
+
+      // Book seats in trip
+      const tripInSession = await Trip.findById(tripId).session(session);
+      if (tripInSession.stopTimes.length === 0) {
+        // Pin the stop list the segment indexes refer to on trips created before stops existed
+        tripInSession.stopTimes = getTripStopTimes(trip);
+      }
+      await tripInSession.bookSeats(seats, passengerInfo, booking._id, fare.seats, segment);
+    });
   } catch (error) {
-    console.error('❌ Error saving booking:', error.message);
+    if (isSeatConflict(error)) {
+      const taken = await SeatReservation.find({ trip: tripId, seatNumber: { $in: seats }, leg: { $in: legs } })
+        .distinct('seatNumber');
+      const conflicting = taken.length > 0 ? taken : seats;
+      throw new AppError(`Seats ${conflicting.join(', ')} are not available`, 409);
+    }
+    if (error instanceof AppError) {
+      throw error;
+    }
     throw new AppError(`Failed to create booking: ${error.message}`, 400);
-  }
-
-  // Book seats in trip
-  try {
-    await trip.bookSeats(seats, passengerInfo, booking._id);
-  } catch (error) {
-    console.error('❌ Error booking seats in trip:', error.message);
-    // Rollback: delete the booking if seat booking fails
-    await Booking.findByIdAndDelete(booking._id);
-    throw new AppError(`Failed to book seats: ${error.message}`, 400);
+  } finally {
+    await session.endSession();
   }
 
   // Populate references for response
-  await booking.populate('trip');
   await booking.populate({
     path: 'trip',
     populate: [
@@ -158,6 +226,53 @@ const createBooking = async (bookingData, userId) => {
   return booking;
 };
 
+/**
+ * Get a fare quote for seats on a trip before payment
+ * @param {string} tripId - Trip ID
+ * @param {array} seats - Seat numbers
+ * @param {object} user - User requesting the quote
+ * @param {string} promoCode - Optional promo code to preview
+ * @param {object} stops - { boardingStopId, droppingStopId } (defaults to the whole trip)
+ * @returns {object} Per-seat fares and totals
+ */
+const getFareQuote = async (tripId, seats, user, promoCode = null, stops = {}) => {
+  const trip = await Trip.findById(tripId)
+    .populate('bus')
+    .populate('route');
+
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  const { segment } = resolveBookingPoints(trip, stops.boardingStopId, stops.droppingStopId);
+  const fare = fareService.calculateFare(trip, seats, 0, segment);
+
+  if (!promoCode) {
+    return fare;
+  }
+
+  const promo = await promoCodeService.previewPromoCode(
+    promoCode,
+    fare.baseAmount,
+    user,
+    trip.route._id
+  );
+
+  return {
+    ...fareService.calculateFare(trip, seats, promo.discountAmount, segment),
+    promoCode: promo.promoCode
+  };
+};
+
+/**
+ * Check whether an error is a duplicate key on the seat reservation index
+ * @param {Error} error - Error thrown inside the booking transaction
+ * @returns {boolean} True if another booking already holds one of the seats
+ */
+const isSeatConflict = (error) => {
+  return error.code === 11000 && /trip_1_seatNumber_1/.test(error.message);
+};
+
 /**
  * Get user's bookings
  * @param {string} userId - User ID
@@ -181,17 +296,19 @@ const getUserBookings = async (userId, page = 1, limit = 10) => {
 };
 
 /**
- * Cancel a booking
+ * Load a user's booking and check it can still be cancelled
  * @param {string} bookingId - Booking ID
  * @param {string} userId - User ID
- * @param {string} reason - Cancellation reason
- * @returns {object} Cancelled booking
+ * @returns {object} Booking with trip and bus populated
  */
-const cancelBooking = async (bookingId, userId, reason) => {
+const getCancellableBooking = async (bookingId, userId) => {
   const booking = await Booking.findOne({
     _id: bookingId,
     user: userId
-  }).populate('trip');
+  }).populate({
+    path: 'trip',
+    populate: { path: 'bus', select: 'operator' }
+  });
 
   if (!booking) {
     throw new AppError('Booking not found', 404);
@@ -201,32 +318,124 @@ const cancelBooking = async (bookingId, userId, reason) => {
     throw new AppError('Booking is already cancelled', 400);
   }
 
+  // The fare of a rescheduled booking moved to the new booking, which is cancelled instead
+  if (booking.bookingStatus === BOOKING_STATUS.RESCHEDULED || booking.rescheduledTo) {
+    throw new AppError('This booking was rescheduled - cancel the new booking instead', 400);
+  }
+
   if (booking.bookingStatus === BOOKING_STATUS.COMPLETED) {
     throw new AppError('Cannot cancel a completed trip', 400);
   }
 
-  // Calculate hours before departure
-  const departureTime = new Date(booking.trip.departureDateTime);
-  const now = new Date();
-  const hoursBeforeDeparture = (departureTime - now) / (1000 * 60 * 60);
+  if (booking.bookingStatus === BOOKING_STATUS.NO_SHOW) {
+    throw new AppError('Cannot cancel a trip that was missed', 400);
+  }
 
-  if (hoursBeforeDeparture < 0) {
+  if (new Date(booking.trip.departureDateTime) <= new Date()) {
     throw new AppError('Cannot cancel a trip that has already departed', 400);
   }
 
-  // Cancel booking and process refund
-  await booking.cancelBooking(reason, hoursBeforeDeparture);
+  return booking;
+};
 
-  // Release seats in trip
-  await Trip.findByIdAndUpdate(
-    booking.trip._id,
-    { $pull: { bookedSeats: { bookingId: booking._id } } }
-  );
+/**
+ * Pick the seats to cancel and check they are still active on the booking
+ * @param {object} booking - Booking document
+ * @param {array} seatNumbers - Requested seats (all active seats if omitted)
+ * @returns {array} Seat numbers to cancel
+ */
+const resolveSeatsToCancel = (booking, seatNumbers = null) => {
+  const activeSeatNumbers = booking.activeSeats.map(seat => seat.seatNumber);
+  const seatsToCancel = seatNumbers || activeSeatNumbers;
+
+  const invalidSeats = seatsToCancel.filter(seat => !activeSeatNumbers.includes(seat));
+  if (invalidSeats.length > 0) {
+    throw new AppError(`Seats ${invalidSeats.join(', ')} are not active on this booking`, 400);
+  }
 
-  // Refund to wallet if payment was successful
-  if (booking.paymentStatus === PAYMENT_STATUS.SUCCESS && booking.cancellation.refundAmount > 0) {
-    const user = await User.findById(userId);
-    await user.addToWallet(booking.cancellation.refundAmount);
+  // Passengers already on the bus cannot be refunded
+  const boardedSeats = booking.activeSeats
+    .filter(seat => seatsToCancel.includes(seat.seatNumber) && seat.boardingStatus === BOARDING_STATUS.BOARDED)
+    .map(seat => seat.seatNumber);
+  if (boardedSeats.length > 0) {
+    throw new AppError(`Seats ${boardedSeats.join(', ')} have already boarded`, 400);
+  }
+
+  return seatsToCancel;
+};
+
+/**
+ * Preview the refund a user would get for cancelling a booking or some of its seats
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @param {array} seatNumbers - Seats to cancel (whole booking if omitted)
+ * @returns {object} Policy applied and refund breakdown
+ */
+const getRefundPreview = async (bookingId, userId, seatNumbers = null) => {
+  const booking = await getCancellableBooking(bookingId, userId);
+  const seatsToCancel = resolveSeatsToCancel(booking, seatNumbers);
+
+  return cancellationPolicyService.calculateRefund(booking, booking.trip, seatsToCancel);
+};
+
+/**
+ * Cancel a booking
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @param {string} reason - Cancellation reason
+ * @returns {object} Cancelled booking
+ */
+const cancelBooking = (bookingId, userId, reason) => {
+  return cancelSeats(bookingId, userId, null, reason);
+};
+
+/**
+ * Cancel some of the seats on a booking, keeping the rest confirmed
+ * Refund is the seats' prorated share under the trip's cancellation policy.
+ * Cancelling every remaining seat cancels the whole booking.
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @param {array} seatNumbers - Seats to cancel (all remaining seats if null)
+ * @param {string} reason - Cancellation reason
+ * @returns {object} Updated booking
+ */
+const cancelSeats = async (bookingId, userId, seatNumbers, reason) => {
+  const booking = await getCancellableBooking(bookingId, userId);
+  const seatsToCancel = resolveSeatsToCancel(booking, seatNumbers);
+
+  // cancelSeats() can flip paymentStatus to refunded, so capture it first
+  const wasPaid = booking.paymentStatus === PAYMENT_STATUS.SUCCESS;
+  const refund = await cancellationPolicyService.calculateRefund(booking, booking.trip, seatsToCancel);
+
+  // Cancellation, seat release and refund commit or roll back together
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      booking.$session(session);
+
+      await booking.cancelSeats(seatsToCancel, reason, refund);
+
+      // Release only the cancelled seats in trip
+      await Trip.releaseBookingSeats(booking.trip._id, booking._id, seatsToCancel, session);
+      await SeatReservation.releaseSeats(booking._id, seatsToCancel, session);
+
+      // Give the promo code back once the whole booking is cancelled
+      if (booking.bookingStatus === BOOKING_STATUS.CANCELLED) {
+        await promoCodeService.revertPromoRedemption(booking._id, session);
+      }
+
+      // Refund to wallet if payment was successful
+      const refundAmount = refund.refundAmount;
+      if (wasPaid && refundAmount > 0) {
+        const user = await User.findById(userId).session(session);
+        await user.addToWallet(refundAmount);
+        await Transaction.createRefund(userId, refundAmount, booking._id, null, session);
+      }
+    });
+  } finally {
+    booking.$session(null);
+    await session.endSession();
   }
 
   await booking.populate({
@@ -267,9 +476,92 @@ const getBookingById = async (bookingId, userId) => {
   return booking;
 };
 
+/**
+ * Reduce a booking to what its ticket shows
+ * The trip's other passengers, crew and payment details never leave the server.
+ * @param {object} booking - Booking with trip, bus and route populated
+ * @returns {object} Public ticket
+ */
+const toPublicTicket = (booking) => {
+  const trip = booking.trip || {};
+
+  return {
+    pnrNumber: booking.pnrNumber,
+    pnrHistory: booking.pnrHistory,
+    bookingStatus: booking.bookingStatus,
+    totalAmount: booking.totalAmount,
+    seats: booking.seats.map(seat => ({
+      seatNumber: seat.seatNumber,
+      seatType: seat.seatType,
+      passengerName: seat.passengerName,
+      passengerAge: seat.passengerAge,
+      passengerGender: seat.passengerGender,
+      status: seat.status
+    })),
+    boardingPoint: booking.boardingPoint,
+    droppingPoint: booking.droppingPoint,
+    rescheduledTo: booking.rescheduledTo ? { pnrNumber: booking.rescheduledTo.pnrNumber } : undefined,
+    trip: {
+      departureDateTime: trip.departureDateTime,
+      arrivalDateTime: trip.arrivalDateTime,
+      status: trip.status,
+      route: trip.route && {
+        sourceCity: trip.route.sourceCity,
+        destinationCity: trip.route.destinationCity
+      },
+      bus: trip.bus && {
+        busNumber: trip.bus.busNumber,
+        busName: trip.bus.busName,
+        operator: trip.bus.operator,
+        seatType: trip.bus.seatType
+      }
+    }
+  };
+};
+
+/**
+ * Look up a ticket by PNR for a traveller who is not logged in
+ * The booking's account email or phone must match, so a PNR alone reveals nothing.
+ * @param {string} pnrNumber - PNR number
+ * @param {object} contact - { email, phone } - at least one is required
+ * @returns {object} Ticket projection (see toPublicTicket)
+ */
+const getBookingByPnr = async (pnrNumber, { email, phone }) => {
+  // Query values arrive as arrays when a parameter is repeated
+  const booking = await Booking.findOne({ pnrNumber: String(pnrNumber).trim().toUpperCase() })
+    .populate('user', 'email phone')
+    .populate({
+      path: 'trip',
+      select: 'departureDateTime arrivalDateTime status bus route',
+      populate: [
+        { path: 'bus', select: 'busNumber busName operator seatType' },
+        { path: 'route', select: 'sourceCity destinationCity' }
+      ]
+    })
+    .populate('rescheduledTo', 'pnrNumber');
+
+  const normalizePhone = value => String(value || '').replace(/\D/g, '').slice(-10);
+  const contactMatches = booking && booking.user && (
+    (email && booking.user.email === String(email).trim().toLowerCase()) ||
+    (phone && booking.user.phone && normalizePhone(booking.user.phone) === normalizePhone(phone))
+  );
+
+  // Same answer for an unknown PNR and a wrong contact, so PNRs cannot be probed
+  if (!contactMatches) {
+    throw new AppError('No booking found for this PNR and contact', 404);
+  }
+
+  return toPublicTicket(booking);
+};
+
 module.exports = {
   createBooking,
+  getFareQuote,
   getUserBookings,
+  getRefundPreview,
   cancelBooking,
-  getBookingById
+  cancelSeats,
+  getBookingById,
+  getBookingByPnr,
+  isSeatConflict
 };
\ No newline at end of file
@@ -0,0 +1,360 @@
+// FILE: backend/services/cancellationPolicyService.js
+/**
+ * Cancellation policy service handling policy management and refund calculation
+ * Policies resolve trip -> route -> operator -> platform default
+ */
+
+const CancellationPolicy = require('../models/cancellationPolicyModel');
+const Bus = require('../models/busModel');
+const { PAYMENT_STATUS } = require('../constants/enums');
+const AppError = require('../utils/AppError');
+
+// Used when no default policy has been configured by an admin
+const DEFAULT_POLICY = {
+  name: 'Standard cancellation policy',
+  scope: 'default',
+  slabs: [
+    { minHoursBeforeDeparture: 24, deductionType: 'percentage', deductionValue: 10 },
+    { minHoursBeforeDeparture: 6, deductionType: 'percentage', deductionValue: 20 },
+    { minHoursBeforeDeparture: 2, deductionType: 'percentage', deductionValue: 30 },
+    { minHoursBeforeDeparture: 0, deductionType: 'percentage', deductionValue: 50 }
+  ],
+  nonRefundableFees: ['convenienceFee']
+};
+
+// Most specific scope wins
+const SCOPE_PRECEDENCE = ['trip', 'route', 'operator', 'default'];
+
+/**
+ * Validate policy fields that the schema cannot check on its own
+ * @param {object} policyData - Policy data
+ */
+const validatePolicyData = (policyData) => {
+  const { scope, slabs } = policyData;
+
+  if (scope && scope !== 'default' && !policyData[scope]) {
+    throw new AppError(`A ${scope} must be selected for a ${scope} policy`, 400);
+  }
+
+  if (!Array.isArray(slabs) || slabs.length === 0) {
+    throw new AppError('At least one refund slab is required', 400);
+  }
+
+  if (slabs.some(slab => slab.deductionType === 'percentage' && slab.deductionValue > 100)) {
+    throw new AppError('Percentage deduction cannot exceed 100', 400);
+  }
+
+  const starts = slabs.map(slab => Number(slab.minHoursBeforeDeparture));
+  if (new Set(starts).size !== starts.length) {
+    throw new AppError('Each slab must start at a different number of hours', 400);
+  }
+};
+
+/**
+ * Create a new cancellation policy
+ * @param {object} policyData - Policy data
+ * @returns {object} Created policy
+ */
+const createPolicy = async (policyData) => {
+  validatePolicyData(policyData);
+
+  const { name, description, scope, trip, route, operator, slabs, nonRefundableFees } = policyData;
+
+  const policy = new CancellationPolicy({
+    name,
+    description,
+    scope,
+    trip: scope === 'trip' ? trip : undefined,
+    route: scope === 'route' ? route : undefined,
+    operator: scope === 'operator' ? operator : undefined,
+    slabs,
+    nonRefundableFees: nonRefundableFees || []
+  });
+
+  await policy.save();
+  return policy;
+};
+
+/**
+ * Get all cancellation policies with filtering and pagination
+ * @param {object} filters - Filter criteria
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {object} Policies and pagination info
+ */
+const getAllPolicies = async (filters = {}, page = 1, limit = 10) => {
+  const query = {};
+
+  if (filters.scope) {
+    query.scope = filters.scope;
+  }
+  if (filters.isActive !== undefined) {
+    query.isActive = filters.isActive;
+  }
+
+  const skip = (page - 1) * limit;
+
+  const policies = await CancellationPolicy.find(query)
+    .populate('route', 'sourceCity destinationCity')
+    .populate('trip', 'departureDateTime')
+    .sort({ createdAt: -1 })
+    .skip(skip)
+    .limit(limit)
+    .lean();
+
+  const total = await CancellationPolicy.countDocuments(query);
+
+  return {
+    policies,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Get cancellation policy by ID
+ * @param {string} policyId - Policy ID
+ * @returns {object} Policy data
+ */
+const getPolicyById = async (policyId) => {
+  const policy = await CancellationPolicy.findById(policyId)
+    .populate('route', 'sourceCity destinationCity')
+    .populate('trip', 'departureDateTime');
+
+  if (!policy) {
+    throw new AppError('Cancellation policy not found', 404);
+  }
+
+  return policy;
+};
+
+/**
+ * Update cancellation policy
+ * @param {string} policyId - Policy ID
+ * @param {object} updateData - Data to update
+ * @returns {object} Updated policy
+ */
+const updatePolicy = async (policyId, updateData) => {
+  const policy = await CancellationPolicy.findById(policyId);
+
+  if (!policy) {
+    throw new AppError('Cancellation policy not found', 404);
+  }
+
+  const allowedFields = [
+    'name', 'description', 'scope', 'trip', 'route', 'operator',
+    'slabs', 'nonRefundableFees', 'isActive'
+  ];
+  allowedFields.forEach(field => {
+    if (updateData[field] !== undefined) {
+      policy[field] = updateData[field];
+    }
+  });
+
+  validatePolicyData(policy.toObject());
+
+  await policy.save();
+  return policy;
+};
+
+/**
+ * Delete cancellation policy
+ * @param {string} policyId - Policy ID
+ */
+const deletePolicy = async (policyId) => {
+  const policy = await CancellationPolicy.findByIdAndDelete(policyId);
+
+  if (!policy) {
+    throw new AppError('Cancellation policy not found', 404);
+  }
+};
+
+/**
+ * Find the policy that governs a trip
+ * @param {object} trip - Trip document (bus may be populated or an ID)
+ * @returns {object} Most specific active policy, or the built-in default
+ */
+const resolvePolicy = async (trip) => {
+  let operator = trip.bus?.operator;
+  if (!operator && trip.bus) {
+    const bus = await Bus.findById(trip.bus).select('operator').lean();
+    operator = bus?.operator;
+  }
+
+  const routeId = trip.route?._id || trip.route;
+
+  const candidates = await CancellationPolicy.find({
+    isActive: true,
+    $or: [
+      { scope: 'trip', trip: trip._id },
+      { scope: 'route', route: routeId },
+      ...(operator ? [{ scope: 'operator', operator }] : []),
+      { scope: 'default' }
+    ]
+  })
+    .sort({ updatedAt: -1 })
+    .lean();
+
+  for (const scope of SCOPE_PRECEDENCE) {
+    const policy = candidates.find(candidate => candidate.scope === scope);
+    if (policy) {
+      return policy;
+    }
+  }
+
+  return DEFAULT_POLICY;
+};
+
+/**
+ * Find the slab that applies at a given time before departure
+ * @param {array} slabs - Policy slabs
+ * @param {number} hoursBeforeDeparture - Hours left until departure
+ * @returns {object|null} Slab with the largest start not exceeding the hours left
+ */
+const findSlab = (slabs, hoursBeforeDeparture) => {
+  return [...slabs]
+    .sort((a, b) => b.minHoursBeforeDeparture - a.minHoursBeforeDeparture)
+    .find(slab => hoursBeforeDeparture >= slab.minHoursBeforeDeparture) || null;
+};
+
+/**
+ * Split an amount across seats in proportion to their weights
+ * @param {number} amount - Amount to split
+ * @param {array} weights - One weight per seat
+ * @returns {array} Whole-rupee shares that add up to the amount
+ */
+const splitByWeight = (amount, weights) => {
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const shares = weights.map(weight => Math.floor(amount * weight / totalWeight));
+  // Rounding remainder goes to the last seat
+  shares[shares.length - 1] += amount - shares.reduce((sum, share) => sum + share, 0);
+  return shares;
+};
+
+/**
+ * Build the weight function used to prorate a booking's amounts across seats
+ * @param {object} booking - Booking document
+ * @returns {function} Seat -> weight (fare, or 1 for older bookings without stored fares)
+ */
+const getSeatWeigher = (booking) => {
+  const hasFares = booking.seats.every(seat => seat.fare > 0);
+  return seat => (hasFares ? seat.fare : 1);
+};
+
+/**
+ * Calculate the refund for cancelling seats of a booking under its trip's policy
+ * The booking total is prorated by seat fare, so a partial cancellation refunds only its share.
+ * @param {object} booking - Booking document
+ * @param {object} trip - Trip the booking belongs to
+ * @param {array} seatNumbers - Seats being cancelled (all active seats if omitted)
+ * @returns {object} Policy applied, refund breakdown and per-seat refunds
+ */
+const calculateRefund = async (booking, trip, seatNumbers = null) => {
+  const activeSeats = booking.activeSeats;
+  const selectedSeats = seatNumbers
+    ? activeSeats.filter(seat => seatNumbers.includes(seat.seatNumber))
+    : activeSeats;
+
+  if (selectedSeats.length === 0) {
+    throw new AppError('No active seats selected for cancellation', 400);
+  }
+
+  const policy = await resolvePolicy(trip);
+
+  const hoursBeforeDeparture = (new Date(trip.departureDateTime) - new Date()) / (1000 * 60 * 60);
+  const slab = findSlab(policy.slabs, hoursBeforeDeparture);
+
+  const weightOf = getSeatWeigher(booking);
+  const share = selectedSeats.reduce((sum, seat) => sum + weightOf(seat), 0) /
+    booking.seats.reduce((sum, seat) => sum + weightOf(seat), 0);
+
+  // Nothing is refunded on a booking that was never paid
+  const totalPaid = booking.paymentStatus === PAYMENT_STATUS.SUCCESS ? booking.totalAmount : 0;
+  const amountPaid = Math.round(totalPaid * share);
+
+  const fareBreakdown = booking.fareBreakdown || {};
+  const nonRefundableFees = (policy.nonRefundableFees || [])
+    .reduce((sum, fee) => sum + (fareBreakdown[fee] || 0), 0);
+  const nonRefundableAmount = Math.min(amountPaid, Math.round(nonRefundableFees * share));
+  const refundableAmount = amountPaid - nonRefundableAmount;
+
+  // Flat deductions are charged per seat; past the last slab nothing is refunded
+  let deductionAmount = refundableAmount;
+  if (slab && slab.deductionType === 'percentage') {
+    deductionAmount = Math.round(refundableAmount * slab.deductionValue / 100);
+  } else if (slab) {
+    deductionAmount = Math.min(refundableAmount, slab.deductionValue * selectedSeats.length);
+  }
+
+  const refundAmount = refundableAmount - deductionAmount;
+  const seatRefunds = splitByWeight(refundAmount, selectedSeats.map(weightOf));
+
+  return {
+    policy: {
+      _id: policy._id,
+      name: policy.name,
+      scope: policy.scope
+    },
+    slab,
+    hoursBeforeDeparture: Math.round(hoursBeforeDeparture * 10) / 10,
+    amountPaid,
+    nonRefundableAmount,
+    deductionAmount,
+    refundAmount,
+    seats: selectedSeats.map((seat, index) => ({
+      seatNumber: seat.seatNumber,
+      refundAmount: seatRefunds[index]
+    }))
+  };
+};
+
+/**
+ * Calculate a full refund of everything still paid on a booking
+ * Used when the operator cancels the trip, so no policy deductions apply.
+ * @param {object} booking - Booking document
+ * @returns {object} Refund breakdown in the same shape as calculateRefund
+ */
+const calculateFullRefund = (booking) => {
+  const activeSeats = booking.activeSeats;
+  const totalPaid = booking.paymentStatus === PAYMENT_STATUS.SUCCESS ? booking.totalAmount : 0;
+
+  // Seats the user already cancelled were settled then (refund, deduction and kept fees)
+  const previous = booking.cancellation || {};
+  const alreadySettled = (previous.refundAmount || 0) +
+    (previous.deductionAmount || 0) +
+    (previous.nonRefundableAmount || 0);
+  const refundAmount = Math.max(0, totalPaid - alreadySettled);
+
+  const weightOf = getSeatWeigher(booking);
+  const seatRefunds = activeSeats.length > 0
+    ? splitByWeight(refundAmount, activeSeats.map(weightOf))
+    : [];
+
+  return {
+    policy: null,
+    slab: null,
+    amountPaid: refundAmount,
+    nonRefundableAmount: 0,
+    deductionAmount: 0,
+    refundAmount,
+    seats: activeSeats.map((seat, index) => ({
+      seatNumber: seat.seatNumber,
+      refundAmount: seatRefunds[index]
+    }))
+  };
+};
+
+module.exports = {
+  createPolicy,
+  getAllPolicies,
+  getPolicyById,
+  updatePolicy,
+  deletePolicy,
+  resolvePolicy,
+  calculateRefund,
+  calculateFullRefund
+};
@@ -0,0 +1,491 @@
+// FILE: backend/services/charterService.js
+/**
+ * Charter service
+ * Converts a quoted rental inquiry into a charter: allocates a matching bus, blocks
+ * it (and the crew) for the hire including the return leg, and takes the advance.
+ * A blocked bus cannot be scheduled for trips, and vice versa (see tripService).
+ * Environment dependencies: CHARTER_MIN_ADVANCE_PERCENT
+ */
+
+const mongoose = require('mongoose');
+const Charter = require('../models/charterModel');
+const RentalInquiry = require('../models/rentalInquiryModel');
+const Bus = require('../models/busModel');
+const Trip = require('../models/tripModel');
+const crewService = require('./crewService');
+const { generateCharterContractPDF } = require('../utils/pdfUtils');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { SEAT_TYPES } = require('../constants/enums');
+
+const { CHARTER_STATUS, CHARTER_PAYMENT_METHODS } = Charter;
+
+// Share of the quote that must be paid up front to confirm a charter
+const MIN_ADVANCE_PERCENT = parseFloat(process.env.CHARTER_MIN_ADVANCE_PERCENT) || 25;
+
+// Bus seat types that can serve each inquiry bus type
+// Mini buses are not a separate fleet: the smallest seater that fits is offered first
+const BUS_TYPE_SEAT_TYPES = {
+  sleeper: [SEAT_TYPES.SLEEPER],
+  semi_sleeper: [SEAT_TYPES.SEMI_SLEEPER],
+  seater: [SEAT_TYPES.SEATER],
+  luxury: [SEAT_TYPES.LUXURY],
+  mini: [SEAT_TYPES.SEATER]
+};
+
+// Inquiry statuses that can no longer be confirmed
+// A 'confirmed' inquiry without a charter is one the customer accepted on the quote portal
+const CLOSED_INQUIRY_STATUSES = ['declined', 'cancelled'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const endOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(23, 59, 59, 999);
+  return day;
+};
+
+/**
+ * Work out the period a charter blocks its bus for
+ * Defaults to whole days: departure day to the return day. Without a return date a
+ * one-way or multi-city hire also blocks the next day for the empty run back, and an
+ * hourly hire blocks the departure day only. Explicit times override the defaults.
+ * @param {object} inquiry - Rental inquiry
+ * @param {object} overrides - { startDateTime, endDateTime }
+ * @returns {object} { startDateTime, endDateTime }
+ */
+const getCharterWindow = (inquiry, { startDateTime, endDateTime } = {}) => {
+  let defaultEnd;
+  if (inquiry.returnDate) {
+    defaultEnd = endOfDay(inquiry.returnDate);
+  } else if (inquiry.tripType === 'hourly') {
+    defaultEnd = endOfDay(inquiry.departureDate);
+  } else {
+    defaultEnd = endOfDay(new Date(new Date(inquiry.departureDate).getTime() + DAY_MS));
+  }
+
+  const window = {
+    startDateTime: startDateTime ? new Date(startDateTime) : startOfDay(inquiry.departureDate),
+    endDateTime: endDateTime ? new Date(endDateTime) : defaultEnd
+  };
+
+  if (isNaN(window.startDateTime) || isNaN(window.endDateTime)) {
+    throw new AppError('Invalid charter start or end time', 400);
+  }
+
+  if (window.endDateTime <= window.startDateTime) {
+    throw new AppError('Charter end must be after its start', 400);
+  }
+
+  if (window.endDateTime <= new Date()) {
+    throw new AppError('Charter period is already over', 400);
+  }
+
+  if (inquiry.returnDate && window.endDateTime < new Date(inquiry.returnDate)) {
+    throw new AppError('Charter period must cover the return date', 400);
+  }
+
+  return window;
+};
+
+/**
+ * Describe why a bus does not suit an inquiry
+ * @param {object} bus - Bus document
+ * @param {object} inquiry - Rental inquiry
+ * @returns {string|null} Reason, or null if the bus matches
+ */
+const getBusMismatch = (bus, inquiry) => {
+  if (!bus.isActive) {
+    return `${bus.busNumber} is inactive`;
+  }
+
+  if (!(BUS_TYPE_SEAT_TYPES[inquiry.busType] || []).includes(bus.seatType)) {
+    return `${bus.busNumber} is a ${bus.seatType} bus, not ${inquiry.busType.replace('_', '-')}`;
+  }
+
+  if (bus.totalSeats < inquiry.passengers) {
+    return `${bus.busNumber} seats ${bus.totalSeats}, fewer than ${inquiry.passengers} passengers`;
+  }
+
+  const missing = (inquiry.amenities || []).filter(amenity => !bus.hasAmenity(amenity));
+  if (missing.length > 0) {
+    return `${bus.busNumber} has no ${missing.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Find what keeps each bus busy during a period
+ * @param {array} busIds - Bus IDs
+ * @param {object} window - { startDateTime, endDateTime }
+ * @param {object} session - Mongoose session (optional)
+ * @returns {Map} Bus ID → reason the bus is busy
+ */
+const getBusBookings = async (busIds, { startDateTime, endDateTime }, session = null) => {
+  const trips = await Trip.find({
+    bus: { $in: busIds },
+    status: { $nin: crewService.RELEASED_TRIP_STATUSES },
+    departureDateTime: { $lt: endDateTime },
+    arrivalDateTime: { $gt: startDateTime }
+  })
+    .select('bus departureDateTime')
+    .sort({ departureDateTime: 1 })
+    .session(session)
+    .lean();
+  const charters = await Charter.find({
+    bus: { $in: busIds },
+    status: CHARTER_STATUS.CONFIRMED,
+    startDateTime: { $lt: endDateTime },
+    endDateTime: { $gt: startDateTime }
+  })
+    .select('bus charterNumber')
+    .session(session)
+    .lean();
+
+  const busy = new Map();
+  charters.forEach(charter => {
+    busy.set(charter.bus.toString(), `Booked for charter ${charter.charterNumber}`);
+  });
+  trips.forEach(trip => {
+    const busId = trip.bus.toString();
+    if (!busy.has(busId)) {
+      busy.set(busId, `Scheduled for a trip at ${trip.departureDateTime.toLocaleString()}`);
+    }
+  });
+
+  return busy;
+};
+
+/**
+ * Load a rental inquiry that can still be confirmed
+ * @param {string} inquiryId - Inquiry ID
+ * @returns {object} Inquiry document
+ */
+const getConfirmableInquiry = async (inquiryId) => {
+  if (!mongoose.Types.ObjectId.isValid(inquiryId)) {
+    throw new AppError('Invalid inquiry ID', 400);
+  }
+
+  const inquiry = await RentalInquiry.findById(inquiryId);
+
+  if (!inquiry) {
+    throw new AppError('Rental inquiry not found', 404);
+  }
+
+  if (inquiry.charter) {
+    throw new AppError('Rental inquiry already has a charter', 400);
+  }
+
+  if (CLOSED_INQUIRY_STATUSES.includes(inquiry.status)) {
+    throw new AppError(`Rental inquiry is ${inquiry.status}`, 400);
+  }
+
+  return inquiry;
+};
+
+/**
+ * List buses of the requested type that seat the whole party, smallest first,
+ * with whether each has the amenities and is free for the charter period
+ * @param {string} inquiryId - Inquiry ID
+ * @param {object} overrides - { startDateTime, endDateTime }
+ * @returns {object} { window, buses: [bus with { available, reason }] }
+ */
+const getBusOptions = async (inquiryId, overrides = {}) => {
+  const inquiry = await getConfirmableInquiry(inquiryId);
+  const window = getCharterWindow(inquiry, overrides);
+
+  const buses = await Bus.find({
+    isActive: true,
+    seatType: { $in: BUS_TYPE_SEAT_TYPES[inquiry.busType] || [] },
+    totalSeats: { $gte: inquiry.passengers }
+  })
+    .select('-seatLayout')
+    .sort({ totalSeats: 1, busNumber: 1 });
+
+  const busy = await getBusBookings(buses.map(bus => bus._id), window);
+
+  return {
+    window,
+    buses: buses.map(bus => {
+      const reason = getBusMismatch(bus, inquiry) || busy.get(bus._id.toString()) || null;
+      return { ...bus.toObject(), available: !reason, reason };
+    })
+  };
+};
+
+/**
+ * Check an advance or balance payment
+ * @param {object} payment - { amount, method, reference }
+ * @returns {object} Payment with a numeric amount
+ */
+const normalizePayment = ({ amount, method, reference } = {}) => {
+  const value = Number(amount);
+
+  if (!value || value <= 0) {
+    throw new AppError('Payment amount must be greater than 0', 400);
+  }
+
+  if (!CHARTER_PAYMENT_METHODS.includes(method)) {
+    throw new AppError(`Payment method must be one of: ${CHARTER_PAYMENT_METHODS.join(', ')}`, 400);
+  }
+
+  return { amount: Math.round(value * 100) / 100, method, reference };
+};
+
+/**
+ * Confirm a quoted rental inquiry as a charter
+ * @param {string} inquiryId - Inquiry ID
+ * @param {object} data - { busId, startDateTime, endDateTime, driver, conductor, advance, notes }
+ * @param {object} actor - req.user
+ * @returns {object} Charter with bus and inquiry populated
+ */
+const confirmInquiry = async (inquiryId, data, actor) => {
+  const { busId, startDateTime, endDateTime, driver, conductor, advance, notes } = data;
+  const inquiry = await getConfirmableInquiry(inquiryId);
+
+  if (!inquiry.quoteAmount || inquiry.quoteAmount <= 0) {
+    throw new AppError('Quote the inquiry before confirming it', 400);
+  }
+
+  if (inquiry.status === 'negotiating') {
+    throw new AppError('The customer made a counter-offer - send a revised quote before confirming', 400);
+  }
+
+  const window = getCharterWindow(inquiry, { startDateTime, endDateTime });
+
+  // Bus must match the request and be free for the whole hire
+  const bus = mongoose.Types.ObjectId.isValid(busId) ? await Bus.findById(busId) : null;
+  if (!bus) {
+    throw new AppError('Bus not found', 404);
+  }
+
+  const mismatch = getBusMismatch(bus, inquiry);
+  if (mismatch) {
+    throw new AppError(mismatch, 400);
+  }
+
+  const assertBusFree = async (session = null) => {
+    const busy = (await getBusBookings([bus._id], window, session)).get(bus._id.toString());
+    if (busy) {
+      throw new AppError(`${bus.busNumber} is not free: ${busy.charAt(0).toLowerCase()}${busy.slice(1)}`, 409);
+    }
+  };
+  await assertBusFree();
+
+  if (!driver) {
+    throw new AppError('A driver is required to confirm a charter', 400);
+  }
+
+  const payment = normalizePayment(advance);
+  const minAdvance = Math.ceil(inquiry.quoteAmount * MIN_ADVANCE_PERCENT) / 100;
+  if (payment.amount < minAdvance) {
+    throw new AppError(`An advance of at least ₹${minAdvance} (${MIN_ADVANCE_PERCENT}% of the quote) is required`, 400);
+  }
+
+  if (payment.amount > inquiry.quoteAmount) {
+    throw new AppError('Advance cannot exceed the quoted amount', 400);
+  }
+
+  const charter = new Charter({
+    inquiry: inquiry._id,
+    bus: bus._id,
+    ...window,
+    tripType: inquiry.tripType,
+    fromCity: inquiry.fromCity,
+    toCity: inquiry.toCity,
+    passengers: inquiry.passengers,
+    totalAmount: inquiry.quoteAmount,
+    payments: [{ ...payment, kind: 'advance', recordedBy: actor.email }],
+    notes,
+    createdBy: actor.email
+  });
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // Lock the bus, then re-check it - a charter or trip may have taken it since the check above
+      await Bus.lockSchedule(bus._id, session);
+      await assertBusFree(session);
+
+      // Crew must be free, rested and (for the driver) licensed for the whole hire
+      const crew = await crewService.resolveCrew(
+        { driver, conductor: conductor || null },
+        { departureDateTime: window.startDateTime, arrivalDateTime: window.endDateTime },
+        {},
+        null,
+        session
+      );
+      charter.driver = crew.driver;
+      charter.conductor = crew.conductor;
+
+      await charter.save({ session });
+
+      inquiry.status = 'confirmed';
+      inquiry.charter = charter._id;
+      await inquiry.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  logger.info(`Rental inquiry ${inquiry._id} confirmed as charter ${charter.charterNumber} on bus ${bus.busNumber} by ${actor.email}`);
+
+  return getCharterById(charter._id);
+};
+
+/**
+ * Get all charters with filtering and pagination
+ * @param {object} filters - { status, bus, from, to }
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {object} Charters and pagination info
+ */
+const getAllCharters = async (filters = {}, page = 1, limit = 10) => {
+  const query = {};
+
+  if (filters.status) {
+    query.status = filters.status;
+  }
+  if (filters.bus) {
+    query.bus = filters.bus;
+  }
+  if (filters.from) {
+    query.endDateTime = { $gte: new Date(filters.from) };
+  }
+  if (filters.to) {
+    query.startDateTime = { $lte: new Date(filters.to) };
+  }
+
+  const skip = (page - 1) * limit;
+
+  const [charters, total] = await Promise.all([
+    Charter.find(query)
+      .populate('bus', 'busNumber busName seatType totalSeats')
+      .populate('inquiry', 'name email phone company')
+      .sort({ startDateTime: -1 })
+      .skip(skip)
+      .limit(limit),
+    Charter.countDocuments(query)
+  ]);
+
+  return {
+    charters,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+/**
+ * Get a charter by ID
+ * @param {string} charterId - Charter ID
+ * @returns {object} Charter with bus and inquiry populated
+ */
+const getCharterById = async (charterId) => {
+  if (!mongoose.Types.ObjectId.isValid(charterId)) {
+    throw new AppError('Invalid charter ID', 400);
+  }
+
+  const charter = await Charter.findById(charterId)
+    .populate('bus', 'busNumber busName operator seatType totalSeats amenities hasAC hasWifi hasCharging')
+    .populate('inquiry');
+
+  if (!charter) {
+    throw new AppError('Charter not found', 404);
+  }
+
+  return charter;
+};
+
+/**
+ * Record a payment received against a charter
+ * @param {string} charterId - Charter ID
+ * @param {object} paymentData - { amount, method, reference }
+ * @param {object} actor - req.user
+ * @returns {object} Updated charter
+ */
+const recordPayment = async (charterId, paymentData, actor) => {
+  const charter = await getCharterById(charterId);
+
+  if (charter.status === CHARTER_STATUS.CANCELLED) {
+    throw new AppError('Cannot take payments on a cancelled charter', 400);
+  }
+
+  const payment = normalizePayment(paymentData);
+
+  if (payment.amount > charter.balanceDue) {
+    throw new AppError(`Payment exceeds the balance due of ₹${charter.balanceDue}`, 400);
+  }
+
+  charter.payments.push({ ...payment, kind: 'balance', recordedBy: actor.email });
+  await charter.save();
+
+  return charter;
+};
+
+/**
+ * Cancel a charter, releasing its bus and crew
+ * The inquiry is cancelled with it. Refunds of the advance are settled offline.
+ * @param {string} charterId - Charter ID
+ * @param {string} reason - Cancellation reason
+ * @param {object} actor - req.user (null when cancelled from the inquiry)
+ * @returns {object} Cancelled charter
+ */
+const cancelCharter = async (charterId, reason = 'Cancelled by operator', actor = null) => {
+  const charter = await getCharterById(charterId);
+
+  if (charter.status === CHARTER_STATUS.CANCELLED) {
+    throw new AppError('Charter is already cancelled', 400);
+  }
+
+  charter.status = CHARTER_STATUS.CANCELLED;
+  charter.cancelledAt = new Date();
+  charter.cancellationReason = reason;
+  await charter.save();
+
+  if (charter.inquiry) {
+    await RentalInquiry.updateOne(
+      { _id: charter.inquiry._id, status: { $ne: 'cancelled' } },
+      { status: 'cancelled' }
+    );
+  }
+
+  logger.info(`Charter ${charter.charterNumber} cancelled${actor ? ` by ${actor.email}` : ''}: ${reason}`);
+
+  return charter;
+};
+
+/**
+ * Generate the contract and invoice PDF of a charter
+ * @param {string} charterId - Charter ID
+ * @returns {object} { charter, pdf }
+ */
+const getContractPDF = async (charterId) => {
+  const charter = await getCharterById(charterId);
+  const pdf = await generateCharterContractPDF(charter);
+
+  return { charter, pdf };
+};
+
+module.exports = {
+  MIN_ADVANCE_PERCENT,
+  getCharterWindow,
+  getBusOptions,
+  confirmInquiry,
+  getAllCharters,
+  getCharterById,
+  recordPayment,
+  cancelCharter,
+  getContractPDF
+};
@@ -0,0 +1,446 @@
+// FILE: backend/services/crewService.js
+/**
+ * Trip crew service
+ * Assigns Staff records as a trip's driver and conductor. A crew member must be
+ * an active, approved staff member who is not on approved leave, not rostered on
+ * an overlapping trip or charter and has had the minimum rest since their previous trip;
+ * drivers also need a licence that is valid until the trip arrives.
+ * Environment dependencies: CREW_MIN_REST_HOURS
+ */
+
+const Staff = require('../models/staffModel');
+const Trip = require('../models/tripModel');
+const Charter = require('../models/charterModel');
+const LeaveRequest = require('../models/leaveRequestModel');
+const AppError = require('../utils/AppError');
+const { TRIP_STATUS } = require('../constants/enums');
+
+// Minimum hours off between the arrival of one trip and the departure of the next
+const MIN_REST_HOURS = parseFloat(process.env.CREW_MIN_REST_HOURS) || 8;
+const MIN_REST_MS = MIN_REST_HOURS * 60 * 60 * 1000;
+
+// Trips that no longer occupy their crew
+const RELEASED_TRIP_STATUSES = [TRIP_STATUS.CANCELLED, TRIP_STATUS.EXPIRED];
+
+const CREW_ROLES = ['driver', 'conductor'];
+
+/**
+ * Read the staff ID from a crew field of a request body
+ * Accepts a staff ID, { staff: id }, or an empty value to clear the assignment.
+ * @param {string|object|null} value - Crew field value
+ * @returns {string|null} Staff ID
+ */
+const getRequestedStaffId = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  return typeof value === 'object' ? (value.staff?._id || value.staff || null) : value;
+};
+
+/**
+ * Find the trips and charters staff members are rostered on during a period
+ * Charters are returned in the same shape as trips (departure/arrival/route).
+ * @param {array} staffIds - Staff IDs
+ * @param {Date} from - Period start
+ * @param {Date} to - Period end
+ * @param {string} excludeId - Trip or charter being assigned (ignored)
+ * @param {object} session - Transaction session (optional)
+ * @returns {Map} Staff ID -> trips and charters, earliest first
+ */
+const findBookingsByStaff = async (staffIds, from, to, excludeId = null, session = null) => {
+  const crewFilter = { $or: [{ 'driver.staff': { $in: staffIds } }, { 'conductor.staff': { $in: staffIds } }] };
+  const excludeFilter = excludeId ? { _id: { $ne: excludeId } } : {};
+
+  const [trips, charters] = await Promise.all([
+    Trip.find({
+      ...crewFilter,
+      ...excludeFilter,
+      status: { $nin: RELEASED_TRIP_STATUSES },
+      departureDateTime: { $lt: to },
+      arrivalDateTime: { $gt: from }
+    })
+      .select('departureDateTime arrivalDateTime status route driver.staff conductor.staff')
+      .populate('route', 'sourceCity destinationCity')
+      .session(session)
+      .lean(),
+    Charter.find({
+      ...crewFilter,
+      ...excludeFilter,
+      status: Charter.CHARTER_STATUS.CONFIRMED,
+      startDateTime: { $lt: to },
+      endDateTime: { $gt: from }
+    })
+      .select('charterNumber startDateTime endDateTime fromCity toCity driver.staff conductor.staff')
+      .session(session)
+      .lean()
+  ]);
+
+  const bookings = new Map(staffIds.map(staffId => [staffId.toString(), []]));
+  const addBooking = (source, entry) => {
+    CREW_ROLES.forEach(role => {
+      const staffId = source[role]?.staff?.toString();
+      if (staffId && bookings.has(staffId)) {
+        bookings.get(staffId).push(entry);
+      }
+    });
+  };
+
+  trips.forEach(trip => addBooking(trip, {
+    _id: trip._id,
+    departureDateTime: trip.departureDateTime,
+    arrivalDateTime: trip.arrivalDateTime,
+    status: trip.status,
+    route: trip.route
+  }));
+  charters.forEach(charter => addBooking(charter, {
+    _id: charter._id,
+    charterNumber: charter.charterNumber,
+    departureDateTime: charter.startDateTime,
+    arrivalDateTime: charter.endDateTime,
+    route: { sourceCity: charter.fromCity, destinationCity: charter.toCity }
+  }));
+
+  bookings.forEach(list => list.sort((a, b) => a.departureDateTime - b.departureDateTime));
+  return bookings;
+};
+
+/**
+ * Find the trips and charters a staff member is rostered on during a period
+ * @param {string} staffId - Staff ID
+ * @param {Date} from - Period start
+ * @param {Date} to - Period end
+ * @returns {array} Trips and charters, earliest first
+ */
+const findStaffBookings = async (staffId, from, to) => {
+  const bookings = await findBookingsByStaff([staffId], new Date(from), new Date(to));
+  return bookings.get(staffId.toString());
+};
+
+/**
+ * Find trips and charters that keep staff members busy around a time window
+ * A booking counts if it overlaps the window widened by the minimum rest on both sides.
+ * @param {array} staffIds - Staff IDs
+ * @param {Date} departure - Window start
+ * @param {Date} arrival - Window end
+ * @param {string} excludeId - Trip or charter being assigned (ignored)
+ * @param {object} session - Transaction session (optional)
+ * @returns {Map} Staff ID -> conflicting trips and charters, earliest first
+ */
+const findScheduleConflictsByStaff = (staffIds, departure, arrival, excludeId = null, session = null) => {
+  const from = new Date(new Date(departure).getTime() - MIN_REST_MS);
+  const to = new Date(new Date(arrival).getTime() + MIN_REST_MS);
+
+  return findBookingsByStaff(staffIds, from, to, excludeId, session);
+};
+
+/**
+ * Find trips and charters that keep a staff member busy around a time window
+ * @param {string} staffId - Staff ID
+ * @param {Date} departure - Window start
+ * @param {Date} arrival - Window end
+ * @param {string} excludeId - Trip or charter being assigned (ignored)
+ * @param {object} session - Transaction session (optional)
+ * @returns {array} Conflicting trips and charters, earliest first
+ */
+const findScheduleConflicts = async (staffId, departure, arrival, excludeId = null, session = null) => {
+  const conflicts = await findScheduleConflictsByStaff([staffId], departure, arrival, excludeId, session);
+  return conflicts.get(staffId.toString());
+};
+
+/**
+ * Describe why a conflicting trip or charter blocks an assignment
+ * @param {object} staff - Staff document
+ * @param {object} conflict - Conflicting trip or charter
+ * @param {Date} departure - Window start
+ * @param {Date} arrival - Window end
+ * @returns {string} Reason
+ */
+const describeConflict = (staff, conflict, departure, arrival) => {
+  let route = conflict.route ? `${conflict.route.sourceCity} → ${conflict.route.destinationCity}` : 'another trip';
+  if (conflict.charterNumber) {
+    route = `charter ${conflict.charterNumber} (${route})`;
+  }
+  const overlaps = conflict.departureDateTime < new Date(arrival) && conflict.arrivalDateTime > new Date(departure);
+
+  if (overlaps) {
+    return `${staff.name} is already rostered on ${route} at ${conflict.departureDateTime.toLocaleString()}`;
+  }
+
+  return `${staff.name} needs ${MIN_REST_HOURS} hours of rest around ${route} at ${conflict.departureDateTime.toLocaleString()}`;
+};
+
+/**
+ * Describe approved leave that blocks an assignment
+ * @param {object} staff - Staff document
+ * @param {object} leave - Overlapping leave request
+ * @returns {string} Reason
+ */
+const describeLeave = (staff, leave) => {
+  return `${staff.name} is on leave from ${leave.startDate.toDateString()} to ${leave.endDate.toDateString()}`;
+};
+
+/**
+ * Describe approved leave that overlaps a trip window
+ * @param {object} staff - Staff document
+ * @param {Date} departure - Window start
+ * @param {Date} arrival - Window end
+ * @param {object} session - Transaction session (optional)
+ * @returns {Promise<string|null>} Reason, or null if the staff member is not on leave
+ */
+const getLeaveIssue = async (staff, departure, arrival, session = null) => {
+  const [leave] = await LeaveRequest.findOverlapping(staff._id, new Date(departure), new Date(arrival)).session(session);
+
+  return leave ? describeLeave(staff, leave) : null;
+};
+
+/**
+ * Find the first approved leave of each staff member overlapping a trip window
+ * @param {array} staffIds - Staff IDs
+ * @param {Date} departure - Window start
+ * @param {Date} arrival - Window end
+ * @returns {Map} Staff ID -> earliest overlapping leave
+ */
+const findLeavesByStaff = async (staffIds, departure, arrival) => {
+  const leaves = await LeaveRequest.find({
+    staff: { $in: staffIds },
+    status: LeaveRequest.LEAVE_STATUS.APPROVED,
+    startDate: { $lt: new Date(arrival) },
+    endDate: { $gt: new Date(departure) }
+  }).sort({ startDate: 1 }).lean();
+
+  const byStaff = new Map();
+  leaves.forEach(leave => {
+    const staffId = leave.staff.toString();
+    if (!byStaff.has(staffId)) {
+      byStaff.set(staffId, leave);
+    }
+  });
+
+  return byStaff;
+};
+
+/**
+ * Check a staff member can work a trip in a given role
+ * @param {object} staff - Staff document
+ * @param {string} role - 'driver' or 'conductor'
+ * @param {Date} arrival - Trip arrival
+ * @returns {string|null} Reason the staff member is not eligible, or null
+ */
+const getEligibilityIssue = (staff, role, arrival) => {
+  if (!staff.isActive || !staff.approved) {
+    return `${staff.name} is not an active, approved staff member`;
+  }
+
+  if (role === 'driver') {
+    if (!staff.isDriver()) {
+      return `${staff.name} is not a driver`;
+    }
+
+    const licenseExpiry = staff.documents?.licenseExpiry;
+    if (!staff.documents?.licenseNumber || !licenseExpiry) {
+      return `${staff.name} has no driving licence on record`;
+    }
+
+    if (licenseExpiry < new Date(arrival)) {
+      return `${staff.name}'s driving licence expires on ${licenseExpiry.toDateString()}, before the trip ends`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate one crew assignment and build the trip's crew field
+ * @param {string} staffId - Staff ID
+ * @param {string} role - 'driver' or 'conductor'
+ * @param {object} window - { departureDateTime, arrivalDateTime }
+ * @param {string} excludeTripId - Trip (or charter) being assigned
+ * @param {object} session - Transaction session (optional)
+ * @returns {object} Crew field ({ staff, name, phone[, licenseNumber] })
+ */
+const buildCrewMember = async (staffId, role, { departureDateTime, arrivalDateTime }, excludeTripId, session = null) => {
+  const staff = await Staff.findById(staffId).session(session);
+
+  if (!staff) {
+    throw new AppError(`Selected ${role} was not found`, 404);
+  }
+
+  const issue = getEligibilityIssue(staff, role, arrivalDateTime) ||
+    await getLeaveIssue(staff, departureDateTime, arrivalDateTime, session);
+  if (issue) {
+    throw new AppError(issue, 400);
+  }
+
+  const [conflict] = await findScheduleConflicts(staff._id, departureDateTime, arrivalDateTime, excludeTripId, session);
+  if (conflict) {
+    throw new AppError(describeConflict(staff, conflict, departureDateTime, arrivalDateTime), 409);
+  }
+
+  return {
+    staff: staff._id,
+    name: staff.name,
+    phone: staff.phone,
+    ...(role === 'driver' && { licenseNumber: staff.documents.licenseNumber })
+  };
+};
+
+/**
+ * Resolve a trip's crew from staff IDs
+ * Roles left undefined keep the current assignment (re-checked against the window);
+ * empty values clear it. Only the roles present in the result should be written.
+ * Given the caller's write transaction, the staff members are locked before they are checked,
+ * so a concurrent assignment of the same person cannot also pass the check.
+ * @param {object} crew - { driver, conductor } as sent by the client
+ * @param {object} window - { departureDateTime, arrivalDateTime }
+ * @param {object} current - Current { driver, conductor } of the trip (for updates)
+ * @param {string} excludeTripId - Trip (or charter) being assigned
+ * @param {object} session - Transaction session the assignment is written in (optional)
+ * @returns {object} { driver, conductor } crew fields
+ */
+const resolveCrew = async (crew, window, current = {}, excludeTripId = null, session = null) => {
+  const staffIds = {};
+
+  CREW_ROLES.forEach(role => {
+    staffIds[role] = crew[role] !== undefined
+      ? getRequestedStaffId(crew[role])
+      : (current[role]?.staff ? current[role].staff.toString() : undefined);
+  });
+
+  if (staffIds.driver && staffIds.driver === staffIds.conductor) {
+    throw new AppError('The driver and conductor must be different staff members', 400);
+  }
+
+  const assigned = CREW_ROLES.map(role => staffIds[role]).filter(Boolean);
+  if (session && assigned.length > 0) {
+    await Staff.lockSchedule(assigned, session);
+  }
+
+  const resolved = {};
+  for (const role of CREW_ROLES) {
+    // Free-text crew on older trips is left as it is unless the role is reassigned
+    if (staffIds[role] === undefined) {
+      continue;
+    }
+
+    resolved[role] = staffIds[role]
+      ? await buildCrewMember(staffIds[role], role, window, excludeTripId, session)
+      : {};
+  }
+
+  return resolved;
+};
+
+/**
+ * List staff who could crew a trip, with the reason others cannot
+ * @param {object} options - { role, departureDateTime, arrivalDateTime, tripId }
+ * @returns {array} Staff with { available, reason }
+ */
+const getCrewAvailability = async ({ role = 'driver', departureDateTime, arrivalDateTime, tripId = null }) => {
+  if (!CREW_ROLES.includes(role)) {
+    throw new AppError('Role must be driver or conductor', 400);
+  }
+
+  const staffQuery = { isActive: true, approved: true };
+  if (role === 'driver') {
+    staffQuery.designation = { $regex: 'driver', $options: 'i' };
+  }
+
+  const staffList = await Staff.find(staffQuery).select('-password').sort({ name: 1 });
+  const staffIds = staffList.map(staff => staff._id);
+
+  // One query each for leave and bookings, however many staff are listed
+  const [leaves, conflicts] = await Promise.all([
+    findLeavesByStaff(staffIds, departureDateTime, arrivalDateTime),
+    findScheduleConflictsByStaff(staffIds, departureDateTime, arrivalDateTime, tripId)
+  ]);
+
+  return staffList.map(staff => {
+    const staffId = staff._id.toString();
+    const leave = leaves.get(staffId);
+    const [conflict] = conflicts.get(staffId);
+
+    const reason = getEligibilityIssue(staff, role, arrivalDateTime) ||
+      (leave && describeLeave(staff, leave)) ||
+      (conflict && describeConflict(staff, conflict, departureDateTime, arrivalDateTime)) ||
+      null;
+
+    return { ...staff.toObject(), available: !reason, reason };
+  });
+};
+
+/**
+ * Get the trips a staff member is rostered on
+ * @param {string} staffId - Staff ID
+ * @param {object} filters - { from, to, status }
+ * @returns {array} Trips with bus and route, earliest first
+ */
+const getRosteredTrips = async (staffId, { from, to, status } = {}) => {
+  const query = {
+    $or: [{ 'driver.staff': staffId }, { 'conductor.staff': staffId }]
+  };
+
+  if (status) {
+    query.status = status;
+  }
+  if (from || to) {
+    query.departureDateTime = {};
+    if (from) query.departureDateTime.$gte = new Date(from);
+    if (to) query.departureDateTime.$lte = new Date(to);
+  }
+
+  return Trip.find(query)
+    .select('-bookedSeats')
+    .populate('bus', 'busNumber type totalSeats')
+    .populate('route', 'sourceCity destinationCity distance duration')
+    .sort({ departureDateTime: 1 })
+    .lean();
+};
+
+/**
+ * Check whether a staff member is rostered on a trip
+ * @param {string} staffId - Staff ID
+ * @param {object} trip - Trip with driver and conductor
+ * @returns {boolean} True if the staff member is the driver or conductor
+ */
+const isRostered = (staffId, trip) => {
+  return CREW_ROLES.some(role => trip[role]?.staff && trip[role].staff.toString() === staffId.toString());
+};
+
+/**
+ * Check whether a trip has any crew assigned from Staff records
+ * @param {object} trip - Trip with driver and conductor
+ * @returns {boolean} True if a driver or conductor is assigned
+ */
+const hasRosteredCrew = (trip) => CREW_ROLES.some(role => Boolean(trip[role]?.staff));
+
+/**
+ * Check whether a staff member works on a trip
+ * A trip with a rostered crew admits exactly its driver and conductor. Trips
+ * without one fall back to the bus the staff member is assigned to.
+ * @param {string} staffId - Staff ID
+ * @param {object} trip - Trip document (bus, driver.staff, conductor.staff)
+ * @returns {Promise<boolean>} True if the staff member is on the trip
+ */
+const isTripCrew = async (staffId, trip) => {
+  if (hasRosteredCrew(trip)) {
+    return isRostered(staffId, trip);
+  }
+
+  const staff = await Staff.findById(staffId).select('assignedBus');
+  const busId = trip.bus?._id || trip.bus;
+
+  return Boolean(staff?.assignedBus && busId && staff.assignedBus.toString() === busId.toString());
+};
+
+module.exports = {
+  MIN_REST_HOURS,
+  RELEASED_TRIP_STATUSES,
+  resolveCrew,
+  getCrewAvailability,
+  findStaffBookings,
+  getRosteredTrips,
+  isRostered,
+  hasRosteredCrew,
+  isTripCrew
+};
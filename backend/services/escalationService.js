@@ -0,0 +1,549 @@
+// FILE: backend/services/escalationService.js
+/**
+ * Escalation service for buses that stop sending their location
+ * Applies the configured escalation rules on each scheduler run, records every
+ * escalation with its acknowledgement, and resolves them when the bus reports again.
+ * Each step is written to LocationLog.
+ */
+
+const BusLocationStatus = require('../models/busLocationStatusModel');
+const EscalationRule = require('../models/escalationRuleModel');
+const Escalation = require('../models/escalationModel');
+const LocationLog = require('../models/locationLogModel');
+const Notification = require('../models/notificationModel');
+const Counter = require('../models/counterModel');
+const adminAccountService = require('./adminAccountService');
+const emailUtils = require('../utils/emailUtils');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+const { PERMISSIONS } = require('../constants/permissions');
+
+// Rules created the first time escalations run with none configured
+const DEFAULT_RULES = [
+  {
+    name: 'Remind staff when location goes quiet',
+    triggerStatus: 'sleep',
+    afterMinutes: 2,
+    action: 'remind_staff',
+    channels: ['in_app', 'email']
+  },
+  {
+    name: 'Alert admins when a bus is offline',
+    triggerStatus: 'offline',
+    afterMinutes: 10,
+    action: 'alert_admins',
+    channels: ['in_app', 'email'],
+    flagTrip: true
+  }
+];
+
+// Persisted marker that the defaults were considered, so deleting every rule does not bring them back
+const DEFAULT_RULES_FLAG = 'escalation-default-rules';
+let defaultRulesChecked = false;
+
+// An offline bus has also been asleep, so sleep rules keep counting while it is offline
+const STATUS_SEVERITY = { active: 0, not_started: 0, sleep: 1, offline: 2 };
+
+/**
+ * Create the default rules once, on the first run against a database with none configured
+ * Admins may later delete them all; the stored flag keeps them deleted.
+ */
+const ensureDefaultRules = async () => {
+  if (defaultRulesChecked) {
+    return;
+  }
+
+  const flag = await Counter.updateOne(
+    { _id: DEFAULT_RULES_FLAG },
+    { $setOnInsert: { seq: 1 } },
+    { upsert: true }
+  );
+
+  if (flag.upsertedCount === 1 && await EscalationRule.countDocuments() === 0) {
+    await EscalationRule.insertMany(DEFAULT_RULES);
+    logger.info('Created default location escalation rules');
+  }
+
+  defaultRulesChecked = true;
+};
+
+/**
+ * Describe a bus for notification text
+ * @param {object} busStatus - BusLocationStatus with bus and trip route populated
+ * @returns {string} e.g. "GJ01AB1234 (Ahmedabad → Mumbai)"
+ */
+const describeBus = (busStatus) => {
+  const route = busStatus.trip?.route;
+  const routeText = route?.sourceCity ? ` (${route.sourceCity} → ${route.destinationCity})` : '';
+  return `${busStatus.bus?.busNumber || 'Bus'}${routeText}`;
+};
+
+/**
+ * Remind the assigned staff member to share their location
+ * Shared by escalation rules and the manual admin reminder.
+ * @param {object} busStatus - BusLocationStatus with staff, bus and trip populated
+ * @param {string} message - Reminder text
+ * @param {object} options - { channels, performedBy, io }
+ */
+const sendStaffReminder = async (busStatus, message, { channels = ['in_app'], performedBy = 'admin', io = null } = {}) => {
+  const staff = busStatus.staff;
+  const tripId = busStatus.trip._id || busStatus.trip;
+
+  if (channels.includes('in_app')) {
+    await Notification.create({
+      type: 'location_reminder',
+      title: 'Location Update Required',
+      message,
+      recipientRole: 'staff',
+      recipientId: staff._id.toString(),
+      actionRequired: true,
+      metadata: {
+        tripId,
+        busId: busStatus.bus._id,
+        reminderType: 'location_update'
+      }
+    });
+  }
+
+  if (channels.includes('email') && staff.email) {
+    await emailUtils.sendEmail({
+      to: staff.email,
+      subject: `Location update required - ${busStatus.bus.busNumber}`,
+      text: `Dear ${staff.name},\n\n${message}\n\nThank you.`
+    }).catch(error => logger.warn(`Reminder email to ${staff.email} failed: ${error.message}`));
+  }
+
+  busStatus.remindersSent += 1;
+  busStatus.lastReminderSent = new Date();
+  await busStatus.save();
+
+  await LocationLog.logReminderSent(
+    tripId,
+    busStatus.bus._id,
+    staff._id,
+    { name: staff.name, email: staff.email, phone: staff.phone },
+    performedBy
+  );
+
+  if (io) {
+    io.to(`user_${staff._id}`).emit('location_reminder', {
+      title: 'Location Update Required',
+      message,
+      priority: 'high'
+    });
+  }
+};
+
+/**
+ * Alert admins that a bus has gone quiet
+ * @param {object} busStatus - BusLocationStatus with staff, bus and trip populated
+ * @param {object} rule - Escalation rule that fired
+ * @param {number} silentMinutes - Minutes since the last location fix
+ * @param {object} io - Socket.IO instance (optional)
+ */
+const alertAdmins = async (busStatus, rule, silentMinutes, io = null) => {
+  const tripId = busStatus.trip._id || busStatus.trip;
+  const message = `${describeBus(busStatus)} has not sent its location for ${silentMinutes} minutes` +
+    `${busStatus.staff ? ` (staff: ${busStatus.staff.name}${busStatus.staff.phone ? `, ${busStatus.staff.phone}` : ''})` : ''}.`;
+
+  if (rule.channels.includes('in_app')) {
+    await Notification.create({
+      type: 'bus_offline',
+      title: 'Bus location offline',
+      message,
+      recipientRole: 'admin',
+      actionRequired: true,
+      metadata: {
+        tripId,
+        busId: busStatus.bus._id,
+        ruleId: rule._id,
+        silentMinutes
+      }
+    });
+  }
+
+  if (rule.channels.includes('email')) {
+    const recipients = await adminAccountService.getAlertEmails(PERMISSIONS.MANAGE_TRIPS);
+
+    await Promise.all(recipients.map(to => emailUtils.sendEmail({
+      to,
+      subject: `Bus offline - ${busStatus.bus.busNumber}`,
+      text: `${message}\n\nRule: ${rule.name}\nLast known location: ${busStatus.lastLocation?.latitude}, ${busStatus.lastLocation?.longitude}`
+    }).catch(error => logger.warn(`Offline alert email to ${to} failed: ${error.message}`))));
+  }
+
+  if (io) {
+    io.to('admin_monitoring').emit('escalation_alert', { tripId, message, ruleName: rule.name });
+  }
+};
+
+/**
+ * Carry out a rule's action and record it
+ * @param {object} busStatus - BusLocationStatus with staff, bus and trip populated
+ * @param {object} rule - Escalation rule
+ * @param {object} escalation - Escalation record (new or repeating)
+ * @param {object} io - Socket.IO instance (optional)
+ */
+const performEscalation = async (busStatus, rule, escalation, io = null) => {
+  const silentMinutes = escalation.silentMinutes;
+
+  if (rule.action === 'remind_staff') {
+    await sendStaffReminder(
+      busStatus,
+      `⚠️ Location Update Reminder: ${busStatus.bus.busNumber} has not shared its location for ${silentMinutes} minutes. Please check your GPS and internet connectivity.`,
+      { channels: rule.channels, performedBy: 'system', io }
+    );
+  } else {
+    await alertAdmins(busStatus, rule, silentMinutes, io);
+  }
+
+  if (rule.flagTrip && !busStatus.flagged) {
+    busStatus.flagged = true;
+    busStatus.flaggedAt = new Date();
+    busStatus.flagReason = rule.name;
+    await busStatus.save();
+  }
+
+  await LocationLog.create({
+    trip: escalation.trip,
+    bus: escalation.bus,
+    staff: escalation.staff,
+    eventType: 'escalation_triggered',
+    newStatus: busStatus.calculateStatus(),
+    location: busStatus.lastLocation,
+    performedBy: 'system',
+    notes: `${rule.name}: ${rule.action === 'remind_staff' ? 'staff reminded' : 'admins alerted'} after ${silentMinutes} minutes without location` +
+      `${escalation.timesNotified > 1 ? ` (repeat ${escalation.timesNotified})` : ''}`,
+    metadata: {
+      escalationId: escalation._id,
+      ruleId: rule._id,
+      action: rule.action,
+      channels: rule.channels,
+      flagged: rule.flagTrip
+    }
+  });
+
+  if (io) {
+    io.to('admin_monitoring').emit('escalation_update', {
+      tripId: escalation.trip.toString(),
+      escalationId: escalation._id,
+      status: escalation.status,
+      flagged: busStatus.flagged
+    });
+  }
+};
+
+/**
+ * Apply the escalation rules to every monitored bus that has gone quiet
+ * @param {object} io - Socket.IO instance (optional)
+ * @returns {Promise<number>} Number of escalations fired
+ */
+const runEscalations = async (io = null) => {
+  await ensureDefaultRules();
+
+  const rules = await EscalationRule.getActiveRules();
+  if (rules.length === 0) {
+    return 0;
+  }
+
+  const busStatuses = await BusLocationStatus.find({
+    tripStarted: true,
+    tripCompleted: false,
+    lastUpdated: { $ne: null }
+  })
+    .populate('staff', 'name email phone')
+    .populate('bus', 'busNumber')
+    .populate({ path: 'trip', select: 'route', populate: { path: 'route', select: 'sourceCity destinationCity' } });
+
+  const now = new Date();
+  let fired = 0;
+
+  for (const busStatus of busStatuses) {
+    const status = busStatus.calculateStatus();
+    const silentMinutes = Math.floor((now - busStatus.lastUpdated) / (60 * 1000));
+
+    for (const rule of rules) {
+      if (STATUS_SEVERITY[status] < STATUS_SEVERITY[rule.triggerStatus]) {
+        continue;
+      }
+      if (rule.action === 'remind_staff' && !busStatus.staff) {
+        continue;
+      }
+
+      const minutesInStatus = (now - busStatus.getStatusSince(rule.triggerStatus, EscalationRule.STATUS_THRESHOLDS)) / (60 * 1000);
+      if (minutesInStatus < rule.afterMinutes) {
+        continue;
+      }
+
+      try {
+        let escalation = await Escalation.findOne({
+          rule: rule._id,
+          trip: busStatus.trip._id,
+          outageStartedAt: busStatus.lastUpdated
+        });
+
+        if (escalation) {
+          const repeatDue = rule.repeatEveryMinutes > 0 &&
+            escalation.status === 'open' &&
+            (now - escalation.lastNotifiedAt) / (60 * 1000) >= rule.repeatEveryMinutes;
+
+          if (!repeatDue) {
+            continue;
+          }
+
+          escalation.timesNotified += 1;
+          escalation.lastNotifiedAt = now;
+          escalation.silentMinutes = silentMinutes;
+          await escalation.save();
+        } else {
+          escalation = await Escalation.create({
+            trip: busStatus.trip._id,
+            bus: busStatus.bus._id,
+            staff: busStatus.staff?._id,
+            rule: rule._id,
+            ruleName: rule.name,
+            action: rule.action,
+            triggerStatus: rule.triggerStatus,
+            channels: rule.channels,
+            outageStartedAt: busStatus.lastUpdated,
+            silentMinutes,
+            lastNotifiedAt: now
+          });
+        }
+
+        await performEscalation(busStatus, rule, escalation, io);
+        fired++;
+      } catch (error) {
+        // Another run already fired this rule for the outage
+        if (error.code === 11000) {
+          continue;
+        }
+        logger.error(`Escalation "${rule.name}" failed for trip ${busStatus.trip._id}: ${error.message}`);
+      }
+    }
+  }
+
+  if (fired > 0) {
+    logger.info(`Fired ${fired} location escalations`);
+  }
+
+  return fired;
+};
+
+/**
+ * Resolve a trip's escalations once its bus reports again and clear its flag
+ * @param {object} busStatus - BusLocationStatus document
+ * @param {object} io - Socket.IO instance (optional)
+ * @returns {Promise<number>} Number of escalations resolved
+ */
+const resolveEscalations = async (busStatus, io = null) => {
+  const result = await Escalation.updateMany(
+    { trip: busStatus.trip, status: { $in: ['open', 'acknowledged'] } },
+    { status: 'resolved', resolvedAt: new Date() }
+  );
+
+  if (result.modifiedCount === 0 && !busStatus.flagged) {
+    return 0;
+  }
+
+  busStatus.flagged = false;
+  busStatus.flaggedAt = null;
+  busStatus.flagReason = null;
+  await busStatus.save();
+
+  await LocationLog.create({
+    trip: busStatus.trip,
+    bus: busStatus.bus,
+    staff: busStatus.staff,
+    eventType: 'escalation_resolved',
+    newStatus: 'active',
+    location: busStatus.lastLocation,
+    performedBy: 'system',
+    notes: `Location restored - ${result.modifiedCount} escalation(s) resolved`
+  });
+
+  if (io) {
+    io.to('admin_monitoring').emit('escalation_update', {
+      tripId: busStatus.trip.toString(),
+      status: 'resolved',
+      flagged: false
+    });
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * Acknowledge an escalation (stops repeats; the flag stays until the bus reports)
+ * @param {string} escalationId - Escalation ID
+ * @param {string} adminEmail - Acknowledging admin
+ * @param {string} note - Optional note
+ * @param {object} io - Socket.IO instance (optional)
+ * @returns {object} Escalation
+ */
+const acknowledgeEscalation = async (escalationId, adminEmail, note = '', io = null) => {
+  const escalation = await Escalation.findById(escalationId);
+
+  if (!escalation) {
+    throw new AppError('Escalation not found', 404);
+  }
+
+  if (escalation.status !== 'open') {
+    throw new AppError(`Escalation is already ${escalation.status}`, 400);
+  }
+
+  await escalation.acknowledge(adminEmail, note);
+
+  await LocationLog.create({
+    trip: escalation.trip,
+    bus: escalation.bus,
+    staff: escalation.staff,
+    eventType: 'escalation_acknowledged',
+    performedBy: adminEmail,
+    notes: `${escalation.ruleName} acknowledged${note ? `: ${note}` : ''}`,
+    metadata: { escalationId: escalation._id }
+  });
+
+  if (io) {
+    io.to('admin_monitoring').emit('escalation_update', {
+      tripId: escalation.trip.toString(),
+      escalationId: escalation._id,
+      status: escalation.status
+    });
+  }
+
+  return escalation;
+};
+
+/**
+ * Get escalation history
+ * @param {object} filters - { status, tripId, page, limit }
+ * @returns {object} { escalations, pagination }
+ */
+const getEscalations = async ({ status, tripId, page = 1, limit = 50 } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+  if (tripId) query.trip = tripId;
+
+  const pageNumber = parseInt(page) || 1;
+  const pageSize = Math.min(parseInt(limit) || 50, 200);
+
+  const [escalations, total] = await Promise.all([
+    Escalation.find(query)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate('bus', 'busNumber')
+      .populate('staff', 'name phone')
+      .populate({ path: 'trip', select: 'route departureDateTime', populate: { path: 'route', select: 'sourceCity destinationCity' } }),
+    Escalation.countDocuments(query)
+  ]);
+
+  return {
+    escalations,
+    pagination: {
+      total,
+      page: pageNumber,
+      limit: pageSize,
+      pages: Math.ceil(total / pageSize)
+    }
+  };
+};
+
+/**
+ * Get open and acknowledged escalations grouped by trip
+ * @param {array} tripIds - Trip IDs
+ * @returns {object} Map of trip ID to escalations
+ */
+const getActiveEscalationsByTrip = async (tripIds) => {
+  const escalations = await Escalation.find({
+    trip: { $in: tripIds },
+    status: { $in: ['open', 'acknowledged'] }
+  }).sort({ createdAt: 1 });
+
+  return escalations.reduce((byTrip, escalation) => {
+    const key = escalation.trip.toString();
+    byTrip[key] = [...(byTrip[key] || []), escalation];
+    return byTrip;
+  }, {});
+};
+
+/**
+ * List escalation rules
+ * @returns {array} Rules
+ */
+const getRules = async () => {
+  await ensureDefaultRules();
+  return EscalationRule.find().sort({ triggerStatus: -1, afterMinutes: 1 });
+};
+
+/**
+ * Create an escalation rule
+ * @param {object} ruleData - Rule fields
+ * @param {string} adminEmail - Creating admin
+ * @returns {object} Rule
+ */
+const createRule = async (ruleData, adminEmail) => {
+  const { name, triggerStatus, afterMinutes, action, channels, flagTrip, repeatEveryMinutes, isActive } = ruleData;
+
+  return EscalationRule.create({
+    name,
+    triggerStatus,
+    afterMinutes,
+    action,
+    channels,
+    flagTrip,
+    repeatEveryMinutes,
+    isActive,
+    createdBy: adminEmail
+  });
+};
+
+/**
+ * Update an escalation rule
+ * @param {string} ruleId - Rule ID
+ * @param {object} updates - Fields to change
+ * @returns {object} Rule
+ */
+const updateRule = async (ruleId, updates) => {
+  const rule = await EscalationRule.findById(ruleId);
+
+  if (!rule) {
+    throw new AppError('Escalation rule not found', 404);
+  }
+
+  const editable = ['name', 'triggerStatus', 'afterMinutes', 'action', 'channels', 'flagTrip', 'repeatEveryMinutes', 'isActive'];
+  editable.forEach(field => {
+    if (updates[field] !== undefined) {
+      rule[field] = updates[field];
+    }
+  });
+
+  await rule.save();
+  return rule;
+};
+
+/**
+ * Delete an escalation rule (its escalation history is kept)
+ * @param {string} ruleId - Rule ID
+ */
+const deleteRule = async (ruleId) => {
+  const rule = await EscalationRule.findByIdAndDelete(ruleId);
+
+  if (!rule) {
+    throw new AppError('Escalation rule not found', 404);
+  }
+};
+
+module.exports = {
+  sendStaffReminder,
+  runEscalations,
+  resolveEscalations,
+  acknowledgeEscalation,
+  getEscalations,
+  getActiveEscalationsByTrip,
+  getRules,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -0,0 +1,252 @@
+// FILE: backend/services/etaService.js
+/**
+ * ETA service predicting arrival at each upcoming stop from the live bus position
+ * The bus is placed along the route's stop geometry, and the remaining distance is
+ * covered at a speed blended from the live fix, the recent breadcrumb trail and the
+ * route's planned average speed. Trips running late past a threshold become DELAYED.
+ */
+
+const Trip = require('../models/tripModel');
+const locationHistoryService = require('./locationHistoryService');
+const { getTripStopTimes } = require('./routeStopService');
+const { projectOntoSegment, pathLengthKm } = require('../utils/geoUtils');
+const { TRIP_STATUS } = require('../constants/enums');
+const { emitTripStatusUpdate } = require('../sockets/bookingSocket');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// Minutes the destination ETA may slip past schedule before the trip is marked DELAYED
+const DELAY_THRESHOLD_MINUTES = parseInt(process.env.ETA_DELAY_THRESHOLD_MINUTES) || 20;
+
+// Breadcrumbs from this far back give the recent average speed
+const SPEED_WINDOW_MS = 15 * 60 * 1000;
+// The recent trail must span at least this long to be trusted
+const MIN_SPEED_SPAN_MS = 2 * 60 * 1000;
+// Floor so a bus waiting in traffic does not get an endless ETA
+const MIN_SPEED_KMH = 5;
+// A stop closer than this along the route counts as reached
+const ARRIVAL_RADIUS_KM = 0.5;
+
+// Weight of each speed source when blending (missing sources are left out)
+const SPEED_WEIGHTS = {
+  recent: 0.5,
+  current: 0.2,
+  planned: 0.3
+};
+
+// Only a trip under way switches to DELAYED - before departure the geofence still has to
+// move it through BOARDING and DEPARTED
+const DELAYABLE_STATUSES = [TRIP_STATUS.DEPARTED];
+
+const toPoint = (location) => ({ latitude: location.lat, longitude: location.lng });
+
+const hasLocation = (stop) => stop.location?.lat != null && stop.location?.lng != null;
+
+/**
+ * Work out how far along the route the bus is
+ * Snaps the bus to the nearest stretch between two located stops.
+ * @param {array} stopTimes - Trip stop times
+ * @param {object} position - { latitude, longitude }
+ * @returns {number|null} Distance from the origin in km, or null without stop geometry
+ */
+const getRouteProgressKm = (stopTimes, position) => {
+  const located = stopTimes.filter(hasLocation);
+
+  if (located.length < 2) {
+    return null;
+  }
+
+  let best = null;
+  for (let i = 0; i < located.length - 1; i++) {
+    const start = located[i];
+    const end = located[i + 1];
+    const { fraction, offsetKm } = projectOntoSegment(position, toPoint(start.location), toPoint(end.location));
+
+    if (!best || offsetKm < best.offsetKm) {
+      const startKm = start.distanceFromOrigin || 0;
+      const endKm = end.distanceFromOrigin || 0;
+      best = { offsetKm, progressKm: startKm + fraction * (endKm - startKm) };
+    }
+  }
+
+  return best.progressKm;
+};
+
+/**
+ * Average speed over the recent breadcrumb trail
+ * @param {string} tripId - Trip ID
+ * @param {Date} now - Current time
+ * @returns {number|null} Speed in km/h, or null if the trail is too short
+ */
+const getRecentAverageSpeed = async (tripId, now) => {
+  const pings = await locationHistoryService.getPingsSince(tripId, new Date(now.getTime() - SPEED_WINDOW_MS));
+
+  if (pings.length < 2) {
+    return null;
+  }
+
+  const spanMs = pings[pings.length - 1].recordedAt - pings[0].recordedAt;
+  if (spanMs < MIN_SPEED_SPAN_MS) {
+    return null;
+  }
+
+  return pathLengthKm(pings) / (spanMs / (60 * 60 * 1000));
+};
+
+/**
+ * Blend the available speed estimates
+ * @param {object} speeds - { recent, current, planned } in km/h (any may be null)
+ * @returns {number} Speed in km/h
+ */
+const blendSpeeds = (speeds) => {
+  let weighted = 0;
+  let totalWeight = 0;
+
+  Object.entries(SPEED_WEIGHTS).forEach(([source, weight]) => {
+    if (speeds[source] > 0) {
+      weighted += speeds[source] * weight;
+      totalWeight += weight;
+    }
+  });
+
+  return Math.max(totalWeight > 0 ? weighted / totalWeight : 0, MIN_SPEED_KMH);
+};
+
+/**
+ * Compute the ETA to every upcoming stop of a trip
+ * @param {object} trip - Trip with route populated and a current location
+ * @param {Date} now - Time of the estimate (defaults to now)
+ * @returns {object|null} ETA summary, or null when the trip has no fix or stop geometry
+ */
+const computeTripEta = async (trip, now = new Date()) => {
+  const { latitude, longitude, speed } = trip.currentLocation || {};
+
+  if (latitude == null || longitude == null) {
+    return null;
+  }
+
+  const stopTimes = getTripStopTimes(trip);
+  const progressKm = getRouteProgressKm(stopTimes, { latitude, longitude });
+
+  if (progressKm === null) {
+    return null;
+  }
+
+  const route = trip.route || {};
+  const speeds = {
+    recent: await getRecentAverageSpeed(trip._id, now),
+    current: speed,
+    planned: route.distance && route.estimatedDuration ? route.distance / route.estimatedDuration : null
+  };
+  const speedKmh = blendSpeeds(speeds);
+
+  const stops = stopTimes
+    .filter(stop => (stop.distanceFromOrigin || 0) - progressKm > ARRIVAL_RADIUS_KM)
+    .map(stop => {
+      const remainingKm = (stop.distanceFromOrigin || 0) - progressKm;
+      const eta = new Date(now.getTime() + (remainingKm / speedKmh) * 60 * 60 * 1000);
+
+      return {
+        stopId: stop.stopId,
+        name: stop.name,
+        scheduledTime: stop.scheduledTime,
+        eta,
+        remainingKm: Math.round(remainingKm * 10) / 10,
+        delayMinutes: Math.round((eta - new Date(stop.scheduledTime)) / (60 * 1000))
+      };
+    });
+
+  const destination = stops[stops.length - 1] || null;
+
+  return {
+    tripId: trip._id.toString(),
+    computedAt: now,
+    progressKm: Math.round(progressKm * 10) / 10,
+    remainingKm: destination ? destination.remainingKm : 0,
+    speedKmh: Math.round(speedKmh),
+    speeds: {
+      recent: speeds.recent !== null ? Math.round(speeds.recent) : null,
+      current: speeds.current || 0,
+      planned: speeds.planned !== null ? Math.round(speeds.planned) : null
+    },
+    stops,
+    destination,
+    delayMinutes: destination ? destination.delayMinutes : 0,
+    delayThresholdMinutes: DELAY_THRESHOLD_MINUTES
+  };
+};
+
+/**
+ * Mark a departed trip DELAYED once its destination ETA slips past the threshold
+ * Trips are not switched back automatically when they catch up.
+ * @param {object} trip - Trip document
+ * @param {object} eta - ETA summary
+ * @param {object} io - Socket.IO instance (optional)
+ * @returns {boolean} True if the trip was marked delayed
+ */
+const applyDelayStatus = async (trip, eta, io = null) => {
+  if (!DELAYABLE_STATUSES.includes(trip.status) || eta.delayMinutes < DELAY_THRESHOLD_MINUTES) {
+    return false;
+  }
+
+  trip.status = TRIP_STATUS.DELAYED;
+  await trip.save();
+
+  const message = `Running about ${eta.delayMinutes} minutes late`;
+  logger.info(`Trip ${trip._id} marked delayed: ETA ${eta.delayMinutes} minutes behind schedule`);
+
+  if (io) {
+    emitTripStatusUpdate(io, trip._id, TRIP_STATUS.DELAYED, message, { delayMinutes: eta.delayMinutes });
+  }
+
+  return true;
+};
+
+/**
+ * Recompute a trip's ETAs after a location update and push them to trackers
+ * Failures are logged so a bad estimate never blocks the location update itself.
+ * @param {object} trip - Trip document with route populated
+ * @param {object} io - Socket.IO instance (optional)
+ * @returns {object|null} ETA summary
+ */
+const publishTripEta = async (trip, io = null) => {
+  try {
+    const eta = await computeTripEta(trip);
+
+    if (!eta) {
+      return null;
+    }
+
+    if (io) {
+      io.to(`trip_${trip._id}`).emit('eta_update', eta);
+    }
+
+    await applyDelayStatus(trip, eta, io);
+
+    return eta;
+  } catch (error) {
+    logger.error(`ETA update failed for trip ${trip._id}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Get the current ETAs for a trip
+ * @param {string} tripId - Trip ID
+ * @returns {object|null} ETA summary, or null when it cannot be estimated yet
+ */
+const getTripEta = async (tripId) => {
+  const trip = await Trip.findById(tripId).populate('route');
+
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  return computeTripEta(trip);
+};
+
+module.exports = {
+  computeTripEta,
+  publishTripEta,
+  getTripEta
+};
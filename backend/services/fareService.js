@@ -0,0 +1,161 @@
+// FILE: backend/services/fareService.js
+/**
+ * Fare service computing per-seat prices for a trip
+ * Single source of truth for quotes, bookings and invoices
+ */
+
+const { SEAT_TYPES, FARE_SETTINGS } = require('../constants/enums');
+const AppError = require('../utils/AppError');
+const { getSegmentFareRatio } = require('./routeStopService');
+
+// Trip.seatPricing key for each booked seat type
+const SEAT_PRICING_KEYS = {
+  single: 'single',
+  double: 'double',
+  'sleeper-lower': 'sleeperLower',
+  'sleeper-upper': 'sleeperUpper'
+};
+
+/**
+ * Find a seat in the bus layout (new left/right format or old deck format)
+ * @param {object} seatLayout - Bus seat layout
+ * @param {string} seatNumber - Seat number
+ * @returns {object|null} Seat entry with its deck level, or null if not in the layout
+ */
+const findLayoutSeat = (seatLayout = {}, seatNumber) => {
+  const sections = [
+    { seats: seatLayout.left?.upper, level: 'upper' },
+    { seats: seatLayout.left?.lower, level: 'lower' },
+    { seats: seatLayout.right?.upper, level: 'upper' },
+    { seats: seatLayout.right?.lower, level: 'lower' },
+    { seats: seatLayout.lowerDeck?.seats, level: 'lower' },
+    { seats: seatLayout.upperDeck?.seats, level: 'upper' }
+  ];
+
+  for (const { seats = [], level } of sections) {
+    const seat = seats.find(entry => entry.seatNumber === seatNumber);
+    if (seat) {
+      return { seat, level };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check whether a bus layout defines any seats at all
+ * @param {object} seatLayout - Bus seat layout
+ * @returns {boolean} True if at least one seat is defined
+ */
+const layoutHasSeats = (seatLayout = {}) => {
+  return [
+    seatLayout.left?.upper,
+    seatLayout.left?.lower,
+    seatLayout.right?.upper,
+    seatLayout.right?.lower,
+    seatLayout.lowerDeck?.seats,
+    seatLayout.upperDeck?.seats
+  ].some(seats => seats && seats.length > 0);
+};
+
+/**
+ * Resolve the priced seat type of a seat from the bus layout
+ * @param {object} bus - Bus document
+ * @param {string} seatNumber - Seat number
+ * @returns {string} One of single, double, sleeper-lower, sleeper-upper
+ */
+const resolveSeatType = (bus, seatNumber) => {
+  const found = findLayoutSeat(bus.seatLayout, seatNumber);
+
+  if (!found) {
+    if (layoutHasSeats(bus.seatLayout)) {
+      throw new AppError(`Seat ${seatNumber} does not exist on this bus`, 400);
+    }
+    // Bus has no layout configured - price as a standard seat
+    return 'single';
+  }
+
+  const { seat, level } = found;
+
+  // Old deck format stores the priced type directly
+  if (SEAT_PRICING_KEYS[seat.seatType]) {
+    return seat.seatType;
+  }
+
+  if (level === 'upper' || seat.seatType === 'upper') {
+    return 'sleeper-upper';
+  }
+
+  const isSleeperBus = bus.seatType === SEAT_TYPES.SLEEPER || bus.seatType === SEAT_TYPES.SEMI_SLEEPER;
+  if (seat.seatType === 'lower' || isSleeperBus) {
+    return 'sleeper-lower';
+  }
+
+  return 'single';
+};
+
+/**
+ * Get the route's dynamic pricing multiplier for a trip right now
+ * @param {object} trip - Trip document with bus and route populated
+ * @returns {number} Multiplier applied to every seat price (1 when disabled)
+ */
+const getDynamicMultiplier = (trip) => {
+  const route = trip.route;
+
+  if (!route || typeof route.calculateDynamicFare !== 'function' || !route.baseFare) {
+    return 1;
+  }
+
+  const occupiedSeats = trip.occupiedSeatCount ?? trip.bookedSeats.length;
+  const totalSeats = trip.bus?.totalSeats || occupiedSeats || 1;
+  const occupancy = occupiedSeats / totalSeats;
+  const hoursToDeparture = (new Date(trip.departureDateTime) - new Date()) / (1000 * 60 * 60);
+
+  return route.calculateDynamicFare(occupancy, hoursToDeparture) / route.baseFare;
+};
+
+/**
+ * Calculate the fare breakdown for seats on a trip
+ * @param {object} trip - Trip document with bus and route populated
+ * @param {array} seatNumbers - Seat numbers being priced
+ * @param {number} discountAmount - Promo discount to apply
+ * @param {object} segment - { fromStopIndex, toStopIndex } travelled (null for the whole trip)
+ * @returns {object} Per-seat prices and booking totals
+ */
+const calculateFare = (trip, seatNumbers, discountAmount = 0, segment = null) => {
+  const dynamicMultiplier = getDynamicMultiplier(trip);
+  const segmentRatio = getSegmentFareRatio(trip, segment);
+
+  const seats = seatNumbers.map(seatNumber => {
+    const seatType = resolveSeatType(trip.bus, seatNumber);
+    const seatPrice = trip.seatPricing?.[SEAT_PRICING_KEYS[seatType]] || trip.baseFare;
+
+    return {
+      seatNumber,
+      seatType,
+      seatPrice,
+      fare: Math.round(seatPrice * segmentRatio * dynamicMultiplier)
+    };
+  });
+
+  const baseAmount = seats.reduce((sum, seat) => sum + seat.fare, 0);
+  const gstAmount = Math.round(baseAmount * FARE_SETTINGS.GST_RATE);
+  const convenienceFee = FARE_SETTINGS.CONVENIENCE_FEE;
+
+  return {
+    seats,
+    dynamicMultiplier: Math.round(dynamicMultiplier * 100) / 100,
+    segmentRatio: Math.round(segmentRatio * 1000) / 1000,
+    baseAmount,
+    discountAmount,
+    gstAmount,
+    convenienceFee,
+    totalAmount: baseAmount - discountAmount + gstAmount + convenienceFee
+  };
+};
+
+module.exports = {
+  resolveSeatType,
+  getDynamicMultiplier,
+  calculateFare
+};
@@ -0,0 +1,292 @@
+// FILE: backend/services/geofenceService.js
+/**
+ * Geofence service detecting stop arrivals and departures from location pings
+ * Each located trip stop has a circular geofence (larger at the terminals). Entering or
+ * leaving one is logged to LocationLog, stamps the stop's actual times, advances the trip
+ * through BOARDING → DEPARTED → ARRIVED and warns passengers boarding at the next stop.
+ */
+
+const Booking = require('../models/bookingModel');
+const LocationLog = require('../models/locationLogModel');
+const notificationService = require('./notificationService');
+const { computeTripEta } = require('./etaService');
+const { markTripCompleted } = require('./locationStatusScheduler');
+const { settleTripBookings } = require('./boardingService');
+const { getTripStopTimes } = require('./routeStopService');
+const { emitTripStatusUpdate } = require('../sockets/bookingSocket');
+const { distanceKm } = require('../utils/geoUtils');
+const { TRIP_STATUS, BOOKING_STATUS } = require('../constants/enums');
+const logger = require('../utils/logger');
+
+// Geofence radius around intermediate stops and around the first and last stop
+const STOP_RADIUS_METERS = parseInt(process.env.GEOFENCE_RADIUS_METERS) || 300;
+const TERMINAL_RADIUS_METERS = parseInt(process.env.GEOFENCE_TERMINAL_RADIUS_METERS) || 500;
+
+// The bus must get this much further out than the radius to count as having left (GPS jitter)
+const EXIT_FACTOR = 1.5;
+
+// Trips whose stops are no longer watched
+const FINISHED_STATUSES = [TRIP_STATUS.CANCELLED, TRIP_STATUS.ARRIVED];
+
+// Statuses of a trip that has not left yet (a DELAYED trip counts until it has left)
+const PRE_DEPARTURE_STATUSES = [TRIP_STATUS.SCHEDULED, TRIP_STATUS.BOARDING];
+
+const hasLocation = (stop) => stop.location?.lat != null && stop.location?.lng != null;
+
+/**
+ * Geofence radius for a stop
+ * @param {number} index - Stop index
+ * @param {number} lastIndex - Index of the final stop
+ * @returns {number} Radius in metres
+ */
+const getRadiusMeters = (index, lastIndex) => {
+  return index === 0 || index === lastIndex ? TERMINAL_RADIUS_METERS : STOP_RADIUS_METERS;
+};
+
+/**
+ * Work out the arrival and departure events a location fix causes
+ * Stamps actualArrival/actualDeparture on the trip's stop times (the caller saves).
+ * @param {array} stopTimes - Trip stop times
+ * @param {object} position - { latitude, longitude }
+ * @param {Date} now - Time of the fix
+ * @returns {array} Events { type: 'arrival'|'departure', index, stop, distanceMeters }
+ */
+const detectStopEvents = (stopTimes, position, now) => {
+  const events = [];
+  const lastIndex = stopTimes.length - 1;
+
+  // Stops before the latest one reached are behind the bus
+  const latestArrived = stopTimes.reduce((latest, stop, index) => (stop.actualArrival ? index : latest), -1);
+
+  const depart = (stop, index, distanceMeters) => {
+    stop.actualDeparture = now;
+    events.push({ type: 'departure', index, stop, distanceMeters });
+  };
+
+  stopTimes.forEach((stop, index) => {
+    if (!hasLocation(stop)) {
+      return;
+    }
+
+    const distanceMeters = Math.round(
+      distanceKm(position, { latitude: stop.location.lat, longitude: stop.location.lng }) * 1000
+    );
+    const radius = getRadiusMeters(index, lastIndex);
+
+    if (!stop.actualArrival && index > latestArrived && distanceMeters <= radius) {
+      // Reaching a stop means the bus has left every earlier stop it was still at
+      stopTimes.slice(0, index).forEach((earlier, earlierIndex) => {
+        if (earlier.actualArrival && !earlier.actualDeparture) {
+          depart(earlier, earlierIndex, null);
+        }
+      });
+
+      stop.actualArrival = now;
+      events.push({ type: 'arrival', index, stop, distanceMeters });
+    } else if (stop.actualArrival && !stop.actualDeparture && index < lastIndex && distanceMeters > radius * EXIT_FACTOR) {
+      depart(stop, index, distanceMeters);
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Whether the bus had left the origin before the current fix
+ * @param {array} stopTimes - Trip stop times
+ * @returns {boolean} True once any stop was departed or a stop past the origin reached
+ */
+const hasLeftOrigin = (stopTimes) => {
+  return stopTimes.some((stop, index) => stop.actualDeparture || (index > 0 && stop.actualArrival));
+};
+
+/**
+ * Work out the trip status the events lead to
+ * A trip marked DELAYED before it left (by an operator) still moves through BOARDING and DEPARTED.
+ * @param {string} status - Current trip status
+ * @param {array} events - Stop events from detectStopEvents
+ * @param {number} lastIndex - Index of the final stop
+ * @param {boolean} departed - Whether the bus had left the origin before these events
+ * @returns {string} New trip status (unchanged if no transition applies)
+ */
+const getNextTripStatus = (status, events, lastIndex, departed = false) => {
+  let next = status;
+  const isPreDeparture = (current) =>
+    PRE_DEPARTURE_STATUSES.includes(current) || (current === TRIP_STATUS.DELAYED && !departed);
+
+  events.forEach(({ type, index }) => {
+    if (type === 'arrival' && index === lastIndex) {
+      next = TRIP_STATUS.ARRIVED;
+    } else if (type === 'arrival' && index === 0 && next !== TRIP_STATUS.BOARDING && isPreDeparture(next)) {
+      next = TRIP_STATUS.BOARDING;
+    } else if ((type === 'departure' || index > 0) && isPreDeparture(next)) {
+      // Leaving the origin, or turning up further along, means the trip is under way
+      next = TRIP_STATUS.DEPARTED;
+    }
+  });
+
+  return next;
+};
+
+/**
+ * Warn passengers boarding at the stop after the one the bus just left
+ * @param {object} trip - Trip with route and bus populated
+ * @param {number} departedIndex - Index of the stop the bus left
+ * @returns {object|null} { stop, notified } or null if there is nobody to warn
+ */
+const notifyNextStopPassengers = async (trip, departedIndex) => {
+  const stopTimes = trip.stopTimes;
+  const nextStop = stopTimes.find((stop, index) => index > departedIndex && stop.isBoarding && !stop.approachNoticeSentAt);
+
+  if (!nextStop || nextStop.actualArrival) {
+    return null;
+  }
+
+  nextStop.approachNoticeSentAt = new Date();
+
+  const bookings = await Booking.find({
+    trip: trip._id,
+    bookingStatus: { $in: [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.PARTIALLY_CANCELLED] },
+    'boardingPoint.stopId': nextStop.stopId
+  }).populate('user', 'name email');
+
+  if (bookings.length === 0) {
+    return { stop: nextStop, notified: 0 };
+  }
+
+  const eta = await computeTripEta(trip).catch(() => null);
+  const stopEta = eta?.stops.find(stop => stop.stopId === nextStop.stopId)?.eta || null;
+
+  await Promise.all(bookings.map(booking =>
+    notificationService.sendBusApproachingNotice(booking, trip, nextStop, stopEta)
+  ));
+
+  return { stop: nextStop, notified: bookings.length, eta: stopEta };
+};
+
+/**
+ * Check a location fix against the trip's stop geofences and act on any events
+ * Failures are logged so geofencing never blocks the location update itself.
+ * @param {object} trip - Trip document with route and bus populated
+ * @param {object} position - { latitude, longitude }
+ * @param {object} io - Socket.IO instance (optional)
+ * @param {string} staffId - Staff member sending locations (optional)
+ * @param {Date} recordedAt - When the fix was taken (queued fixes are replayed late)
+ * @returns {array} Stop events detected
+ */
+const processLocation = async (trip, position, io = null, staffId = null, recordedAt = new Date()) => {
+  try {
+    if (FINISHED_STATUSES.includes(trip.status)) {
+      return [];
+    }
+
+    // Pin stop times on the trip so actual times can be stored against them
+    if (trip.stopTimes.length === 0) {
+      trip.stopTimes = getTripStopTimes(trip);
+    }
+
+    const now = recordedAt;
+    const departed = hasLeftOrigin(trip.stopTimes);
+    const events = detectStopEvents(trip.stopTimes, position, now);
+
+    if (events.length === 0) {
+      return [];
+    }
+
+    const previousStatus = trip.status;
+    trip.status = getNextTripStatus(trip.status, events, trip.stopTimes.length - 1, departed);
+
+    const notices = [];
+    for (const event of events.filter(e => e.type === 'departure')) {
+      const notice = await notifyNextStopPassengers(trip, event.index);
+      if (notice && notice.notified > 0) {
+        notices.push(notice);
+      }
+    }
+
+    await trip.save();
+
+    const busId = trip.bus._id || trip.bus;
+    const logs = events.map(event => ({
+      trip: trip._id,
+      bus: busId,
+      staff: staffId,
+      eventType: event.type === 'arrival' ? 'stop_arrival' : 'stop_departure',
+      location: position,
+      performedBy: 'system',
+      notes: `${event.type === 'arrival' ? 'Arrived at' : 'Departed'} ${event.stop.name}`,
+      metadata: {
+        stopId: event.stop.stopId,
+        stopIndex: event.index,
+        distanceMeters: event.distanceMeters,
+        scheduledTime: event.stop.scheduledTime
+      }
+    }));
+
+    notices.forEach(notice => logs.push({
+      trip: trip._id,
+      bus: busId,
+      staff: staffId,
+      eventType: 'approach_notice_sent',
+      location: position,
+      performedBy: 'system',
+      notes: `${notice.notified} passenger(s) told the bus is approaching ${notice.stop.name}`,
+      metadata: { stopId: notice.stop.stopId, notified: notice.notified, eta: notice.eta }
+    }));
+
+    if (trip.status !== previousStatus) {
+      logs.push({
+        trip: trip._id,
+        bus: busId,
+        staff: staffId,
+        eventType: 'trip_status_change',
+        location: position,
+        performedBy: 'system',
+        notes: `Trip status changed from ${previousStatus} to ${trip.status}`,
+        metadata: { previousTripStatus: previousStatus, newTripStatus: trip.status }
+      });
+    }
+
+    await LocationLog.insertMany(logs);
+
+    if (trip.status === TRIP_STATUS.ARRIVED) {
+      await markTripCompleted(trip._id);
+      await settleTripBookings(trip._id);
+    }
+
+    if (io) {
+      events.forEach(event => {
+        const payload = {
+          tripId: trip._id.toString(),
+          type: event.type,
+          stopId: event.stop.stopId,
+          stopName: event.stop.name,
+          stopIndex: event.index,
+          timestamp: now
+        };
+        io.to(`trip_${trip._id}`).emit('geofence_event', payload);
+        io.to('admin_monitoring').emit('geofence_event', payload);
+      });
+
+      if (trip.status !== previousStatus) {
+        const lastEvent = events[events.length - 1];
+        emitTripStatusUpdate(
+          io,
+          trip._id,
+          trip.status,
+          `${lastEvent.type === 'arrival' ? 'Arrived at' : 'Departed'} ${lastEvent.stop.name}`
+        );
+      }
+    }
+
+    return events;
+  } catch (error) {
+    logger.error(`Geofence check failed for trip ${trip._id}: ${error.message}`);
+    return [];
+  }
+};
+
+module.exports = {
+  processLocation,
+  getNextTripStatus
+};
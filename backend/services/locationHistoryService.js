@@ -0,0 +1,295 @@
+// FILE: backend/services/locationHistoryService.js
+/**
+ * Location history service for the GPS breadcrumb trail of a trip
+ * Records every ping, answers time-window history queries (downsampled for long trips)
+ * and builds full-resolution tracks for export
+ */
+
+const mongoose = require('mongoose');
+const LocationPing = require('../models/locationPingModel');
+const LocationPingKey = require('../models/locationPingKeyModel');
+const Trip = require('../models/tripModel');
+const AppError = require('../utils/AppError');
+
+// Most points a history query returns before it is downsampled
+const DEFAULT_MAX_POINTS = parseInt(process.env.LOCATION_HISTORY_MAX_POINTS) || 500;
+const MAX_POINTS_LIMIT = 5000;
+
+// Fields returned for each point
+const POINT_FIELDS = '-_id recordedAt latitude longitude speed heading accuracy';
+
+/**
+ * Build a ping document from a fix
+ * @param {object} trip - Trip document (bus may be populated)
+ * @param {object} fix - { latitude, longitude, speed, heading, accuracy }
+ * @param {string} staffId - Staff member sending the fix (optional)
+ * @param {Date} recordedAt - When the fix was taken
+ * @returns {object} Ping fields
+ */
+const buildPing = (trip, fix, staffId, recordedAt) => ({
+  trip: trip._id,
+  recordedAt,
+  bus: trip.bus?._id || trip.bus,
+  staff: staffId || undefined,
+  latitude: fix.latitude,
+  longitude: fix.longitude,
+  speed: fix.speed || 0,
+  heading: fix.heading || 0,
+  accuracy: fix.accuracy ?? null
+});
+
+/**
+ * Claim the (trip, recordedAt) keys of fixes about to be stored
+ * The unique key index decides which of two overlapping uploads stores a fix.
+ * @param {object} trip - Trip document
+ * @param {array} fixes - Fixes with recordedAt
+ * @returns {array} Fixes this call claimed (duplicates left out)
+ */
+const claimFixes = async (trip, fixes) => {
+  const keys = fixes.map(fix => ({ trip: trip._id, recordedAt: fix.recordedAt }));
+
+  try {
+    await LocationPingKey.insertMany(keys, { ordered: false });
+    return fixes;
+  } catch (error) {
+    const writeErrors = error.writeErrors || [];
+    if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+      throw error;
+    }
+    const duplicateIndexes = new Set(writeErrors.map(writeError => writeError.index));
+    return fixes.filter((_, index) => !duplicateIndexes.has(index));
+  }
+};
+
+/**
+ * Store claimed fixes, giving their keys back if the pings cannot be written
+ * so a retried upload is not mistaken for a duplicate
+ * @param {object} trip - Trip document (bus may be populated)
+ * @param {array} fixes - Claimed fixes with recordedAt
+ * @param {string} staffId - Staff member sending the fixes (optional)
+ * @returns {array} Created pings
+ */
+const insertClaimedPings = async (trip, fixes, staffId) => {
+  try {
+    return await LocationPing.insertMany(fixes.map(fix => buildPing(trip, fix, staffId, fix.recordedAt)));
+  } catch (error) {
+    await LocationPingKey.deleteMany({
+      trip: trip._id,
+      recordedAt: { $in: fixes.map(fix => fix.recordedAt) }
+    });
+    throw error;
+  }
+};
+
+/**
+ * Store one GPS ping for a trip
+ * @param {object} trip - Trip document (bus may be populated)
+ * @param {object} fix - { latitude, longitude, speed, heading, accuracy }
+ * @param {string} staffId - Staff member sending the fix (optional)
+ * @param {Date} recordedAt - When the fix was taken (defaults to now)
+ * @returns {object|null} Created ping, or null if the fix was already stored
+ */
+const recordPing = async (trip, fix, staffId = null, recordedAt = new Date()) => {
+  const claimed = await claimFixes(trip, [{ ...fix, recordedAt }]);
+  if (claimed.length === 0) {
+    return null;
+  }
+
+  const [ping] = await insertClaimedPings(trip, claimed, staffId);
+  return ping;
+};
+
+/**
+ * Store a batch of GPS fixes uploaded after the device was offline
+ * A fix with the same timestamp as one already stored (or earlier in the batch) is a
+ * re-upload and is skipped, so retried batches never duplicate the trail - even when
+ * the retry overlaps the original request.
+ * @param {object} trip - Trip document (bus may be populated)
+ * @param {array} fixes - Fixes with recordedAt, oldest first
+ * @param {string} staffId - Staff member sending the fixes (optional)
+ * @returns {object} { recorded, duplicates } - fixes stored (oldest first) and how many were skipped
+ */
+const recordPings = async (trip, fixes, staffId = null) => {
+  if (fixes.length === 0) {
+    return { recorded: [], duplicates: 0 };
+  }
+
+  const recorded = await claimFixes(trip, fixes);
+
+  if (recorded.length > 0) {
+    await insertClaimedPings(trip, recorded, staffId);
+  }
+
+  return { recorded, duplicates: fixes.length - recorded.length };
+};
+
+/**
+ * Get the most recent pings of a trip in time order
+ * @param {string} tripId - Trip ID
+ * @param {number} limit - Number of pings
+ * @returns {array} Pings, oldest first
+ */
+const getRecentPings = async (tripId, limit = 50) => {
+  const pings = await LocationPing.find({ trip: tripId })
+    .sort({ recordedAt: -1 })
+    .limit(limit)
+    .select(POINT_FIELDS)
+    .lean();
+
+  return pings.reverse();
+};
+
+/**
+ * Get a trip's pings since a point in time
+ * @param {string} tripId - Trip ID
+ * @param {Date} since - Earliest fix time
+ * @returns {array} Pings, oldest first
+ */
+const getPingsSince = async (tripId, since) => {
+  return LocationPing.find({ trip: tripId, recordedAt: { $gte: since } })
+    .sort({ recordedAt: 1 })
+    .select(POINT_FIELDS)
+    .lean();
+};
+
+/**
+ * Parse an optional date query parameter
+ * @param {string} value - Date string
+ * @param {string} name - Parameter name for the error message
+ * @returns {Date|null} Parsed date or null when not given
+ */
+const parseDate = (value, name) => {
+  if (!value) {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${name} date`, 400);
+  }
+
+  return date;
+};
+
+/**
+ * Build the ping filter for a trip and time window
+ * @param {string} tripId - Trip ID
+ * @param {object} window - { from, to } (both optional)
+ * @returns {object} { match, from, to }
+ */
+const buildWindow = async (tripId, { from, to } = {}) => {
+  const trip = await Trip.exists({ _id: tripId });
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+
+  if (fromDate && toDate && fromDate > toDate) {
+    throw new AppError('History window must start before it ends', 400);
+  }
+
+  // Aggregation does not cast, so the trip ID is cast here
+  const match = { trip: new mongoose.Types.ObjectId(tripId) };
+  if (fromDate || toDate) {
+    match.recordedAt = {
+      ...(fromDate && { $gte: fromDate }),
+      ...(toDate && { $lte: toDate })
+    };
+  }
+
+  return { match, from: fromDate, to: toDate };
+};
+
+/**
+ * Get a trip's breadcrumb trail within a time window
+ * Long trails are downsampled to one point per equal time bucket, always keeping the latest fix.
+ * @param {string} tripId - Trip ID
+ * @param {object} options - { from, to, maxPoints }
+ * @returns {object} { points, totalPoints, downsampled, from, to }
+ */
+const getHistory = async (tripId, options = {}) => {
+  const { match, from, to } = await buildWindow(tripId, options);
+  const maxPoints = Math.min(
+    Math.max(parseInt(options.maxPoints) || DEFAULT_MAX_POINTS, 2),
+    MAX_POINTS_LIMIT
+  );
+
+  const totalPoints = await LocationPing.countDocuments(match);
+
+  if (totalPoints <= maxPoints) {
+    const points = await LocationPing.find(match)
+      .sort({ recordedAt: 1 })
+      .select(POINT_FIELDS)
+      .lean();
+
+    return { points, totalPoints, downsampled: false, from, to };
+  }
+
+  const [first, last] = await Promise.all([
+    LocationPing.findOne(match).sort({ recordedAt: 1 }).select(POINT_FIELDS).lean(),
+    LocationPing.findOne(match).sort({ recordedAt: -1 }).select(POINT_FIELDS).lean()
+  ]);
+
+  const start = first.recordedAt.getTime();
+  // One bucket is kept free for the latest fix
+  const bucketMs = Math.max(Math.ceil((last.recordedAt.getTime() - start + 1) / (maxPoints - 1)), 1);
+
+  const points = await LocationPing.aggregate([
+    { $match: match },
+    { $sort: { recordedAt: 1 } },
+    {
+      $group: {
+        _id: { $floor: { $divide: [{ $subtract: ['$recordedAt', first.recordedAt] }, bucketMs] } },
+        recordedAt: { $first: '$recordedAt' },
+        latitude: { $first: '$latitude' },
+        longitude: { $first: '$longitude' },
+        speed: { $first: '$speed' },
+        heading: { $first: '$heading' },
+        accuracy: { $first: '$accuracy' }
+      }
+    },
+    { $sort: { recordedAt: 1 } },
+    { $project: { _id: 0 } }
+  ]);
+
+  if (points[points.length - 1].recordedAt.getTime() !== last.recordedAt.getTime()) {
+    points.push(last);
+  }
+
+  return { points, totalPoints, downsampled: true, from, to };
+};
+
+/**
+ * Get a trip and its full-resolution track for export
+ * @param {string} tripId - Trip ID
+ * @param {object} window - { from, to } (both optional)
+ * @returns {object} { trip, points }
+ */
+const getTrack = async (tripId, window = {}) => {
+  const { match } = await buildWindow(tripId, window);
+
+  const [trip, points] = await Promise.all([
+    Trip.findById(tripId)
+      .select('route bus departureDateTime arrivalDateTime')
+      .populate('route', 'sourceCity destinationCity')
+      .populate('bus', 'busNumber operator')
+      .lean(),
+    LocationPing.find(match)
+      .sort({ recordedAt: 1 })
+      .select(POINT_FIELDS)
+      .lean()
+  ]);
+
+  return { trip, points };
+};
+
+module.exports = {
+  recordPing,
+  recordPings,
+  getRecentPings,
+  getPingsSince,
+  getHistory,
+  getTrack
+};
@@ -7,6 +7,7 @@
 
 const BusLocationStatus = require('../models/busLocationStatusModel');
 const LocationLog = require('../models/locationLogModel');
+const { runEscalations } = require('./escalationService');
 
 /**
  * Update all bus location statuses based on timing rules
@@ -72,19 +73,13 @@ const updateAllBusStatuses = async () => {
 };
 
 /**
- * Check for buses that need attention and could trigger auto-reminders
- * This is passive - just logs warnings. Admin sends manual reminders via API.
+ * Check for buses that need attention and apply the escalation rules
+ * Reminds staff and alerts admins as configured; each step is logged in LocationLog.
+ * @param {object} io - Socket.IO instance (optional)
  */
-const checkBusesNeedingAttention = async () => {
+const checkBusesNeedingAttention = async (io = null) => {
   try {
-    const busesNeedingAttention = await BusLocationStatus.find({
-      tripStarted: true,
-      tripCompleted: false,
-      status: { $in: ['sleep', 'offline'] },
-      connectivityIssue: true
-    }).populate('bus', 'busNumber');
-
-    // Silent check - data is logged in LocationLog for admin dashboard
+    await runEscalations(io);
   } catch (error) {
     console.error('[Location Scheduler] Error checking buses:', error.message);
   }
@@ -96,7 +91,7 @@ const checkBusesNeedingAttention = async () => {
  */
 let schedulerInterval = null;
 
-const startLocationScheduler = () => {
+const startLocationScheduler = (io = null) => {
   if (schedulerInterval) {
     return;
   }
@@ -107,7 +102,7 @@ const startLocationScheduler = () => {
   // Then run every 2 minutes (optimized for production)
   schedulerInterval = setInterval(async () => {
     await updateAllBusStatuses();
-    await checkBusesNeedingAttention();
+    await checkBusesNeedingAttention(io);
   }, 120000); // 120 seconds (2 minutes)
 };
 
@@ -129,6 +124,7 @@ const markTripCompleted = async (tripId) => {
     const busStatus = await BusLocationStatus.findOne({ trip: tripId });
     
     if (busStatus) {
+      const previousStatus = busStatus.status;
       busStatus.tripCompleted = true;
       busStatus.status = 'offline';
       await busStatus.save();
@@ -139,7 +135,7 @@ const markTripCompleted = async (tripId) => {
         bus: busStatus.bus,
         staff: busStatus.staff,
         eventType: 'trip_completed',
-        previousStatus: busStatus.status,
+        previousStatus,
         newStatus: 'offline',
         performedBy: 'system',
         notes: 'Trip marked as completed'
@@ -6,6 +6,7 @@
 
 const emailUtils = require('../utils/emailUtils');
 const User = require('../models/userModel');
+const Notification = require('../models/notificationModel');
 
 /**
  * Send booking confirmation notification
@@ -172,10 +173,155 @@ const sendGenericNotification = async (userId, subject, message) => {
   }
 };
 
+/**
+ * Notify a passenger that the operator cancelled their trip (email and in-app)
+ * @param {object} booking - Cancelled booking with trip route populated
+ * @param {object} refund - Refund issued { refundAmount, refundedTo }
+ * @param {string} reason - Cancellation reason given by the operator
+ * @returns {object} Notification result
+ */
+const sendTripCancellationNotice = async (booking, refund, reason) => {
+  try {
+    const user = await User.findById(booking.user).select('name email');
+
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    const route = `${booking.trip.route.sourceCity} to ${booking.trip.route.destinationCity}`;
+    const departure = new Date(booking.trip.departureDateTime).toLocaleString();
+    const refundLine = refund.refundAmount > 0
+      ? `A full refund of ₹${refund.refundAmount} has been issued to your ${refund.refundedTo}.`
+      : 'No payment was taken for this booking, so no refund is due.';
+
+    await Notification.create({
+      type: 'trip_cancelled',
+      title: 'Your trip has been cancelled',
+      message: `Your trip ${route} on ${departure} (PNR ${booking.pnrNumber}) was cancelled by the operator. ${refundLine}`,
+      recipientRole: 'user',
+      recipientId: user._id.toString(),
+      actionRequired: false,
+      metadata: {
+        bookingId: booking._id,
+        pnrNumber: booking.pnrNumber,
+        refundAmount: refund.refundAmount,
+        refundedTo: refund.refundedTo,
+        reason
+      }
+    });
+
+    const result = await emailUtils.sendEmail({
+      to: user.email,
+      subject: `Trip Cancelled - ${route} (PNR ${booking.pnrNumber})`,
+      text: `
+Dear ${user.name},
+
+We regret to inform you that your trip has been cancelled by the operator.
+
+PNR: ${booking.pnrNumber}
+Route: ${route}
+Departure: ${departure}
+Reason: ${reason}
+
+${refundLine}
+
+We apologise for the inconvenience.
+      `
+    });
+
+    return result;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Tell a passenger the bus has left the previous stop and is heading to their boarding point
+ * @param {object} booking - Booking with user populated
+ * @param {object} trip - Trip with route and bus populated
+ * @param {object} stop - Trip stop time the passenger boards at
+ * @param {Date} eta - Estimated arrival at the stop (optional)
+ * @returns {object} Notification result
+ */
+const sendBusApproachingNotice = async (booking, trip, stop, eta = null) => {
+  try {
+    const user = booking.user;
+    const arrivalTime = new Date(eta || stop.scheduledTime).toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+    const message = `Your bus ${trip.bus?.busNumber || ''} (PNR ${booking.pnrNumber}) is on its way to ${stop.name} ` +
+      `and should arrive around ${arrivalTime}. Please be at the boarding point.`;
+
+    await Notification.create({
+      type: 'bus_approaching',
+      title: `Your bus is approaching ${stop.name}`,
+      message,
+      recipientRole: 'user',
+      recipientId: user._id.toString(),
+      actionRequired: false,
+      metadata: {
+        bookingId: booking._id,
+        pnrNumber: booking.pnrNumber,
+        tripId: trip._id,
+        stopId: stop.stopId,
+        eta
+      }
+    });
+
+    const result = await emailUtils.sendEmail({
+      to: user.email,
+      subject: `Bus approaching ${stop.name} - PNR ${booking.pnrNumber}`,
+      text: `
+Dear ${user.name},
+
+${message}
+
+Route: ${trip.route.sourceCity} to ${trip.route.destinationCity}
+Seats: ${booking.seats.map(seat => seat.seatNumber).join(', ')}
+
+Have a safe journey!
+      `
+    });
+
+    return result;
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send admins the refund summary for a cancelled trip
+ * @param {object} trip - Cancelled trip with route populated
+ * @param {object} report - Report from tripCancellationService.cancelTrip
+ * @returns {object} Created notification
+ */
+const sendTripCancellationReport = async (trip, report) => {
+  try {
+    const route = `${trip.route.sourceCity} to ${trip.route.destinationCity}`;
+
+    return await Notification.create({
+      type: 'trip_cancellation_report',
+      title: 'Trip cancellation refund report',
+      message: `Trip ${route} on ${new Date(trip.departureDateTime).toLocaleString()} was cancelled. ` +
+        `${report.bookingsCancelled} booking(s) cancelled, ₹${report.totalRefunded} refunded` +
+        `${report.failures.length > 0 ? `, ${report.failures.length} booking(s) need attention` : ''}.`,
+      recipientRole: 'admin',
+      actionRequired: report.failures.length > 0,
+      metadata: report
+    });
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendBookingConfirmation,
   sendCancellationNotification,
   sendWalletNotification,
   sendTripReminder,
-  sendGenericNotification
+  sendGenericNotification,
+  sendTripCancellationNotice,
+  sendBusApproachingNotice,
+  sendTripCancellationReport
 };
\ No newline at end of file
@@ -1,17 +1,24 @@
 // FILE: backend/services/paymentService.js
 /**
  * Payment service for handling Razorpay payments
- * Supports creating orders and verifying payments
+ * Supports creating orders, verifying payments and webhooks, and a local fake gateway
  */
 
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
 const logger = require('../utils/logger');
 
+// PAYMENT_GATEWAY=fake swaps Razorpay for a local gateway so the whole flow runs without the network
+const FAKE_GATEWAY = process.env.PAYMENT_GATEWAY === 'fake';
+const FAKE_KEY_SECRET = 'fake_key_secret';
+const FAKE_WEBHOOK_SECRET = 'fake_webhook_secret';
+
 // Initialize Razorpay instance only if credentials are provided
 let razorpay = null;
 
-if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET && 
+if (FAKE_GATEWAY) {
+  logger.warn('PAYMENT_GATEWAY=fake - payments are simulated locally. Never use this in production.');
+} else if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET && 
     process.env.RAZORPAY_KEY_ID !== 'your_razorpay_key_id') {
   razorpay = new Razorpay({
     key_id: process.env.RAZORPAY_KEY_ID,
@@ -22,17 +29,54 @@ if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET &&
   logger.warn('Razorpay credentials not configured. Payment features will be disabled.');
 }
 
+/**
+ * Secret used to sign checkout responses
+ * @returns {string|null} Key secret, or null if not configured
+ */
+const getKeySecret = () => {
+  if (FAKE_GATEWAY) {
+    return FAKE_KEY_SECRET;
+  }
+  if (!process.env.RAZORPAY_KEY_SECRET || process.env.RAZORPAY_KEY_SECRET === 'your_razorpay_key_secret') {
+    return null;
+  }
+  return process.env.RAZORPAY_KEY_SECRET;
+};
+
+/**
+ * Random ID in Razorpay's prefix_xxx format for the fake gateway
+ * @param {string} prefix - Entity prefix (order, pay, rfnd, evt)
+ * @returns {string} Fake entity ID
+ */
+const fakeId = (prefix) => `${prefix}_fake${crypto.randomBytes(7).toString('hex')}`;
+
+/**
+ * Check whether payments are simulated locally
+ * @returns {boolean} True in fake-gateway mode
+ */
+const isFakeGateway = () => FAKE_GATEWAY;
+
+/**
+ * Public key the checkout widget is opened with
+ * @returns {string} Razorpay key ID
+ */
+const getKeyId = () => (FAKE_GATEWAY ? 'rzp_test_fake' : process.env.RAZORPAY_KEY_ID);
+
 /**
  * Create Razorpay order
  */
 const createOrder = async (amount, currency = 'INR', receipt, notes = {}) => {
+  if (FAKE_GATEWAY) {
+    return { id: fakeId('order'), entity: 'order', amount: Math.round(amount * 100), currency, receipt, notes, status: 'created' };
+  }
+
   if (!razorpay) {
     throw new Error('Razorpay is not configured. Please add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to .env file');
   }
   
   try {
     const options = {
-      amount: amount * 100, // Amount in paise
+      amount: Math.round(amount * 100), // Amount in paise
       currency,
       receipt,
       notes
@@ -50,29 +94,136 @@ const createOrder = async (amount, currency = 'INR', receipt, notes = {}) => {
  * Verify Razorpay payment signature
  */
 const verifyPayment = (orderId, paymentId, signature) => {
-  if (!process.env.RAZORPAY_KEY_SECRET || process.env.RAZORPAY_KEY_SECRET === 'your_razorpay_key_secret') {
+  const keySecret = getKeySecret();
+  if (!keySecret) {
     logger.error('Razorpay key secret not configured');
     return false;
   }
   
   try {
-    const text = `${orderId}|${paymentId}`;
-    const generated_signature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(text)
-      .digest('hex');
-
-    return generated_signature === signature;
+    return signaturesMatch(signCheckout(orderId, paymentId, keySecret), signature);
   } catch (error) {
     logger.error(`Payment verification error: ${error.message}`);
     return false;
   }
 };
 
+/**
+ * Sign a checkout response the way Razorpay does
+ * @param {string} orderId - Razorpay order ID
+ * @param {string} paymentId - Razorpay payment ID
+ * @param {string} keySecret - Key secret
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+const signCheckout = (orderId, paymentId, keySecret = getKeySecret()) => {
+  return crypto
+    .createHmac('sha256', keySecret)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+};
+
+/**
+ * Compare two hex signatures in constant time
+ * @param {string} expected - Signature we computed
+ * @param {string} received - Signature sent to us
+ * @returns {boolean} True if they match
+ */
+const signaturesMatch = (expected, received) => {
+  if (typeof received !== 'string' || received.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+/**
+ * Secret Razorpay signs webhooks with (set per webhook in the Razorpay dashboard)
+ * @returns {string|null} Webhook secret, or null if not configured
+ */
+const getWebhookSecret = () => (FAKE_GATEWAY ? FAKE_WEBHOOK_SECRET : process.env.RAZORPAY_WEBHOOK_SECRET || null);
+
+/**
+ * Sign a raw webhook body
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @returns {string} Hex HMAC-SHA256 signature
+ */
+const signWebhook = (rawBody) => {
+  return crypto
+    .createHmac('sha256', getWebhookSecret())
+    .update(rawBody)
+    .digest('hex');
+};
+
+/**
+ * Verify the X-Razorpay-Signature header of a webhook
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - X-Razorpay-Signature header
+ * @returns {boolean} True if the webhook came from Razorpay
+ */
+const verifyWebhookSignature = (rawBody, signature) => {
+  if (!getWebhookSecret()) {
+    logger.error('Razorpay webhook secret not configured');
+    return false;
+  }
+  if (!rawBody) {
+    return false;
+  }
+  return signaturesMatch(signWebhook(rawBody), signature);
+};
+
+/**
+ * Pay an order on the fake gateway
+ * Returns what Razorpay checkout would hand the browser, plus the webhook Razorpay would send.
+ * @param {object} order - { orderId, amount } in rupees
+ * @param {string} outcome - 'captured' or 'failed'
+ * @returns {object} Checkout response and signed webhook
+ */
+const simulatePayment = ({ orderId, amount }, outcome = 'captured') => {
+  if (!FAKE_GATEWAY) {
+    throw new Error('Payments can only be simulated when PAYMENT_GATEWAY=fake');
+  }
+
+  const paymentId = fakeId('pay');
+  const event = outcome === 'captured' ? 'payment.captured' : 'payment.failed';
+  const body = JSON.stringify({
+    entity: 'event',
+    event,
+    payload: {
+      payment: {
+        entity: {
+          id: paymentId,
+          order_id: orderId,
+          amount: Math.round(amount * 100),
+          currency: 'INR',
+          status: outcome,
+          error_description: outcome === 'failed' ? 'Payment declined by fake gateway' : null
+        }
+      }
+    },
+    created_at: Math.floor(Date.now() / 1000)
+  });
+
+  return {
+    checkout: outcome === 'captured' ? {
+      razorpay_order_id: orderId,
+      razorpay_payment_id: paymentId,
+      razorpay_signature: signCheckout(orderId, paymentId)
+    } : null,
+    webhook: {
+      eventId: fakeId('evt'),
+      body,
+      signature: signWebhook(body)
+    }
+  };
+};
+
 /**
  * Get payment details
  */
 const getPaymentDetails = async (paymentId) => {
+  if (FAKE_GATEWAY) {
+    return { id: paymentId, entity: 'payment', status: 'captured' };
+  }
+
   if (!razorpay) {
     throw new Error('Razorpay is not configured. Please add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to .env file');
   }
@@ -90,13 +241,17 @@ const getPaymentDetails = async (paymentId) => {
  * Initiate refund
  */
 const initiateRefund = async (paymentId, amount, notes = {}) => {
+  if (FAKE_GATEWAY) {
+    return { id: fakeId('rfnd'), entity: 'refund', payment_id: paymentId, amount: Math.round(amount * 100), notes, status: 'processed' };
+  }
+
   if (!razorpay) {
     throw new Error('Razorpay is not configured. Please add RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET to .env file');
   }
   
   try {
     const refund = await razorpay.payments.refund(paymentId, {
-      amount: amount * 100, // Amount in paise
+      amount: Math.round(amount * 100), // Amount in paise
       notes
     });
     return refund;
@@ -107,8 +262,12 @@ const initiateRefund = async (paymentId, amount, notes = {}) => {
 };
 
 module.exports = {
+  isFakeGateway,
+  getKeyId,
   createOrder,
   verifyPayment,
+  verifyWebhookSignature,
+  simulatePayment,
   getPaymentDetails,
   initiateRefund
 };
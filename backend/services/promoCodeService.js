@@ -5,7 +5,11 @@
  */
 
 const PromoCode = require('../models/promoCodeModel');
+const PromoRedemption = require('../models/promoRedemptionModel');
+const Booking = require('../models/bookingModel');
 const MESSAGES = require('../constants/messages');
+const { BOOKING_STATUS } = require('../constants/enums');
+const AppError = require('../utils/AppError');
 
 /**
  * Create a new promo code
@@ -122,34 +126,66 @@ const getPromoCodeById = async (promoCodeId) => {
 };
 
 /**
- * Validate and apply promo code
+ * Build the user shape expected by PromoCode.validatePromoCode
+ * @param {object} user - User document (or anything with _id)
+ * @returns {object} User with tripsCompleted count
+ */
+const getPromoUserContext = async (user) => {
+  const tripsCompleted = await Booking.countDocuments({
+    user: user._id,
+    bookingStatus: BOOKING_STATUS.COMPLETED
+  });
+
+  return { _id: user._id, tripsCompleted };
+};
+
+/**
+ * Look up a promo code and check it against the booking, user and route
  * @param {string} code - Promo code
- * @param {number} bookingAmount - Booking amount
+ * @param {number} bookingAmount - Booking amount before discount
  * @param {object} user - User object
  * @param {string} routeId - Route ID
- * @returns {object} Discount details
+ * @returns {object} Promo code document and discount amount
  */
-const validateAndApplyPromoCode = async (code, bookingAmount, user, routeId) => {
-  const promoCode = await PromoCode.findOne({ code: code.toUpperCase() })
-    .populate('applicableRoutes');
-  
+const validatePromoForBooking = async (code, bookingAmount, user, routeId) => {
+  const promoCode = await PromoCode.findOne({ code: code.toUpperCase() });
+
   if (!promoCode) {
-    throw new Error('Invalid promo code');
+    throw new AppError('Invalid promo code', 400);
   }
 
-  // Validate promo code
-  const validation = promoCode.validatePromoCode(bookingAmount, user, routeId);
+  const promoUser = await getPromoUserContext(user);
+  const validation = promoCode.validatePromoCode(bookingAmount, promoUser, routeId);
   if (!validation.isValid) {
-    throw new Error(validation.message);
+    throw new AppError(validation.message, 400);
   }
 
-  // Calculate discount
-  const discountAmount = promoCode.calculateDiscount(bookingAmount);
-  
-  // Apply promo code (increment usage)
-  await PromoCode.findByIdAndUpdate(promoCode._id, {
-    $inc: { usedCount: 1 }
-  });
+  const alreadyRedeemed = await PromoRedemption.exists({ promoCode: promoCode._id, user: user._id });
+  if (alreadyRedeemed) {
+    throw new AppError('You have already used this promo code', 400);
+  }
+
+  return {
+    promoCode,
+    discountAmount: promoCode.calculateDiscount(bookingAmount)
+  };
+};
+
+/**
+ * Validate a promo code and preview the discount (does not redeem it)
+ * @param {string} code - Promo code
+ * @param {number} bookingAmount - Booking amount
+ * @param {object} user - User object
+ * @param {string} routeId - Route ID
+ * @returns {object} Discount details
+ */
+const previewPromoCode = async (code, bookingAmount, user, routeId) => {
+  const { promoCode, discountAmount } = await validatePromoForBooking(
+    code,
+    bookingAmount,
+    user,
+    routeId
+  );
 
   return {
     promoCode: promoCode.code,
@@ -160,6 +196,99 @@ const validateAndApplyPromoCode = async (code, bookingAmount, user, routeId) =>
   };
 };
 
+/**
+ * Redeem a promo code against a booking
+ * Increments usedCount atomically and records the redemption for the user
+ * @param {string} code - Promo code
+ * @param {number} bookingAmount - Booking amount before discount
+ * @param {object} user - User object
+ * @param {string} routeId - Route ID
+ * @param {string} bookingId - Booking ID the code is redeemed on
+ * @param {object} session - Mongoose session
+ * @returns {object} Redeemed code and discount amount
+ */
+const redeemPromoCode = async (code, bookingAmount, user, routeId, bookingId, session = null) => {
+  const { promoCode, discountAmount } = await validatePromoForBooking(
+    code,
+    bookingAmount,
+    user,
+    routeId
+  );
+
+  // Guard on usedCount so two redemptions can't both take the last use
+  const updated = await PromoCode.findOneAndUpdate(
+    {
+      _id: promoCode._id,
+      isActive: true,
+      $expr: { $lt: ['$usedCount', '$maxUsage'] }
+    },
+    { $inc: { usedCount: 1 } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw new AppError('Promo code usage limit reached', 400);
+  }
+
+  try {
+    await PromoRedemption.create([{
+      promoCode: promoCode._id,
+      user: user._id,
+      booking: bookingId,
+      discountAmount
+    }], { session });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new AppError('You have already used this promo code', 400);
+    }
+    throw error;
+  }
+
+  return {
+    promoCode: promoCode.code,
+    discountAmount
+  };
+};
+
+/**
+ * Roll back the promo redemption on a cancelled booking
+ * @param {string} bookingId - Booking ID
+ * @param {object} session - Mongoose session
+ * @returns {boolean} True if a redemption was rolled back
+ */
+const revertPromoRedemption = async (bookingId, session = null) => {
+  const redemption = await PromoRedemption.findOneAndDelete({ booking: bookingId }, { session });
+
+  if (!redemption) {
+    return false;
+  }
+
+  await PromoCode.updateOne(
+    { _id: redemption.promoCode, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } },
+    { session }
+  );
+
+  return true;
+};
+
+/**
+ * Move a promo redemption to the booking that replaced it on reschedule
+ * @param {string} fromBookingId - Original booking ID
+ * @param {string} toBookingId - New booking ID
+ * @param {object} session - Mongoose session
+ * @returns {boolean} True if a redemption was moved
+ */
+const transferPromoRedemption = async (fromBookingId, toBookingId, session = null) => {
+  const result = await PromoRedemption.updateOne(
+    { booking: fromBookingId },
+    { booking: toBookingId },
+    { session }
+  );
+
+  return result.modifiedCount > 0;
+};
+
 /**
  * Update promo code
  * @param {string} promoCodeId - Promo code ID
@@ -274,7 +403,10 @@ module.exports = {
   createPromoCode,
   getAllPromoCodes,
   getPromoCodeById,
-  validateAndApplyPromoCode,
+  previewPromoCode,
+  redeemPromoCode,
+  revertPromoRedemption,
+  transferPromoRedemption,
   updatePromoCode,
   deletePromoCode,
   togglePromoCodeStatus,
@@ -4,9 +4,26 @@
  * Business logic for rental inquiry operations
  */
 
+const crypto = require('crypto');
 const RentalInquiry = require('../models/rentalInquiryModel');
+const Charter = require('../models/charterModel');
+const Notification = require('../models/notificationModel');
+const charterService = require('./charterService');
+const emailUtils = require('../utils/emailUtils');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
 const MESSAGES = require('../constants/messages');
 
+// Days a quote can be accepted for unless staff set their own expiry
+const QUOTE_VALIDITY_DAYS = parseInt(process.env.RENTAL_QUOTE_VALIDITY_DAYS) || 7;
+
+// Inquiries that are settled and take no more quotes or responses
+const CLOSED_STATUSES = ['confirmed', 'declined', 'cancelled'];
+
+const QUOTE_RESPONSES = { accept: 'accepted', decline: 'declined', counter: 'countered' };
+
+const hashQuoteToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
 /**
  * Create a new rental inquiry
  * @param {object} inquiryData - Inquiry data
@@ -133,6 +150,8 @@ const getRentalInquiryById = async (inquiryId) => {
 
 /**
  * Update rental inquiry status
+ * Inquiries are confirmed by the customer accepting the quote or through
+ * charterService.confirmInquiry; cancelling a confirmed inquiry cancels its charter.
  * @param {string} inquiryId - Inquiry ID
  * @param {string} status - New status
  * @param {string} notes - Status notes
@@ -145,6 +164,18 @@ const updateInquiryStatus = async (inquiryId, status, notes = '') => {
     throw new Error('Rental inquiry not found');
   }
 
+  if (status === 'confirmed') {
+    throw new AppError('Inquiries are confirmed when the customer accepts the quote or it is converted to a charter', 400);
+  }
+
+  if (inquiry.charter && status !== 'cancelled') {
+    throw new AppError('Inquiry has a charter - cancel it instead of changing the status', 400);
+  }
+
+  if (inquiry.charter && inquiry.status !== 'cancelled') {
+    await charterService.cancelCharter(inquiry.charter, notes || 'Rental inquiry cancelled');
+  }
+
   await inquiry.updateStatus(status, notes);
 
   return await RentalInquiry.findById(inquiryId).populate('assignedTo');
@@ -177,12 +208,17 @@ const assignStaffToInquiry = async (inquiryId, staffId) => {
 
 /**
  * Set quote for rental inquiry
+ * Each quote is a new revision in the quote history. The customer is emailed a fresh
+ * link to respond; links from earlier quotes stop working.
  * @param {string} inquiryId - Inquiry ID
  * @param {number} amount - Quote amount
- * @param {string} notes - Quote notes
- * @returns {object} Updated inquiry
+ * @param {string} notes - Quote notes (shown to the customer)
+ * @param {object} details - { breakdown: [{ label, amount }], validUntil }
+ * @param {object} actor - req.user
+ * @returns {object} { inquiry, quoteUrl }
  */
-const setInquiryQuote = async (inquiryId, amount, notes = '') => {
+const setInquiryQuote = async (inquiryId, amount, notes = '', details = {}, actor = null) => {
+  const { breakdown = [], validUntil } = details;
   const inquiry = await RentalInquiry.findById(inquiryId);
   
   if (!inquiry) {
@@ -193,9 +229,184 @@ const setInquiryQuote = async (inquiryId, amount, notes = '') => {
     throw new Error('Quote amount must be greater than 0');
   }
 
-  await inquiry.setQuote(amount, notes);
+  if (CLOSED_STATUSES.includes(inquiry.status) || inquiry.charter) {
+    throw new AppError(`Cannot quote an inquiry that is ${inquiry.status}`, 400);
+  }
 
-  return await RentalInquiry.findById(inquiryId).populate('assignedTo');
+  const lines = (breakdown || []).map(line => ({ label: line.label, amount: Number(line.amount) }));
+  if (lines.some(line => !line.label || isNaN(line.amount))) {
+    throw new AppError('Each quote line needs a label and an amount', 400);
+  }
+
+  const linesTotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (lines.length > 0 && Math.abs(linesTotal - amount) > 0.01) {
+    throw new AppError(`Quote lines add up to ₹${linesTotal}, not the quoted ₹${amount}`, 400);
+  }
+
+  const expiresAt = validUntil
+    ? new Date(validUntil)
+    : new Date(Date.now() + QUOTE_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+  if (isNaN(expiresAt) || expiresAt <= new Date()) {
+    throw new AppError('Quote expiry must be in the future', 400);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  inquiry.quoteTokenHash = hashQuoteToken(token);
+
+  await inquiry.setQuote(amount, notes, { breakdown: lines, expiresAt, quotedBy: actor?.email || null });
+
+  const quoteUrl = `${process.env.FRONTEND_URL}/rental-quote/${token}`;
+  await emailUtils.sendRentalQuote(inquiry, quoteUrl)
+    .catch(error => logger.warn(`Quote email to ${inquiry.email} failed: ${error.message}`));
+
+  return {
+    inquiry: await RentalInquiry.findById(inquiryId).populate('assignedTo'),
+    quoteUrl
+  };
+};
+
+/**
+ * Load the inquiry a customer quote link belongs to
+ * @param {string} token - Secret from the quote link
+ * @returns {object} Inquiry document
+ */
+const getInquiryByQuoteToken = async (token) => {
+  const inquiry = token ? await RentalInquiry.findOne({ quoteTokenHash: hashQuoteToken(token) }) : null;
+
+  if (!inquiry) {
+    throw new AppError('This quote link is invalid or has been replaced by a newer quote', 404);
+  }
+
+  return inquiry;
+};
+
+/**
+ * Shape an inquiry for the customer quote page (no internal notes or staff details)
+ * @param {object} inquiry - Inquiry document
+ * @returns {object} Quote view
+ */
+const toQuoteView = (inquiry) => {
+  const latestQuote = [...inquiry.quoteHistory].reverse().find(entry => entry.action === 'quoted');
+
+  return {
+    name: inquiry.name,
+    tripType: inquiry.tripType,
+    fromCity: inquiry.fromCity,
+    toCity: inquiry.toCity,
+    departureDate: inquiry.departureDate,
+    returnDate: inquiry.returnDate,
+    passengers: inquiry.passengers,
+    busType: inquiry.busType,
+    amenities: inquiry.amenities,
+    status: inquiry.status,
+    quote: {
+      amount: inquiry.quoteAmount,
+      breakdown: inquiry.quoteBreakdown,
+      notes: latestQuote?.message || '',
+      expiresAt: inquiry.quoteExpiresAt,
+      expired: inquiry.quoteExpired
+    },
+    history: inquiry.quoteHistory.map(entry => ({
+      action: entry.action,
+      by: entry.by,
+      amount: entry.amount,
+      message: entry.message,
+      createdAt: entry.createdAt
+    }))
+  };
+};
+
+/**
+ * Get the quote a customer link points to
+ * @param {string} token - Secret from the quote link
+ * @returns {object} Quote view
+ */
+const getQuoteByToken = async (token) => {
+  return toQuoteView(await getInquiryByQuoteToken(token));
+};
+
+/**
+ * Tell the assigned staff member (or admins if nobody is assigned) how the customer responded
+ * @param {object} inquiry - Inquiry with the response recorded
+ * @param {object} entry - Quote history entry of the response
+ */
+const notifyQuoteResponse = async (inquiry, entry) => {
+  await inquiry.populate('assignedTo', 'name email');
+
+  const staff = inquiry.assignedTo;
+  const title = {
+    accepted: 'Rental quote accepted',
+    declined: 'Rental quote declined',
+    countered: 'Rental counter-offer received'
+  }[entry.action];
+  const message = `${inquiry.name} ${entry.action} the ₹${inquiry.quoteAmount} quote for ${inquiry.fromCity} → ${inquiry.toCity}` +
+    (entry.action === 'countered' ? ` with an offer of ₹${entry.amount}` : '') +
+    (entry.message ? `. Message: ${entry.message}` : '');
+
+  await Notification.create({
+    type: 'rental_quote_response',
+    title,
+    message,
+    recipientRole: staff ? 'staff' : 'admin',
+    recipientId: staff ? staff._id.toString() : null,
+    actionRequired: entry.action !== 'declined',
+    metadata: { inquiryId: inquiry._id, action: entry.action, amount: entry.amount }
+  });
+
+  if (staff?.email) {
+    await emailUtils.sendEmail({
+      to: staff.email,
+      subject: title,
+      text: `Dear ${staff.name},\n\n${message}\n\nThank you.`
+    }).catch(error => logger.warn(`Quote response email to ${staff.email} failed: ${error.message}`));
+  }
+};
+
+/**
+ * Record a customer's response to their quote
+ * Accepting confirms the inquiry, a counter-offer moves it to negotiating until staff
+ * send a revised quote, and declining closes it. Expired quotes can only be declined
+ * or countered.
+ * @param {string} token - Secret from the quote link
+ * @param {string} response - 'accept', 'decline' or 'counter'
+ * @param {object} data - { amount (counter-offers), message }
+ * @returns {object} Quote view
+ */
+const respondToQuote = async (token, response, { amount, message } = {}) => {
+  const action = QUOTE_RESPONSES[response];
+
+  if (!action) {
+    throw new AppError('Response must be accept, decline or counter', 400);
+  }
+
+  const inquiry = await getInquiryByQuoteToken(token);
+
+  if (inquiry.status === 'negotiating') {
+    throw new AppError('Your counter-offer is with our team - we will send you a revised quote', 400);
+  }
+
+  if (inquiry.status !== 'quoted') {
+    throw new AppError(`This quote is already ${inquiry.status}`, 400);
+  }
+
+  if (action === 'accepted' && inquiry.quoteExpired) {
+    throw new AppError(`This quote expired on ${inquiry.quoteExpiresAt.toLocaleString()}. Send a counter-offer to request a new quote.`, 400);
+  }
+
+  const offer = Number(amount);
+  if (action === 'countered' && (!offer || offer <= 0)) {
+    throw new AppError('A counter-offer needs an amount greater than 0', 400);
+  }
+
+  await inquiry.recordCustomerResponse(action, { amount: offer, message });
+
+  const entry = inquiry.quoteHistory[inquiry.quoteHistory.length - 1];
+  await notifyQuoteResponse(inquiry, entry)
+    .catch(error => logger.warn(`Quote response notification for inquiry ${inquiry._id} failed: ${error.message}`));
+
+  logger.info(`Rental inquiry ${inquiry._id}: customer ${action} the quote`);
+
+  return toQuoteView(inquiry);
 };
 
 /**
@@ -210,6 +421,10 @@ const deleteRentalInquiry = async (inquiryId) => {
     throw new Error('Rental inquiry not found');
   }
 
+  if (inquiry.charter && await Charter.exists({ _id: inquiry.charter, status: Charter.CHARTER_STATUS.CONFIRMED })) {
+    throw new AppError('Cannot delete an inquiry with a confirmed charter', 400);
+  }
+
   await RentalInquiry.findByIdAndDelete(inquiryId);
   
   return { message: 'Rental inquiry deleted successfully' };
@@ -260,6 +475,8 @@ module.exports = {
   updateInquiryStatus,
   assignStaffToInquiry,
   setInquiryQuote,
+  getQuoteByToken,
+  respondToQuote,
   deleteRentalInquiry,
   getUpcomingInquiries,
   getInquiryStatistics
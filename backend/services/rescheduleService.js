@@ -0,0 +1,483 @@
+// FILE: backend/services/rescheduleService.js
+/**
+ * Reschedule service moving a booking's passengers onto another trip on the same route
+ * The fare difference (plus any reschedule fee) is settled through the wallet
+ */
+
+const mongoose = require('mongoose');
+const Booking = require('../models/bookingModel');
+const Trip = require('../models/tripModel');
+const User = require('../models/userModel');
+const Transaction = require('../models/transactionModel');
+const SeatReservation = require('../models/seatReservationModel');
+const tripService = require('./tripService');
+const fareService = require('./fareService');
+const seatHoldService = require('./seatHoldService');
+const promoCodeService = require('./promoCodeService');
+const { resolveBookingPoints, getSegmentLegs, getTripStopTimes } = require('./routeStopService');
+const { isSeatConflict } = require('./bookingService');
+const { BOOKING_STATUS, PAYMENT_STATUS, PAYMENT_METHODS, TRIP_STATUS } = require('../constants/enums');
+const MESSAGES = require('../constants/messages');
+const AppError = require('../utils/AppError');
+
+// Charged per seat on a voluntary reschedule (default ₹100)
+const RESCHEDULE_FEE_PER_SEAT = parseInt(process.env.RESCHEDULE_FEE_PER_SEAT) || 100;
+
+// Days either side of the original departure searched for alternatives (?days= widens up to the max)
+const DEFAULT_SEARCH_DAYS = 3;
+const MAX_SEARCH_DAYS = 7;
+
+/**
+ * Whether the bus has already left with the booking's passengers
+ * A DELAYED trip is only marked once it runs late, which is after its scheduled departure,
+ * so it counts as departed only once the bus has left the boarding stop.
+ * @param {object} booking - Booking with populated trip
+ * @returns {boolean} True if the booking can no longer be moved
+ */
+const hasDeparted = (booking) => {
+  const trip = booking.trip;
+
+  if (trip.status === TRIP_STATUS.DELAYED) {
+    const stopTimes = trip.stopTimes || [];
+    const boardingStop = stopTimes.find(stop => stop.stopId === booking.boardingPoint?.stopId) || stopTimes[0];
+    return Boolean(boardingStop?.actualDeparture);
+  }
+
+  return new Date(trip.departureDateTime) <= new Date();
+};
+
+/**
+ * Load a user's booking and check it can be moved to another trip
+ * Active bookings can always be moved; cancelled ones only when the operator cancelled the trip.
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @returns {object} Booking with trip and route populated
+ */
+const getReschedulableBooking = async (bookingId, userId) => {
+  const booking = await Booking.findOne({
+    _id: bookingId,
+    user: userId
+  }).populate({
+    path: 'trip',
+    populate: { path: 'route' }
+  });
+
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+
+  if (booking.rescheduledTo) {
+    throw new AppError('Booking has already been rescheduled', 400);
+  }
+
+  const tripCancelled = booking.trip.status === TRIP_STATUS.CANCELLED;
+  const activeStatuses = [BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.PARTIALLY_CANCELLED];
+
+  if (booking.bookingStatus === BOOKING_STATUS.CANCELLED && !tripCancelled) {
+    throw new AppError('Cancelled bookings cannot be rescheduled', 400);
+  }
+
+  if (booking.bookingStatus !== BOOKING_STATUS.CANCELLED && !activeStatuses.includes(booking.bookingStatus)) {
+    throw new AppError(`Cannot reschedule a ${booking.bookingStatus} booking`, 400);
+  }
+
+  if (![PAYMENT_STATUS.SUCCESS, PAYMENT_STATUS.REFUNDED].includes(booking.paymentStatus)) {
+    throw new AppError('Only paid bookings can be rescheduled', 400);
+  }
+
+  if (!tripCancelled && hasDeparted(booking)) {
+    throw new AppError('Cannot reschedule a trip that has already departed', 400);
+  }
+
+  return booking;
+};
+
+/**
+ * Passengers that move with the booking
+ * On a trip the operator cancelled these are the seats that cancellation closed.
+ * @param {object} booking - Booking document
+ * @returns {array} Booking seat entries
+ */
+const getPassengersToMove = (booking) => {
+  if (booking.bookingStatus !== BOOKING_STATUS.CANCELLED) {
+    return booking.activeSeats;
+  }
+
+  const cancelledAt = booking.cancellation?.cancelledAt?.getTime();
+  return booking.seats.filter(seat => seat.cancelledAt?.getTime() === cancelledAt);
+};
+
+/**
+ * Amount the user has paid on the booking that has not been refunded or kept back
+ * @param {object} booking - Booking document
+ * @returns {number} Amount carried over to the new trip
+ */
+const getAmountHeld = (booking) => {
+  if (booking.paymentStatus !== PAYMENT_STATUS.SUCCESS &&
+    booking.paymentStatus !== PAYMENT_STATUS.REFUNDED) {
+    return 0;
+  }
+
+  const previous = booking.cancellation || {};
+  const settled = (previous.refundAmount || 0) +
+    (previous.deductionAmount || 0) +
+    (previous.nonRefundableAmount || 0);
+
+  return Math.max(0, booking.totalAmount - settled);
+};
+
+/**
+ * Reschedule fee for a booking - waived when the operator delayed or cancelled the trip
+ * @param {object} booking - Booking with trip populated
+ * @param {number} seatCount - Seats being moved
+ * @returns {number} Fee in rupees
+ */
+const getRescheduleFee = (booking, seatCount) => {
+  const disrupted = [TRIP_STATUS.DELAYED, TRIP_STATUS.CANCELLED].includes(booking.trip.status);
+  return disrupted ? 0 : RESCHEDULE_FEE_PER_SEAT * seatCount;
+};
+
+/**
+ * Keep the passenger's boarding and dropping stops on the new trip where they still exist
+ * @param {object} booking - Booking being moved
+ * @param {object} newTrip - Target trip with route populated
+ * @returns {object} { boardingPoint, droppingPoint, segment }
+ */
+const resolveReschedulePoints = (booking, newTrip) => {
+  try {
+    return resolveBookingPoints(newTrip, booking.boardingPoint?.stopId, booking.droppingPoint?.stopId);
+  } catch (error) {
+    // Stops were edited since the booking was made - fall back to the route's end points
+    return resolveBookingPoints(newTrip);
+  }
+};
+
+/**
+ * List other trips on the booking's route around its original date with enough free seats
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @param {number} days - Days either side of the original departure to search (1 to MAX_SEARCH_DAYS)
+ * @returns {object} Alternative trips and the fee that would apply
+ */
+const getRescheduleOptions = async (bookingId, userId, days = DEFAULT_SEARCH_DAYS) => {
+  const booking = await getReschedulableBooking(bookingId, userId);
+  const passengers = getPassengersToMove(booking);
+  const { route } = booking.trip;
+
+  // Search from a few days before the original departure (never before today)
+  const searchDays = Math.min(Math.max(1, days), MAX_SEARCH_DAYS);
+  const today = new Date();
+  const from = new Date(booking.trip.departureDateTime);
+  from.setDate(from.getDate() - searchDays);
+  const startDate = from > today ? from : today;
+
+  const trips = await tripService.searchTrips(
+    route.sourceCity,
+    route.destinationCity,
+    startDate.toISOString().split('T')[0],
+    searchDays * 2 + 1,
+    MAX_SEARCH_DAYS * 2 + 1
+  );
+
+  // Seats only need to be free between the passenger's own boarding and dropping stops
+  const alternatives = trips.filter(trip => {
+    if (
+      trip._id.toString() === booking.trip._id.toString() ||
+      trip.route._id.toString() !== route._id.toString() ||
+      new Date(trip.departureDateTime) <= today
+    ) {
+      return false;
+    }
+    const { segment } = resolveReschedulePoints(booking, trip);
+    const occupied = Trip.getOccupiedSeatNumbers(trip.bookedSeats, segment).length;
+    return (trip.bus?.totalSeats || 0) - occupied >= passengers.length;
+  });
+
+  return {
+    booking: {
+      _id: booking._id,
+      pnrNumber: booking.pnrNumber,
+      trip: booking.trip._id,
+      passengers: passengers.length,
+      amountHeld: getAmountHeld(booking)
+    },
+    rescheduleFee: getRescheduleFee(booking, passengers.length),
+    trips: alternatives
+  };
+};
+
+/**
+ * Price a move to another trip without making it
+ * @param {object} booking - Reschedulable booking
+ * @param {object} newTrip - Target trip with bus and route populated
+ * @param {array} seats - Seats on the new trip, one per passenger in booking order
+ * @returns {object} New fare, fee and the amount due (negative is a credit)
+ */
+const priceReschedule = (booking, newTrip, seats) => {
+  const passengers = getPassengersToMove(booking);
+
+  if (seats.length !== passengers.length) {
+    throw new AppError(`Select ${passengers.length} seat(s), one for each passenger`, 400);
+  }
+
+  const routeId = booking.trip.route._id || booking.trip.route;
+  const newRouteId = newTrip.route._id || newTrip.route;
+  if (newRouteId.toString() !== routeId.toString()) {
+    throw new AppError('Bookings can only be moved to a trip on the same route', 400);
+  }
+
+  if (newTrip._id.toString() === booking.trip._id.toString()) {
+    throw new AppError('Booking is already on this trip', 400);
+  }
+
+  if (!newTrip.isActive || ![TRIP_STATUS.SCHEDULED, TRIP_STATUS.BOARDING, TRIP_STATUS.DELAYED].includes(newTrip.status)) {
+    throw new AppError('Selected trip is not open for booking', 400);
+  }
+
+  if (new Date(newTrip.departureDateTime) <= new Date()) {
+    throw new AppError('Cannot move to a trip that has already departed', 400);
+  }
+
+  // Passengers keep their boarding and dropping stops, so only that segment has to be free
+  const points = resolveReschedulePoints(booking, newTrip);
+
+  const unavailableSeats = seats.filter(seat => !newTrip.isSeatAvailable(seat, points.segment));
+  if (unavailableSeats.length > 0) {
+    throw new AppError(`Seats ${unavailableSeats.join(', ')} are not available`, 400);
+  }
+
+  // An unreverted promo discount carries over, capped at the new base fare
+  const baseFare = fareService.calculateFare(newTrip, seats, 0, points.segment);
+  const carriedDiscount = booking.bookingStatus === BOOKING_STATUS.CANCELLED
+    ? 0
+    : Math.min(booking.fareBreakdown?.discountAmount || 0, baseFare.baseAmount);
+  const fare = carriedDiscount > 0
+    ? fareService.calculateFare(newTrip, seats, carriedDiscount, points.segment)
+    : baseFare;
+
+  const amountHeld = getAmountHeld(booking);
+  const rescheduleFee = getRescheduleFee(booking, passengers.length);
+
+  return {
+    fare,
+    points,
+    amountHeld,
+    rescheduleFee,
+    fareDifference: fare.totalAmount - amountHeld,
+    amountDue: fare.totalAmount + rescheduleFee - amountHeld
+  };
+};
+
+/**
+ * Load the trip a booking is being moved to
+ * @param {string} tripId - Trip ID
+ * @returns {object} Trip with bus and route populated
+ */
+const getTargetTrip = async (tripId) => {
+  const trip = await Trip.findById(tripId)
+    .populate('bus')
+    .populate('route');
+
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  return trip;
+};
+
+/**
+ * Quote a reschedule to specific seats on another trip
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @param {string} tripId - Target trip ID
+ * @param {array} seats - Seats on the target trip
+ * @returns {object} Fare breakdown, fee and amount due
+ */
+const getRescheduleQuote = async (bookingId, userId, tripId, seats) => {
+  const booking = await getReschedulableBooking(bookingId, userId);
+  const newTrip = await getTargetTrip(tripId);
+
+  return priceReschedule(booking, newTrip, seats);
+};
+
+/**
+ * Move a booking's passengers to another trip
+ * Creates a new booking (new PNR, earlier PNRs kept in pnrHistory) and closes the old one.
+ * Seats on the new trip must be held by the user, as for a new booking.
+ * @param {string} bookingId - Booking ID
+ * @param {string} userId - User ID
+ * @param {string} tripId - Target trip ID
+ * @param {array} seats - Seats on the target trip, one per passenger in booking order
+ * @param {string} reason - Why the user is rescheduling
+ * @returns {object} New booking
+ */
+const rescheduleBooking = async (bookingId, userId, tripId, seats, reason) => {
+  const booking = await getReschedulableBooking(bookingId, userId);
+  const newTrip = await getTargetTrip(tripId);
+  const pricing = priceReschedule(booking, newTrip, seats);
+  const { fare, amountDue, points } = pricing;
+  const { boardingPoint, droppingPoint, segment } = points;
+
+  const passengers = getPassengersToMove(booking);
+  const passengerInfo = passengers.map((passenger, index) => ({
+    seatNumber: seats[index],
+    name: passenger.passengerName,
+    age: passenger.passengerAge,
+    gender: passenger.passengerGender
+  }));
+  const wasActive = booking.bookingStatus !== BOOKING_STATUS.CANCELLED;
+
+  // Old booking, new booking, seats and wallet settle together
+  const session = await mongoose.startSession();
+  let newBooking;
+
+  try {
+    await session.withTransaction(async () => {
+      const user = await User.findById(userId).session(session);
+      if (!user) {
+        throw new AppError(MESSAGES.USER.USER_NOT_FOUND, 404);
+      }
+
+      const newBookingId = new mongoose.Types.ObjectId();
+
+      if (amountDue > 0) {
+        if (!user.hasSufficientBalance(amountDue)) {
+          throw new AppError(
+            `Insufficient wallet balance. Available: ₹${user.walletBalance}, Required: ₹${amountDue}`,
+            400
+          );
+        }
+        await user.deductFromWallet(amountDue);
+        await Transaction.createRescheduleAdjustment(userId, amountDue, newBookingId, 'debit', session);
+      } else if (amountDue < 0) {
+        await user.addToWallet(-amountDue);
+        await Transaction.createRescheduleAdjustment(userId, -amountDue, newBookingId, 'credit', session);
+      }
+
+      newBooking = new Booking({
+        _id: newBookingId,
+        user: userId,
+        trip: newTrip._id,
+        seats: passengerInfo.map(passenger => {
+          const pricedSeat = fare.seats.find(seat => seat.seatNumber === passenger.seatNumber);
+          return {
+            seatNumber: passenger.seatNumber,
+            passengerName: passenger.name,
+            passengerAge: passenger.age,
+            passengerGender: passenger.gender,
+            seatType: pricedSeat?.seatType,
+            fare: pricedSeat?.fare
+          };
+        }),
+        totalAmount: fare.totalAmount,
+        fareBreakdown: {
+          baseAmount: fare.baseAmount,
+          discountAmount: fare.discountAmount,
+          gstAmount: fare.gstAmount,
+          convenienceFee: fare.convenienceFee,
+          dynamicMultiplier: fare.dynamicMultiplier
+        },
+        // Money carried over keeps its original method; anything topped up came from the wallet
+        paymentMethod: pricing.amountHeld > 0 ? booking.paymentMethod : PAYMENT_METHODS.WALLET,
+        paymentStatus: PAYMENT_STATUS.SUCCESS,
+        bookingStatus: BOOKING_STATUS.CONFIRMED,
+        promoCode: fare.discountAmount > 0 ? {
+          code: booking.promoCode?.code,
+          discountAmount: fare.discountAmount
+        } : undefined,
+        rescheduledFrom: booking._id,
+        pnrHistory: [...(booking.pnrHistory || []), booking.pnrNumber],
+        reschedule: {
+          rescheduledAt: new Date(),
+          fee: pricing.rescheduleFee,
+          fareDifference: pricing.fareDifference,
+          reason
+        },
+        boardingPoint,
+        droppingPoint,
+        segment
+      });
+
+      await seatHoldService.assertSeatsHeld(newTrip._id, seats, userId, session, segment);
+      await SeatReservation.reserveSeats(newTrip._id, seats, newBooking._id, userId, session, getSegmentLegs(segment));
+
+      await newBooking.save({ session });
+      await seatHoldService.consumeHolds(newTrip._id, seats, userId, session);
+
+      const tripInSession = await Trip.findById(newTrip._id).session(session);
+      if (tripInSession.stopTimes.length === 0) {
+        tripInSession.stopTimes = getTripStopTimes(newTrip);
+      }
+      await tripInSession.bookSeats(seats, passengerInfo, newBooking._id, fare.seats, segment);
+
+      // Free the old seats; a booking on a cancelled trip already gave them up
+      const oldBooking = await Booking.findById(booking._id).session(session);
+      if (wasActive) {
+        await Trip.releaseBookingSeats(booking.trip._id, booking._id, null, session);
+        await SeatReservation.releaseBooking(booking._id, session);
+        await promoCodeService.transferPromoRedemption(booking._id, newBooking._id, session);
+        // The fare moved with the passengers, so the old seats can no longer be cancelled or refunded
+        oldBooking.activeSeats.forEach(seat => {
+          seat.status = 'transferred';
+        });
+        oldBooking.bookingStatus = BOOKING_STATUS.RESCHEDULED;
+      }
+      oldBooking.rescheduledTo = newBooking._id;
+      await oldBooking.save({ session });
+    });
+  } catch (error) {
+    if (isSeatConflict(error)) {
+      throw new AppError(`Seats ${seats.join(', ')} are no longer available`, 409);
+    }
+    if (error instanceof AppError) {
+      throw error;
+    }
+    throw new AppError(`Failed to reschedule booking: ${error.message}`, 400);
+  } finally {
+    await session.endSession();
+  }
+
+  await newBooking.populate({
+    path: 'trip',
+    populate: [
+      { path: 'bus' },
+      { path: 'route' }
+    ]
+  });
+
+  return newBooking;
+};
+
+/**
+ * Get every booking in a reschedule chain, oldest first
+ * @param {string} bookingId - Any booking in the chain
+ * @param {string} userId - User ID
+ * @returns {array} Bookings with PNR, trip and status
+ */
+const getRescheduleHistory = async (bookingId, userId) => {
+  const booking = await Booking.findOne({ _id: bookingId, user: userId }).select('pnrNumber pnrHistory');
+
+  if (!booking) {
+    throw new AppError('Booking not found', 404);
+  }
+
+  const pnrNumbers = [...(booking.pnrHistory || []), booking.pnrNumber];
+
+  // Later bookings in the chain carry this PNR in their history
+  const later = await Booking.find({ user: userId, pnrHistory: booking.pnrNumber }).select('pnrNumber');
+  later.forEach(entry => pnrNumbers.push(entry.pnrNumber));
+
+  return Booking.find({ user: userId, pnrNumber: { $in: pnrNumbers } })
+    .select('pnrNumber trip bookingStatus totalAmount reschedule rescheduledFrom rescheduledTo createdAt')
+    .populate('trip', 'departureDateTime arrivalDateTime status')
+    .sort({ createdAt: 1 })
+    .lean();
+};
+
+module.exports = {
+  MAX_SEARCH_DAYS,
+  getRescheduleOptions,
+  getRescheduleQuote,
+  rescheduleBooking,
+  getRescheduleHistory
+};
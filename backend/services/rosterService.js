@@ -0,0 +1,433 @@
+// FILE: backend/services/rosterService.js
+/**
+ * Duty roster service
+ * Weekly shift templates, leave requests and approvals, the roster calendar, and
+ * crew suggestions for trips. Suggestions only include staff crewService would
+ * accept (not on leave, no overlap, rested, licensed), preferring staff who are
+ * on shift at departure and have driven the fewest hours that week.
+ */
+
+const Staff = require('../models/staffModel');
+const Trip = require('../models/tripModel');
+const ShiftTemplate = require('../models/shiftTemplateModel');
+const LeaveRequest = require('../models/leaveRequestModel');
+const Notification = require('../models/notificationModel');
+const crewService = require('./crewService');
+const emailUtils = require('../utils/emailUtils');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+const { LEAVE_STATUS } = LeaveRequest;
+
+// Longest period the roster calendar returns at once
+const MAX_SCHEDULE_DAYS = 42;
+
+// Hours worked over this many days before departure decide who is suggested first
+const WORKLOAD_WINDOW_DAYS = 7;
+
+// Suggestions returned per role
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Parse and check a from/to period
+ * @param {string|Date} from - Period start
+ * @param {string|Date} to - Period end
+ * @returns {object} { from, to } as dates
+ */
+const parsePeriod = (from, to) => {
+  const start = new Date(from);
+  const end = new Date(to);
+
+  if (isNaN(start) || isNaN(end) || end <= start) {
+    throw new AppError('A valid period (from before to) is required', 400);
+  }
+
+  if (end - start > MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000) {
+    throw new AppError(`The roster can show at most ${MAX_SCHEDULE_DAYS} days at once`, 400);
+  }
+
+  return { from: start, to: end };
+};
+
+/**
+ * Load the crew trips of some staff members in a period
+ * @param {array} staffIds - Staff IDs
+ * @param {Date} from - Period start
+ * @param {Date} to - Period end
+ * @returns {array} Trips with route and bus
+ */
+const getCrewTrips = (staffIds, from, to) => {
+  return Trip.find({
+    $or: [{ 'driver.staff': { $in: staffIds } }, { 'conductor.staff': { $in: staffIds } }],
+    status: { $nin: crewService.RELEASED_TRIP_STATUSES },
+    departureDateTime: { $lt: to },
+    arrivalDateTime: { $gt: from }
+  })
+    .select('route bus departureDateTime arrivalDateTime status driver conductor')
+    .populate('route', 'sourceCity destinationCity')
+    .populate('bus', 'busNumber')
+    .sort({ departureDateTime: 1 })
+    .lean();
+};
+
+/**
+ * Check a weekly shift list
+ * @param {array} weeklyShifts - [{ dayOfWeek, startTime, endTime }]
+ * @returns {array} Validated shifts
+ */
+const validateWeeklyShifts = (weeklyShifts) => {
+  if (!Array.isArray(weeklyShifts)) {
+    throw new AppError('Weekly shifts must be a list', 400);
+  }
+
+  return weeklyShifts.map((shift, index) => {
+    const dayOfWeek = parseInt(shift.dayOfWeek);
+
+    if (isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new AppError(`Shift ${index + 1}: day must be 0 (Sunday) to 6 (Saturday)`, 400);
+    }
+    if (!ShiftTemplate.TIME_PATTERN.test(shift.startTime) || !ShiftTemplate.TIME_PATTERN.test(shift.endTime)) {
+      throw new AppError(`Shift ${index + 1}: times must be HH:mm`, 400);
+    }
+    if (shift.startTime === shift.endTime) {
+      throw new AppError(`Shift ${index + 1}: start and end time cannot be the same`, 400);
+    }
+
+    return { dayOfWeek, startTime: shift.startTime, endTime: shift.endTime };
+  });
+};
+
+/**
+ * Create or replace the weekly shift template of a staff member
+ * @param {string} staffId - Staff ID
+ * @param {object} data - { dutyRole, weeklyShifts, isActive }
+ * @param {object} actor - Admin making the change
+ * @returns {object} Saved template
+ */
+const saveShiftTemplate = async (staffId, { dutyRole, weeklyShifts = [], isActive = true }, actor) => {
+  const staff = await Staff.findById(staffId).select('name');
+
+  if (!staff) {
+    throw new AppError('Staff not found', 404);
+  }
+
+  if (!ShiftTemplate.DUTY_ROLES.includes(dutyRole)) {
+    throw new AppError(`Duty role must be one of: ${ShiftTemplate.DUTY_ROLES.join(', ')}`, 400);
+  }
+
+  const template = await ShiftTemplate.findOneAndUpdate(
+    { staff: staffId },
+    {
+      dutyRole,
+      weeklyShifts: validateWeeklyShifts(weeklyShifts),
+      isActive: Boolean(isActive),
+      updatedBy: actor.email
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+
+  logger.info(`Shift template of ${staff.name} updated by ${actor.email}`);
+
+  return template;
+};
+
+/**
+ * Get the roster for a period: shifts, leave and crew trips per staff member
+ * @param {object} options - { from, to, staffId }
+ * @returns {object} { from, to, staff, shifts, leaves, trips }
+ */
+const getSchedule = async ({ from, to, staffId = null }) => {
+  const period = parsePeriod(from, to);
+
+  const staffQuery = staffId ? { _id: staffId } : { isActive: true, approved: true };
+  const staffList = await Staff.find(staffQuery)
+    .select('name employeeId designation department phone')
+    .sort({ name: 1 })
+    .lean();
+  const staffIds = staffList.map(staff => staff._id);
+
+  const [templates, leaves, trips] = await Promise.all([
+    ShiftTemplate.find({ staff: { $in: staffIds } }),
+    LeaveRequest.find({
+      staff: { $in: staffIds },
+      status: { $in: [LEAVE_STATUS.PENDING, LEAVE_STATUS.APPROVED] },
+      startDate: { $lt: period.to },
+      endDate: { $gt: period.from }
+    }).sort({ startDate: 1 }).lean(),
+    getCrewTrips(staffIds, period.from, period.to)
+  ]);
+
+  const templateByStaff = new Map(templates.map(template => [template.staff.toString(), template]));
+
+  const shifts = [];
+  templates.forEach(template => {
+    template.getShiftsBetween(period.from, period.to).forEach(shift => {
+      shifts.push({ staff: template.staff, ...shift });
+    });
+  });
+
+  return {
+    from: period.from,
+    to: period.to,
+    staff: staffList.map(staff => {
+      const template = templateByStaff.get(staff._id.toString());
+      return { ...staff, template: template ? template.toObject() : null };
+    }),
+    shifts,
+    leaves,
+    trips
+  };
+};
+
+/**
+ * Request leave
+ * @param {string} staffId - Staff ID
+ * @param {object} data - { startDate, endDate, leaveType, reason }; endDate is the last day of leave
+ * @returns {object} { leave, conflictingTrips }
+ */
+const requestLeave = async (staffId, { startDate, endDate, leaveType, reason }) => {
+  const start = new Date(startDate);
+  const lastDay = new Date(endDate);
+
+  if (isNaN(start) || isNaN(lastDay)) {
+    throw new AppError('Start and end date are required', 400);
+  }
+
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(lastDay);
+  end.setHours(0, 0, 0, 0);
+  end.setDate(end.getDate() + 1);
+
+  if (end <= start) {
+    throw new AppError('End date cannot be before start date', 400);
+  }
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  if (start < today) {
+    throw new AppError('Leave cannot start in the past', 400);
+  }
+
+  const [existing] = await LeaveRequest.findOverlapping(staffId, start, end, [LEAVE_STATUS.PENDING, LEAVE_STATUS.APPROVED]);
+  if (existing) {
+    throw new AppError(`You already have ${existing.status} leave from ${existing.startDate.toDateString()}`, 400);
+  }
+
+  const staff = await Staff.findById(staffId).select('name email');
+  const leave = await LeaveRequest.create({ staff: staffId, startDate: start, endDate: end, leaveType, reason });
+  const conflictingTrips = await crewService.findStaffBookings(staffId, start, end);
+
+  await Notification.create({
+    type: 'leave_requested',
+    title: 'Leave Requested',
+    message: `${staff.name} requested ${leave.leaveType} leave from ${start.toDateString()} to ${lastDay.toDateString()}` +
+      (conflictingTrips.length > 0 ? ` (rostered on ${conflictingTrips.length} trip(s) or charter(s) in that period)` : ''),
+    recipientRole: 'admin',
+    relatedStaffId: staffId,
+    staffName: staff.name,
+    staffEmail: staff.email,
+    actionRequired: true,
+    metadata: { leaveId: leave._id }
+  });
+
+  return { leave, conflictingTrips };
+};
+
+/**
+ * List leave requests
+ * @param {object} filters - { status, staffId }
+ * @returns {array} Leave requests with staff, newest first
+ */
+const getLeaveRequests = async ({ status, staffId } = {}) => {
+  const query = {};
+  if (status) query.status = status;
+  if (staffId) query.staff = staffId;
+
+  return LeaveRequest.find(query)
+    .populate('staff', 'name employeeId designation email')
+    .sort({ startDate: -1 })
+    .lean();
+};
+
+/**
+ * Approve or reject a pending leave request
+ * Leave cannot be approved while the staff member is still rostered on trips or charters in it.
+ * @param {string} leaveId - Leave request ID
+ * @param {object} review - { status: 'approved' | 'rejected', note }
+ * @param {object} actor - Admin reviewing
+ * @returns {object} Updated leave request
+ */
+const reviewLeave = async (leaveId, { status, note }, actor) => {
+  if (![LEAVE_STATUS.APPROVED, LEAVE_STATUS.REJECTED].includes(status)) {
+    throw new AppError('Status must be approved or rejected', 400);
+  }
+
+  const leave = await LeaveRequest.findById(leaveId).populate('staff', 'name email');
+
+  if (!leave) {
+    throw new AppError('Leave request not found', 404);
+  }
+
+  if (leave.status !== LEAVE_STATUS.PENDING) {
+    throw new AppError(`This leave request is already ${leave.status}`, 400);
+  }
+
+  if (status === LEAVE_STATUS.APPROVED) {
+    const bookings = await crewService.findStaffBookings(leave.staff._id, leave.startDate, leave.endDate);
+    if (bookings.length > 0) {
+      const list = bookings
+        .map(booking => `${booking.charterNumber ? `charter ${booking.charterNumber}: ` : ''}` +
+          `${booking.route?.sourceCity} → ${booking.route?.destinationCity} (${booking.departureDateTime.toLocaleString()})`)
+        .join(', ');
+      throw new AppError(`Reassign ${leave.staff.name}'s trips and charters before approving: ${list}`, 409);
+    }
+  }
+
+  leave.status = status;
+  leave.reviewedBy = actor.email;
+  leave.reviewedAt = new Date();
+  leave.reviewNote = note || null;
+  await leave.save();
+
+  await Notification.updateMany(
+    { type: 'leave_requested', 'metadata.leaveId': leave._id, actionTaken: false },
+    { $set: { actionTaken: true, actionTakenAt: new Date(), actionTakenBy: actor.email } }
+  );
+
+  const lastDay = new Date(leave.endDate.getTime() - 1);
+  const message = `Your ${leave.leaveType} leave from ${leave.startDate.toDateString()} to ${lastDay.toDateString()} was ${status}.` +
+    (note ? ` Note: ${note}` : '');
+
+  await Notification.create({
+    type: 'leave_reviewed',
+    title: `Leave ${status}`,
+    message,
+    recipientRole: 'staff',
+    recipientId: leave.staff._id.toString(),
+    actionRequired: false,
+    metadata: { leaveId: leave._id, status }
+  });
+
+  if (leave.staff.email) {
+    await emailUtils.sendEmail({
+      to: leave.staff.email,
+      subject: `Leave request ${status}`,
+      text: `Dear ${leave.staff.name},\n\n${message}\n\nThank you.`
+    }).catch(error => logger.warn(`Leave email to ${leave.staff.email} failed: ${error.message}`));
+  }
+
+  logger.info(`Leave ${leave._id} of ${leave.staff.name} ${status} by ${actor.email}`);
+
+  return leave;
+};
+
+/**
+ * Cancel one's own leave request before it starts
+ * @param {string} leaveId - Leave request ID
+ * @param {string} staffId - Staff cancelling
+ * @returns {object} Updated leave request
+ */
+const cancelLeave = async (leaveId, staffId) => {
+  const leave = await LeaveRequest.findOne({ _id: leaveId, staff: staffId });
+
+  if (!leave) {
+    throw new AppError('Leave request not found', 404);
+  }
+
+  if (![LEAVE_STATUS.PENDING, LEAVE_STATUS.APPROVED].includes(leave.status)) {
+    throw new AppError(`This leave request is already ${leave.status}`, 400);
+  }
+
+  if (leave.startDate <= new Date()) {
+    throw new AppError('Leave that has started cannot be cancelled', 400);
+  }
+
+  leave.status = LEAVE_STATUS.CANCELLED;
+  await leave.save();
+
+  return leave;
+};
+
+/**
+ * Suggest a driver and conductor for a trip window
+ * @param {object} options - { departureDateTime, arrivalDateTime, tripId }
+ * @returns {object} { driver: [...], conductor: [...] } best first
+ */
+const suggestCrew = async ({ departureDateTime, arrivalDateTime, tripId = null }) => {
+  const departure = new Date(departureDateTime);
+  const arrival = new Date(arrivalDateTime);
+
+  if (isNaN(departure) || isNaN(arrival) || arrival <= departure) {
+    throw new AppError('A valid departure and arrival time are required', 400);
+  }
+
+  const [drivers, conductors] = await Promise.all(['driver', 'conductor'].map(role =>
+    crewService.getCrewAvailability({ role, departureDateTime: departure, arrivalDateTime: arrival, tripId })
+  ));
+
+  const candidates = [...drivers, ...conductors].filter(staff => staff.available);
+  const candidateIds = [...new Set(candidates.map(staff => staff._id.toString()))];
+
+  // Hours on crew duty over the week before departure
+  const workloadFrom = new Date(departure.getTime() - WORKLOAD_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const [templates, recentTrips] = await Promise.all([
+    ShiftTemplate.find({ staff: { $in: candidateIds }, isActive: true }),
+    getCrewTrips(candidateIds, workloadFrom, departure)
+  ]);
+
+  const templateByStaff = new Map(templates.map(template => [template.staff.toString(), template]));
+  const hoursByStaff = new Map();
+  recentTrips.forEach(trip => {
+    const hours = (trip.arrivalDateTime - trip.departureDateTime) / (60 * 60 * 1000);
+    ['driver', 'conductor'].forEach(role => {
+      const id = trip[role]?.staff?.toString();
+      if (id) {
+        hoursByStaff.set(id, (hoursByStaff.get(id) || 0) + hours);
+      }
+    });
+  });
+
+  const rank = (staffList, role) => staffList
+    .filter(staff => staff.available)
+    .map(staff => {
+      const id = staff._id.toString();
+      const template = templateByStaff.get(id);
+      return {
+        _id: staff._id,
+        name: staff.name,
+        employeeId: staff.employeeId,
+        designation: staff.designation,
+        onShift: Boolean(template && template.isOnShiftAt(departure)),
+        rosteredForRole: template?.dutyRole === role,
+        recentHours: Math.round((hoursByStaff.get(id) || 0) * 10) / 10
+      };
+    })
+    .sort((a, b) =>
+      Number(b.onShift) - Number(a.onShift) ||
+      Number(b.rosteredForRole) - Number(a.rosteredForRole) ||
+      a.recentHours - b.recentHours
+    );
+
+  const driverSuggestions = rank(drivers, 'driver').slice(0, MAX_SUGGESTIONS);
+  // The first-choice driver is not offered again as conductor
+  const topDriverId = driverSuggestions[0]?._id.toString();
+  const conductorSuggestions = rank(conductors, 'conductor')
+    .filter(staff => staff._id.toString() !== topDriverId)
+    .slice(0, MAX_SUGGESTIONS);
+
+  return {
+    driver: driverSuggestions,
+    conductor: conductorSuggestions,
+    minRestHours: crewService.MIN_REST_HOURS
+  };
+};
+
+module.exports = {
+  saveShiftTemplate,
+  getSchedule,
+  requestLeave,
+  getLeaveRequests,
+  reviewLeave,
+  cancelLeave,
+  suggestCrew
+};
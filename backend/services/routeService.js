@@ -6,6 +6,7 @@
 
 const Route = require('../models/routeModel');
 const MESSAGES = require('../constants/messages');
+const { validateStops, validateSegmentFares } = require('./routeStopService');
 
 /**
  * Create a new route
@@ -21,6 +22,7 @@ const createRoute = async (routeData) => {
     estimatedDuration,
     baseFare,
     stops,
+    segmentFares,
     dynamicPricing
   } = routeData;
 
@@ -57,10 +59,13 @@ const createRoute = async (routeData) => {
     distance: Number(distance),
     estimatedDuration: Number(estimatedDuration),
     baseFare: Number(baseFare),
-    stops: stops || [],
+    stops: validateStops(stops || []),
     dynamicPricing: dynamicPricing || { isEnabled: false }
   });
 
+  // Segment fares refer to stop IDs, which exist once the stops are cast
+  route.segmentFares = validateSegmentFares(segmentFares || [], route.stops);
+
   await route.save();
   return route;
 };
@@ -143,6 +148,10 @@ const updateRoute = async (routeId, updateData) => {
     }
   }
 
+  if (updateData.stops !== undefined) {
+    updateData.stops = validateStops(updateData.stops);
+  }
+
   // Update route
   Object.keys(updateData).forEach(key => {
     if (updateData[key] !== undefined) {
@@ -150,6 +159,16 @@ const updateRoute = async (routeId, updateData) => {
     }
   });
 
+  if (updateData.segmentFares !== undefined) {
+    route.segmentFares = validateSegmentFares(updateData.segmentFares, route.stops);
+  } else if (updateData.stops !== undefined) {
+    // Drop fixed fares for stops that were removed
+    const stopIds = route.stops.map(stop => stop._id.toString());
+    route.segmentFares = route.segmentFares.filter(entry =>
+      stopIds.includes(entry.fromStopId) && stopIds.includes(entry.toStopId)
+    );
+  }
+
   await route.save();
   return route;
 };
@@ -0,0 +1,333 @@
+// FILE: backend/services/routeStopService.js
+/**
+ * Route stop service
+ * Validates ordered route stops, builds per-trip stop times and resolves booking points
+ * A segment is a { fromStopIndex, toStopIndex } pair of trip stop indexes; leg i runs
+ * from stop i to stop i + 1, so a segment covers legs fromStopIndex..toStopIndex - 1.
+ */
+
+const AppError = require('../utils/AppError');
+
+// Stop IDs used for routes that have no stops configured
+const ORIGIN_STOP_ID = 'origin';
+const DESTINATION_STOP_ID = 'destination';
+
+/**
+ * Get the ordered stop list for a route
+ * Routes without configured stops fall back to origin and destination only.
+ * @param {object} route - Route document or plain object
+ * @returns {array} Stops with a string stopId
+ */
+const getStopSequence = (route) => {
+  if (route.stops && route.stops.length > 0) {
+    return route.stops.map(stop => ({
+      stopId: stop._id.toString(),
+      name: stop.name,
+      location: stop.location,
+      distanceFromOrigin: stop.distanceFromOrigin || 0,
+      offsetMinutes: stop.offsetMinutes || 0,
+      isBoarding: stop.isBoarding !== false,
+      isDropping: stop.isDropping !== false
+    }));
+  }
+
+  return [
+    {
+      stopId: ORIGIN_STOP_ID,
+      name: route.sourceCity,
+      distanceFromOrigin: 0,
+      offsetMinutes: 0,
+      isBoarding: true,
+      isDropping: false
+    },
+    {
+      stopId: DESTINATION_STOP_ID,
+      name: route.destinationCity,
+      distanceFromOrigin: route.distance,
+      offsetMinutes: Math.round((route.estimatedDuration || 0) * 60),
+      isBoarding: false,
+      isDropping: true
+    }
+  ];
+};
+
+/**
+ * Validate and normalise a stop list before it is saved on a route
+ * @param {array} stops - Stops in travel order
+ * @returns {array} Normalised stops
+ */
+const validateStops = (stops) => {
+  if (!Array.isArray(stops)) {
+    throw new AppError('Stops must be a list', 400);
+  }
+
+  const normalised = stops.map((stop, index) => {
+    const name = typeof stop === 'string' ? stop.trim() : stop.name?.trim();
+
+    if (!name) {
+      throw new AppError(`Stop ${index + 1} needs a name`, 400);
+    }
+
+    const hasLat = stop.location?.lat !== undefined && stop.location?.lat !== null && stop.location?.lat !== '';
+    const hasLng = stop.location?.lng !== undefined && stop.location?.lng !== null && stop.location?.lng !== '';
+    if (hasLat !== hasLng) {
+      throw new AppError(`Stop "${name}" needs both latitude and longitude`, 400);
+    }
+
+    return {
+      ...(stop._id && { _id: stop._id }),
+      name,
+      location: hasLat ? { lat: Number(stop.location.lat), lng: Number(stop.location.lng) } : undefined,
+      distanceFromOrigin: Number(stop.distanceFromOrigin) || 0,
+      offsetMinutes: Number(stop.offsetMinutes) || 0,
+      isBoarding: stop.isBoarding !== false,
+      isDropping: stop.isDropping !== false
+    };
+  });
+
+  normalised.forEach((stop, index) => {
+    const previous = normalised[index - 1];
+    if (!previous) {
+      return;
+    }
+    if (stop.distanceFromOrigin < previous.distanceFromOrigin) {
+      throw new AppError(`Stop "${stop.name}" is closer to the origin than the stop before it`, 400);
+    }
+    if (stop.offsetMinutes < previous.offsetMinutes) {
+      throw new AppError(`Stop "${stop.name}" is scheduled before the stop before it`, 400);
+    }
+  });
+
+  if (normalised.length > 0) {
+    const firstBoarding = normalised.findIndex(stop => stop.isBoarding);
+    const lastDropping = normalised.map(stop => stop.isDropping).lastIndexOf(true);
+
+    if (firstBoarding === -1 || lastDropping === -1 || firstBoarding >= lastDropping) {
+      throw new AppError('Route needs a boarding stop before at least one dropping stop', 400);
+    }
+  }
+
+  return normalised;
+};
+
+/**
+ * Build the scheduled stop times for a trip on a route
+ * @param {object} route - Route document
+ * @param {Date|string} departureDateTime - Trip departure
+ * @param {Date|string} arrivalDateTime - Trip arrival (used for the fallback destination stop)
+ * @returns {array} Stop times in travel order
+ */
+const buildStopTimes = (route, departureDateTime, arrivalDateTime) => {
+  const departure = new Date(departureDateTime).getTime();
+
+  return getStopSequence(route).map(stop => ({
+    stopId: stop.stopId,
+    name: stop.name,
+    location: stop.location,
+    distanceFromOrigin: stop.distanceFromOrigin,
+    scheduledTime: stop.stopId === DESTINATION_STOP_ID && arrivalDateTime
+      ? new Date(arrivalDateTime)
+      : new Date(departure + stop.offsetMinutes * 60 * 1000),
+    isBoarding: stop.isBoarding,
+    isDropping: stop.isDropping
+  }));
+};
+
+/**
+ * Get a trip's stop times, computing them for trips created before stops existed
+ * @param {object} trip - Trip with populated route
+ * @returns {array} Stop times in travel order
+ */
+const getTripStopTimes = (trip) => {
+  if (trip.stopTimes && trip.stopTimes.length > 0) {
+    return trip.stopTimes;
+  }
+
+  if (!trip.route || !trip.route.sourceCity) {
+    return [];
+  }
+
+  return buildStopTimes(trip.route, trip.departureDateTime, trip.arrivalDateTime);
+};
+
+/**
+ * Convert a stop time into a booking boarding/dropping point
+ * @param {object} stopTime - Trip stop time
+ * @returns {object} Booking point
+ */
+const toBookingPoint = (stopTime) => ({
+  stopId: stopTime.stopId,
+  terminal: stopTime.name,
+  address: stopTime.name,
+  time: new Date(stopTime.scheduledTime).toTimeString().split(' ')[0],
+  scheduledTime: stopTime.scheduledTime
+});
+
+/**
+ * Resolve the boarding and dropping points for a booking on a trip
+ * Defaults to the first boarding stop and the last dropping stop.
+ * @param {object} trip - Trip with populated route
+ * @param {string} boardingStopId - Selected boarding stop ID (optional)
+ * @param {string} droppingStopId - Selected dropping stop ID (optional)
+ * @returns {object} { boardingPoint, droppingPoint, segment }
+ */
+const resolveBookingPoints = (trip, boardingStopId, droppingStopId) => {
+  const stopTimes = getTripStopTimes(trip);
+
+  const boardingIndex = boardingStopId
+    ? stopTimes.findIndex(stop => stop.stopId === boardingStopId)
+    : stopTimes.findIndex(stop => stop.isBoarding);
+  const droppingIndex = droppingStopId
+    ? stopTimes.findIndex(stop => stop.stopId === droppingStopId)
+    : stopTimes.map(stop => stop.isDropping).lastIndexOf(true);
+
+  if (boardingIndex === -1 || !stopTimes[boardingIndex].isBoarding) {
+    throw new AppError('Selected boarding point is not available on this trip', 400);
+  }
+
+  if (droppingIndex === -1 || !stopTimes[droppingIndex].isDropping) {
+    throw new AppError('Selected dropping point is not available on this trip', 400);
+  }
+
+  if (droppingIndex <= boardingIndex) {
+    throw new AppError('Dropping point must come after the boarding point', 400);
+  }
+
+  return {
+    boardingPoint: toBookingPoint(stopTimes[boardingIndex]),
+    droppingPoint: toBookingPoint(stopTimes[droppingIndex]),
+    segment: { fromStopIndex: boardingIndex, toStopIndex: droppingIndex }
+  };
+};
+
+/**
+ * List the legs a segment travels over
+ * @param {object} segment - { fromStopIndex, toStopIndex }
+ * @returns {array} Leg indexes
+ */
+const getSegmentLegs = (segment) => {
+  return Array.from(
+    { length: segment.toStopIndex - segment.fromStopIndex },
+    (_, index) => segment.fromStopIndex + index
+  );
+};
+
+/**
+ * Validate per-segment fares against a route's stops
+ * @param {array} segmentFares - [{ fromStopId, toStopId, fare }]
+ * @param {array} stops - Saved route stops (with _id)
+ * @returns {array} Normalised segment fares
+ */
+const validateSegmentFares = (segmentFares, stops) => {
+  if (!Array.isArray(segmentFares)) {
+    throw new AppError('Segment fares must be a list', 400);
+  }
+
+  const stopIds = stops.map(stop => stop._id.toString());
+
+  return segmentFares.map(({ fromStopId, toStopId, fare }) => {
+    const fromIndex = stopIds.indexOf(String(fromStopId));
+    const toIndex = stopIds.indexOf(String(toStopId));
+
+    if (fromIndex === -1 || toIndex === -1) {
+      throw new AppError('Segment fare refers to a stop that is not on this route', 400);
+    }
+    if (toIndex <= fromIndex) {
+      throw new AppError(`Segment fare from "${stops[fromIndex].name}" must end at a later stop`, 400);
+    }
+    if (!(Number(fare) > 0)) {
+      throw new AppError(`Fare from "${stops[fromIndex].name}" to "${stops[toIndex].name}" must be positive`, 400);
+    }
+
+    return { fromStopId: stopIds[fromIndex], toStopId: stopIds[toIndex], fare: Number(fare) };
+  });
+};
+
+/**
+ * Get the share of the full-route fare charged for a segment
+ * Uses the route's fare for the segment when one is set, otherwise prorates by distance.
+ * @param {object} trip - Trip with route populated
+ * @param {object} segment - { fromStopIndex, toStopIndex } (null for the whole trip)
+ * @returns {number} Fare ratio (1 for the whole trip)
+ */
+const getSegmentFareRatio = (trip, segment) => {
+  const stopTimes = getTripStopTimes(trip);
+  const lastIndex = stopTimes.length - 1;
+
+  if (!segment || lastIndex < 1 || (segment.fromStopIndex === 0 && segment.toStopIndex === lastIndex)) {
+    return 1;
+  }
+
+  const from = stopTimes[segment.fromStopIndex];
+  const to = stopTimes[segment.toStopIndex];
+
+  const segmentFare = (trip.route?.segmentFares || []).find(entry =>
+    entry.fromStopId === from.stopId && entry.toStopId === to.stopId
+  );
+  if (segmentFare && trip.baseFare > 0) {
+    return segmentFare.fare / trip.baseFare;
+  }
+
+  const totalDistance = (stopTimes[lastIndex].distanceFromOrigin || 0) - (stopTimes[0].distanceFromOrigin || 0);
+  if (!(totalDistance > 0)) {
+    return 1;
+  }
+
+  return Math.min(1, ((to.distanceFromOrigin || 0) - (from.distanceFromOrigin || 0)) / totalDistance);
+};
+
+/**
+ * Escape search text so it matches literally inside a regular expression
+ * @param {string} text - Raw search input
+ * @returns {string} Escaped pattern source
+ */
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Find the segment of a trip that serves a from/to city search
+ * Matches stop names first and falls back to the route's end cities.
+ * @param {object} trip - Trip with route populated
+ * @param {string} from - Searched source
+ * @param {string} to - Searched destination
+ * @returns {object|null} { segment, boardingStopId, droppingStopId } or null if the trip does not serve it
+ */
+const findSearchSegment = (trip, from, to) => {
+  const stopTimes = getTripStopTimes(trip);
+  const fromPattern = new RegExp(escapeRegex(from), 'i');
+  const toPattern = new RegExp(escapeRegex(to), 'i');
+
+  let fromIndex = stopTimes.findIndex(stop => stop.isBoarding && fromPattern.test(stop.name));
+  if (fromIndex === -1 && fromPattern.test(trip.route.sourceCity)) {
+    fromIndex = stopTimes.findIndex(stop => stop.isBoarding);
+  }
+  if (fromIndex === -1) {
+    return null;
+  }
+
+  let toIndex = stopTimes.map(stop => stop.isDropping && toPattern.test(stop.name)).lastIndexOf(true);
+  if (toIndex <= fromIndex && toPattern.test(trip.route.destinationCity)) {
+    toIndex = stopTimes.map(stop => stop.isDropping).lastIndexOf(true);
+  }
+  if (toIndex <= fromIndex) {
+    return null;
+  }
+
+  return {
+    segment: { fromStopIndex: fromIndex, toStopIndex: toIndex },
+    boardingStopId: stopTimes[fromIndex].stopId,
+    droppingStopId: stopTimes[toIndex].stopId
+  };
+};
+
+module.exports = {
+  getStopSequence,
+  validateStops,
+  buildStopTimes,
+  getTripStopTimes,
+  resolveBookingPoints,
+  getSegmentLegs,
+  validateSegmentFares,
+  getSegmentFareRatio,
+  findSearchSegment,
+  escapeRegex
+};
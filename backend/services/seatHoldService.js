@@ -0,0 +1,254 @@
+// FILE: backend/services/seatHoldService.js
+/**
+ * Seat hold service handling temporary seat holds during checkout
+ * Shared by the REST hold endpoints, the socket lock events and booking creation
+ * Holds are kept per leg, so a seat held for one segment stays free for the others.
+ */
+
+const SeatHold = require('../models/seatHoldModel');
+const Trip = require('../models/tripModel');
+const AppError = require('../utils/AppError');
+const { resolveBookingPoints, getSegmentLegs } = require('./routeStopService');
+
+// How long a hold lasts before it must be extended (default 10 minutes)
+const HOLD_DURATION_MS = (parseInt(process.env.SEAT_HOLD_MINUTES) || 10) * 60 * 1000;
+
+/**
+ * Resolve the segment a checkout is for from its boarding and dropping stops
+ * @param {object} trip - Trip with route populated
+ * @param {object} stops - { boardingStopId, droppingStopId } (both optional)
+ * @returns {object} { fromStopIndex, toStopIndex }
+ */
+const resolveSegment = (trip, stops = {}) => {
+  return resolveBookingPoints(trip, stops.boardingStopId, stops.droppingStopId).segment;
+};
+
+/**
+ * Hold seats for a user (all-or-nothing)
+ * @param {string} tripId - Trip ID
+ * @param {array} seatNumbers - Seat numbers to hold
+ * @param {string} userId - User ID taking the hold
+ * @param {string} socketId - Socket ID if the hold came over a socket
+ * @param {object} stops - { boardingStopId, droppingStopId } (defaults to the whole trip)
+ * @returns {object} Held seats, segment and expiry time
+ */
+const holdSeats = async (tripId, seatNumbers, userId, socketId = null, stops = {}) => {
+  if (!Array.isArray(seatNumbers) || seatNumbers.length === 0) {
+    throw new AppError('At least one seat must be selected', 400);
+  }
+
+  const trip = await Trip.findById(tripId)
+    .select('bookedSeats stopTimes route departureDateTime arrivalDateTime isActive')
+    .populate('route');
+
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  if (!trip.isActive || new Date(trip.departureDateTime) <= new Date()) {
+    throw new AppError('Trip is not open for booking', 400);
+  }
+
+  const segment = resolveSegment(trip, stops);
+  const legs = getSegmentLegs(segment);
+
+  const bookedSeats = seatNumbers.filter(seat => !trip.isSeatAvailable(seat, segment));
+  if (bookedSeats.length > 0) {
+    throw new AppError(`Seats ${bookedSeats.join(', ')} are not available`, 409);
+  }
+
+  // A new hold on a seat replaces the user's hold on it for a different segment
+  await SeatHold.deleteMany({ trip: tripId, user: userId, seatNumber: { $in: seatNumbers }, leg: { $nin: legs } });
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + HOLD_DURATION_MS);
+  const acquired = [];
+  const unavailable = [];
+
+  for (const seatNumber of seatNumbers) {
+    for (const leg of legs) {
+      try {
+        // Take the seat if it is free, already ours, or the previous hold has lapsed.
+        // If someone else holds it, the upsert collides with the unique index.
+        await SeatHold.findOneAndUpdate(
+          {
+            trip: tripId,
+            seatNumber,
+            leg,
+            $or: [{ user: userId }, { expiresAt: { $lte: now } }]
+          },
+          { $set: { user: userId, socketId, expiresAt } },
+          { upsert: true, new: true }
+        );
+        acquired.push({ seatNumber, leg });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+        unavailable.push(seatNumber);
+        break;
+      }
+    }
+  }
+
+  if (unavailable.length > 0) {
+    // Give back the seats taken in this call so a partial hold is never left behind
+    if (acquired.length > 0) {
+      await SeatHold.deleteMany({ trip: tripId, user: userId, $or: acquired });
+    }
+    throw new AppError(`Seats ${unavailable.join(', ')} are currently held by another user`, 409);
+  }
+
+  return { tripId, seatNumbers, segment, expiresAt };
+};
+
+/**
+ * Extend a user's active holds on a trip
+ * @param {string} tripId - Trip ID
+ * @param {string} userId - User ID
+ * @returns {object} Extended seats and new expiry time
+ */
+const extendHold = async (tripId, userId) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + HOLD_DURATION_MS);
+
+  const result = await SeatHold.updateMany(
+    { trip: tripId, user: userId, expiresAt: { $gt: now } },
+    { $set: { expiresAt } }
+  );
+
+  if (result.matchedCount === 0) {
+    throw new AppError('No active seat hold found. Please select your seats again', 404);
+  }
+
+  const seatNumbers = await SeatHold.find({ trip: tripId, user: userId }).distinct('seatNumber');
+
+  return {
+    tripId,
+    seatNumbers,
+    expiresAt
+  };
+};
+
+/**
+ * Release a user's holds on a trip
+ * @param {string} tripId - Trip ID
+ * @param {string} userId - User ID
+ * @param {array} seatNumbers - Seats to release (all of the user's holds if omitted)
+ * @returns {array} Released seat numbers
+ */
+const releaseSeats = async (tripId, userId, seatNumbers = null) => {
+  const query = { trip: tripId, user: userId };
+  if (Array.isArray(seatNumbers) && seatNumbers.length > 0) {
+    query.seatNumber = { $in: seatNumbers };
+  }
+
+  const released = await SeatHold.find(query).distinct('seatNumber');
+  await SeatHold.deleteMany(query);
+
+  return released;
+};
+
+/**
+ * Release every hold taken over a socket connection
+ * @param {string} socketId - Socket ID
+ * @returns {object} Released seat numbers grouped by trip ID
+ */
+const releaseBySocket = async (socketId) => {
+  const holds = await SeatHold.find({ socketId }).select('trip seatNumber');
+  await SeatHold.deleteMany({ socketId });
+
+  return holds.reduce((byTrip, hold) => {
+    const tripId = hold.trip.toString();
+    byTrip[tripId] = byTrip[tripId] || [];
+    if (!byTrip[tripId].includes(hold.seatNumber)) {
+      byTrip[tripId].push(hold.seatNumber);
+    }
+    return byTrip;
+  }, {});
+};
+
+/**
+ * Get seats currently held on a trip
+ * @param {string} tripId - Trip ID
+ * @param {string} excludeUserId - Leave out holds belonging to this user
+ * @param {object} stops - { boardingStopId, droppingStopId } to count only holds on that segment
+ * @returns {array} Held seat numbers
+ */
+const getHeldSeats = async (tripId, excludeUserId = null, stops = null) => {
+  let legs = null;
+  if (stops && (stops.boardingStopId || stops.droppingStopId)) {
+    const trip = await Trip.findById(tripId)
+      .select('stopTimes route departureDateTime arrivalDateTime')
+      .populate('route');
+
+    if (!trip) {
+      throw new AppError('Trip not found', 404);
+    }
+    legs = getSegmentLegs(resolveSegment(trip, stops));
+  }
+
+  const holds = await SeatHold.findActiveForTrip(tripId).select('seatNumber leg user');
+
+  return [...new Set(holds
+    .filter(hold => !excludeUserId || hold.user.toString() !== excludeUserId.toString())
+    .filter(hold => !legs || legs.includes(hold.leg))
+    .map(hold => hold.seatNumber))];
+};
+
+/**
+ * Ensure every seat is held by the user on every leg of the segment (used inside the booking transaction)
+ * @param {string} tripId - Trip ID
+ * @param {array} seatNumbers - Seats being booked
+ * @param {string} userId - User ID
+ * @param {object} session - Mongoose session
+ * @param {object} segment - { fromStopIndex, toStopIndex } being booked
+ */
+const assertSeatsHeld = async (tripId, seatNumbers, userId, session = null, segment = { fromStopIndex: 0, toStopIndex: 1 }) => {
+  const legs = getSegmentLegs(segment);
+  const holds = await SeatHold.find({
+    trip: tripId,
+    user: userId,
+    seatNumber: { $in: seatNumbers },
+    leg: { $in: legs },
+    expiresAt: { $gt: new Date() }
+  })
+    .select('seatNumber leg')
+    .session(session);
+
+  const missingSeats = seatNumbers.filter(seat =>
+    holds.filter(hold => hold.seatNumber === seat).length < legs.length
+  );
+
+  if (missingSeats.length > 0) {
+    throw new AppError(
+      `Seats ${missingSeats.join(', ')} are not held for you. Please select them again`,
+      409
+    );
+  }
+};
+
+/**
+ * Remove holds once the seats have been booked
+ * @param {string} tripId - Trip ID
+ * @param {array} seatNumbers - Booked seats
+ * @param {string} userId - User ID
+ * @param {object} session - Mongoose session
+ */
+const consumeHolds = (tripId, seatNumbers, userId, session = null) => {
+  return SeatHold.deleteMany(
+    { trip: tripId, user: userId, seatNumber: { $in: seatNumbers } },
+    { session }
+  );
+};
+
+module.exports = {
+  HOLD_DURATION_MS,
+  holdSeats,
+  extendHold,
+  releaseSeats,
+  releaseBySocket,
+  getHeldSeats,
+  assertSeatsHeld,
+  consumeHolds
+};
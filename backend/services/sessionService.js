@@ -0,0 +1,228 @@
+// FILE: backend/services/sessionService.js
+/**
+ * Session service for refresh tokens and server-side logout
+ * Each login creates a session for that device. Short-lived access tokens carry the
+ * session ID; refresh tokens ("<sessionId>.<secret>") rotate on every use, and
+ * replaying a rotated token revokes the session as a likely theft.
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Session = require('../models/sessionModel');
+const User = require('../models/userModel');
+const Staff = require('../models/staffModel');
+const Admin = require('../models/adminModel');
+const { generateToken, ACCESS_TOKEN_EXPIRES_IN } = require('../utils/generateToken');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+// How long a device stays signed in without logging in again
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const SESSION_ENDED_MESSAGE = 'Your session has ended. Please login again.';
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const generateSecret = () => crypto.randomBytes(48).toString('hex');
+
+/**
+ * Describe the device a request comes from
+ * @param {object} req - Express request
+ * @returns {object} { userAgent, ipAddress }
+ */
+const getClientInfo = (req) => ({
+  userAgent: req.headers['user-agent'] ? req.headers['user-agent'].slice(0, 255) : null,
+  ipAddress: req.ip || null
+});
+
+/**
+ * Build the token pair for a session
+ * @param {object} session - Session document
+ * @param {string} secret - Refresh token secret
+ * @returns {object} { token, refreshToken, expiresIn, refreshExpiresAt }
+ */
+const issueTokens = (session, secret) => ({
+  token: generateToken(session.subject, session.role, session.email, session._id.toString()),
+  refreshToken: `${session._id}.${secret}`,
+  expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  refreshExpiresAt: session.expiresAt
+});
+
+/**
+ * Start a session after a successful login
+ * @param {object} account - { subject, role, email } (subject is the user/staff ID or 'admin')
+ * @param {object} clientInfo - { userAgent, ipAddress }
+ * @returns {object} { token, refreshToken, expiresIn, refreshExpiresAt }
+ */
+const createSession = async ({ subject, role, email }, clientInfo = {}) => {
+  const secret = generateSecret();
+
+  const session = await Session.create({
+    subject: subject.toString(),
+    role,
+    email,
+    refreshTokenHash: hashToken(secret),
+    userAgent: clientInfo.userAgent,
+    ipAddress: clientInfo.ipAddress,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return issueTokens(session, secret);
+};
+
+/**
+ * Check the account behind a session can still sign in
+ * @param {object} session - Session document
+ * @returns {Promise<boolean>} True if the account is active
+ */
+const isAccountActive = async (session) => {
+  if (session.role === 'admin') {
+    // The environment admin cannot be deactivated; database admins can
+    if (session.subject === 'admin') {
+      return true;
+    }
+
+    const admin = await Admin.findById(session.subject).select('isActive');
+    return Boolean(admin && admin.isActive);
+  }
+
+  if (session.role === 'staff') {
+    const staff = await Staff.findById(session.subject).select('approved isActive');
+    return Boolean(staff && staff.approved && staff.isActive);
+  }
+
+  const user = await User.findById(session.subject).select('isActive');
+  return Boolean(user && user.isActive !== false);
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * @param {string} refreshToken - "<sessionId>.<secret>"
+ * @param {object} clientInfo - { userAgent, ipAddress }
+ * @returns {object} { token, refreshToken, expiresIn, refreshExpiresAt }
+ */
+const refreshSession = async (refreshToken, clientInfo = {}) => {
+  const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+
+  if (!sessionId || !secret || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const session = await Session.findById(sessionId);
+
+  if (!session || !session.isActive()) {
+    throw new AppError(SESSION_ENDED_MESSAGE, 401);
+  }
+
+  const presentedHash = hashToken(secret);
+
+  // An already-rotated token means two parties hold this session - end it for both
+  if (session.rotatedTokenHashes.includes(presentedHash)) {
+    await session.revoke('token_reuse');
+    logger.warn(`Refresh token reuse detected for ${session.role} ${session.subject} (session ${session._id}) - session revoked`);
+    throw new AppError('This session was ended for your security. Please login again.', 401);
+  }
+
+  if (session.refreshTokenHash !== presentedHash) {
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  if (!(await isAccountActive(session))) {
+    await session.revoke('account_deactivated');
+    throw new AppError('Your account is not active. Please contact support.', 403);
+  }
+
+  const newSecret = generateSecret();
+  const rotated = await session.rotate(presentedHash, hashToken(newSecret), clientInfo.ipAddress);
+
+  // Another refresh spent this token first - the same token is in two hands
+  if (!rotated) {
+    await session.revoke('token_reuse');
+    logger.warn(`Concurrent refresh token reuse for ${session.role} ${session.subject} (session ${session._id}) - session revoked`);
+    throw new AppError('This session was ended for your security. Please login again.', 401);
+  }
+
+  return issueTokens(rotated, newSecret);
+};
+
+/**
+ * Check an access token's session is still live (used on every authenticated request)
+ * @param {string} sessionId - Session ID from the token
+ * @param {string} subject - User/staff ID or 'admin' from the token
+ * @returns {Promise<boolean>} True if the session is active
+ */
+const isSessionActive = async (sessionId, subject) => {
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+
+  return Boolean(await Session.exists({
+    _id: sessionId,
+    subject: String(subject),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }));
+};
+
+/**
+ * End one session (logout on this device)
+ * @param {string} sessionId - Session ID
+ * @param {string} subject - Owner of the session
+ * @returns {Promise<boolean>} True if a session was revoked
+ */
+const revokeSession = async (sessionId, subject) => {
+  const result = await Session.updateOne(
+    { _id: sessionId, subject: String(subject), revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'logout' }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+/**
+ * End every session of an account
+ * @param {string} subject - User/staff ID or 'admin'
+ * @param {string} reason - logout_all, admin_revoked or account_deactivated
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (subject, reason) => {
+  const result = await Session.revokeAllForSubject(subject, reason);
+
+  if (result.modifiedCount > 0) {
+    logger.info(`Revoked ${result.modifiedCount} session(s) of ${subject} (${reason})`);
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * List the active sessions of an account
+ * @param {string} subject - User/staff ID or 'admin'
+ * @param {string} currentSessionId - Session making the request (flagged as current)
+ * @returns {array} Sessions without token hashes
+ */
+const getActiveSessions = async (subject, currentSessionId = null) => {
+  const sessions = await Session.find({
+    subject: String(subject),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+    .select('userAgent ipAddress lastUsedAt createdAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+  return sessions.map(session => ({
+    ...session,
+    current: session._id.toString() === currentSessionId
+  }));
+};
+
+module.exports = {
+  getClientInfo,
+  createSession,
+  refreshSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions,
+  getActiveSessions
+};
@@ -191,10 +191,10 @@ const deleteStaff = async (staffId) => {
   const Trip = require('../models/tripModel');
   const activeTrips = await Trip.findOne({
     $or: [
-      { 'driver._id': staffId },
-      { 'conductor._id': staffId }
+      { 'driver.staff': staffId },
+      { 'conductor.staff': staffId }
     ],
-    status: { $in: ['scheduled', 'departed'] }
+    status: { $in: ['scheduled', 'boarding', 'departed', 'delayed'] }
   });
 
   if (activeTrips) {
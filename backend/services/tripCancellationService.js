@@ -0,0 +1,206 @@
+// FILE: backend/services/tripCancellationService.js
+/**
+ * Service for operator-initiated trip cancellation
+ * Cancels every active booking on the trip with a full refund and notifies passengers and admins
+ */
+
+const mongoose = require('mongoose');
+const Trip = require('../models/tripModel');
+const Booking = require('../models/bookingModel');
+const User = require('../models/userModel');
+const Transaction = require('../models/transactionModel');
+const SeatReservation = require('../models/seatReservationModel');
+const SeatHold = require('../models/seatHoldModel');
+const cancellationPolicyService = require('./cancellationPolicyService');
+const promoCodeService = require('./promoCodeService');
+const paymentService = require('./paymentService');
+const notificationService = require('./notificationService');
+const { TRIP_STATUS, BOOKING_STATUS, PAYMENT_STATUS, PAYMENT_METHODS } = require('../constants/enums');
+const AppError = require('../utils/AppError');
+const logger = require('../utils/logger');
+
+/**
+ * Credit a refund to the user's wallet with its transaction record
+ * @param {object} booking - Booking being refunded
+ * @param {number} amount - Amount to refund
+ * @param {object} session - Mongoose session
+ */
+const refundToWallet = async (booking, amount, session) => {
+  const user = await User.findById(booking.user).session(session);
+  await user.addToWallet(amount);
+  await Transaction.createRefund(booking.user, amount, booking._id, null, session, PAYMENT_METHODS.WALLET);
+};
+
+/**
+ * Send a refund back through Razorpay once the booking cancellation has committed
+ * A failed gateway refund is credited to the wallet instead.
+ * @param {object} booking - Cancelled booking
+ * @param {number} amount - Amount to refund
+ * @returns {object} Destination payment method and gateway reference
+ */
+const refundThroughGateway = async (booking, amount) => {
+  try {
+    const gatewayRefund = await paymentService.initiateRefund(booking.razorpayPaymentId, amount, {
+      bookingId: booking._id.toString(),
+      reason: 'Trip cancelled by operator'
+    });
+    await Transaction.createRefund(booking.user, amount, booking._id, gatewayRefund.id, null, booking.paymentMethod);
+    return { refundedTo: booking.paymentMethod, referenceId: gatewayRefund.id };
+  } catch (error) {
+    logger.warn(`Gateway refund failed for booking ${booking._id}, crediting wallet instead: ${error.message}`);
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(() => refundToWallet(booking, amount, session));
+  } finally {
+    await session.endSession();
+  }
+
+  return { refundedTo: PAYMENT_METHODS.WALLET, referenceId: null };
+};
+
+/**
+ * Cancel one booking on a cancelled trip with a full refund
+ * Gateway payments are refunded only after the cancellation commits, so a rolled-back
+ * transaction never sends money out; wallet payments are credited inside the transaction.
+ * @param {string} bookingId - Booking ID
+ * @param {string} reason - Cancellation reason
+ * @returns {object} Refund entry for the report
+ */
+const cancelTripBooking = async (bookingId, reason) => {
+  const booking = await Booking.findById(bookingId);
+  const wasPaid = booking.paymentStatus === PAYMENT_STATUS.SUCCESS;
+  const refund = cancellationPolicyService.calculateFullRefund(booking);
+  const seatsToCancel = refund.seats.map(seat => seat.seatNumber);
+  const hasRefund = wasPaid && refund.refundAmount > 0;
+  const viaGateway = hasRefund &&
+    booking.paymentMethod !== PAYMENT_METHODS.WALLET &&
+    Boolean(booking.razorpayPaymentId);
+
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // Re-read inside the transaction so a retried attempt starts from clean state
+      const bookingInSession = await Booking.findById(bookingId).session(session);
+      await bookingInSession.cancelSeats(seatsToCancel, reason, refund);
+
+      await Trip.releaseBookingSeats(booking.trip, booking._id, null, session);
+      await SeatReservation.releaseBooking(booking._id, session);
+      await promoCodeService.revertPromoRedemption(booking._id, session);
+
+      if (hasRefund && !viaGateway) {
+        await refundToWallet(booking, refund.refundAmount, session);
+      }
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  let destination = { refundedTo: null, referenceId: null };
+  if (viaGateway) {
+    destination = await refundThroughGateway(booking, refund.refundAmount);
+  } else if (hasRefund) {
+    destination = { refundedTo: PAYMENT_METHODS.WALLET, referenceId: null };
+  }
+
+  return {
+    bookingId: booking._id,
+    pnrNumber: booking.pnrNumber,
+    user: booking.user,
+    seats: seatsToCancel,
+    refundAmount: destination.refundedTo ? refund.refundAmount : 0,
+    refundedTo: destination.refundedTo,
+    referenceId: destination.referenceId
+  };
+};
+
+/**
+ * Cancel a trip and cascade the cancellation to its bookings
+ * Each booking is cancelled in its own transaction so one failure does not block the rest.
+ * Running it again on a cancelled trip retries the bookings that are still active.
+ * @param {string} tripId - Trip ID
+ * @param {string} reason - Cancellation reason shown to passengers
+ * @returns {object} Cancelled trip and refund report
+ */
+const cancelTrip = async (tripId, reason = 'Trip cancelled by operator') => {
+  const trip = await Trip.findById(tripId).populate('route');
+
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  if ([TRIP_STATUS.DEPARTED, TRIP_STATUS.ARRIVED, TRIP_STATUS.EXPIRED].includes(trip.status)) {
+    throw new AppError(`Cannot cancel a trip that is ${trip.status}`, 400);
+  }
+
+  const isRetry = trip.status === TRIP_STATUS.CANCELLED;
+
+  // Close the trip first so no new bookings or holds come in while refunds run
+  if (!isRetry) {
+    trip.status = TRIP_STATUS.CANCELLED;
+    trip.isActive = false;
+    await trip.save();
+    await SeatHold.deleteMany({ trip: trip._id });
+  }
+
+  const bookings = await Booking.find({
+    trip: trip._id,
+    bookingStatus: {
+      $in: [BOOKING_STATUS.PENDING, BOOKING_STATUS.CONFIRMED, BOOKING_STATUS.PARTIALLY_CANCELLED]
+    }
+  }).select('_id pnrNumber');
+
+  if (isRetry && bookings.length === 0) {
+    throw new AppError('Trip is already cancelled', 400);
+  }
+
+  const refunds = [];
+  const failures = [];
+
+  for (const booking of bookings) {
+    try {
+      refunds.push(await cancelTripBooking(booking._id, reason));
+    } catch (error) {
+      logger.error(`Failed to cancel booking ${booking._id} for trip ${trip._id}: ${error.message}`);
+      failures.push({ bookingId: booking._id, pnrNumber: booking.pnrNumber, error: error.message });
+    }
+  }
+
+  const report = {
+    tripId: trip._id,
+    route: `${trip.route.sourceCity} to ${trip.route.destinationCity}`,
+    departureDateTime: trip.departureDateTime,
+    reason,
+    cancelledAt: new Date(),
+    bookingsCancelled: refunds.length,
+    totalRefunded: refunds.reduce((sum, entry) => sum + entry.refundAmount, 0),
+    refundsByMethod: refunds.reduce((totals, entry) => {
+      if (entry.refundedTo) {
+        totals[entry.refundedTo] = (totals[entry.refundedTo] || 0) + entry.refundAmount;
+      }
+      return totals;
+    }, {}),
+    refunds,
+    failures
+  };
+
+  // Notices go out after the money has moved; a failed email never undoes a refund
+  for (const entry of refunds) {
+    await notificationService.sendTripCancellationNotice(
+      { _id: entry.bookingId, user: entry.user, pnrNumber: entry.pnrNumber, trip },
+      entry,
+      reason
+    );
+  }
+  await notificationService.sendTripCancellationReport(trip, report);
+
+  logger.info(`Trip ${trip._id} cancelled: ${refunds.length} bookings refunded ₹${report.totalRefunded}, ${failures.length} failed`);
+
+  return { trip, report };
+};
+
+module.exports = {
+  cancelTrip
+};
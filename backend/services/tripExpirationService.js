@@ -8,8 +8,12 @@ const Trip = require('../models/tripModel');
 const { TRIP_STATUS } = require('../constants/enums');
 const logger = require('../utils/logger');
 
+// Trips that sent a location fix this recently are still on the road
+const LIVE_TRACKING_WINDOW_MS = 60 * 60 * 1000;
+
 /**
  * Mark trips as expired if their departure date has passed
+ * Trips still sending live locations are left alone until they go quiet.
  * @returns {Promise<number>} Number of trips marked as expired
  */
 const markExpiredTrips = async () => {
@@ -22,6 +26,9 @@ const markExpiredTrips = async () => {
         departureDateTime: { $lt: now },
         status: {
           $nin: [TRIP_STATUS.EXPIRED, TRIP_STATUS.CANCELLED, TRIP_STATUS.ARRIVED]
+        },
+        'currentLocation.lastUpdated': {
+          $not: { $gte: new Date(now.getTime() - LIVE_TRACKING_WINDOW_MS) }
         }
       },
       {
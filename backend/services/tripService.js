@@ -4,11 +4,23 @@
  * Business logic for trip management
  */
 
+const mongoose = require('mongoose');
 const Trip = require('../models/tripModel');
 const Bus = require('../models/busModel');
 const Route = require('../models/routeModel');
+const Charter = require('../models/charterModel');
 const MESSAGES = require('../constants/messages');
+const AppError = require('../utils/AppError');
+const crewService = require('./crewService');
+const boardingService = require('./boardingService');
 const { TRIP_STATUS } = require('../constants/enums');
+const {
+  buildStopTimes,
+  getTripStopTimes,
+  findSearchSegment,
+  getSegmentFareRatio,
+  escapeRegex
+} = require('./routeStopService');
 
 /**
  * Update expired trips automatically
@@ -75,18 +87,49 @@ const createTrip = async (tripData) => {
     throw new Error('Bus is already scheduled for another trip during this time');
   }
 
+  // Buses hired out on a charter are blocked for the whole hire
+  const [charter] = await Charter.findBusConflicts(bus, depTime, arrTime);
+  if (charter) {
+    throw new AppError(`Bus is booked for charter ${charter.charterNumber} during this time`, 409);
+  }
+
   const trip = new Trip({
     bus,
     route,
     departureDateTime,
     arrivalDateTime,
     baseFare,
-    availableSeats: busExists.totalSeats,
-    driver: driver || {},
-    conductor: conductor || {}
+    stopTimes: buildStopTimes(routeExists, departureDateTime, arrivalDateTime),
+    availableSeats: busExists.totalSeats
   });
 
-  await trip.save();
+  const session = await mongoose.startSession();
+
+  try {
+    await session.withTransaction(async () => {
+      // Lock the bus, then re-check charters - one may have been confirmed since the check above
+      await Bus.lockSchedule(bus, session);
+      const [confirmedCharter] = await Charter.findBusConflicts(bus, depTime, arrTime).session(session);
+      if (confirmedCharter) {
+        throw new AppError(`Bus is booked for charter ${confirmedCharter.charterNumber} during this time`, 409);
+      }
+
+      // Crew must be free, rested and (for drivers) licensed for the whole trip
+      const crew = await crewService.resolveCrew(
+        { driver, conductor },
+        { departureDateTime: depTime, arrivalDateTime: arrTime },
+        {},
+        null,
+        session
+      );
+      trip.driver = crew.driver || {};
+      trip.conductor = crew.conductor || {};
+
+      await trip.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
   
   // Populate references for response
   await trip.populate('bus');
@@ -177,6 +220,11 @@ const getTripById = async (tripId) => {
     throw new Error('Trip not found');
   }
 
+  // Trips created before route stops existed get computed stop times
+  if (!trip.stopTimes || trip.stopTimes.length === 0) {
+    trip.stopTimes = getTripStopTimes(trip);
+  }
+
   return trip;
 };
 
@@ -186,9 +234,10 @@ const getTripById = async (tripId) => {
  * @param {string} to - Destination city
  * @param {string} date - Departure date (YYYY-MM-DD)
  * @param {number} days - Number of days to search (default: 1, max: 7)
- * @returns {array} Matching trips
+ * @param {number} maxDays - Cap on days (internal callers may search a wider window)
+ * @returns {array} Matching trips, each with the segment that serves the search
  */
-const searchTrips = async (from, to, date, days = 1) => {
+const searchTrips = async (from, to, date, days = 1, maxDays = 7) => {
   if (!from || !to || !date) {
     throw new Error('Source, destination, and date are required');
   }
@@ -196,8 +245,8 @@ const searchTrips = async (from, to, date, days = 1) => {
   // Performance: Removed expensive updateExpiredTrips() call
   // Query filters already exclude expired trips by status
 
-  // Limit days to maximum of 7
-  const searchDays = Math.min(Math.max(1, days), 7);
+  // Limit days to the maximum (7 for the public search)
+  const searchDays = Math.min(Math.max(1, days), maxDays);
 
   const startDate = new Date(date);
   startDate.setHours(0, 0, 0, 0);
@@ -206,10 +255,18 @@ const searchTrips = async (from, to, date, days = 1) => {
   endDate.setDate(endDate.getDate() + searchDays);
   endDate.setHours(23, 59, 59, 999);
 
+  // City names are matched as literal text
+  const fromPattern = escapeRegex(from);
+  const toPattern = escapeRegex(to);
+
+  // Trips serving an intermediate stop may have left their origin the day before
+  const earliestDeparture = new Date(startDate);
+  earliestDeparture.setDate(earliestDeparture.getDate() - 1);
+
   // PERFORMANCE: Use lean() for read-only search queries
   const trips = await Trip.find({
     departureDateTime: {
-      $gte: startDate,
+      $gte: earliestDeparture,
       $lt: endDate
     },
     status: { $in: [TRIP_STATUS.SCHEDULED, TRIP_STATUS.BOARDING] },
@@ -218,18 +275,58 @@ const searchTrips = async (from, to, date, days = 1) => {
   .populate({
     path: 'route',
     match: {
-      sourceCity: { $regex: from, $options: 'i' },
-      destinationCity: { $regex: to, $options: 'i' },
-      isActive: true
+      isActive: true,
+      $and: [
+        { $or: [{ sourceCity: { $regex: fromPattern, $options: 'i' } }, { 'stops.name': { $regex: fromPattern, $options: 'i' } }] },
+        { $or: [{ destinationCity: { $regex: toPattern, $options: 'i' } }, { 'stops.name': { $regex: toPattern, $options: 'i' } }] }
+      ]
     },
-    select: 'sourceCity destinationCity distance duration boardingPoints droppingPoints' // Only needed fields
+    select: 'sourceCity destinationCity distance estimatedDuration stops segmentFares' // Only needed fields
   })
   .populate('bus', 'busNumber type totalSeats amenities seatLayout') // Only needed fields
   .sort({ departureDateTime: 1 })
   .lean(); // PERFORMANCE: 30-50% faster for read-only operations
 
-  // Filter out trips where route didn't match
-  const filteredTrips = trips.filter(trip => trip.route !== null);
+  // Filter out trips where route didn't match, then work out the segment each trip sells
+  const filteredTrips = trips
+    .filter(trip => trip.route !== null)
+    .map(trip => {
+      const tripWithStops = { ...trip, stopTimes: getTripStopTimes(trip) };
+      const match = findSearchSegment(tripWithStops, from, to);
+      if (!match) {
+        return null;
+      }
+
+      const { segment, boardingStopId, droppingStopId } = match;
+      const boarding = tripWithStops.stopTimes[segment.fromStopIndex];
+      const dropping = tripWithStops.stopTimes[segment.toStopIndex];
+      const occupiedSeats = Trip.getOccupiedSeatNumbers(trip.bookedSeats, segment).length;
+      const fareRatio = getSegmentFareRatio(tripWithStops, segment);
+
+      return {
+        ...tripWithStops,
+        segment: {
+          ...segment,
+          boardingStopId,
+          droppingStopId,
+          boardingName: boarding.name,
+          droppingName: dropping.name,
+          departureDateTime: boarding.scheduledTime,
+          arrivalDateTime: dropping.scheduledTime,
+          isFullRoute: segment.fromStopIndex === 0 && segment.toStopIndex === tripWithStops.stopTimes.length - 1,
+          availableSeats: Math.max(0, (trip.bus?.totalSeats || trip.availableSeats) - occupiedSeats),
+          fareRatio,
+          fare: Math.round(trip.baseFare * fareRatio)
+        }
+      };
+    })
+    .filter(trip => {
+      if (!trip) {
+        return false;
+      }
+      const boardingTime = new Date(trip.segment.departureDateTime);
+      return boardingTime >= startDate && boardingTime < endDate;
+    });
 
   return filteredTrips;
 };
@@ -248,7 +345,8 @@ const updateTrip = async (tripId, updateData) => {
   }
 
   // Check for overlapping trips if timing is being updated
-  if (updateData.departureDateTime || updateData.arrivalDateTime) {
+  const retimed = Boolean(updateData.departureDateTime || updateData.arrivalDateTime);
+  if (retimed) {
     const departureDateTime = updateData.departureDateTime || trip.departureDateTime;
     const arrivalDateTime = updateData.arrivalDateTime || trip.arrivalDateTime;
 
@@ -270,16 +368,122 @@ const updateTrip = async (tripId, updateData) => {
     if (overlappingTrip) {
       throw new Error('Bus is already scheduled for another trip during this time');
     }
+
+    const [charter] = await Charter.findBusConflicts(trip.bus, depTime, arrTime);
+    if (charter) {
+      throw new AppError(`Bus is booked for charter ${charter.charterNumber} during this time`, 409);
+    }
+  }
+
+  // Booked seats refer to stops by index, so a booked trip keeps its stop list
+  const hasBookings = trip.bookedSeats.length > 0;
+  if (hasBookings && updateData.route && updateData.route.toString() !== trip.route.toString()) {
+    throw new Error('Cannot change the route of a trip that has bookings');
   }
+  const previousDeparture = trip.departureDateTime;
+
+  // Crew is re-checked when it changes or the trip moves
+  const { driver, conductor, ...tripFields } = updateData;
+  const recheckCrew = retimed || driver !== undefined || conductor !== undefined;
 
   // Update trip
-  Object.keys(updateData).forEach(key => {
-    if (updateData[key] !== undefined) {
-      trip[key] = updateData[key];
+  Object.keys(tripFields).forEach(key => {
+    if (tripFields[key] !== undefined) {
+      trip[key] = tripFields[key];
     }
   });
 
-  await trip.save();
+  // Stop times follow the departure (and the route, if it changed)
+  if (updateData.departureDateTime || updateData.arrivalDateTime || updateData.route) {
+    if (hasBookings && trip.stopTimes.length > 0) {
+      const shiftMs = new Date(trip.departureDateTime) - new Date(previousDeparture);
+      trip.stopTimes.forEach(stop => {
+        stop.scheduledTime = new Date(stop.scheduledTime.getTime() + shiftMs);
+      });
+    } else {
+      const route = await Route.findById(trip.route);
+      if (route) {
+        trip.stopTimes = buildStopTimes(route, trip.departureDateTime, trip.arrivalDateTime);
+      }
+    }
+  }
+
+  if (retimed || recheckCrew) {
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        if (retimed) {
+          // Lock the bus, then re-check charters - one may have been confirmed since the check above
+          await Bus.lockSchedule(trip.bus, session);
+          const [confirmedCharter] = await Charter.findBusConflicts(trip.bus, trip.departureDateTime, trip.arrivalDateTime)
+            .session(session);
+          if (confirmedCharter) {
+            throw new AppError(`Bus is booked for charter ${confirmedCharter.charterNumber} during this time`, 409);
+          }
+        }
+
+        if (recheckCrew) {
+          const crew = await crewService.resolveCrew(
+            { driver, conductor },
+            { departureDateTime: trip.departureDateTime, arrivalDateTime: trip.arrivalDateTime },
+            trip,
+            tripId,
+            session
+          );
+          Object.assign(trip, crew);
+        }
+
+        await trip.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+  } else {
+    await trip.save();
+  }
+  await trip.populate('bus');
+  await trip.populate('route');
+
+  return trip;
+};
+
+/**
+ * Assign the driver and conductor of a trip from Staff records
+ * @param {string} tripId - Trip ID
+ * @param {object} crew - { driver, conductor } staff IDs (empty clears a role)
+ * @returns {object} Updated trip
+ */
+const assignCrew = async (tripId, crew) => {
+  const trip = await Trip.findById(tripId);
+
+  if (!trip) {
+    throw new AppError('Trip not found', 404);
+  }
+
+  if ([TRIP_STATUS.ARRIVED, TRIP_STATUS.CANCELLED, TRIP_STATUS.EXPIRED].includes(trip.status)) {
+    throw new AppError(`Cannot change the crew of a trip that is ${trip.status}`, 400);
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    // Staff are locked and re-checked in the same transaction that writes the assignment
+    await session.withTransaction(async () => {
+      const resolved = await crewService.resolveCrew(
+        { driver: crew.driver, conductor: crew.conductor },
+        { departureDateTime: trip.departureDateTime, arrivalDateTime: trip.arrivalDateTime },
+        trip,
+        tripId,
+        session
+      );
+      Object.assign(trip, resolved);
+
+      await trip.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
   await trip.populate('bus');
   await trip.populate('route');
 
@@ -288,6 +492,7 @@ const updateTrip = async (tripId, updateData) => {
 
 /**
  * Update trip status
+ * Arriving settles the trip's bookings (completed or no-show, from the boarding scans).
  * @param {string} tripId - Trip ID
  * @param {string} status - New status
  * @returns {object} Updated trip
@@ -299,9 +504,15 @@ const updateTripStatus = async (tripId, status) => {
     throw new Error('Trip not found');
   }
 
+  const arriving = status === TRIP_STATUS.ARRIVED && trip.status !== TRIP_STATUS.ARRIVED;
+
   trip.status = status;
   await trip.save();
 
+  if (arriving) {
+    await boardingService.settleTripBookings(trip._id);
+  }
+
   return trip;
 };
 
@@ -311,5 +522,6 @@ module.exports = {
   getTripById,
   searchTrips,
   updateTrip,
+  assignCrew,
   updateTripStatus
 };
\ No newline at end of file
@@ -5,6 +5,7 @@
  */
 
 const User = require('../models/userModel');
+const Notification = require('../models/notificationModel');
 const MESSAGES = require('../constants/messages');
 
 /**
@@ -155,6 +156,44 @@ const deleteSavedPassenger = async (userId, passengerId) => {
   return await User.findById(userId).select('-password');
 };
 
+/**
+ * Get a user's in-app notifications
+ * @param {string} userId - User ID
+ * @param {number} limit - Maximum notifications to return
+ * @returns {object} Notifications and unread count
+ */
+const getNotifications = async (userId, limit = 50) => {
+  const query = { recipientRole: 'user', recipientId: userId.toString() };
+
+  const notifications = await Notification.find(query)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+  const unreadCount = await Notification.countDocuments({ ...query, isRead: false });
+
+  return { notifications, unreadCount };
+};
+
+/**
+ * Mark one of a user's notifications as read
+ * @param {string} userId - User ID
+ * @param {string} notificationId - Notification ID
+ * @returns {object} Updated notification
+ */
+const markNotificationAsRead = async (userId, notificationId) => {
+  const notification = await Notification.findOne({
+    _id: notificationId,
+    recipientRole: 'user',
+    recipientId: userId.toString()
+  });
+
+  if (!notification) {
+    throw new Error('Notification not found');
+  }
+
+  return notification.markAsRead();
+};
+
 module.exports = {
   addToWallet,
   getWalletBalance,
@@ -162,5 +201,7 @@ module.exports = {
   addSavedPassenger,
   getSavedPassengers,
   updateSavedPassenger,
-  deleteSavedPassenger
+  deleteSavedPassenger,
+  getNotifications,
+  markNotificationAsRead
 };
\ No newline at end of file
@@ -5,31 +5,72 @@
  */
 
 const socketService = require('../services/socketService');
+const {
+  authenticateSocket,
+  isAdmin,
+  canAccessTrip,
+  canOperateTrip,
+  canAccessBooking
+} = require('./socketAuth');
+const logger = require('../utils/logger');
+
+/**
+ * Wrap an async event handler so a failure (e.g. a database error during an access
+ * check) is reported to the socket instead of becoming an unhandled rejection
+ * @param {object} socket - Connected socket
+ * @param {string} event - Event name
+ * @param {function} handler - Async handler
+ * @returns {function} Handler safe to pass to socket.on
+ */
+const safeHandler = (socket, event, handler) => async (...args) => {
+  try {
+    await handler(...args);
+  } catch (error) {
+    logger.error(`Socket event ${event} failed: ${error.message}`);
+    socket.emit('socket-error', { event, message: 'Something went wrong. Please try again.' });
+  }
+};
 
 /**
  * Initialize booking socket handlers
  * @param {object} io - Socket.IO instance
  */
 const initializeBookingSocket = (io) => {
+  // Every connection must carry a valid JWT; identity is then read from socket.user
+  io.use(authenticateSocket);
+
   // Use the main socket service initialization
   socketService.initializeSocket(io);
 
   // Additional booking-specific handlers
   io.on('connection', (socket) => {
-    
-    // Handle joining trip room for live tracking
-    socket.on('join_trip', (tripId) => {
-      socket.join(`trip_${tripId}`);
-    });
+    const user = socket.user;
+
+    // Personal rooms - booking notifications (user-) and staff reminders (user_)
+    socket.join(`user-${user.id}`);
+    socket.join(`user_${user.id}`);
+
+    // Handle joining trip room for live tracking (passengers with a booking, trip staff, admins)
+    socket.on('join_trip', safeHandler(socket, 'join_trip', async (tripId) => {
+      if (await canAccessTrip(user, tripId)) {
+        socket.join(`trip_${tripId}`);
+      } else {
+        socket.emit('room-access-denied', { room: `trip_${tripId}` });
+      }
+    }));
 
     // Handle leaving trip room
     socket.on('leave_trip', (tripId) => {
       socket.leave(`trip_${tripId}`);
     });
 
-    // Handle live tracking updates
-    socket.on('update-bus-location', (data) => {
-      const { tripId, location } = data;
+    // Handle live tracking updates (trip staff and admins only)
+    socket.on('update-bus-location', safeHandler(socket, 'update-bus-location', async (data) => {
+      const { tripId, location } = data || {};
+
+      if (!(await canOperateTrip(user, tripId))) {
+        return;
+      }
       
       // Broadcast location update to all users tracking this trip
       socket.to(`trip_${tripId}`).emit('bus-location-updated', {
@@ -37,11 +78,15 @@ const initializeBookingSocket = (io) => {
         location,
         timestamp: new Date().toISOString()
       });
-    });
+    }));
+
+    // Handle trip status updates (trip staff and admins only)
+    socket.on('trip-status-update', safeHandler(socket, 'trip-status-update', async (data) => {
+      const { tripId, status, message } = data || {};
 
-    // Handle trip status updates
-    socket.on('trip-status-update', (data) => {
-      const { tripId, status, message } = data;
+      if (!(await canOperateTrip(user, tripId))) {
+        return;
+      }
       
       // Broadcast status update to all users in the trip
       socket.to(`trip-${tripId}`).emit('trip-status-changed', {
@@ -50,57 +95,88 @@ const initializeBookingSocket = (io) => {
         message,
         timestamp: new Date().toISOString()
       });
-    });
+    }));
 
-    // Handle booking creation (admin notifications)
-    socket.on('new-booking-created', (data) => {
-      const { bookingId, tripId } = data;
-      
-      // Notify admin users about new booking
-      socket.to('admin-room').emit('new-booking-notification', {
-        bookingId,
-        tripId,
-        timestamp: new Date().toISOString()
-      });
+    // Join a trip's boarding manifest room (trip crew and admins only - it carries passenger details)
+    socket.on('join_manifest', safeHandler(socket, 'join_manifest', async (tripId) => {
+      if (await canOperateTrip(user, tripId)) {
+        socket.join(`manifest_${tripId}`);
+      } else {
+        socket.emit('room-access-denied', { room: `manifest_${tripId}` });
+      }
+    }));
+
+    socket.on('leave_manifest', (tripId) => {
+      socket.leave(`manifest_${tripId}`);
     });
 
     // Join admin room for admin notifications
-    socket.on('join-admin-room', (userId) => {
-      // In real app, verify user is admin
-      socket.join('admin-room');
+    socket.on('join-admin-room', () => {
+      if (isAdmin(user)) {
+        socket.join('admin-room');
+      } else {
+        socket.emit('room-access-denied', { room: 'admin-room' });
+      }
     });
 
     // Leave admin room
-    socket.on('leave-admin-room', (userId) => {
+    socket.on('leave-admin-room', () => {
       socket.leave('admin-room');
     });
 
-    // Handle real-time chat for customer support
-    socket.on('join-support-chat', (data) => {
-      const { userId, bookingId } = data;
-      const roomId = `support-${bookingId || userId}`;
-      socket.join(roomId);
+    // Join the live location monitoring room (bus status, geofence and escalation events)
+    socket.on('join_room', (room) => {
+      if (room === 'admin_monitoring' && isAdmin(user)) {
+        socket.join(room);
+      } else {
+        socket.emit('room-access-denied', { room });
+      }
     });
 
+    socket.on('leave_room', (room) => {
+      socket.leave(room);
+    });
+
+    // Handle real-time chat for customer support (own bookings only; admins any)
+    socket.on('join-support-chat', safeHandler(socket, 'join-support-chat', async (data) => {
+      const { bookingId } = data || {};
+
+      if (bookingId && !(await canAccessBooking(user, bookingId))) {
+        socket.emit('room-access-denied', { room: `support-${bookingId}` });
+        return;
+      }
+
+      socket.join(`support-${bookingId || user.id}`);
+    }));
+
     socket.on('support-message', (data) => {
-      const { userId, bookingId, message } = data;
-      const roomId = `support-${bookingId || userId}`;
+      const { bookingId, message } = data || {};
+      const roomId = `support-${bookingId || user.id}`;
+
+      // Only participants who joined the chat may post to it
+      if (!socket.rooms.has(roomId)) {
+        return;
+      }
       
       // Broadcast message to support agents and other participants
       socket.to(roomId).emit('support-message-received', {
-        userId,
+        userId: user.id,
         message,
         timestamp: new Date().toISOString(),
-        isAgent: false
+        isAgent: isAdmin(user)
       });
     });
 
-    // Handle payment status updates
+    // Handle payment status updates (admins only - customers get these from the server)
     socket.on('payment-status-update', (data) => {
-      const { bookingId, status, message } = data;
+      const { bookingId, status, message, userId } = data || {};
+
+      if (!isAdmin(user)) {
+        return;
+      }
       
       // Notify user about payment status change
-      socket.to(`user-${data.userId}`).emit('payment-status-changed', {
+      socket.to(`user-${userId}`).emit('payment-status-changed', {
         bookingId,
         status,
         message,
@@ -108,9 +184,9 @@ const initializeBookingSocket = (io) => {
       });
     });
 
-    // Join user-specific room for personal notifications
-    socket.on('join-user-room', (userId) => {
-      socket.join(`user-${userId}`);
+    // Personal room is joined on connect; kept for older clients
+    socket.on('join-user-room', () => {
+      socket.join(`user-${user.id}`);
     });
   });
 };
@@ -131,6 +207,30 @@ const emitBookingConfirmation = (io, userId, booking) => {
   });
 };
 
+/**
+ * Announce a committed booking: its seats to the trip's seat room and the booking to admins
+ * Sent by the server once the booking is saved - clients cannot raise these events.
+ * @param {object} io - Socket.IO instance
+ * @param {object} booking - Booking document
+ */
+const emitBookingCreated = (io, booking) => {
+  const tripId = (booking.trip._id || booking.trip).toString();
+  const timestamp = new Date().toISOString();
+
+  io.to(`trip-${tripId}`).emit('seats-booked', {
+    seatNumbers: booking.seats.map(seat => seat.seatNumber),
+    segment: booking.segment,
+    timestamp
+  });
+
+  io.to('admin-room').emit('new-booking-notification', {
+    bookingId: booking._id,
+    tripId,
+    userId: booking.user._id || booking.user,
+    timestamp
+  });
+};
+
 /**
  * Emit booking cancellation to user
  * @param {object} io - Socket.IO instance
@@ -161,19 +261,24 @@ const emitSeatStatusUpdate = async (io, tripId, seatStatus) => {
 };
 
 /**
- * Emit trip status update
+ * Emit trip status update to the booking room and the live tracking room
  * @param {object} io - Socket.IO instance
  * @param {string} tripId - Trip ID
  * @param {string} status - New trip status
  * @param {string} message - Status message
+ * @param {object} details - Extra fields for the event (optional)
  */
-const emitTripStatusUpdate = (io, tripId, status, message) => {
-  io.to(`trip-${tripId}`).emit('trip-status-changed', {
-    tripId,
+const emitTripStatusUpdate = (io, tripId, status, message, details = {}) => {
+  const update = {
+    ...details,
+    tripId: tripId.toString(),
     status,
     message,
     timestamp: new Date().toISOString()
-  });
+  };
+
+  io.to(`trip-${tripId}`).emit('trip-status-changed', update);
+  io.to(`trip_${tripId}`).emit('trip-status-changed', update);
 };
 
 /**
@@ -190,11 +295,27 @@ const emitBusLocationUpdate = (io, tripId, location) => {
   });
 };
 
+/**
+ * Emit a passenger's boarding status change to the trip's manifest room
+ * @param {object} io - Socket.IO instance
+ * @param {string} tripId - Trip ID
+ * @param {object} passenger - Manifest entry from boardingService
+ */
+const emitBoardingUpdate = (io, tripId, passenger) => {
+  io.to(`manifest_${tripId}`).emit('boarding-updated', {
+    tripId: tripId.toString(),
+    passenger,
+    timestamp: new Date().toISOString()
+  });
+};
+
 module.exports = {
   initializeBookingSocket,
   emitBookingConfirmation,
+  emitBookingCreated,
   emitBookingCancellation,
   emitSeatStatusUpdate,
   emitTripStatusUpdate,
-  emitBusLocationUpdate
+  emitBusLocationUpdate,
+  emitBoardingUpdate
 };
\ No newline at end of file
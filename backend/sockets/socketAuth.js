@@ -0,0 +1,214 @@
+// FILE: backend/sockets/socketAuth.js
+/**
+ * Socket.IO authentication and room authorization
+ * Verifies the JWT sent in the handshake (same secret and account checks as
+ * authMiddleware.protect) and decides which rooms a connected socket may join.
+ * Handlers read identity from socket.user, never from the event payload.
+ */
+
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/userModel');
+const Staff = require('../models/staffModel');
+const Trip = require('../models/tripModel');
+const Booking = require('../models/bookingModel');
+const { isSessionActive } = require('../services/sessionService');
+const { resolveAdmin } = require('../services/adminAccountService');
+const { isTripCrew } = require('../services/crewService');
+const MESSAGES = require('../constants/messages');
+const { ROLES } = require('../constants/roles');
+const { BOOKING_STATUS } = require('../constants/enums');
+
+// Bookings that entitle a passenger to follow the trip live
+const TRACKABLE_BOOKING_STATUSES = [
+  BOOKING_STATUS.CONFIRMED,
+  BOOKING_STATUS.PARTIALLY_CANCELLED,
+  BOOKING_STATUS.COMPLETED
+];
+
+/**
+ * Build a handshake error the client sees in connect_error
+ * @param {string} message - Error message
+ * @param {object} extra - Additional data for the client (e.g. { expired: true })
+ * @returns {Error} Error with data.message set
+ */
+const unauthorized = (message, extra = {}) => {
+  const error = new Error('unauthorized');
+  error.data = { message, ...extra };
+  return error;
+};
+
+/**
+ * Read the token from the handshake (auth payload or Authorization header)
+ * @param {object} handshake - socket.handshake
+ * @returns {string|null} Token
+ */
+const getHandshakeToken = (handshake) => {
+  if (handshake.auth?.token) {
+    return handshake.auth.token;
+  }
+
+  const header = handshake.headers?.authorization;
+  if (header && header.startsWith('Bearer')) {
+    return header.split(' ')[1];
+  }
+
+  return null;
+};
+
+/**
+ * Socket.IO middleware verifying the handshake JWT
+ * Sets socket.user to { id, role, email, name, sessionId } (plus permissions for admins)
+ * or rejects the connection.
+ * @param {object} socket - Socket being connected
+ * @param {function} next - Socket.IO next callback
+ */
+const authenticateSocket = async (socket, next) => {
+  const token = getHandshakeToken(socket.handshake);
+
+  if (!token) {
+    return next(unauthorized(MESSAGES.AUTH.TOKEN_REQUIRED));
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (jwtError) {
+    // An expired token tells the client to refresh it and reconnect
+    return next(jwtError.name === 'TokenExpiredError'
+      ? unauthorized(MESSAGES.AUTH.TOKEN_EXPIRED, { expired: true })
+      : unauthorized(MESSAGES.AUTH.TOKEN_INVALID));
+  }
+
+  try {
+    if (!(await isSessionActive(decoded.sid, decoded.id))) {
+      return next(unauthorized('Your session has ended. Please login again.'));
+    }
+
+    if (decoded.role === ROLES.ADMIN) {
+      // Database admin or the environment bootstrap admin
+      const admin = await resolveAdmin(decoded);
+
+      if (!admin) {
+        return next(unauthorized('Your admin account is not active.'));
+      }
+
+      socket.user = {
+        id: admin._id,
+        role: ROLES.ADMIN,
+        email: admin.email,
+        name: admin.name,
+        permissions: admin.permissions,
+        isSuperAdmin: admin.isSuperAdmin,
+        sessionId: decoded.sid
+      };
+    } else if (decoded.role === ROLES.STAFF) {
+      const staff = await Staff.findById(decoded.id).select('name email approved isActive');
+
+      if (!staff || !staff.approved || !staff.isActive) {
+        return next(unauthorized('Your staff account is not active. Please contact admin.'));
+      }
+
+      socket.user = { id: staff._id.toString(), role: ROLES.STAFF, email: staff.email, name: staff.name, sessionId: decoded.sid };
+    } else {
+      const user = await User.findById(decoded.id).select('name email role isActive');
+
+      if (!user || user.isActive === false) {
+        return next(unauthorized(MESSAGES.AUTH.TOKEN_INVALID));
+      }
+
+      socket.user = { id: user._id.toString(), role: user.role, email: user.email, name: user.name, sessionId: decoded.sid };
+    }
+
+    next();
+  } catch (error) {
+    next(unauthorized(MESSAGES.GENERAL.SERVER_ERROR));
+  }
+};
+
+const isAdmin = (user) => user?.role === ROLES.ADMIN;
+
+/**
+ * Check whether a user may follow a trip live (trip_<id> room) or act on it
+ * Admins may follow any trip, staff the trips they work on, passengers the trips they hold a booking on.
+ * @param {object} user - socket.user
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canAccessTrip = async (user, tripId) => {
+  if (!user || !mongoose.Types.ObjectId.isValid(tripId)) {
+    return false;
+  }
+
+  if (isAdmin(user)) {
+    return true;
+  }
+
+  if (user.role === ROLES.STAFF) {
+    const trip = await Trip.findById(tripId).select('bus driver.staff conductor.staff');
+    return trip ? isTripCrew(user.id, trip) : false;
+  }
+
+  return Boolean(await Booking.exists({
+    trip: tripId,
+    user: user.id,
+    bookingStatus: { $in: TRACKABLE_BOOKING_STATUSES }
+  }));
+};
+
+/**
+ * Check whether a user may watch a trip's seat map (trip-<id> room)
+ * Anyone may while the trip is still on sale; afterwards only those who may follow it.
+ * @param {object} user - socket.user
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<boolean>} True if allowed
+ */
+const canWatchSeats = async (user, tripId) => {
+  if (!user || !mongoose.Types.ObjectId.isValid(tripId)) {
+    return false;
+  }
+
+  const onSale = await Trip.exists({ _id: tripId, isActive: true, departureDateTime: { $gt: new Date() } });
+  return Boolean(onSale) || canAccessTrip(user, tripId);
+};
+
+/**
+ * Check whether a user may operate a trip (broadcast its position or status)
+ * @param {object} user - socket.user
+ * @param {string} tripId - Trip ID
+ * @returns {Promise<boolean>} True if the user is an admin or staff on the trip
+ */
+const canOperateTrip = async (user, tripId) => {
+  if (isAdmin(user)) {
+    return true;
+  }
+
+  return user?.role === ROLES.STAFF && canAccessTrip(user, tripId);
+};
+
+/**
+ * Check whether a user may join a booking's support chat
+ * @param {object} user - socket.user
+ * @param {string} bookingId - Booking ID
+ * @returns {Promise<boolean>} True if the user is an admin or owns the booking
+ */
+const canAccessBooking = async (user, bookingId) => {
+  if (isAdmin(user)) {
+    return true;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) {
+    return false;
+  }
+
+  return Boolean(await Booking.exists({ _id: bookingId, user: user.id }));
+};
+
+module.exports = {
+  authenticateSocket,
+  isAdmin,
+  canAccessTrip,
+  canWatchSeats,
+  canOperateTrip,
+  canAccessBooking
+};
@@ -0,0 +1,125 @@
+// FILE: backend/tests/bookingConcurrency.test.js
+/**
+ * Concurrency test for bookingService.createBooking
+ * Fires parallel bookings for the same seat and expects exactly one to succeed.
+ * Transactions need a replica set: a single-node one is started in memory unless
+ * TEST_MONGO_URI points at an existing replica set (its database is dropped).
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const Booking = require('../models/bookingModel');
+const Bus = require('../models/busModel');
+const Route = require('../models/routeModel');
+const Trip = require('../models/tripModel');
+const User = require('../models/userModel');
+const SeatHold = require('../models/seatHoldModel');
+const SeatReservation = require('../models/seatReservationModel');
+const Transaction = require('../models/transactionModel');
+const bookingService = require('../services/bookingService');
+const { PAYMENT_METHODS } = require('../constants/enums');
+
+const PARALLEL_BOOKINGS = 10;
+const SEAT = 'A1';
+// Oldest server with binaries for current Linux distributions (also what mongoose 7 supports)
+const MONGO_BINARY_VERSION = '7.0.14';
+
+describe('createBooking under concurrency', () => {
+  let replSet = null;
+  let user;
+  let trip;
+
+  before(async () => {
+    let uri = process.env.TEST_MONGO_URI;
+    if (!uri) {
+      replSet = await MongoMemoryReplSet.create({
+        binary: { version: MONGO_BINARY_VERSION },
+        replSet: { count: 1, storageEngine: 'wiredTiger' }
+      });
+      uri = replSet.getUri('easyluxury_test');
+    }
+
+    await mongoose.connect(uri);
+    await mongoose.connection.dropDatabase();
+
+    // Collections and the seat reservation index must exist before the transactions run
+    await Promise.all(
+      [Booking, Bus, Route, Trip, User, SeatHold, SeatReservation, Transaction].map(Model => Model.init())
+    );
+
+    user = await User.create({
+      name: 'Concurrency Tester',
+      email: 'concurrency@test.local',
+      password: 'Password123'
+    });
+
+    const bus = await Bus.create({
+      busNumber: 'TEST0001',
+      busName: 'Test Coach',
+      operator: 'Test Operator',
+      totalSeats: 40,
+      seatType: 'seater'
+    });
+
+    const route = await Route.create({
+      sourceCity: 'Ahmedabad',
+      destinationCity: 'Mumbai',
+      distance: 530,
+      estimatedDuration: 9,
+      baseFare: 800
+    });
+
+    const departure = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    trip = await Trip.create({
+      bus: bus._id,
+      route: route._id,
+      departureDateTime: departure,
+      arrivalDateTime: new Date(departure.getTime() + 9 * 60 * 60 * 1000),
+      baseFare: 800,
+      availableSeats: 40
+    });
+
+    // The same user holds the seat, so every request gets past the hold check and races on the reservation
+    await SeatHold.create({
+      trip: trip._id,
+      seatNumber: SEAT,
+      user: user._id,
+      expiresAt: new Date(Date.now() + 10 * 60 * 1000)
+    });
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+    if (replSet) await replSet.stop();
+  });
+
+  it('books the seat exactly once', async () => {
+    const bookingData = {
+      tripId: trip._id.toString(),
+      seats: [SEAT],
+      passengerInfo: [{ seatNumber: SEAT, name: 'Test Passenger', age: 30, gender: 'male' }],
+      paymentMethod: PAYMENT_METHODS.UPI
+    };
+
+    const results = await Promise.allSettled(
+      Array.from({ length: PARALLEL_BOOKINGS }, () => bookingService.createBooking(bookingData, user._id))
+    );
+
+    const succeeded = results.filter(result => result.status === 'fulfilled');
+    const failed = results.filter(result => result.status === 'rejected');
+
+    assert.strictEqual(succeeded.length, 1);
+    failed.forEach(result => {
+      assert.ok([400, 409].includes(result.reason.statusCode), result.reason.message);
+    });
+
+    assert.strictEqual(await Booking.countDocuments({ trip: trip._id }), 1);
+    assert.strictEqual(await SeatReservation.countDocuments({ trip: trip._id, seatNumber: SEAT }), 1);
+
+    const updatedTrip = await Trip.findById(trip._id);
+    assert.strictEqual(updatedTrip.bookedSeats.filter(seat => seat.seatNumber === SEAT).length, 1);
+  });
+});
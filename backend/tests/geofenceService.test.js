@@ -0,0 +1,50 @@
+// FILE: backend/tests/geofenceService.test.js
+/**
+ * Tests for the trip status transitions driven by geofence stop events
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { getNextTripStatus } = require('../services/geofenceService');
+const { TRIP_STATUS } = require('../constants/enums');
+
+const LAST_INDEX = 3;
+
+describe('getNextTripStatus', () => {
+  it('moves a scheduled trip to boarding at the origin and departed when it leaves', () => {
+    assert.strictEqual(
+      getNextTripStatus(TRIP_STATUS.SCHEDULED, [{ type: 'arrival', index: 0 }], LAST_INDEX),
+      TRIP_STATUS.BOARDING
+    );
+    assert.strictEqual(
+      getNextTripStatus(TRIP_STATUS.BOARDING, [{ type: 'departure', index: 0 }], LAST_INDEX),
+      TRIP_STATUS.DEPARTED
+    );
+  });
+
+  it('moves a trip delayed before departure through boarding and departed', () => {
+    assert.strictEqual(
+      getNextTripStatus(TRIP_STATUS.DELAYED, [{ type: 'arrival', index: 0 }], LAST_INDEX, false),
+      TRIP_STATUS.BOARDING
+    );
+    assert.strictEqual(
+      getNextTripStatus(TRIP_STATUS.DELAYED, [{ type: 'departure', index: 0 }], LAST_INDEX, false),
+      TRIP_STATUS.DEPARTED
+    );
+    assert.strictEqual(
+      getNextTripStatus(TRIP_STATUS.DELAYED, [{ type: 'arrival', index: 1 }], LAST_INDEX, false),
+      TRIP_STATUS.DEPARTED
+    );
+  });
+
+  it('keeps a trip delayed on the road delayed until it arrives', () => {
+    assert.strictEqual(
+      getNextTripStatus(TRIP_STATUS.DELAYED, [{ type: 'arrival', index: 1 }, { type: 'departure', index: 1 }], LAST_INDEX, true),
+      TRIP_STATUS.DELAYED
+    );
+    assert.strictEqual(
+      getNextTripStatus(TRIP_STATUS.DELAYED, [{ type: 'arrival', index: LAST_INDEX }], LAST_INDEX, true),
+      TRIP_STATUS.ARRIVED
+    );
+  });
+});
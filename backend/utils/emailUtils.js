@@ -1,20 +1,43 @@
 // FILE: backend/utils/emailUtils.js
 /**
  * Email utility for sending notifications
- * Uses SendGrid for email delivery with fallback to console logging
- * Environment dependencies: SENDGRID_API_KEY, SENDGRID_FROM_EMAIL
+ * Uses the same Gmail SMTP account as emailService, with fallback to console logging
+ * Environment dependencies: EMAIL_USER, EMAIL_PASSWORD
  */
 
-const sgMail = require('@sendgrid/mail');
+const nodemailer = require('nodemailer');
 const logger = require('./logger');
 
-// Initialize SendGrid if API key is available
-if (process.env.SENDGRID_API_KEY) {
-  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+// Create transporter only if credentials are provided
+let transporter = null;
+
+if (process.env.EMAIL_USER && process.env.EMAIL_PASSWORD &&
+    process.env.EMAIL_USER !== 'your-email@gmail.com') {
+  transporter = nodemailer.createTransport({
+    service: 'gmail',
+    auth: {
+      user: process.env.EMAIL_USER,
+      pass: process.env.EMAIL_PASSWORD
+    }
+  });
 }
 
 /**
- * Send email using SendGrid or fallback to console
+ * Escape text for use in HTML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+};
+
+/**
+ * Send email over SMTP or fallback to console
  * @param {object} emailData - Email configuration
  * @param {string} emailData.to - Recipient email
  * @param {string} emailData.subject - Email subject
@@ -32,18 +55,18 @@ const sendEmail = async (emailData) => {
 
   const msg = {
     to,
-    from: process.env.SENDGRID_FROM_EMAIL || 'noreply@easyluxury.com',
+    from: `"easyLuxury Go" <${process.env.EMAIL_USER || 'noreply@easyluxury.com'}>`,
     subject,
     text,
     html
   };
 
   try {
-    // Use SendGrid if API key is available
-    if (process.env.SENDGRID_API_KEY) {
-      const result = await sgMail.send(msg);
-      logger.info(`Email sent to ${to}: ${result[0].statusCode}`);
-      return { success: true, provider: 'sendgrid', messageId: result[0].headers['x-message-id'] };
+    // Use SMTP if credentials are available
+    if (transporter) {
+      const result = await transporter.sendMail(msg);
+      logger.info(`Email sent to ${to}`);
+      return { success: true, provider: 'smtp', messageId: result.messageId };
     } else {
       // Fallback to logging (development)
       logger.debug('Email (fallback logging)', { to, subject });
@@ -54,7 +77,7 @@ const sendEmail = async (emailData) => {
     logger.debug('Email attempt failed', { to, subject });
     return { 
       success: false, 
-      provider: process.env.SENDGRID_API_KEY ? 'sendgrid' : 'console',
+      provider: transporter ? 'smtp' : 'console',
       error: error.message 
     };
   }
@@ -280,9 +303,84 @@ Thank you for using easyLuxury Go.
   });
 };
 
+/**
+ * Send a rental quote with the link where the customer can respond to it
+ * @param {object} inquiry - Rental inquiry with the new quote
+ * @param {string} quoteUrl - Customer quote link
+ * @returns {object} Send result
+ */
+const sendRentalQuote = async (inquiry, quoteUrl) => {
+  const { name, fromCity, toCity, departureDate, quoteAmount, quoteBreakdown = [], quoteExpiresAt } = inquiry;
+  const revised = inquiry.quoteHistory.filter(entry => entry.action === 'quoted').length > 1;
+
+  const subject = `${revised ? 'Revised quote' : 'Your quote'} for ${fromCity} to ${toCity}`;
+  const lines = quoteBreakdown.map(line => `${line.label}: ₹${line.amount}`).join('\n');
+  const text = `
+Dear ${name},
+
+${revised ? 'We have revised the quote' : 'Here is our quote'} for your bus rental from ${fromCity} to ${toCity} on ${new Date(departureDate).toDateString()}.
+
+${lines ? lines + '\n' : ''}Total: ₹${quoteAmount}
+Valid until: ${new Date(quoteExpiresAt).toLocaleString()}
+
+Accept, decline or send us a counter-offer here:
+${quoteUrl}
+
+Thank you for choosing easyLuxury Go!
+  `;
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+    .header { background: #0A192F; color: white; padding: 20px; text-align: center; }
+    .content { padding: 20px; }
+    .quote-details { background: #f8f9fa; padding: 15px; border-radius: 5px; margin: 15px 0; }
+    .button { display: inline-block; background: #FFCA28; color: #0A192F; padding: 12px 24px; border-radius: 5px; text-decoration: none; font-weight: bold; }
+    .footer { background: #f1f1f1; padding: 15px; text-align: center; font-size: 14px; }
+  </style>
+</head>
+<body>
+  <div class="header">
+    <h1>easyLuxury Go</h1>
+    <h2>${revised ? 'Revised Quote' : 'Your Rental Quote'}</h2>
+  </div>
+
+  <div class="content">
+    <p>Dear <strong>${escapeHtml(name)}</strong>,</p>
+    <p>${revised ? 'We have revised the quote' : 'Here is our quote'} for your bus rental from ${escapeHtml(fromCity)} to ${escapeHtml(toCity)} on ${new Date(departureDate).toDateString()}.</p>
+
+    <div class="quote-details">
+      ${quoteBreakdown.map(line => `<p>${escapeHtml(line.label)}: ₹${escapeHtml(line.amount)}</p>`).join('')}
+      <p><strong>Total:</strong> ₹${quoteAmount}</p>
+      <p><strong>Valid until:</strong> ${new Date(quoteExpiresAt).toLocaleString()}</p>
+    </div>
+
+    <p><a class="button" href="${escapeHtml(quoteUrl)}">View and respond to the quote</a></p>
+  </div>
+
+  <div class="footer">
+    <p>Thank you for choosing <strong>easyLuxury Go</strong></p>
+    <p>For support, contact: support@easyluxury.com</p>
+  </div>
+</body>
+</html>
+  `;
+
+  return await sendEmail({
+    to: inquiry.email,
+    subject,
+    text,
+    html
+  });
+};
+
 module.exports = {
   sendEmail,
   sendBookingConfirmation,
   sendCancellationConfirmation,
-  sendWalletNotification
+  sendWalletNotification,
+  sendRentalQuote
 };
\ No newline at end of file
@@ -1,21 +1,24 @@
 // FILE: backend/utils/generateToken.js
 /**
  * JWT token generation utility
- * Environment dependencies: JWT_SECRET
+ * Environment dependencies: JWT_SECRET, ACCESS_TOKEN_EXPIRES_IN
  */
 
 const jwt = require('jsonwebtoken');
+const logger = require('./logger');
+
+// Access tokens are short-lived; sessions are kept alive with refresh tokens
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m';
 
 /**
- * Generate JWT token for user authentication
+ * Generate JWT access token for user authentication
  * @param {string} userId - User ID to encode in token
  * @param {string} role - User role for authorization
  * @param {string} email - User email to encode in token
+ * @param {string} sessionId - Session the token belongs to (checked on every request)
  * @returns {string} JWT token
  */
-const logger = require('./logger');
-
-const generateToken = (userId, role, email = null) => {
+const generateToken = (userId, role, email = null, sessionId = null) => {
   if (!process.env.JWT_SECRET) {
     logger.error('CRITICAL: JWT_SECRET is not defined in environment variables');
     throw new Error('Server configuration error: JWT_SECRET is missing. Please contact administrator.');
@@ -30,12 +33,16 @@ const generateToken = (userId, role, email = null) => {
   if (email) {
     payload.email = email;
   }
+
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
   
   return jwt.sign(
     payload,
     process.env.JWT_SECRET,
     { 
-      expiresIn: '48h' // Token expires in 48 hours
+      expiresIn: ACCESS_TOKEN_EXPIRES_IN
     }
   );
 };
@@ -50,6 +57,7 @@ const verifyToken = (token) => {
 };
 
 module.exports = {
+  ACCESS_TOKEN_EXPIRES_IN,
   generateToken,
   verifyToken
 };
\ No newline at end of file
@@ -0,0 +1,69 @@
+// FILE: backend/utils/geoUtils.js
+/**
+ * Geographic helpers for live tracking
+ * Points are { latitude, longitude } in degrees; distances are in kilometres
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points (haversine)
+ * @param {object} from - { latitude, longitude }
+ * @param {object} to - { latitude, longitude }
+ * @returns {number} Distance in km
+ */
+const distanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Project a point onto the straight line between two points
+ * Uses a flat approximation, which is accurate enough between neighbouring stops.
+ * @param {object} point - { latitude, longitude }
+ * @param {object} start - { latitude, longitude }
+ * @param {object} end - { latitude, longitude }
+ * @returns {object} { fraction, offsetKm } - position along the line (0-1) and distance from it
+ */
+const projectOntoSegment = (point, start, end) => {
+  const kmPerLng = 111.32 * Math.cos(toRadians((start.latitude + end.latitude) / 2));
+  const kmPerLat = 110.57;
+
+  const dx = (end.longitude - start.longitude) * kmPerLng;
+  const dy = (end.latitude - start.latitude) * kmPerLat;
+  const px = (point.longitude - start.longitude) * kmPerLng;
+  const py = (point.latitude - start.latitude) * kmPerLat;
+
+  const lengthSquared = dx * dx + dy * dy;
+  const fraction = lengthSquared > 0
+    ? Math.min(1, Math.max(0, (px * dx + py * dy) / lengthSquared))
+    : 0;
+
+  return {
+    fraction,
+    offsetKm: Math.hypot(px - fraction * dx, py - fraction * dy)
+  };
+};
+
+/**
+ * Length of a path through a list of points
+ * @param {array} points - [{ latitude, longitude }] in order
+ * @returns {number} Path length in km
+ */
+const pathLengthKm = (points) => {
+  return points.reduce((total, point, index) => (
+    index === 0 ? 0 : total + distanceKm(points[index - 1], point)
+  ), 0);
+};
+
+module.exports = {
+  distanceKm,
+  projectOntoSegment,
+  pathLengthKm
+};
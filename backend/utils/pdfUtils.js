@@ -1,20 +1,34 @@
 // FILE: backend/utils/pdfUtils.js
 /**
- * PDF generation utility for tickets and invoices
+ * PDF generation utility for tickets, invoices and charter contracts
  * Uses pdfkit for PDF generation
  */
 
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
+const { signTicketCode, toQRDataURL } = require('./ticketCode');
+const { FARE_SETTINGS } = require('../constants/enums');
 
 /**
  * Generate booking ticket PDF
+ * Each active seat gets a boarding pass page with its signed QR code.
  * @param {object} booking - Booking object
  * @param {object} user - User object
  * @returns {Promise<Buffer>} PDF buffer
  */
 const generateTicketPDF = async (booking, user) => {
+  const boardingPasses = await Promise.all(booking.seats
+    .filter(seat => seat.status !== 'cancelled')
+    .map(async (seat) => ({
+      seat,
+      qrCode: await toQRDataURL(signTicketCode({
+        pnrNumber: booking.pnrNumber,
+        seatNumber: seat.seatNumber,
+        tripId: booking.trip._id
+      }))
+    })));
+
   return new Promise((resolve, reject) => {
     try {
       const doc = new PDFDocument({ margin: 50 });
@@ -96,13 +110,34 @@ const generateTicketPDF = async (booking, user) => {
 
       // Footer
       doc.fontSize(8)
+         .text('Show each passenger\'s boarding pass QR code (following pages) to the conductor.', 50, 685)
          .text('Please carry a valid government-issued ID proof for verification.', 50, 700)
          .text('Report at the boarding point 30 minutes before departure.', 50, 715)
          .text('For support, contact: support@easyluxury.com | Phone: 1800-123-4567', 50, 730);
 
-      // QR Code placeholder
-      doc.rect(400, 600, 100, 100).stroke();
-      doc.fontSize(8).text('QR Code', 425, 650);
+      // Boarding passes
+      boardingPasses.forEach(({ seat, qrCode }) => {
+        doc.addPage();
+
+        doc.fillColor('#0A192F')
+           .fontSize(20)
+           .text('easyLuxury Go', 50, 50)
+           .fillColor('#FFCA28')
+           .fontSize(16)
+           .text('Boarding Pass', 400, 50)
+           .fillColor('#333');
+
+        doc.fontSize(12)
+           .text(`PNR Number: ${booking.pnrNumber}`, 50, 120)
+           .text(`Passenger: ${seat.passengerName}`, 50, 140)
+           .text(`Seat: ${seat.seatNumber}`, 50, 160)
+           .text(`Departure: ${new Date(booking.trip.departureDateTime).toLocaleString()}`, 50, 180)
+           .text(`Boarding at: ${booking.boardingPoint.terminal}`, 50, 200);
+
+        doc.image(qrCode, 200, 250, { width: 200 });
+        doc.fontSize(8)
+           .text('Scan at boarding. Valid for this passenger and seat only.', 50, 470, { align: 'center' });
+      });
 
       doc.end();
     } catch (error) {
@@ -176,15 +211,16 @@ const generateInvoicePDF = async (booking, user) => {
 
       let yPosition = 370;
       
-      // Base fare
-      const seatCount = booking.seats.length;
-      const baseFare = booking.totalAmount / seatCount;
+      // Per-seat fares (older bookings without stored fares split the total evenly)
+      const fareBreakdown = booking.fareBreakdown || {};
+      const fallbackFare = booking.totalAmount / booking.seats.length;
       
       booking.seats.forEach((seat, index) => {
+        const seatFare = seat.fare ?? fallbackFare;
         doc.text(`Seat ${seat.seatNumber} - ${seat.passengerName}`, 50, yPosition)
            .text('1', 300, yPosition)
-           .text(`₹${baseFare}`, 350, yPosition)
-           .text(`₹${baseFare}`, 450, yPosition);
+           .text(`₹${seatFare}`, 350, yPosition)
+           .text(`₹${seatFare}`, 450, yPosition);
         yPosition += 15;
       });
 
@@ -197,6 +233,23 @@ const generateInvoicePDF = async (booking, user) => {
            .text(`-₹${booking.promoCode.discountAmount}`, 450, yPosition);
       }
 
+      // GST and convenience fee
+      if (fareBreakdown.gstAmount > 0) {
+        yPosition += 15;
+        doc.text(`GST (${FARE_SETTINGS.GST_RATE * 100}%)`, 50, yPosition)
+           .text('-', 300, yPosition)
+           .text('-', 350, yPosition)
+           .text(`₹${fareBreakdown.gstAmount}`, 450, yPosition);
+      }
+
+      if (fareBreakdown.convenienceFee > 0) {
+        yPosition += 15;
+        doc.text('Convenience Fee', 50, yPosition)
+           .text('-', 300, yPosition)
+           .text('-', 350, yPosition)
+           .text(`₹${fareBreakdown.convenienceFee}`, 450, yPosition);
+      }
+
       // Total
       yPosition += 20;
       doc.moveTo(50, yPosition).lineTo(500, yPosition).stroke();
@@ -229,6 +282,121 @@ const generateInvoicePDF = async (booking, user) => {
   });
 };
 
+/**
+ * Generate charter contract and invoice PDF
+ * @param {object} charter - Charter with bus and inquiry populated
+ * @returns {Promise<Buffer>} PDF buffer
+ */
+const generateCharterContractPDF = async (charter) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50 });
+      const buffers = [];
+      const hirer = charter.inquiry || {};
+      const bus = charter.bus || {};
+
+      doc.on('data', buffers.push.bind(buffers));
+      doc.on('end', () => {
+        const pdfData = Buffer.concat(buffers);
+        resolve(pdfData);
+      });
+
+      // Header
+      doc.fillColor('#0A192F')
+         .fontSize(20)
+         .text('easyLuxury Go', 50, 50)
+         .fillColor('#333')
+         .fontSize(16)
+         .text('CHARTER CONTRACT', 360, 50)
+         .fontSize(10)
+         .text(`Contract No: ${charter.charterNumber}`, 360, 70)
+         .text(`Date: ${new Date(charter.createdAt).toLocaleDateString()}`, 360, 85);
+
+      // Hirer Details
+      doc.fontSize(14)
+         .text('HIRER', 50, 120);
+
+      doc.fontSize(10)
+         .text(`Name: ${hirer.name || 'N/A'}`, 50, 145)
+         .text(`Company: ${hirer.company || '-'}`, 50, 160)
+         .text(`Email: ${hirer.email || 'N/A'}`, 50, 175)
+         .text(`Phone: ${hirer.phone || 'N/A'}`, 50, 190);
+
+      // Hire Details
+      doc.fontSize(14)
+         .text('HIRE DETAILS', 300, 120);
+
+      doc.fontSize(10)
+         .text(`Route: ${charter.fromCity} to ${charter.toCity} (${charter.tripType})`, 300, 145)
+         .text(`From: ${new Date(charter.startDateTime).toLocaleString()}`, 300, 160)
+         .text(`Until: ${new Date(charter.endDateTime).toLocaleString()}`, 300, 175)
+         .text(`Passengers: ${charter.passengers}`, 300, 190);
+
+      // Vehicle and Crew
+      doc.fontSize(14)
+         .text('VEHICLE AND CREW', 50, 230);
+
+      doc.fontSize(10)
+         .text(`Bus: ${bus.busName || 'N/A'} (${bus.busNumber || 'N/A'})`, 50, 255)
+         .text(`Type: ${bus.seatType || 'N/A'} | Seats: ${bus.totalSeats || 'N/A'}`, 50, 270)
+         .text(`Driver: ${charter.driver?.name || 'To be assigned'}${charter.driver?.phone ? ` (${charter.driver.phone})` : ''}`, 300, 255)
+         .text(`Conductor: ${charter.conductor?.name || 'Not required'}${charter.conductor?.phone ? ` (${charter.conductor.phone})` : ''}`, 300, 270);
+
+      // Charges and Payments
+      doc.fontSize(14)
+         .text('CHARGES AND PAYMENTS', 50, 310);
+
+      doc.fontSize(10)
+         .text('Description', 50, 340)
+         .text('Date', 300, 340)
+         .text('Amount', 450, 340);
+
+      doc.moveTo(50, 350).lineTo(500, 350).stroke();
+
+      let yPosition = 360;
+
+      doc.text(`Charter hire - ${charter.fromCity} to ${charter.toCity}`, 50, yPosition)
+         .text(new Date(charter.createdAt).toLocaleDateString(), 300, yPosition)
+         .text(`₹${charter.totalAmount}`, 450, yPosition);
+
+      charter.payments.forEach(payment => {
+        yPosition += 15;
+        doc.text(`${payment.kind === 'advance' ? 'Advance' : 'Payment'} received (${payment.method.replace('_', ' ')}${payment.reference ? ` - ${payment.reference}` : ''})`, 50, yPosition)
+           .text(new Date(payment.receivedAt).toLocaleDateString(), 300, yPosition)
+           .text(`-₹${payment.amount}`, 450, yPosition);
+      });
+
+      yPosition += 20;
+      doc.moveTo(50, yPosition).lineTo(500, yPosition).stroke();
+      yPosition += 10;
+
+      doc.fontSize(12)
+         .text(charter.status === 'cancelled' ? 'CHARTER CANCELLED' : 'BALANCE DUE', 50, yPosition)
+         .text(`₹${charter.balanceDue}`, 450, yPosition);
+
+      // Terms
+      doc.fontSize(14)
+         .text('TERMS', 50, yPosition + 40);
+
+      doc.fontSize(9)
+         .text('1. The bus and crew are reserved for the hirer for the period above, including the return run.', 50, yPosition + 65, { width: 450 })
+         .text('2. The balance is payable before departure. Tolls, parking and permits outside the agreed route are extra.', 50, yPosition + 80, { width: 450 })
+         .text('3. Passengers beyond the agreed number cannot be carried.', 50, yPosition + 95, { width: 450 })
+         .text('4. Cancellation charges are deducted from the advance as per the charter policy.', 50, yPosition + 110, { width: 450 });
+
+      // Footer
+      doc.fontSize(8)
+         .text('This is a computer-generated contract and invoice.', 50, 700)
+         .text('Thank you for choosing easyLuxury Go!', 50, 715)
+         .text('For queries: support@easyluxury.com | GSTIN: 29AABCE1234F1Z2', 50, 730);
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
 /**
  * Save PDF to file (for development/testing)
  * @param {Buffer} pdfBuffer - PDF buffer
@@ -251,5 +419,6 @@ const savePDFToFile = (pdfBuffer, filename) => {
 module.exports = {
   generateTicketPDF,
   generateInvoicePDF,
+  generateCharterContractPDF,
   savePDFToFile
 };
\ No newline at end of file
@@ -5,6 +5,7 @@
  */
 
 const { SEAT_STATUS } = require('../constants/enums');
+const Trip = require('../models/tripModel');
 
 /**
  * Generate seat layout for a bus
@@ -58,11 +59,12 @@ const generateSeatLayout = (totalSeats, seatType) => {
  * Get seat status for all seats in a trip
  * @param {object} trip - Trip object with bookedSeats
  * @param {array} lockedSeats - Array of currently locked seats
+ * @param {object} segment - { fromStopIndex, toStopIndex } to check (null for the whole trip)
  * @returns {object} Seat status mapping
  */
-const getSeatStatus = (trip, lockedSeats = []) => {
+const getSeatStatus = (trip, lockedSeats = [], segment = null) => {
   const seatStatus = {};
-  const bookedSeatNumbers = trip.bookedSeats.map(seat => seat.seatNumber);
+  const bookedSeatNumbers = Trip.getOccupiedSeatNumbers(trip.bookedSeats, segment);
   
   // Get all possible seat numbers from bus layout
   const allSeats = [...trip.bus.seatLayout.lowerDeck.seatNumbers, ...trip.bus.seatLayout.upperDeck.seatNumbers];
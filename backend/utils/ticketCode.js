@@ -0,0 +1,128 @@
+// FILE: backend/utils/ticketCode.js
+/**
+ * Signed ticket codes for boarding
+ * Each seat on a ticket carries a QR code of the form EG1.<payload>.<signature>, where the
+ * payload is base64url JSON { p: PNR, s: seat, t: trip ID, i: issued-at seconds } and the
+ * signature is ECDSA P-256 / SHA-256 in IEEE P1363 form. Scanners verify it offline with the
+ * public key from GET /api/v1/boarding/public-key (WebCrypto accepts the same format).
+ * Environment dependencies: TICKET_SIGNING_PRIVATE_KEY
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const logger = require('./logger');
+
+const CODE_PREFIX = 'EG1';
+const SIGNATURE_OPTIONS = { dsaEncoding: 'ieee-p1363' };
+
+let signingKeys = null;
+
+/**
+ * Load the signing key pair
+ * Uses TICKET_SIGNING_PRIVATE_KEY (PKCS#8 PEM, \n escapes allowed). Without it a key pair
+ * is generated for this process only, so tickets stop verifying after a restart.
+ * @returns {object} { privateKey, publicKey, publicKeyPem, keyId }
+ */
+const getSigningKeys = () => {
+  if (signingKeys) {
+    return signingKeys;
+  }
+
+  let privateKey;
+  if (process.env.TICKET_SIGNING_PRIVATE_KEY) {
+    privateKey = crypto.createPrivateKey(process.env.TICKET_SIGNING_PRIVATE_KEY.replace(/\\n/g, '\n'));
+  } else {
+    logger.warn('TICKET_SIGNING_PRIVATE_KEY is not set - using a temporary key; tickets will not verify after a restart');
+    ({ privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' }));
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  const publicKeyDer = publicKey.export({ type: 'spki', format: 'der' });
+
+  signingKeys = {
+    privateKey,
+    publicKey,
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }),
+    keyId: crypto.createHash('sha256').update(publicKeyDer).digest('hex').slice(0, 16)
+  };
+
+  return signingKeys;
+};
+
+/**
+ * Public key scanners verify ticket codes with
+ * @returns {object} { algorithm, keyId, publicKey (SPKI PEM) }
+ */
+const getTicketPublicKey = () => {
+  const { publicKeyPem, keyId } = getSigningKeys();
+  return { algorithm: 'ES256', keyId, publicKey: publicKeyPem };
+};
+
+/**
+ * Sign a ticket code for one seat
+ * @param {object} ticket - { pnrNumber, seatNumber, tripId }
+ * @returns {string} Ticket code
+ */
+const signTicketCode = ({ pnrNumber, seatNumber, tripId }) => {
+  const payload = Buffer.from(JSON.stringify({
+    p: pnrNumber,
+    s: seatNumber,
+    t: tripId.toString(),
+    i: Math.floor(Date.now() / 1000)
+  })).toString('base64url');
+
+  const signed = `${CODE_PREFIX}.${payload}`;
+  const signature = crypto.sign('sha256', Buffer.from(signed), { key: getSigningKeys().privateKey, ...SIGNATURE_OPTIONS });
+
+  return `${signed}.${signature.toString('base64url')}`;
+};
+
+/**
+ * Verify a ticket code and read its contents
+ * @param {string} code - Scanned ticket code
+ * @returns {object|null} { pnrNumber, seatNumber, tripId, issuedAt } or null if the code is not genuine
+ */
+const verifyTicketCode = (code) => {
+  const parts = typeof code === 'string' ? code.trim().split('.') : [];
+
+  if (parts.length !== 3 || parts[0] !== CODE_PREFIX) {
+    return null;
+  }
+
+  const valid = crypto.verify(
+    'sha256',
+    Buffer.from(`${parts[0]}.${parts[1]}`),
+    { key: getSigningKeys().publicKey, ...SIGNATURE_OPTIONS },
+    Buffer.from(parts[2], 'base64url')
+  );
+
+  if (!valid) {
+    return null;
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    return {
+      pnrNumber: payload.p,
+      seatNumber: payload.s,
+      tripId: payload.t,
+      issuedAt: new Date(payload.i * 1000)
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Render a ticket code as a QR image
+ * @param {string} code - Ticket code
+ * @returns {Promise<string>} PNG data URL
+ */
+const toQRDataURL = (code) => QRCode.toDataURL(code, { errorCorrectionLevel: 'M', margin: 1, width: 240 });
+
+module.exports = {
+  getTicketPublicKey,
+  signTicketCode,
+  verifyTicketCode,
+  toQRDataURL
+};
@@ -0,0 +1,102 @@
+// FILE: backend/utils/trackExportUtils.js
+/**
+ * Track export utility for trip GPS breadcrumbs
+ * Builds GPX 1.1 and GeoJSON documents that open in common mapping tools
+ */
+
+/**
+ * Escape text for use in XML
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+const escapeXml = (value) => {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Describe a trip for track metadata
+ * @param {object} trip - Trip with route and bus populated
+ * @returns {string} Track name
+ */
+const getTrackName = (trip) => {
+  const route = trip.route
+    ? `${trip.route.sourceCity} → ${trip.route.destinationCity}`
+    : 'Unknown route';
+  return `${trip.bus?.busNumber || 'Bus'} ${route} (${new Date(trip.departureDateTime).toISOString().split('T')[0]})`;
+};
+
+/**
+ * Build a GPX track for a trip
+ * @param {object} trip - Trip with route and bus populated
+ * @param {array} points - Pings in time order
+ * @returns {string} GPX document
+ */
+const generateGPX = (trip, points) => {
+  const trackPoints = points.map(point => [
+    `      <trkpt lat="${point.latitude}" lon="${point.longitude}">`,
+    `        <time>${new Date(point.recordedAt).toISOString()}</time>`,
+    `        <desc>speed ${Math.round(point.speed || 0)} km/h, heading ${Math.round(point.heading || 0)}°</desc>`,
+    '      </trkpt>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="easyLuxury Go" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <metadata>',
+    `    <name>${escapeXml(getTrackName(trip))}</name>`,
+    `    <time>${new Date().toISOString()}</time>`,
+    '  </metadata>',
+    '  <trk>',
+    `    <name>${escapeXml(getTrackName(trip))}</name>`,
+    `    <desc>Trip ${trip._id}</desc>`,
+    '    <trkseg>',
+    ...trackPoints,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Build a GeoJSON feature collection for a trip
+ * The track is a LineString; per-point times and speeds are kept as parallel property arrays.
+ * @param {object} trip - Trip with route and bus populated
+ * @param {array} points - Pings in time order
+ * @returns {object} GeoJSON FeatureCollection
+ */
+const generateGeoJSON = (trip, points) => {
+  return {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: {
+          type: 'LineString',
+          // GeoJSON positions are [longitude, latitude]
+          coordinates: points.map(point => [point.longitude, point.latitude])
+        },
+        properties: {
+          name: getTrackName(trip),
+          tripId: trip._id.toString(),
+          busNumber: trip.bus?.busNumber || null,
+          sourceCity: trip.route?.sourceCity || null,
+          destinationCity: trip.route?.destinationCity || null,
+          pointCount: points.length,
+          coordTimes: points.map(point => new Date(point.recordedAt).toISOString()),
+          speeds: points.map(point => point.speed || 0)
+        }
+      }
+    ]
+  };
+};
+
+module.exports = {
+  generateGPX,
+  generateGeoJSON
+};
@@ -0,0 +1,41 @@
+/**
+ * Admin permissions (mirrors backend/constants/permissions.js)
+ * Used to hide admin screens and actions the signed-in admin cannot use;
+ * the backend enforces the same checks.
+ */
+
+export const PERMISSIONS = {
+  MANAGE_BUSES: 'manage_buses',
+  MANAGE_TRIPS: 'manage_trips',
+  HANDLE_REFUNDS: 'handle_refunds',
+  VIEW_ANALYTICS: 'view_analytics',
+  APPROVE_STAFF: 'approve_staff',
+  MANAGE_USERS: 'manage_users'
+};
+
+export const PERMISSION_LABELS = {
+  [PERMISSIONS.MANAGE_BUSES]: 'Manage buses',
+  [PERMISSIONS.MANAGE_TRIPS]: 'Manage trips',
+  [PERMISSIONS.HANDLE_REFUNDS]: 'Handle refunds',
+  [PERMISSIONS.VIEW_ANALYTICS]: 'View analytics',
+  [PERMISSIONS.APPROVE_STAFF]: 'Approve staff',
+  [PERMISSIONS.MANAGE_USERS]: 'Manage users'
+};
+
+/**
+ * Check whether an admin user holds a permission
+ * @param {Object} user - Signed-in user ({ role, permissions, isSuperAdmin })
+ * @param {string} permission - Permission to check (omit to only require an admin)
+ * @returns {boolean} True if allowed
+ */
+export const userHasPermission = (user, permission) => {
+  if (user?.role !== 'admin') {
+    return false;
+  }
+
+  if (!permission || user.isSuperAdmin) {
+    return true;
+  }
+
+  return (user.permissions || []).includes(permission);
+};
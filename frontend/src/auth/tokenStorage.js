@@ -0,0 +1,57 @@
+/**
+ * Role-scoped token storage
+ * Access and refresh tokens live in sessionStorage (tab-scoped), one pair per role,
+ * so an admin, staff and customer session can coexist in the same browser.
+ */
+
+const TOKEN_KEYS = {
+  admin: 'adminToken',
+  staff: 'staffToken',
+  user: 'userToken'
+};
+
+const REFRESH_TOKEN_KEYS = {
+  admin: 'adminRefreshToken',
+  staff: 'staffRefreshToken',
+  user: 'userRefreshToken'
+};
+
+// Everything a signed-in tab keeps in sessionStorage
+const AUTH_STORAGE_KEYS = [
+  ...Object.values(TOKEN_KEYS),
+  ...Object.values(REFRESH_TOKEN_KEYS),
+  'user',
+  'activeRole',
+  'adminUser',
+  'staffUser',
+  'customerUser'
+];
+
+// Customers are stored under the "user" slot
+const normalizeRole = (role) => (role === 'admin' || role === 'staff' ? role : 'user');
+
+export const getAccessToken = (role) => sessionStorage.getItem(TOKEN_KEYS[normalizeRole(role)]);
+
+export const getRefreshToken = (role) => sessionStorage.getItem(REFRESH_TOKEN_KEYS[normalizeRole(role)]);
+
+/**
+ * Store the token pair of a role
+ * @param {string} role - admin, staff, user or customer
+ * @param {string} token - Access token
+ * @param {string} refreshToken - Refresh token (kept as-is when omitted)
+ */
+export const saveTokens = (role, token, refreshToken) => {
+  const slot = normalizeRole(role);
+  sessionStorage.setItem(TOKEN_KEYS[slot], token);
+
+  if (refreshToken) {
+    sessionStorage.setItem(REFRESH_TOKEN_KEYS[slot], refreshToken);
+  }
+};
+
+/**
+ * Remove every token and cached user of every role
+ */
+export const clearAuthStorage = () => {
+  AUTH_STORAGE_KEYS.forEach(key => sessionStorage.removeItem(key));
+};
@@ -4,10 +4,13 @@
 
 import React from 'react'
 import { Link, useLocation } from 'react-router-dom'
-import { LayoutDashboard, Bus, Route, Calendar, ClipboardList, Users, BarChart3, MapPin, Navigation } from 'lucide-react'
+import { LayoutDashboard, Bus, Route, Calendar, CalendarDays, ClipboardList, Users, BarChart3, MapPin, Navigation, ShieldCheck } from 'lucide-react'
+import { useAuth } from '../../hooks/useAuth'
+import { PERMISSIONS } from '../../auth/permissions'
 
 const AdminNav = () => {
   const location = useLocation()
+  const { isSuperAdmin, hasPermission } = useAuth()
 
   const adminQuickLinks = [
     {
@@ -20,37 +23,49 @@ const AdminNav = () => {
       path: '/admin/buses',
       label: 'Buses',
       icon: Bus,
-      description: 'Manage fleet'
+      description: 'Manage fleet',
+      permission: PERMISSIONS.MANAGE_BUSES
     },
     {
       path: '/admin/routes',
       label: 'Routes',
       icon: Route,
-      description: 'Manage routes'
+      description: 'Manage routes',
+      permission: PERMISSIONS.MANAGE_TRIPS
     },
     {
       path: '/admin/trips',
       label: 'Trips',
       icon: Calendar,
-      description: 'Schedule trips'
+      description: 'Schedule trips',
+      permission: PERMISSIONS.MANAGE_TRIPS
+    },
+    {
+      path: '/admin/roster',
+      label: 'Roster',
+      icon: CalendarDays,
+      description: 'Shifts & leave'
     },
     {
       path: '/admin/bookings',
       label: 'Bookings',
       icon: ClipboardList,
-      description: 'View all bookings'
+      description: 'View all bookings',
+      permission: PERMISSIONS.HANDLE_REFUNDS
     },
     {
       path: '/admin/users',
       label: 'Users',
       icon: Users,
-      description: 'Manage users'
+      description: 'Manage users',
+      permission: PERMISSIONS.MANAGE_USERS
     },
     {
       path: '/admin/analytics',
       label: 'Analytics',
       icon: BarChart3,
-      description: 'Reports & insights'
+      description: 'Reports & insights',
+      permission: PERMISSIONS.VIEW_ANALYTICS
     },
     {
       path: '/admin/live-tracking',
@@ -62,9 +77,17 @@ const AdminNav = () => {
       path: '/admin/location-monitor',
       label: 'Location Monitor',
       icon: Navigation,
-      description: 'Monitor bus status'
+      description: 'Monitor bus status',
+      permission: PERMISSIONS.MANAGE_TRIPS
+    },
+    {
+      path: '/admin/admins',
+      label: 'Admin Accounts',
+      icon: ShieldCheck,
+      description: 'Admins & permissions',
+      superAdminOnly: true
     }
-  ]
+  ].filter(link => (link.superAdminOnly ? isSuperAdmin : hasPermission(link.permission)))
 
   const isActivePath = (path) => {
     return location.pathname === path
@@ -0,0 +1,155 @@
+/**
+ * Crew picker for choosing a trip's driver and conductor from staff records
+ * Lists staff for the trip window; staff who are rostered elsewhere, on leave,
+ * need rest or hold an expired licence are shown disabled with the reason.
+ * "Suggest crew" fills both roles from the duty roster.
+ */
+
+import React, { useState, useEffect } from 'react'
+import PropTypes from 'prop-types'
+import { toast } from 'react-hot-toast'
+import staffService from '../../services/staffService'
+import rosterService from '../../services/rosterService'
+
+const CREW_ROLES = [
+  { role: 'driver', label: 'Driver' },
+  { role: 'conductor', label: 'Conductor' }
+]
+
+const CrewPicker = ({
+  departureDateTime,
+  arrivalDateTime,
+  tripId = null,
+  value = { driver: '', conductor: '' },
+  onChange
+}) => {
+  const [options, setOptions] = useState({ driver: [], conductor: [] })
+  const [minRestHours, setMinRestHours] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [suggesting, setSuggesting] = useState(false)
+
+  useEffect(() => {
+    if (!departureDateTime || !arrivalDateTime || new Date(arrivalDateTime) <= new Date(departureDateTime)) {
+      setOptions({ driver: [], conductor: [] })
+      return
+    }
+
+    let cancelled = false
+
+    const fetchCrew = async () => {
+      setLoading(true)
+      try {
+        const tripWindow = {
+          departureDateTime: new Date(departureDateTime).toISOString(),
+          arrivalDateTime: new Date(arrivalDateTime).toISOString(),
+          ...(tripId && { tripId })
+        }
+        const [drivers, conductors] = await Promise.all(
+          CREW_ROLES.map(({ role }) => staffService.getCrewAvailability({ role, ...tripWindow }))
+        )
+
+        if (!cancelled) {
+          setOptions({ driver: drivers.data?.staff || [], conductor: conductors.data?.staff || [] })
+          setMinRestHours(drivers.data?.minRestHours ?? null)
+        }
+      } catch (error) {
+        if (!cancelled) toast.error(error.response?.data?.message || 'Failed to load crew availability')
+      } finally {
+        if (!cancelled) setLoading(false)
+      }
+    }
+
+    fetchCrew()
+
+    return () => {
+      cancelled = true
+    }
+  }, [departureDateTime, arrivalDateTime, tripId])
+
+  const hasWindow = Boolean(departureDateTime && arrivalDateTime)
+
+  const handleSuggest = async () => {
+    setSuggesting(true)
+    try {
+      const response = await rosterService.getCrewSuggestions({
+        departureDateTime: new Date(departureDateTime).toISOString(),
+        arrivalDateTime: new Date(arrivalDateTime).toISOString(),
+        ...(tripId && { tripId })
+      })
+      const driver = response.data?.driver?.[0]
+      const conductor = response.data?.conductor?.[0]
+
+      if (!driver && !conductor) {
+        toast.error('No crew is free for this trip')
+        return
+      }
+
+      onChange({ driver: driver?._id || '', conductor: conductor?._id || '' })
+      toast.success(`Suggested ${[driver?.name, conductor?.name].filter(Boolean).join(' and ')}`)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to suggest crew')
+    } finally {
+      setSuggesting(false)
+    }
+  }
+
+  return (
+    <div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {CREW_ROLES.map(({ role, label }) => (
+          <div key={role}>
+            <label className="block text-sm font-medium text-gray-700 mb-2">
+              {label}
+            </label>
+            <select
+              value={value[role] || ''}
+              onChange={(e) => onChange({ ...value, [role]: e.target.value })}
+              disabled={!hasWindow || loading}
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent disabled:opacity-50"
+            >
+              <option value="">
+                {!hasWindow ? 'Set departure and arrival first' : loading ? 'Checking availability...' : `No ${role}`}
+              </option>
+              {options[role].map(staff => (
+                <option
+                  key={staff._id}
+                  value={staff._id}
+                  disabled={!staff.available && staff._id !== value[role]}
+                  title={staff.reason || ''}
+                >
+                  {staff.name} ({staff.employeeId}){staff.available ? '' : ` - ${staff.reason}`}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+      </div>
+      <div className="flex items-center justify-between gap-4 mt-2">
+        <p className="text-xs text-gray-500">
+          {minRestHours !== null && `Crew need ${minRestHours} hours of rest between trips. Drivers need a licence valid until arrival.`}
+        </p>
+        <button
+          type="button"
+          onClick={handleSuggest}
+          disabled={!hasWindow || loading || suggesting}
+          className="text-sm text-black40 font-semibold hover:underline whitespace-nowrap disabled:opacity-50"
+        >
+          {suggesting ? 'Suggesting...' : 'Suggest crew'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+CrewPicker.propTypes = {
+  departureDateTime: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
+  arrivalDateTime: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)]),
+  tripId: PropTypes.string,
+  value: PropTypes.shape({
+    driver: PropTypes.string,
+    conductor: PropTypes.string
+  }),
+  onChange: PropTypes.func.isRequired
+}
+
+export default CrewPicker
@@ -4,12 +4,14 @@
 
 import React from 'react'
 import { motion } from 'framer-motion'
+import PropTypes from 'prop-types'
 
 const BookingSummary = ({ 
   trip, 
   bus, 
   selectedSeats = [], 
   passengerDetails = [],
+  quote = null, // Server fare quote - preferred over the local estimate when present
   onEditSeats,
   onEditPassengers 
 }) => {
@@ -58,11 +60,22 @@ const BookingSummary = ({
   }
 
   const calculateTotal = () => {
+    if (quote) {
+      return {
+        baseFare: quote.baseAmount,
+        discount: quote.discountAmount,
+        taxes: quote.gstAmount,
+        convenienceFee: quote.convenienceFee,
+        total: quote.totalAmount
+      }
+    }
+
     const totalBaseFare = selectedSeats.length * seatFare
     const taxes = totalBaseFare * 0.18 // 18% GST
     const convenienceFee = 30
     return {
       baseFare: totalBaseFare,
+      discount: 0,
       taxes: Math.round(taxes),
       convenienceFee,
       total: Math.round(totalBaseFare + taxes + convenienceFee)
@@ -71,7 +84,18 @@ const BookingSummary = ({
 
   const totals = calculateTotal()
 
+  const seatTypeLabels = {
+    single: 'Seater',
+    double: 'Double Seater',
+    'sleeper-lower': 'Lower Berth',
+    'sleeper-upper': 'Upper Berth'
+  }
+
+  const getQuotedSeat = (seatNumber) => quote?.seats?.find(seat => seat.seatNumber === seatNumber)
+
   const getSeatType = (seatNumber) => {
+    const quotedSeat = getQuotedSeat(seatNumber)
+    if (quotedSeat) return seatTypeLabels[quotedSeat.seatType]
     if (seatNumber.startsWith('U')) return 'Upper Berth'
     if (seatNumber.startsWith('L')) return 'Lower Berth'
     return 'Seater'
@@ -164,7 +188,7 @@ const BookingSummary = ({
                       {getSeatType(seat)}
                     </span>
                   </div>
-                  <span className="font-semibold text-accent">₹{seatFare}</span>
+                  <span className="font-semibold text-accent">₹{getQuotedSeat(seat)?.fare ?? seatFare}</span>
                 </div>
               ))}
             </div>
@@ -216,6 +240,12 @@ const BookingSummary = ({
               <span className="text-gray-600">Base Fare ({selectedSeats.length} seats)</span>
               <span>₹{totals.baseFare}</span>
             </div>
+            {totals.discount > 0 && (
+              <div className="flex justify-between text-green-600">
+                <span>Promo Discount</span>
+                <span>-₹{totals.discount}</span>
+              </div>
+            )}
             <div className="flex justify-between">
               <span className="text-gray-600">Taxes & GST (18%)</span>
               <span>₹{totals.taxes}</span>
@@ -248,4 +278,45 @@ const BookingSummary = ({
   )
 }
 
+BookingSummary.propTypes = {
+  trip: PropTypes.shape({
+    departureDateTime: PropTypes.string,
+    arrivalDateTime: PropTypes.string,
+    fare: PropTypes.number,
+    baseFare: PropTypes.number,
+    route: PropTypes.shape({
+      sourceCity: PropTypes.string,
+      destinationCity: PropTypes.string,
+      from: PropTypes.string,
+      to: PropTypes.string
+    })
+  }).isRequired,
+  bus: PropTypes.shape({
+    busNumber: PropTypes.string,
+    seatType: PropTypes.string,
+    operator: PropTypes.string,
+    amenities: PropTypes.arrayOf(PropTypes.string)
+  }).isRequired,
+  selectedSeats: PropTypes.arrayOf(PropTypes.string),
+  passengerDetails: PropTypes.arrayOf(PropTypes.shape({
+    name: PropTypes.string,
+    age: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+    gender: PropTypes.string
+  })),
+  quote: PropTypes.shape({
+    baseAmount: PropTypes.number,
+    discountAmount: PropTypes.number,
+    gstAmount: PropTypes.number,
+    convenienceFee: PropTypes.number,
+    totalAmount: PropTypes.number,
+    seats: PropTypes.arrayOf(PropTypes.shape({
+      seatNumber: PropTypes.string,
+      seatType: PropTypes.string,
+      fare: PropTypes.number
+    }))
+  }),
+  onEditSeats: PropTypes.func,
+  onEditPassengers: PropTypes.func
+}
+
 export default BookingSummary
\ No newline at end of file
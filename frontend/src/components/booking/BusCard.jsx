@@ -5,6 +5,7 @@
 import React from 'react'
 import { Link } from 'react-router-dom'
 import { motion } from 'framer-motion'
+import PropTypes from 'prop-types'
 
 const BusCard = ({ bus, trip, onSelect }) => {
   const {
@@ -16,14 +17,18 @@ const BusCard = ({ bus, trip, onSelect }) => {
   } = bus
 
   const {
-    departureDateTime,
-    arrivalDateTime,
     baseFare,
-    availableSeats,
-    route
+    route,
+    segment
   } = trip
+
+  // Search results carry the segment (boarding to dropping stop) that matched the search
+  const departureDateTime = segment?.departureDateTime || trip.departureDateTime
+  const arrivalDateTime = segment?.arrivalDateTime || trip.arrivalDateTime
+  const availableSeats = segment?.availableSeats ?? trip.availableSeats
+  const isPartialRoute = segment && !segment.isFullRoute
   
-  const fare = baseFare
+  const fare = segment?.fare ?? baseFare
 
   const busTypeConfig = {
     sleeper: { label: 'Sleeper', color: 'bg-blue-100 text-blue-700' },
@@ -76,8 +81,15 @@ const BusCard = ({ bus, trip, onSelect }) => {
         {/* Route Information */}
         <div className="mb-3 pb-3 border-b border-gray-200">
           <h2 className="text-2xl font-bold text-gray-900">
-            {route?.sourceCity || 'N/A'} → {route?.destinationCity || 'N/A'}
+            {isPartialRoute
+              ? `${segment.boardingName} → ${segment.droppingName}`
+              : `${route?.sourceCity || 'N/A'} → ${route?.destinationCity || 'N/A'}`}
           </h2>
+          {isPartialRoute && (
+            <p className="text-sm text-gray-500">
+              On the {route?.sourceCity} → {route?.destinationCity} service
+            </p>
+          )}
         </div>
 
         {/* Header */}
@@ -170,4 +182,35 @@ const BusCard = ({ bus, trip, onSelect }) => {
   )
 }
 
+BusCard.propTypes = {
+  bus: PropTypes.shape({
+    busNumber: PropTypes.string,
+    seatType: PropTypes.string,
+    amenities: PropTypes.arrayOf(PropTypes.string),
+    operator: PropTypes.string,
+    totalSeats: PropTypes.number
+  }).isRequired,
+  trip: PropTypes.shape({
+    baseFare: PropTypes.number,
+    departureDateTime: PropTypes.string,
+    arrivalDateTime: PropTypes.string,
+    availableSeats: PropTypes.number,
+    route: PropTypes.shape({
+      sourceCity: PropTypes.string,
+      destinationCity: PropTypes.string
+    }),
+    // Present on search results: the boarding to dropping stop leg that matched
+    segment: PropTypes.shape({
+      boardingName: PropTypes.string,
+      droppingName: PropTypes.string,
+      departureDateTime: PropTypes.string,
+      arrivalDateTime: PropTypes.string,
+      availableSeats: PropTypes.number,
+      isFullRoute: PropTypes.bool,
+      fare: PropTypes.number
+    })
+  }).isRequired,
+  onSelect: PropTypes.func.isRequired
+}
+
 export default BusCard
\ No newline at end of file
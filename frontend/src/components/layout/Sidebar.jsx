@@ -7,10 +7,11 @@ import React from 'react'
 import { Link, useLocation } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { useAuth } from '../../hooks/useAuth'
+import { PERMISSIONS } from '../../auth/permissions'
 import logo from '../../assets/images/logo.jpg'
 
 const Sidebar = ({ isOpen = true, onClose }) => {
-  const { user, isAdmin } = useAuth()
+  const { user, isAdmin, isSuperAdmin, hasPermission } = useAuth()
   const location = useLocation()
   const isStaff = user?.role === 'staff'
 
@@ -21,15 +22,18 @@ const Sidebar = ({ isOpen = true, onClose }) => {
     { path: '/reviews', label: 'My Reviews', icon: '⭐' },
   ]
 
+  // Admin items are shown only when the admin holds the item's permission
   const adminMenuItems = [
     { path: '/admin/dashboard', label: 'Dashboard', icon: '📊' },
-    { path: '/admin/buses', label: 'Manage Buses', icon: '🚌' },
-    { path: '/admin/routes', label: 'Manage Routes', icon: '🗺️' },
-    { path: '/admin/trips', label: 'Manage Trips', icon: '🕒' },
-    { path: '/admin/bookings', label: 'Manage Bookings', icon: '📋' },
-    { path: '/admin/users', label: 'Manage Users', icon: '👥' },
-    { path: '/admin/analytics', label: 'Analytics', icon: '📈' },
-  ]
+    { path: '/admin/buses', label: 'Manage Buses', icon: '🚌', permission: PERMISSIONS.MANAGE_BUSES },
+    { path: '/admin/routes', label: 'Manage Routes', icon: '🗺️', permission: PERMISSIONS.MANAGE_TRIPS },
+    { path: '/admin/trips', label: 'Manage Trips', icon: '🕒', permission: PERMISSIONS.MANAGE_TRIPS },
+    { path: '/admin/roster', label: 'Duty Roster', icon: '🗓️' },
+    { path: '/admin/bookings', label: 'Manage Bookings', icon: '📋', permission: PERMISSIONS.HANDLE_REFUNDS },
+    { path: '/admin/users', label: 'Manage Users', icon: '👥', permission: PERMISSIONS.MANAGE_USERS },
+    { path: '/admin/analytics', label: 'Analytics', icon: '📈', permission: PERMISSIONS.VIEW_ANALYTICS },
+    { path: '/admin/admins', label: 'Admin Accounts', icon: '🛡️', superAdminOnly: true },
+  ].filter(item => (item.superAdminOnly ? isSuperAdmin : hasPermission(item.permission)))
 
   const staffMenuItems = [
     { path: '/staff/dashboard', label: 'Dashboard', icon: '📊' },
@@ -8,8 +8,9 @@ import Map, { Marker, Popup, Source, Layer } from 'react-map-gl'
 import maplibregl from 'maplibre-gl'
 import 'maplibre-gl/dist/maplibre-gl.css'
 import { motion } from 'framer-motion'
+import PropTypes from 'prop-types'
 
-const LiveBusMap = ({ tripId, busLocation, route }) => {
+const LiveBusMap = ({ tripId, busLocation, route, eta }) => {
   const [viewport, setViewport] = useState({
     latitude: busLocation?.latitude || 20.5937,
     longitude: busLocation?.longitude || 78.9629,
@@ -237,6 +238,14 @@ const LiveBusMap = ({ tripId, busLocation, route }) => {
                       <span className="text-gray-600">Last Updated:</span>
                       <span className="font-semibold">{formatLastUpdated(busLocation.lastUpdated)}</span>
                     </div>
+                    {eta?.stops?.[0] && (
+                      <div className="flex justify-between">
+                        <span className="text-gray-600">Next Stop:</span>
+                        <span className="font-semibold">
+                          {eta.stops[0].name} · {new Date(eta.stops[0].eta).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex justify-between text-xs text-gray-500 mt-2 pt-2 border-t">
                       <span>Lat: {busLocation.latitude.toFixed(4)}</span>
                       <span>Lng: {busLocation.longitude.toFixed(4)}</span>
@@ -283,4 +292,32 @@ const LiveBusMap = ({ tripId, busLocation, route }) => {
   )
 }
 
+const coordinatesShape = PropTypes.shape({
+  latitude: PropTypes.number,
+  longitude: PropTypes.number
+})
+
+LiveBusMap.propTypes = {
+  tripId: PropTypes.string,
+  busLocation: PropTypes.shape({
+    latitude: PropTypes.number,
+    longitude: PropTypes.number,
+    speed: PropTypes.number,
+    heading: PropTypes.number,
+    lastUpdated: PropTypes.oneOfType([PropTypes.string, PropTypes.instanceOf(Date)])
+  }),
+  route: PropTypes.shape({
+    sourceCity: PropTypes.string,
+    destinationCity: PropTypes.string,
+    sourceCoordinates: coordinatesShape,
+    destinationCoordinates: coordinatesShape
+  }),
+  eta: PropTypes.shape({
+    stops: PropTypes.arrayOf(PropTypes.shape({
+      name: PropTypes.string,
+      eta: PropTypes.string
+    }))
+  })
+}
+
 export default LiveBusMap
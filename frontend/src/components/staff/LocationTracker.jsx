@@ -3,18 +3,26 @@
  * Allows drivers/conductors to share their live location
  */
 
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback, useRef } from 'react'
 import { motion } from 'framer-motion'
-import { MapPin, Navigation, Clock, AlertCircle, CheckCircle, RefreshCw } from 'lucide-react'
+import { MapPin, Navigation, Clock, AlertCircle, CheckCircle, RefreshCw, CloudOff } from 'lucide-react'
 import staffService from '../../services/staffService'
+import { getQueuedFixes, enqueueFix, removeFixes } from '../../utils/locationQueue'
 import { toast } from 'react-hot-toast'
 
+// Fixes uploaded per batch request, and how often a waiting queue is retried
+const BATCH_SIZE = 100
+const RETRY_INTERVAL_MS = 30000
+
 const LocationTracker = ({ tripId, onLocationUpdate }) => {
   const [tracking, setTracking] = useState(false)
   const [currentLocation, setCurrentLocation] = useState(null)
   const [lastUpdate, setLastUpdate] = useState(null)
   const [error, setError] = useState(null)
   const [watchId, setWatchId] = useState(null)
+  const [queuedCount, setQueuedCount] = useState(() => (tripId ? getQueuedFixes(tripId).length : 0))
+  const [syncing, setSyncing] = useState(false)
+  const flushingRef = useRef(false)
 
   useEffect(() => {
     // Cleanup on unmount
@@ -25,6 +33,60 @@ const LocationTracker = ({ tripId, onLocationUpdate }) => {
     }
   }, [watchId])
 
+  // Upload fixes queued while offline, oldest first, in batches
+  const flushQueue = useCallback(async () => {
+    if (!tripId || flushingRef.current || !navigator.onLine) return
+
+    flushingRef.current = true
+    setSyncing(true)
+
+    try {
+      let batch = getQueuedFixes(tripId).slice(0, BATCH_SIZE)
+
+      while (batch.length > 0) {
+        try {
+          const response = await staffService.uploadLocationBatch(tripId, batch)
+          if (response?.success && response.data.currentLocationUpdated) {
+            setLastUpdate(new Date())
+          }
+        } catch (error) {
+          // Still offline or server unavailable - keep the fixes for the next attempt
+          if (!error.response || error.response.status >= 500) {
+            break
+          }
+          // The server rejected the batch outright; drop it so it cannot block the queue
+          toast.error(error.response.data?.message || 'Some saved locations were rejected by the server')
+        }
+
+        setQueuedCount(removeFixes(tripId, batch))
+        batch = getQueuedFixes(tripId).slice(0, BATCH_SIZE)
+      }
+    } finally {
+      flushingRef.current = false
+      setSyncing(false)
+    }
+  }, [tripId])
+
+  // Retry the queue when the connection returns, and periodically while fixes are waiting
+  useEffect(() => {
+    if (!tripId) return
+
+    setQueuedCount(getQueuedFixes(tripId).length)
+    flushQueue()
+
+    window.addEventListener('online', flushQueue)
+    const interval = setInterval(() => {
+      if (getQueuedFixes(tripId).length > 0) {
+        flushQueue()
+      }
+    }, RETRY_INTERVAL_MS)
+
+    return () => {
+      window.removeEventListener('online', flushQueue)
+      clearInterval(interval)
+    }
+  }, [tripId, flushQueue])
+
   const startTracking = () => {
     if (!tripId) {
       toast.error('No trip selected for location tracking')
@@ -98,6 +160,15 @@ const LocationTracker = ({ tripId, onLocationUpdate }) => {
       heading: position.coords.heading || 0,
       accuracy: position.coords.accuracy
     }
+    // Keep the time the fix was taken so queued fixes land in the right place on the trail
+    const fix = {
+      latitude: locationData.latitude,
+      longitude: locationData.longitude,
+      speed: locationData.speed,
+      heading: locationData.heading,
+      accuracy: locationData.accuracy,
+      recordedAt: new Date(position.timestamp || Date.now()).toISOString()
+    }
 
     setCurrentLocation({
       latitude: locationData.latitude,
@@ -107,6 +178,13 @@ const LocationTracker = ({ tripId, onLocationUpdate }) => {
       accuracy: locationData.accuracy
     })
 
+    // Queue behind fixes that are still waiting so the trail stays in order
+    if (!navigator.onLine || getQueuedFixes(tripId).length > 0) {
+      setQueuedCount(enqueueFix(tripId, fix))
+      flushQueue()
+      return
+    }
+
     // Send to backend
     try {
       const response = await staffService.updateLocation(locationData)
@@ -125,6 +203,11 @@ const LocationTracker = ({ tripId, onLocationUpdate }) => {
       }
     } catch (error) {
       console.error('Failed to update location:', error)
+      // No connection - keep the fix and upload it later
+      if (!error.response) {
+        setQueuedCount(enqueueFix(tripId, fix))
+        return
+      }
       // Don't show toast for every failed update to avoid spam
       setError('Failed to send location update')
     }
@@ -247,6 +330,23 @@ const LocationTracker = ({ tripId, onLocationUpdate }) => {
         )}
       </div>
 
+      {/* Offline Queue */}
+      {queuedCount > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 mb-4">
+          <div className="flex items-start">
+            <CloudOff className="w-5 h-5 text-amber-500 mr-2 flex-shrink-0 mt-0.5" />
+            <div>
+              <p className="text-sm font-semibold text-amber-800">
+                {queuedCount} location update{queuedCount !== 1 ? 's' : ''} waiting to upload
+              </p>
+              <p className="text-xs text-amber-700 mt-1">
+                {syncing ? 'Uploading...' : 'They will be sent automatically when the connection returns'}
+              </p>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Error Message */}
       {error && (
         <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-4">
@@ -298,6 +398,7 @@ const LocationTracker = ({ tripId, onLocationUpdate }) => {
             <ul className="list-disc list-inside space-y-1 text-blue-700">
               <li>Your location will be shared with passengers</li>
               <li>Updates automatically every few seconds</li>
+              <li>Updates are saved when offline and sent once you reconnect</li>
               <li>Ensure GPS/location services are enabled</li>
               <li>For best accuracy, stay outdoors when possible</li>
             </ul>
@@ -0,0 +1,234 @@
+/**
+ * "My schedule" card for the staff dashboard
+ * Shows the next 7 days of shifts, rostered trips and leave, and lets the staff
+ * member request or cancel leave.
+ */
+
+import React, { useState, useEffect } from 'react'
+import { motion } from 'framer-motion'
+import { toast } from 'react-hot-toast'
+import rosterService from '../../services/rosterService'
+import LoadingSpinner from '../common/LoadingSpinner'
+
+const LEAVE_TYPES = ['annual', 'sick', 'casual', 'unpaid', 'other']
+
+const EMPTY_LEAVE_FORM = { startDate: '', endDate: '', leaveType: 'annual', reason: '' }
+
+const LEAVE_STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-600'
+}
+
+const addDays = (date, days) => {
+  const result = new Date(date)
+  result.setDate(result.getDate() + days)
+  return result
+}
+
+const overlapsDay = (start, end, day) => new Date(start) < addDays(day, 1) && new Date(end) > day
+
+const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+const MySchedule = () => {
+  const [schedule, setSchedule] = useState(null)
+  const [leaves, setLeaves] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [showLeaveForm, setShowLeaveForm] = useState(false)
+  const [leaveForm, setLeaveForm] = useState(EMPTY_LEAVE_FORM)
+  const [submitting, setSubmitting] = useState(false)
+
+  const today = new Date()
+  today.setHours(0, 0, 0, 0)
+  const days = Array.from({ length: 7 }, (_, index) => addDays(today, index))
+
+  const fetchSchedule = async () => {
+    try {
+      setLoading(true)
+      const from = new Date()
+      from.setHours(0, 0, 0, 0)
+      const [scheduleRes, leavesRes] = await Promise.all([
+        rosterService.getMySchedule({ from: from.toISOString(), to: addDays(from, 7).toISOString() }),
+        rosterService.getMyLeaves()
+      ])
+      setSchedule(scheduleRes.data)
+      setLeaves(leavesRes.data?.leaves || [])
+    } catch (error) {
+      toast.error('Could not load your schedule')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchSchedule()
+  }, [])
+
+  const handleRequestLeave = async (e) => {
+    e.preventDefault()
+    try {
+      setSubmitting(true)
+      const response = await rosterService.requestLeave(leaveForm)
+      toast.success(response.message || 'Leave requested')
+      setLeaveForm(EMPTY_LEAVE_FORM)
+      setShowLeaveForm(false)
+      fetchSchedule()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to request leave')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleCancelLeave = async (leaveId) => {
+    try {
+      await rosterService.cancelLeave(leaveId)
+      toast.success('Leave request cancelled')
+      fetchSchedule()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to cancel leave')
+    }
+  }
+
+  const upcomingLeaves = leaves.filter(leave => new Date(leave.endDate) > new Date() && leave.status !== 'cancelled')
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.3 }}
+      className="mt-8 bg-white rounded-xl shadow-lg p-6"
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">My Schedule</h3>
+          <p className="text-sm text-gray-600">
+            Shifts, trips and leave for the next 7 days
+            {schedule?.template && <span className="capitalize"> · {schedule.template.dutyRole}</span>}
+          </p>
+        </div>
+        <button
+          onClick={() => setShowLeaveForm(!showLeaveForm)}
+          className="bg-accent text-gray-900 px-4 py-2 rounded-lg font-semibold hover:bg-accent-dark transition-colors"
+        >
+          {showLeaveForm ? 'Close' : 'Request Leave'}
+        </button>
+      </div>
+
+      {showLeaveForm && (
+        <form onSubmit={handleRequestLeave} className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-6 p-4 bg-gray-50 rounded-lg">
+          <input
+            type="date"
+            required
+            value={leaveForm.startDate}
+            onChange={(e) => setLeaveForm({ ...leaveForm, startDate: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+            aria-label="First day of leave"
+          />
+          <input
+            type="date"
+            required
+            min={leaveForm.startDate}
+            value={leaveForm.endDate}
+            onChange={(e) => setLeaveForm({ ...leaveForm, endDate: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+            aria-label="Last day of leave"
+          />
+          <select
+            value={leaveForm.leaveType}
+            onChange={(e) => setLeaveForm({ ...leaveForm, leaveType: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg capitalize"
+          >
+            {LEAVE_TYPES.map(type => (
+              <option key={type} value={type}>{type}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Reason (optional)"
+            value={leaveForm.reason}
+            onChange={(e) => setLeaveForm({ ...leaveForm, reason: e.target.value })}
+            className="px-3 py-2 border border-gray-300 rounded-lg"
+          />
+          <button
+            type="submit"
+            disabled={submitting}
+            className="bg-black40 text-white px-4 py-2 rounded-lg font-semibold hover:bg-black40/90 disabled:opacity-50"
+          >
+            {submitting ? 'Sending...' : 'Submit'}
+          </button>
+        </form>
+      )}
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <LoadingSpinner size="md" variant="primary" />
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-7 gap-3">
+          {days.map(day => {
+            const shifts = (schedule?.shifts || []).filter(shift => overlapsDay(shift.start, shift.end, day))
+            const trips = (schedule?.trips || []).filter(trip => overlapsDay(trip.departureDateTime, trip.arrivalDateTime, day))
+            const onLeave = (schedule?.leaves || []).find(leave => overlapsDay(leave.startDate, leave.endDate, day))
+
+            return (
+              <div key={day.toISOString()} className="border border-gray-200 rounded-lg p-3 text-xs space-y-1">
+                <p className="font-semibold text-gray-900 text-sm">
+                  {day.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' })}
+                </p>
+                {onLeave && (
+                  <div className={`rounded px-2 py-1 font-semibold ${onLeave.status === 'approved' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}>
+                    {onLeave.status === 'approved' ? 'On leave' : 'Leave requested'}
+                  </div>
+                )}
+                {shifts.map(shift => (
+                  <div key={shift.start} className="rounded px-2 py-1 bg-gray-100 text-gray-700">
+                    Shift {formatTime(shift.start)}–{formatTime(shift.end)}
+                  </div>
+                ))}
+                {trips.map(trip => (
+                  <div key={trip._id} className="rounded px-2 py-1 bg-accent/20 text-gray-900">
+                    {trip.route?.sourceCity} → {trip.route?.destinationCity}
+                    <div className="text-gray-600">{formatTime(trip.departureDateTime)} · {trip.bus?.busNumber}</div>
+                  </div>
+                ))}
+                {!onLeave && shifts.length === 0 && trips.length === 0 && (
+                  <p className="text-gray-400">Off</p>
+                )}
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {upcomingLeaves.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-sm font-semibold text-gray-900 mb-2">My Leave Requests</h4>
+          <div className="space-y-2">
+            {upcomingLeaves.map(leave => (
+              <div key={leave._id} className="flex flex-wrap items-center justify-between gap-2 text-sm border border-gray-200 rounded-lg px-3 py-2">
+                <span>
+                  <span className="capitalize">{leave.leaveType}</span> · {new Date(leave.startDate).toLocaleDateString()} – {new Date(new Date(leave.endDate) - 1).toLocaleDateString()}
+                  {leave.reviewNote && <span className="text-gray-500"> · {leave.reviewNote}</span>}
+                </span>
+                <span className="flex items-center gap-3">
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-semibold capitalize ${LEAVE_STATUS_COLORS[leave.status]}`}>
+                    {leave.status}
+                  </span>
+                  {['pending', 'approved'].includes(leave.status) && new Date(leave.startDate) > new Date() && (
+                    <button onClick={() => handleCancelLeave(leave._id)} className="text-red-600 hover:text-red-800 text-xs">
+                      Cancel
+                    </button>
+                  )}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </motion.div>
+  )
+}
+
+export default MySchedule
@@ -0,0 +1,99 @@
+/**
+ * Camera QR scanner for boarding passes
+ * Uses the browser's BarcodeDetector; where that is missing the conductor can still
+ * use a handheld scanner or type the code on the passengers page.
+ */
+
+import React, { useEffect, useRef, useState } from 'react'
+import PropTypes from 'prop-types'
+
+// Same code again within this window is ignored (the pass is usually still in view)
+const REPEAT_SCAN_MS = 3000
+const DETECT_INTERVAL_MS = 400
+
+const TicketScanner = ({ onScan, onClose }) => {
+  const videoRef = useRef(null)
+  const lastScanRef = useRef({ code: null, at: 0 })
+  // Latest handler, so a re-render of the page does not restart the camera
+  const onScanRef = useRef(onScan)
+  const [error, setError] = useState(null)
+
+  onScanRef.current = onScan
+
+  useEffect(() => {
+    if (!('BarcodeDetector' in window) || !navigator.mediaDevices) {
+      setError('Camera scanning is not supported in this browser. Use a handheld scanner or type the ticket code.')
+      return undefined
+    }
+
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] })
+    let stream = null
+    let timer = null
+    let closed = false
+
+    const detect = async () => {
+      const video = videoRef.current
+      if (video && video.readyState >= 2) {
+        try {
+          const [barcode] = await detector.detect(video)
+          const now = Date.now()
+          const last = lastScanRef.current
+
+          if (barcode && (barcode.rawValue !== last.code || now - last.at > REPEAT_SCAN_MS)) {
+            lastScanRef.current = { code: barcode.rawValue, at: now }
+            onScanRef.current(barcode.rawValue)
+          }
+        } catch {
+          // A frame that fails to decode is skipped; the next tick tries again
+        }
+      }
+      if (!closed) {
+        timer = setTimeout(detect, DETECT_INTERVAL_MS)
+      }
+    }
+
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } })
+      .then((mediaStream) => {
+        stream = mediaStream
+        if (closed) {
+          mediaStream.getTracks().forEach(track => track.stop())
+          return
+        }
+        videoRef.current.srcObject = mediaStream
+        videoRef.current.play()
+        detect()
+      })
+      .catch(() => {
+        setError('Could not open the camera. Check the camera permission for this site.')
+      })
+
+    return () => {
+      closed = true
+      clearTimeout(timer)
+      stream?.getTracks().forEach(track => track.stop())
+    }
+  }, [])
+
+  return (
+    <div className="bg-white rounded-xl shadow p-4 mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold text-gray-900">Scan Boarding Pass</h3>
+        <button onClick={onClose} className="text-sm text-gray-600 hover:text-gray-900">
+          Close camera
+        </button>
+      </div>
+      {error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : (
+        <video ref={videoRef} muted playsInline className="w-full max-h-80 rounded-lg bg-black object-cover" />
+      )}
+    </div>
+  )
+}
+
+TicketScanner.propTypes = {
+  onScan: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+}
+
+export default TicketScanner
@@ -2,6 +2,7 @@
 import React, { createContext, useState, useContext, useEffect } from 'react'
 import { authService } from '../services/authService'
 import { createAuthChannel } from '../auth/authChannel'
+import { saveTokens, clearAuthStorage } from '../auth/tokenStorage'
 
 const AuthContext = createContext()
 
@@ -43,21 +44,20 @@ export const AuthProvider = ({ children }) => {
   }
 
   // 🔐 SECURE TOKEN HANDLING - Save token based on role to sessionStorage (tab-scoped)
-  const saveTokenByRole = (role, token, userData) => {
-    // Save role-specific token WITHOUT clearing others (allow concurrent sessions per tab)
+  const saveTokenByRole = (role, token, userData, refreshToken) => {
+    // Save role-specific tokens WITHOUT clearing others (allow concurrent sessions per tab)
+    saveTokens(role, token, refreshToken)
+
     switch (role) {
       case 'admin':
-        sessionStorage.setItem('adminToken', token)
         sessionStorage.setItem('adminUser', JSON.stringify(userData))
         break
       case 'staff':
-        sessionStorage.setItem('staffToken', token)
         sessionStorage.setItem('staffUser', JSON.stringify(userData))
         break
       case 'customer':
       case 'user':
       default:
-        sessionStorage.setItem('userToken', token)
         sessionStorage.setItem('customerUser', JSON.stringify(userData))
         break
     }
@@ -80,7 +80,7 @@ export const AuthProvider = ({ children }) => {
           setUser(parsedUser)
         } catch (error) {
           console.error('Token validation failed:', error)
-          logout()
+          clearAuthStorage()
         }
       }
       setLoading(false)
@@ -89,19 +89,32 @@ export const AuthProvider = ({ children }) => {
     initializeAuth()
   }, [])
 
+  // 🔐 ADMIN PERMISSIONS - Refresh from the server, they can change while signed in
+  useEffect(() => {
+    if (user?.role !== 'admin') return
+
+    authService.getAdminProfile()
+      .then((response) => {
+        const { _id, ...admin } = response.data?.admin || {}
+        if (!_id) return
+
+        const adminData = { id: _id, ...admin }
+        setUser(adminData)
+        sessionStorage.setItem('adminUser', JSON.stringify(adminData))
+        if (sessionStorage.getItem('activeRole') === 'admin') {
+          sessionStorage.setItem('user', JSON.stringify(adminData))
+        }
+      })
+      // Keep the permissions from sign-in until the next successful refresh
+      .catch(() => {})
+  }, [user?.role])
+
   // 🔐 CROSS-TAB LOGOUT - Listen for logout events from other tabs
   useEffect(() => {
     const unsubscribe = authChannel.subscribe((message) => {
       if (message?.type === 'logout') {
         // Clear session storage
-        sessionStorage.removeItem('adminToken')
-        sessionStorage.removeItem('staffToken')
-        sessionStorage.removeItem('userToken')
-        sessionStorage.removeItem('user')
-        sessionStorage.removeItem('activeRole')
-        sessionStorage.removeItem('adminUser')
-        sessionStorage.removeItem('staffUser')
-        sessionStorage.removeItem('customerUser')
+        clearAuthStorage()
         // Update state
         setUser(null)
         setToken(null)
@@ -116,7 +129,7 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await authService.login(email, password)
       // apiClient interceptor returns response.data, so response = { success, data: { user, token }, message }
-      const { user: userData, token: authToken } = response.data
+      const { user: userData, token: authToken, refreshToken } = response.data
 
       if (!userData || !authToken) {
         throw new Error('Invalid response structure')
@@ -128,7 +141,7 @@ export const AuthProvider = ({ children }) => {
       setToken(authToken)
       
       // Save with role-specific key
-      saveTokenByRole(userRole, authToken, userData)
+      saveTokenByRole(userRole, authToken, userData, refreshToken)
 
       return { success: true, data: { user: userData, token: authToken } }
     } catch (error) {
@@ -160,7 +173,7 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await authService.adminLogin(email, password)
       // apiClient interceptor returns response.data, so response = { success, data: { admin, token }, message }
-      const { admin: adminData, token: authToken } = response.data
+      const { admin: adminData, token: authToken, refreshToken } = response.data
 
       if (!adminData || !authToken) {
         console.error('Invalid admin response structure:', response)
@@ -171,7 +184,7 @@ export const AuthProvider = ({ children }) => {
       setToken(authToken)
       
       // Save with admin-specific key
-      saveTokenByRole('admin', authToken, adminData)
+      saveTokenByRole('admin', authToken, adminData, refreshToken)
 
       return { success: true, data: { admin: adminData, token: authToken } }
     } catch (error) {
@@ -203,7 +216,7 @@ export const AuthProvider = ({ children }) => {
     try {
       const response = await authService.staffLogin(email, password)
       
-      const { staff: staffData, token: authToken } = response.data
+      const { staff: staffData, token: authToken, refreshToken } = response.data
 
       if (!staffData || !authToken) {
         throw new Error('Invalid response structure')
@@ -213,7 +226,7 @@ export const AuthProvider = ({ children }) => {
       setToken(authToken)
       
       // Save with staff-specific key
-      saveTokenByRole('staff', authToken, staffData)
+      saveTokenByRole('staff', authToken, staffData, refreshToken)
 
       return { success: true, data: { staff: staffData, token: authToken } }
     } catch (error) {
@@ -266,27 +279,40 @@ export const AuthProvider = ({ children }) => {
     }
   }
 
+  // Clear this tab's session locally and in every other tab
+  const endLocalSession = () => {
+    // 🔐 CROSS-TAB LOGOUT - Broadcast logout to all tabs
+    authChannel.post({ type: 'logout' })
+    
+    // Clear local state and storage - remove ALL role tokens from sessionStorage
+    setUser(null)
+    setToken(null)
+    clearAuthStorage()
+  }
+
   const logout = async () => {
     try {
-      // Call logout endpoint to invalidate token on server (if needed)
+      // End the session on the server so its tokens stop working at once
       await authService.logout()
     } catch (error) {
       console.error('Logout error:', error)
     } finally {
-      // 🔐 CROSS-TAB LOGOUT - Broadcast logout to all tabs
-      authChannel.post({ type: 'logout' })
-      
-      // Clear local state and storage - remove ALL role tokens from sessionStorage
-      setUser(null)
-      setToken(null)
-      sessionStorage.removeItem('adminToken')
-      sessionStorage.removeItem('staffToken')
-      sessionStorage.removeItem('userToken')
-      sessionStorage.removeItem('user')
-      sessionStorage.removeItem('activeRole')
-      sessionStorage.removeItem('adminUser')
-      sessionStorage.removeItem('staffUser')
-      sessionStorage.removeItem('customerUser')
+      endLocalSession()
+    }
+  }
+
+  // Sign out every device of this account, this one included
+  const logoutAllDevices = async () => {
+    try {
+      await authService.logoutAll()
+      return { success: true }
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Failed to log out other devices'
+      }
+    } finally {
+      endLocalSession()
     }
   }
 
@@ -317,6 +343,7 @@ export const AuthProvider = ({ children }) => {
     staffLogin,
     register,
     logout,
+    logoutAllDevices,
     updateProfile,
     isAuthenticated: !!token && !!user,
     isAdmin: user?.role === 'admin',
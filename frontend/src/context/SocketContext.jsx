@@ -6,6 +6,8 @@
 import React, { createContext, useContext, useEffect, useState, useRef } from 'react';
 import { io } from 'socket.io-client';
 import { useAuth } from './AuthContext';
+import { refreshActiveSession } from '../services/apiClient';
+import { getAccessToken } from '../auth/tokenStorage';
 
 const SocketContext = createContext();
 
@@ -25,6 +27,7 @@ export const SocketProvider = ({ children }) => {
   const connectionAttempts = useRef(0);
   const isInitializing = useRef(false);
   const initTimeoutRef = useRef(null);
+  const hasRefreshed = useRef(false);
 
   useEffect(() => {
     // Clear any pending initialization timeout
@@ -56,9 +59,8 @@ export const SocketProvider = ({ children }) => {
 
         // Initialize socket connection with improved config
         const newSocket = io(socketUrl, {
-          auth: {
-            token: token
-          },
+          // Read the token on every (re)connect so a refreshed token is picked up
+          auth: (cb) => cb({ token: getAccessToken(sessionStorage.getItem('activeRole')) || token }),
           transports: ['polling', 'websocket'], // Try polling first, then upgrade to websocket
           upgrade: true,
           reconnection: true,
@@ -75,6 +77,7 @@ export const SocketProvider = ({ children }) => {
           setIsConnected(true);
           setConnectionError(null);
           connectionAttempts.current = 0;
+          hasRefreshed.current = false;
           if (import.meta.env.DEV) {
             console.log('✅ Socket.IO connected successfully');
           }
@@ -89,6 +92,23 @@ export const SocketProvider = ({ children }) => {
 
         newSocket.on('connect_error', (error) => {
           setIsConnected(false);
+
+          // The access token expired - refresh it once and reconnect
+          if (error.message === 'unauthorized' && error.data?.expired && !hasRefreshed.current) {
+            hasRefreshed.current = true;
+            refreshActiveSession()
+              .then(() => newSocket.connect())
+              .catch(() => setConnectionError('Real-time updates need you to sign in again'));
+            return;
+          }
+
+          // The server rejected the token - retrying with the same one cannot succeed
+          if (error.message === 'unauthorized') {
+            setConnectionError(error.data?.message || 'Real-time updates need you to sign in again');
+            newSocket.disconnect();
+            return;
+          }
+
           connectionAttempts.current++;
           
           // Only show error after multiple failed attempts
@@ -4,6 +4,7 @@
  */
 
 import { useAuth as useAuthContext } from '../context/AuthContext'
+import { userHasPermission } from '../auth/permissions'
 
 export const useAuth = () => {
   const auth = useAuthContext()
@@ -22,10 +23,17 @@ export const useAuth = () => {
     return hasRole(requiredRole)
   }
 
+  // Admin permission check (super-admins hold every permission)
+  const hasPermission = (permission) => {
+    return userHasPermission(auth.user, permission)
+  }
+
   return {
     ...auth,
     hasRole,
     hasAnyRole,
     canAccess,
+    hasPermission,
+    isSuperAdmin: auth.user?.role === 'admin' && !!auth.user?.isSuperAdmin,
   }
 }
\ No newline at end of file
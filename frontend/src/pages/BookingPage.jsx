@@ -2,7 +2,7 @@
  * Booking page for selecting seats and completing bus bookings
  */
 
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useMemo, useRef } from 'react'
 import { useLocation, useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
 import { useAuth } from '../hooks/useAuth'
@@ -16,14 +16,15 @@ import ConfirmDialog from '../components/common/ConfirmDialog'
 import PaymentMethodSelector from '../components/wallet/PaymentMethodSelector'
 import bookingService from '../services/bookingService'
 import tripService from '../services/tripService'
+import paymentService from '../services/paymentService'
 import { toast } from 'react-hot-toast'
 import logo from '../assets/images/logo.jpg'
 
 const BookingPage = () => {
   const location = useLocation()
   const navigate = useNavigate()
-  const { isAuthenticated } = useAuth()
-  const { socket, lockSeats, releaseSeats, useSeatUpdate } = useSocket()
+  const { isAuthenticated, user } = useAuth()
+  const { useSeatUpdate } = useSocket()
   const { walletBalance, addWalletBalance } = useUser()
 
   const [currentStep, setCurrentStep] = useState(1) // 1: Seat Selection, 2: Passenger Details, 3: Payment
@@ -38,6 +39,7 @@ const BookingPage = () => {
   const [trip, setTrip] = useState(null)
   const [bus, setBus] = useState(null)
   const [fetchingData, setFetchingData] = useState(true)
+  const holdRef = useRef(null) // Active server-side seat hold { tripId }
 
   // Fetch trip and bus data from API or location state
   useEffect(() => {
@@ -86,9 +88,93 @@ const BookingPage = () => {
     fetchTripData()
   }, [location.state, location.search, navigate])
 
-  // Get booked and locked seats from trip data
-  const bookedSeats = trip?.bookedSeats?.map(seat => seat.seatNumber) || []
-  const lockedSeats = [] // This would come from socket/real-time data
+  // Boarding and dropping points come from the trip's route stops
+  const stopTimes = trip?.stopTimes || []
+  const [boardingStopId, setBoardingStopId] = useState('')
+  const [droppingStopId, setDroppingStopId] = useState('')
+  const boardingIndex = stopTimes.findIndex(stop => stop.stopId === boardingStopId)
+  const droppingIndex = stopTimes.findIndex(stop => stop.stopId === droppingStopId)
+  const segmentStops = useMemo(
+    () => (boardingStopId && droppingStopId ? { boardingStopId, droppingStopId } : {}),
+    [boardingStopId, droppingStopId]
+  )
+
+  // A seat is booked for this passenger only if someone holds it on a leg they travel
+  // (entries without stop indexes cover the whole trip)
+  const bookedSeats = [...new Set((trip?.bookedSeats || [])
+    .filter(seat => boardingIndex === -1 || droppingIndex === -1 ||
+      ((seat.fromStopIndex ?? 0) < droppingIndex && boardingIndex < (seat.toStopIndex ?? Infinity)))
+    .map(seat => seat.seatNumber))]
+
+  const boardingOptions = stopTimes
+    .map((stop, index) => ({ ...stop, index }))
+    .filter(stop => stop.isBoarding && stop.index < stopTimes.length - 1)
+  const droppingOptions = stopTimes
+    .map((stop, index) => ({ ...stop, index }))
+    .filter(stop => stop.isDropping && stop.index > boardingIndex)
+
+  // Default to the searched segment, else the first boarding stop and the last dropping stop
+  useEffect(() => {
+    if (!trip?.stopTimes?.length) return
+    setBoardingStopId(trip.segment?.boardingStopId || trip.stopTimes.find(stop => stop.isBoarding)?.stopId || '')
+    setDroppingStopId(trip.segment?.droppingStopId || [...trip.stopTimes].reverse().find(stop => stop.isDropping)?.stopId || '')
+  }, [trip])
+
+  // Seat availability depends on the segment, so changing it clears the seat selection
+  const handleBoardingChange = (stopId) => {
+    setBoardingStopId(stopId)
+    const newIndex = stopTimes.findIndex(stop => stop.stopId === stopId)
+    if (droppingIndex <= newIndex) {
+      setDroppingStopId(stopTimes.slice(newIndex + 1).find(stop => stop.isDropping)?.stopId || '')
+    }
+    handleSeatSelect([])
+  }
+
+  const handleDroppingChange = (stopId) => {
+    setDroppingStopId(stopId)
+    handleSeatSelect([])
+  }
+
+  const formatStopTime = (stop) => new Date(stop.scheduledTime).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })
+  const [lockedSeats, setLockedSeats] = useState([]) // Seats held by other users
+
+  // Fetch seats other users are holding at checkout
+  useEffect(() => {
+    if (!trip || currentStep !== 1) return
+
+    tripService.getHeldSeats(trip._id || trip.id, segmentStops)
+      .then(response => setLockedSeats(response?.data?.seatNumbers || []))
+      .catch(() => setLockedSeats([]))
+  }, [trip, currentStep, segmentStops])
+
+  // Server fare quote for the selected seats (same numbers the booking will be charged)
+  const [quote, setQuote] = useState(null)
+
+  useEffect(() => {
+    if (!trip || selectedSeats.length === 0) {
+      setQuote(null)
+      return
+    }
+
+    let cancelled = false
+    bookingService.getFareQuote({ tripId: trip._id || trip.id, seats: selectedSeats, ...segmentStops })
+      .then(response => {
+        if (!cancelled) setQuote(response?.data?.quote || null)
+      })
+      .catch(() => {
+        if (!cancelled) setQuote(null)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [trip, selectedSeats, segmentStops])
+
+  // Amount payable - falls back to a local estimate until the quote arrives
+  const getPayableAmount = () => {
+    if (quote) return quote.totalAmount
+    return Math.round(selectedSeats.length * (trip.currentFare || trip.baseFare || trip.fare || 0) * 1.18 + 30)
+  }
 
   useEffect(() => {
     if (!isAuthenticated) {
@@ -102,23 +188,38 @@ const BookingPage = () => {
     // Handle real-time seat updates - refresh available seats
   })
 
+  // Release any server-side seat hold when leaving the page without booking
   useEffect(() => {
-    // Only lock seats if trip data is loaded
-    if (!trip) return
+    return () => {
+      if (holdRef.current) {
+        tripService.releaseSeatHold(holdRef.current.tripId).catch(() => {})
+        holdRef.current = null
+      }
+    }
+  }, [])
 
-    // Lock seats when selected
+  // Hold the selected seats on the server before collecting passenger details
+  const handleContinueToPassengers = async () => {
     const tripId = trip._id || trip.id
-    if (selectedSeats.length > 0 && socket) {
-      lockSeats(tripId, selectedSeats)
+    if (stopTimes.length > 0 && (!boardingStopId || !droppingStopId)) {
+      toast.error('Please select your boarding and dropping points')
+      return
     }
-
-    // Cleanup: Release seats when component unmounts or seats change
-    return () => {
-      if (selectedSeats.length > 0 && socket) {
-        releaseSeats(tripId, selectedSeats)
+    setLoading(true)
+    try {
+      if (holdRef.current) {
+        await tripService.releaseSeatHold(tripId)
       }
+      await tripService.holdSeats(tripId, selectedSeats, segmentStops)
+      holdRef.current = { tripId }
+      setCurrentStep(2)
+    } catch (error) {
+      holdRef.current = null
+      toast.error(error.response?.data?.message || 'Selected seats are no longer available')
+    } finally {
+      setLoading(false)
     }
-  }, [selectedSeats, trip, socket, lockSeats, releaseSeats])
+  }
 
   const handleSeatSelect = (seats) => {
     setSelectedSeats(seats)
@@ -177,12 +278,34 @@ const BookingPage = () => {
         tripId: trip._id || trip.id,
         seats: selectedSeats,
         passengerInfo: formattedPassengerInfo,
-        paymentMethod: selectedPaymentMethod
+        paymentMethod: selectedPaymentMethod,
+        ...(boardingStopId && { boardingStopId }),
+        ...(droppingStopId && { droppingStopId }),
+        // The server refuses the booking if the price moved since this quote
+        ...(quote && { quotedBaseAmount: quote.baseAmount })
       }
 
+      // Make sure the seat hold has not lapsed while filling in details
+      await tripService.extendSeatHold(bookingData.tripId)
+
       const response = await bookingService.createBooking(bookingData)
       
       if (response.success) {
+        // Holds are consumed by the booking
+        holdRef.current = null
+
+        // Card/UPI/netbanking bookings stay pending until the gateway confirms payment
+        const booking = response.data.booking
+        if (selectedPaymentMethod !== 'wallet') {
+          const paid = await paymentService.payForBooking(booking._id, {
+            name: user?.name,
+            email: user?.email,
+            contact: user?.phone
+          })
+          booking.bookingStatus = paid.status
+          booking.paymentStatus = paid.paymentStatus
+        }
+
         toast.success('Booking confirmed successfully! ✅', {
           duration: 3000
         })
@@ -202,6 +325,12 @@ const BookingPage = () => {
         throw new Error(response.message || 'Booking failed')
       }
     } catch (error) {
+      // Fare moved since the quote - show the new price so the user can confirm again
+      const newQuote = error.response?.data?.data?.quote
+      if (newQuote) {
+        setQuote(newQuote)
+      }
+
       // Show specific error message from backend
       const errorMessage = error.response?.data?.message || 
                           error.response?.data?.error || 
@@ -310,6 +439,44 @@ const BookingPage = () => {
                 initial={{ opacity: 0, y: 20 }}
                 animate={{ opacity: 1, y: 0 }}
               >
+                {stopTimes.length > 0 && (
+                  <div className="bg-white rounded-xl shadow-lg p-6 mb-6 grid grid-cols-1 md:grid-cols-2 gap-4">
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Boarding Point
+                      </label>
+                      <select
+                        value={boardingStopId}
+                        onChange={(e) => handleBoardingChange(e.target.value)}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
+                      >
+                        {boardingOptions.map(stop => (
+                          <option key={stop.stopId} value={stop.stopId}>
+                            {stop.name} - {formatStopTime(stop)}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Dropping Point
+                      </label>
+                      <select
+                        value={droppingStopId}
+                        onChange={(e) => handleDroppingChange(e.target.value)}
+                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
+                      >
+                        {droppingOptions.map(stop => (
+                          <option key={stop.stopId} value={stop.stopId}>
+                            {stop.name} - {formatStopTime(stop)}
+                          </option>
+                        ))}
+                      </select>
+                    </div>
+                  </div>
+                )}
+
                 <SeatLayout
                   busLayout={bus.seatLayout}
                   seatType={bus.seatType}
@@ -324,7 +491,8 @@ const BookingPage = () => {
                 {selectedSeats.length > 0 && (
                   <div className="mt-6 text-center">
                     <button
-                      onClick={() => setCurrentStep(2)}
+                      onClick={handleContinueToPassengers}
+                      disabled={loading}
                       className="bg-gradient-to-r from-blue-500 to-blue-600 text-white px-8 py-3 rounded-lg shadow-lg hover:shadow-xl hover:from-blue-600 hover:to-blue-700 hover:scale-105 transition-all duration-300 font-semibold"
                     >
                       Continue to Passenger Details ({selectedSeats.length} seats selected)
@@ -431,6 +599,12 @@ const BookingPage = () => {
                     <p><strong>Status:</strong> <span className="text-blue-600 font-semibold">Pending Confirmation</span></p>
                     <p><strong>Seats:</strong> {selectedSeats.join(', ')}</p>
                     <p><strong>Passengers:</strong> {passengerDetails.length}</p>
+                    {boardingIndex !== -1 && (
+                      <p><strong>Boarding:</strong> {stopTimes[boardingIndex].name} ({formatStopTime(stopTimes[boardingIndex])})</p>
+                    )}
+                    {droppingStopId && (
+                      <p><strong>Dropping:</strong> {stopTimes.find(stop => stop.stopId === droppingStopId)?.name}</p>
+                    )}
                   </div>
                 </div>
                 
@@ -443,7 +617,7 @@ const BookingPage = () => {
                         <p className="text-3xl font-bold">₹{walletBalance || 0}</p>
                       </div>
                       <div>
-                        {(walletBalance || 0) < (selectedSeats.length * (trip.currentFare || trip.baseFare || trip.fare || 0) * 1.18 + 30) && (
+                        {(walletBalance || 0) < getPayableAmount() && (
                           <button
                             onClick={() => setShowAddMoneyDialog(true)}
                             className="bg-white text-blue-600 px-4 py-2 rounded-lg shadow-lg hover:shadow-xl hover:bg-blue-50 hover:scale-105 transition-all duration-300 font-semibold text-sm"
@@ -453,10 +627,10 @@ const BookingPage = () => {
                         )}
                       </div>
                     </div>
-                    {(walletBalance || 0) < (selectedSeats.length * (trip.currentFare || trip.baseFare || trip.fare || 0) * 1.18 + 30) && (
+                    {(walletBalance || 0) < getPayableAmount() && (
                       <div className="mt-3 bg-red-50 border border-red-300 rounded-lg p-3">
                         <p className="text-sm text-red-700">
-                          <strong>Warning:</strong> Insufficient balance! You need ₹{Math.ceil((selectedSeats.length * (trip.currentFare || trip.baseFare || trip.fare || 0) * 1.18 + 30) - (walletBalance || 0))} more to complete this booking.
+                          <strong>Warning:</strong> Insufficient balance! You need ₹{Math.ceil(getPayableAmount() - (walletBalance || 0))} more to complete this booking.
                         </p>
                       </div>
                     )}
@@ -524,7 +698,7 @@ const BookingPage = () => {
                     </button>
                     <button
                       onClick={() => setShowConfirmDialog(true)}
-                      disabled={loading || (selectedPaymentMethod === 'wallet' && (walletBalance || 0) < (selectedSeats.length * (trip.currentFare || trip.baseFare || trip.fare || 0) * 1.18 + 30))}
+                      disabled={loading || (selectedPaymentMethod === 'wallet' && (walletBalance || 0) < getPayableAmount())}
                       className="bg-gradient-to-r from-blue-500 to-blue-600 text-white px-6 py-3 rounded-lg shadow-lg hover:shadow-xl hover:from-blue-600 hover:to-blue-700 hover:scale-105 transition-all duration-300 font-semibold disabled:opacity-50 disabled:cursor-not-allowed flex items-center gap-2"
                     >
                       {loading && <LoadingSpinner size="sm" variant="primary" />}
@@ -543,6 +717,7 @@ const BookingPage = () => {
               bus={bus}
               selectedSeats={selectedSeats}
               passengerDetails={passengerDetails}
+              quote={quote}
               onEditSeats={() => setCurrentStep(1)}
               onEditPassengers={() => setCurrentStep(2)}
             />
@@ -554,7 +729,7 @@ const BookingPage = () => {
       <ConfirmDialog
         isOpen={showConfirmDialog}
         title="Confirm Booking"
-        message={`Are you sure you want to book ${selectedSeats.length} seat(s) for ₹${selectedSeats.length * (trip.currentFare || trip.baseFare || trip.fare || 0)}?`}
+        message={`Are you sure you want to book ${selectedSeats.length} seat(s) for ₹${getPayableAmount()}?`}
         confirmText={loading ? "Processing..." : "Confirm Booking"}
         cancelText="Cancel"
         onConfirm={handleConfirmBooking}
@@ -577,7 +752,7 @@ const BookingPage = () => {
                 
                 <div className="mb-4">
                   <p className="text-sm text-gray-600 mb-3">
-                    Required: ₹{Math.ceil((selectedSeats.length * (trip.currentFare || trip.baseFare || trip.fare || 0) * 1.18 + 30) - (walletBalance || 0))}
+                    Required: ₹{Math.ceil(getPayableAmount() - (walletBalance || 0))}
                   </p>
                   
                   {/* Quick Amount Buttons */}
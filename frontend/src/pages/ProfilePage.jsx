@@ -12,9 +12,19 @@ import LoadingSpinner from '../components/common/LoadingSpinner'
 
 const ProfilePage = () => {
   const navigate = useNavigate()
-  const { user } = useAuth()
+  const { user, logoutAllDevices } = useAuth()
   const { profile, walletBalance, loading } = useUser()
 
+  // Sign out every device (this one included) - e.g. after losing a phone
+  const handleLogoutAllDevices = async () => {
+    if (!window.confirm('Log out from all devices? You will need to sign in again everywhere.')) {
+      return
+    }
+
+    await logoutAllDevices()
+    navigate('/login')
+  }
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -131,6 +141,12 @@ const ProfilePage = () => {
                 >
                   📧 Send New Trip
                 </button>
+                <button 
+                  onClick={handleLogoutAllDevices}
+                  className="w-full text-left p-3 bg-red-50 text-red-700 rounded-lg hover:bg-red-100 transition-colors font-medium"
+                >
+                  🔒 Log Out All Devices
+                </button>
               </div>
             </motion.div>
           </div>
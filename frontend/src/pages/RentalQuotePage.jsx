@@ -0,0 +1,314 @@
+/**
+ * Public page for a bus rental quote
+ * Reached from the link emailed with each quote (/rental-quote/:token); the customer
+ * can accept, decline or send a counter-offer.
+ */
+
+import React, { useEffect, useState } from 'react'
+import { useParams, useNavigate } from 'react-router-dom'
+import LoadingSpinner from '../components/common/LoadingSpinner'
+import rentalService from '../services/rentalService'
+import { toast } from 'react-hot-toast'
+import logo from '../assets/images/logo.jpg'
+
+const STATUS_STYLES = {
+  quoted: 'bg-blue-100 text-blue-800',
+  negotiating: 'bg-yellow-100 text-yellow-800',
+  confirmed: 'bg-green-100 text-green-800',
+  declined: 'bg-gray-100 text-gray-800',
+  cancelled: 'bg-red-100 text-red-800'
+}
+
+const STATUS_LABELS = {
+  quoted: 'Awaiting your response',
+  negotiating: 'Counter-offer under review',
+  confirmed: 'Accepted',
+  declined: 'Declined',
+  cancelled: 'Cancelled'
+}
+
+const HISTORY_LABELS = {
+  quoted: 'Quote sent',
+  countered: 'You offered',
+  accepted: 'You accepted',
+  declined: 'You declined'
+}
+
+const formatAmount = (amount) => `₹${Number(amount || 0).toLocaleString('en-IN')}`
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A'
+  return new Date(dateString).toLocaleDateString('en-IN', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  })
+}
+
+const RentalQuotePage = () => {
+  const { token } = useParams()
+  const navigate = useNavigate()
+
+  const [quote, setQuote] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState(null)
+  const [submitting, setSubmitting] = useState(false)
+  const [mode, setMode] = useState(null) // 'counter' | 'decline' while the form is open
+  const [counterAmount, setCounterAmount] = useState('')
+  const [message, setMessage] = useState('')
+
+  useEffect(() => {
+    const fetchQuote = async () => {
+      try {
+        const response = await rentalService.getQuote(token)
+        setQuote(response.data.quote)
+      } catch (err) {
+        setError(err.response?.data?.message || 'Failed to load the quote')
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchQuote()
+  }, [token])
+
+  const respond = async (response, details = {}) => {
+    try {
+      setSubmitting(true)
+      const result = await rentalService.respondToQuote(token, response, details)
+      setQuote(result.data.quote)
+      setMode(null)
+      setMessage('')
+      setCounterAmount('')
+      toast.success(result.message)
+    } catch (err) {
+      toast.error(err.response?.data?.message || 'Could not send your response')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  const handleAccept = () => {
+    if (window.confirm(`Accept the quote of ${formatAmount(quote.quote.amount)}?`)) {
+      respond('accept')
+    }
+  }
+
+  const handleSubmitForm = (e) => {
+    e.preventDefault()
+    if (mode === 'counter') {
+      respond('counter', { amount: Number(counterAmount), message })
+    } else {
+      respond('decline', { message })
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <LoadingSpinner size="lg" variant="primary" />
+          <p className="mt-4 text-gray-600">Loading quote...</p>
+        </div>
+      </div>
+    )
+  }
+
+  if (error || !quote) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8 text-center">
+          <div className="text-red-500 text-6xl mb-4">⚠️</div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Quote Not Found</h2>
+          <p className="text-gray-600 mb-6">{error || 'The requested quote could not be found.'}</p>
+          <button
+            onClick={() => navigate('/')}
+            className="bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors"
+          >
+            Go to Homepage
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  const { quote: current } = quote
+  const awaitingResponse = quote.status === 'quoted'
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 via-white to-blue-50 py-8 px-4">
+      <div className="max-w-3xl mx-auto">
+        {/* Header */}
+        <div className="bg-white rounded-t-xl shadow-lg p-6 border-b-4 border-blue-600">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-4">
+              <div className="h-16 w-16 rounded-full bg-white shadow-lg flex items-center justify-center overflow-hidden">
+                <img src={logo} alt="easyLuxury Logo" className="w-full h-full object-cover" />
+              </div>
+              <div>
+                <h1 className="text-2xl font-bold text-gray-900">Bus Rental Quote</h1>
+                <p className="text-blue-600 font-semibold">easyLuxuryGO</p>
+              </div>
+            </div>
+            <span className={`px-4 py-2 rounded-full text-sm font-semibold ${STATUS_STYLES[quote.status] || 'bg-gray-100 text-gray-800'}`}>
+              {STATUS_LABELS[quote.status] || quote.status}
+            </span>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-b-xl shadow-lg p-6 space-y-6">
+          <p className="text-gray-700">Dear <span className="font-semibold">{quote.name}</span>, here is our quote for your trip.</p>
+
+          {/* Trip */}
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <div className="bg-blue-50 rounded-lg p-4">
+              <div className="text-sm text-gray-600">Route</div>
+              <div className="text-lg font-bold text-gray-900">{quote.fromCity} → {quote.toCity}</div>
+              <div className="text-sm text-gray-700 mt-1 capitalize">{quote.tripType.replace('-', ' ')}</div>
+            </div>
+            <div className="bg-blue-50 rounded-lg p-4">
+              <div className="text-sm text-gray-600">Dates</div>
+              <div className="text-lg font-bold text-gray-900">
+                {formatDate(quote.departureDate)}
+                {quote.returnDate && ` – ${formatDate(quote.returnDate)}`}
+              </div>
+              <div className="text-sm text-gray-700 mt-1">
+                {quote.passengers} passengers · <span className="capitalize">{quote.busType.replace('_', '-')}</span> bus
+              </div>
+            </div>
+          </div>
+
+          {/* Breakdown */}
+          <div>
+            <h3 className="font-semibold text-gray-900 mb-3">Quote Breakdown</h3>
+            <div className="border rounded-lg divide-y">
+              {current.breakdown?.map((line, index) => (
+                <div key={index} className="flex justify-between px-4 py-2 text-gray-700">
+                  <span>{line.label}</span>
+                  <span>{formatAmount(line.amount)}</span>
+                </div>
+              ))}
+              <div className="flex justify-between px-4 py-3 font-bold text-gray-900 bg-gray-50">
+                <span>Total</span>
+                <span>{formatAmount(current.amount)}</span>
+              </div>
+            </div>
+            {current.notes && <p className="text-sm text-gray-600 mt-3">{current.notes}</p>}
+            {current.expiresAt && (
+              <p className={`text-sm mt-2 ${current.expired ? 'text-red-600' : 'text-gray-600'}`}>
+                {current.expired ? 'This quote expired on ' : 'Valid until '}
+                {new Date(current.expiresAt).toLocaleString('en-IN')}
+              </p>
+            )}
+          </div>
+
+          {/* Actions */}
+          {awaitingResponse && !mode && (
+            <div className="flex flex-wrap gap-3">
+              {!current.expired && (
+                <button
+                  onClick={handleAccept}
+                  disabled={submitting}
+                  className="bg-green-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-green-700 disabled:opacity-50"
+                >
+                  Accept Quote
+                </button>
+              )}
+              <button
+                onClick={() => setMode('counter')}
+                disabled={submitting}
+                className="bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50"
+              >
+                {current.expired ? 'Request a New Quote' : 'Make a Counter-offer'}
+              </button>
+              <button
+                onClick={() => setMode('decline')}
+                disabled={submitting}
+                className="border border-gray-300 text-gray-700 px-6 py-3 rounded-lg font-semibold hover:bg-gray-50 disabled:opacity-50"
+              >
+                Decline
+              </button>
+            </div>
+          )}
+
+          {awaitingResponse && mode && (
+            <form onSubmit={handleSubmitForm} className="space-y-3 border rounded-lg p-4">
+              <h3 className="font-semibold text-gray-900">
+                {mode === 'counter' ? 'Your offer' : 'Decline this quote'}
+              </h3>
+              {mode === 'counter' && (
+                <input
+                  type="number"
+                  min="1"
+                  required
+                  value={counterAmount}
+                  onChange={(e) => setCounterAmount(e.target.value)}
+                  placeholder="Amount you would like to pay (₹)"
+                  className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-600"
+                />
+              )}
+              <textarea
+                value={message}
+                onChange={(e) => setMessage(e.target.value)}
+                maxLength={1000}
+                rows={3}
+                placeholder={mode === 'counter' ? 'Anything we should know (optional)' : 'Reason (optional)'}
+                className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-600"
+              />
+              <div className="flex gap-3">
+                <button
+                  type="submit"
+                  disabled={submitting}
+                  className="bg-blue-600 text-white px-6 py-2 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50"
+                >
+                  {mode === 'counter' ? 'Send Offer' : 'Decline Quote'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setMode(null)}
+                  className="text-gray-600 px-4 py-2 hover:text-gray-900"
+                >
+                  Back
+                </button>
+              </div>
+            </form>
+          )}
+
+          {quote.status === 'negotiating' && (
+            <p className="bg-yellow-50 text-yellow-800 rounded-lg p-4">
+              We have your counter-offer and will email you a revised quote shortly.
+            </p>
+          )}
+
+          {quote.status === 'confirmed' && (
+            <p className="bg-green-50 text-green-800 rounded-lg p-4">
+              Your booking is confirmed. Our team will contact you about the advance payment and the bus and crew details.
+            </p>
+          )}
+
+          {/* History */}
+          {quote.history?.length > 1 && (
+            <div>
+              <h3 className="font-semibold text-gray-900 mb-3">Quote History</h3>
+              <ul className="space-y-2">
+                {quote.history.map((entry, index) => (
+                  <li key={index} className="flex justify-between text-sm text-gray-700 border-b pb-2">
+                    <span>
+                      {HISTORY_LABELS[entry.action]}
+                      {entry.amount != null && ` ${formatAmount(entry.amount)}`}
+                      {entry.message && <span className="text-gray-500"> – {entry.message}</span>}
+                    </span>
+                    <span className="text-gray-500">{new Date(entry.createdAt).toLocaleString('en-IN')}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default RentalQuotePage
@@ -118,7 +118,7 @@ const TripPage = () => {
       if (filters.departureTime === 'evening' && (hour < 18 || hour >= 24)) return false
       if (filters.departureTime === 'night' && (hour >= 6)) return false
     }
-    const tripFare = trip.baseFare || trip.fare || 0
+    const tripFare = trip.segment?.fare ?? (trip.baseFare || trip.fare || 0)
     if (tripFare < filters.priceRange[0] || tripFare > filters.priceRange[1]) {
       return false
     }
@@ -3,7 +3,7 @@
  * Accessible via /view-ticket?pnr=XXX
  */
 
-import React, { useState, useEffect } from 'react'
+import React, { useState } from 'react'
 import { useSearchParams, useNavigate } from 'react-router-dom'
 import LoadingSpinner from '../components/common/LoadingSpinner'
 import bookingService from '../services/bookingService'
@@ -16,45 +16,36 @@ const ViewTicketPage = () => {
   const pnr = searchParams.get('pnr')
   
   const [booking, setBooking] = useState(null)
-  const [loading, setLoading] = useState(true)
-  const [error, setError] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState(pnr ? null : 'No PNR provided')
+  const [contact, setContact] = useState('')
 
-  useEffect(() => {
-    if (!pnr) {
-      setError('No PNR provided')
-      setLoading(false)
-      return
-    }
+  // The ticket is only shown once the booking's email or phone is confirmed
+  const fetchBooking = async (e) => {
+    e.preventDefault()
+    const value = contact.trim()
+    if (!value) return
 
-    const fetchBooking = async () => {
-      try {
-        setLoading(true)
-        // Try to fetch booking by PNR
-        const response = await bookingService.getMyBookings()
-        
-        if (response?.success && response.data?.bookings) {
-          const foundBooking = response.data.bookings.find(
-            b => b.pnr === pnr || b._id?.slice(-8).toUpperCase() === pnr.toUpperCase()
-          )
-          
-          if (foundBooking) {
-            setBooking(foundBooking)
-          } else {
-            setError('Ticket not found')
-          }
-        } else {
-          setError('Failed to load ticket')
-        }
-      } catch (err) {
-        console.error('Error fetching booking:', err)
-        setError('Failed to load ticket details')
-      } finally {
-        setLoading(false)
+    try {
+      setLoading(true)
+      setError(null)
+      const response = await bookingService.getBookingByPnr(
+        pnr,
+        value.includes('@') ? { email: value } : { phone: value }
+      )
+
+      if (response?.success && response.data?.booking) {
+        setBooking(response.data.booking)
+      } else {
+        setError('Ticket not found')
       }
+    } catch (err) {
+      toast.error(err.message || 'Failed to load ticket details')
+      setError(err.message || 'Failed to load ticket details')
+    } finally {
+      setLoading(false)
     }
-
-    fetchBooking()
-  }, [pnr])
+  }
 
   const formatDateTime = (dateString) => {
     if (!dateString) return 'N/A'
@@ -81,6 +72,36 @@ const ViewTicketPage = () => {
     )
   }
 
+  if (pnr && !booking) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="max-w-md w-full bg-white rounded-xl shadow-lg p-8">
+          <h2 className="text-2xl font-bold text-gray-900 mb-2 text-center">View Ticket</h2>
+          <p className="text-gray-600 mb-6 text-center">
+            Enter the email or phone number used to book PNR <span className="font-semibold">{pnr}</span>
+          </p>
+          <form onSubmit={fetchBooking} className="space-y-4">
+            <input
+              type="text"
+              value={contact}
+              onChange={(e) => setContact(e.target.value)}
+              placeholder="Email or phone number"
+              className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-600"
+            />
+            {error && <p className="text-sm text-red-600">{error}</p>}
+            <button
+              type="submit"
+              disabled={!contact.trim()}
+              className="w-full bg-blue-600 text-white px-6 py-3 rounded-lg font-semibold hover:bg-blue-700 transition-colors disabled:opacity-50"
+            >
+              View Ticket
+            </button>
+          </form>
+        </div>
+      </div>
+    )
+  }
+
   if (error || !booking) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
@@ -123,7 +144,7 @@ const ViewTicketPage = () => {
             </div>
             <div className="text-right">
               <div className="text-sm text-gray-600">PNR Number</div>
-              <div className="text-2xl font-bold text-blue-600">{booking.pnr || pnr}</div>
+              <div className="text-2xl font-bold text-blue-600">{booking.pnrNumber || pnr}</div>
             </div>
           </div>
         </div>
@@ -4,7 +4,8 @@
  * reminders, and activity logs following 2-6-10 minute timing rules
  */
 
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
+import PropTypes from 'prop-types'
 import { motion } from 'framer-motion'
 import { 
   MapPin, 
@@ -20,7 +21,12 @@ import {
   TrendingUp,
   Wifi,
   WifiOff,
-  Moon
+  Moon,
+  Download,
+  Flag,
+  Settings,
+  Trash2,
+  Plus
 } from 'lucide-react'
 import AdminNav from '../../components/admin/AdminNav'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
@@ -37,11 +43,34 @@ const BusLocationMonitorPage = () => {
     active: 0,
     sleep: 0,
     offline: 0,
-    needingAttention: 0
+    needingAttention: 0,
+    flagged: 0
   })
-  const [selectedTab, setSelectedTab] = useState('all') // all, active, sleep, offline
+  const [selectedTab, setSelectedTab] = useState('all') // all, active, sleep, offline, flagged
   const [refreshing, setRefreshing] = useState(false)
   const [sendingReminder, setSendingReminder] = useState(null)
+  const [exportingTrack, setExportingTrack] = useState(null)
+  const [acknowledging, setAcknowledging] = useState(null)
+  const [showRules, setShowRules] = useState(false)
+
+  // Background reloads (timer, socket events) stay quiet; only a manual refresh reports failures
+  const fetchMonitoredBuses = useCallback(async (showErrors = false) => {
+    try {
+      const response = await adminService.getAllMonitoredBuses()
+      
+      if (response?.success) {
+        setBuses(response.data.buses || [])
+        setStats(prev => response.data.stats || prev)
+      }
+    } catch (error) {
+      if (showErrors) {
+        toast.error('Failed to fetch bus status', { duration: 3000 })
+      }
+    } finally {
+      setLoading(false)
+      setRefreshing(false)
+    }
+  }, [])
 
   useEffect(() => {
     fetchMonitoredBuses()
@@ -49,7 +78,7 @@ const BusLocationMonitorPage = () => {
     // Auto-refresh every 30 seconds
     const interval = setInterval(fetchMonitoredBuses, 30000)
     return () => clearInterval(interval)
-  }, [])
+  }, [fetchMonitoredBuses])
 
   // Listen for real-time bus status updates
   useEffect(() => {
@@ -69,38 +98,49 @@ const BusLocationMonitorPage = () => {
         ))
       })
 
+      // Escalation rules fired or resolved - reload to pick up flags and history
+      socket.on('escalation_alert', (data) => {
+        toast.error(data.message, { duration: 6000 })
+        fetchMonitoredBuses()
+      })
+
+      socket.on('escalation_update', () => {
+        fetchMonitoredBuses()
+      })
+
       return () => {
         socket.emit('leave_room', 'admin_monitoring')
         socket.off('bus_status_update')
+        socket.off('escalation_alert')
+        socket.off('escalation_update')
       }
     }
-  }, [socket])
+  }, [socket, fetchMonitoredBuses])
+
+  const handleRefresh = () => {
+    setRefreshing(true)
+    fetchMonitoredBuses(true)
+    toast.success('Refreshing bus locations...', { duration: 2000 })
+  }
+
+  const handleExportTrack = async (tripId, format) => {
+    setExportingTrack(`${tripId}-${format}`)
 
-  const fetchMonitoredBuses = async () => {
     try {
-      const response = await adminService.getAllMonitoredBuses()
-      
-      if (response?.success) {
-        setBuses(response.data.buses || [])
-        setStats(response.data.stats || stats)
-      }
+      const blob = await adminService.exportTripTrack(tripId, format)
+      const url = URL.createObjectURL(blob)
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `trip_${tripId}_track.${format}`
+      link.click()
+      URL.revokeObjectURL(url)
     } catch (error) {
-      console.error('Failed to fetch monitored buses:', error)
-      if (!loading) {
-        toast.error('Failed to fetch bus status', { duration: 3000 })
-      }
+      toast.error('Failed to export GPS track', { duration: 3000 })
     } finally {
-      setLoading(false)
-      setRefreshing(false)
+      setExportingTrack(null)
     }
   }
 
-  const handleRefresh = () => {
-    setRefreshing(true)
-    fetchMonitoredBuses()
-    toast.success('Refreshing bus locations...', { duration: 2000 })
-  }
-
   const handleSendReminder = async (tripId, busNumber) => {
     setSendingReminder(tripId)
     
@@ -130,6 +170,29 @@ const BusLocationMonitorPage = () => {
     }
   }
 
+  const handleAcknowledge = async (escalationId) => {
+    setAcknowledging(escalationId)
+
+    try {
+      const response = await adminService.acknowledgeEscalation(escalationId)
+
+      if (response?.success) {
+        toast.success('Escalation acknowledged', { duration: 3000 })
+        setBuses(prev => prev.map(bus => ({
+          ...bus,
+          escalations: (bus.escalations || []).map(escalation =>
+            escalation._id === escalationId ? response.data : escalation
+          )
+        })))
+      }
+    } catch (error) {
+      const errorMessage = error.response?.data?.message || 'Failed to acknowledge escalation'
+      toast.error(errorMessage, { duration: 4000 })
+    } finally {
+      setAcknowledging(null)
+    }
+  }
+
   const getStatusConfig = (status) => {
     switch (status) {
       case 'active':
@@ -189,6 +252,7 @@ const BusLocationMonitorPage = () => {
 
   const filteredBuses = buses.filter(bus => {
     if (selectedTab === 'all') return true
+    if (selectedTab === 'flagged') return bus.flagged
     return bus.status === selectedTab
   })
 
@@ -214,16 +278,27 @@ const BusLocationMonitorPage = () => {
             <h1 className="text-3xl font-bold text-gray-900">Bus Location Monitor</h1>
             <p className="text-gray-600 mt-1">Real-time monitoring with 2-6-10 minute status rules</p>
           </div>
-          <button
-            onClick={handleRefresh}
-            disabled={refreshing}
-            className="flex items-center space-x-2 bg-accent text-gray-900 px-4 py-2 rounded-lg font-semibold hover:bg-accent/90 transition-colors disabled:opacity-50"
-          >
-            <RefreshCw className={`w-5 h-5 ${refreshing ? 'animate-spin' : ''}`} />
-            <span>{refreshing ? 'Refreshing...' : 'Refresh'}</span>
-          </button>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setShowRules(prev => !prev)}
+              className="flex items-center space-x-2 border border-gray-300 text-gray-700 px-4 py-2 rounded-lg font-semibold hover:bg-gray-100 transition-colors"
+            >
+              <Settings className="w-5 h-5" />
+              <span>Escalation Rules</span>
+            </button>
+            <button
+              onClick={handleRefresh}
+              disabled={refreshing}
+              className="flex items-center space-x-2 bg-accent text-gray-900 px-4 py-2 rounded-lg font-semibold hover:bg-accent/90 transition-colors disabled:opacity-50"
+            >
+              <RefreshCw className={`w-5 h-5 ${refreshing ? 'animate-spin' : ''}`} />
+              <span>{refreshing ? 'Refreshing...' : 'Refresh'}</span>
+            </button>
+          </div>
         </div>
 
+        {showRules && <EscalationRulesPanel />}
+
         {/* Statistics Cards */}
         <div className="grid grid-cols-1 md:grid-cols-5 gap-4 mb-8">
           <StatCard
@@ -265,7 +340,7 @@ const BusLocationMonitorPage = () => {
 
         {/* Filter Tabs */}
         <div className="bg-white rounded-lg shadow p-1 mb-6 flex space-x-1">
-          {['all', 'active', 'sleep', 'offline'].map(tab => (
+          {['all', 'active', 'sleep', 'offline', 'flagged'].map(tab => (
             <button
               key={tab}
               onClick={() => setSelectedTab(tab)}
@@ -300,6 +375,10 @@ const BusLocationMonitorPage = () => {
                 bus={bus}
                 onSendReminder={handleSendReminder}
                 sendingReminder={sendingReminder}
+                onExportTrack={handleExportTrack}
+                exportingTrack={exportingTrack}
+                onAcknowledge={handleAcknowledge}
+                acknowledging={acknowledging}
                 getStatusConfig={getStatusConfig}
                 formatLastUpdate={formatLastUpdate}
               />
@@ -330,8 +409,16 @@ const StatCard = ({ title, value, icon: Icon, color, iconBg }) => (
   </motion.div>
 )
 
+StatCard.propTypes = {
+  title: PropTypes.string.isRequired,
+  value: PropTypes.number,
+  icon: PropTypes.elementType.isRequired,
+  color: PropTypes.string,
+  iconBg: PropTypes.string
+}
+
 // Bus Card Component
-const BusCard = ({ bus, onSendReminder, sendingReminder, getStatusConfig, formatLastUpdate }) => {
+const BusCard = ({ bus, onSendReminder, sendingReminder, onExportTrack, exportingTrack, onAcknowledge, acknowledging, getStatusConfig, formatLastUpdate }) => {
   const statusConfig = getStatusConfig(bus.status)
   const StatusIcon = statusConfig.icon
   const canSendReminder = bus.status === 'sleep' || bus.status === 'offline'
@@ -340,7 +427,7 @@ const BusCard = ({ bus, onSendReminder, sendingReminder, getStatusConfig, format
     <motion.div
       initial={{ opacity: 0, y: 10 }}
       animate={{ opacity: 1, y: 0 }}
-      className={`bg-white rounded-xl shadow p-6 hover:shadow-lg transition-all border-l-4 ${statusConfig.borderColor}`}
+      className={`bg-white rounded-xl shadow p-6 hover:shadow-lg transition-all border-l-4 ${statusConfig.borderColor} ${bus.flagged ? 'ring-2 ring-red-400' : ''}`}
     >
       <div className="grid grid-cols-1 lg:grid-cols-12 gap-6">
         {/* Bus Info */}
@@ -358,6 +445,15 @@ const BusCard = ({ bus, onSendReminder, sendingReminder, getStatusConfig, format
                   <StatusIcon className="w-3 h-3" />
                   <span>{statusConfig.label}</span>
                 </span>
+                {bus.flagged && (
+                  <span
+                    className="ml-2 inline-flex items-center space-x-1 bg-red-600 text-white px-3 py-1 rounded-full text-xs font-semibold"
+                    title={bus.flagReason || 'Flagged by escalation rule'}
+                  >
+                    <Flag className="w-3 h-3" />
+                    <span>Flagged</span>
+                  </span>
+                )}
               </div>
             </div>
           </div>
@@ -420,9 +516,54 @@ const BusCard = ({ bus, onSendReminder, sendingReminder, getStatusConfig, format
               Reminders sent: {bus.remindersSent}
             </p>
           )}
+
+          {bus.trip?._id && (
+            <div className="mt-2 grid grid-cols-2 gap-2">
+              {['gpx', 'geojson'].map(format => (
+                <button
+                  key={format}
+                  onClick={() => onExportTrack(bus.trip._id, format)}
+                  disabled={exportingTrack === `${bus.trip._id}-${format}`}
+                  className="border border-gray-300 text-gray-700 py-1.5 px-2 rounded-lg text-xs font-semibold hover:bg-gray-50 transition-all flex items-center justify-center space-x-1 disabled:opacity-50 disabled:cursor-not-allowed"
+                  title={`Download the full GPS track as ${format.toUpperCase()}`}
+                >
+                  <Download className="w-3 h-3" />
+                  <span>{format === 'gpx' ? 'GPX' : 'GeoJSON'}</span>
+                </button>
+              ))}
+            </div>
+          )}
         </div>
       </div>
 
+      {/* Escalations */}
+      {bus.escalations?.length > 0 && (
+        <div className="mt-4 pt-4 border-t space-y-2">
+          {bus.escalations.map(escalation => (
+            <div key={escalation._id} className="flex items-center justify-between bg-red-50 rounded-lg px-3 py-2 text-sm">
+              <div>
+                <span className="font-semibold text-red-700">{escalation.ruleName}</span>
+                <span className="text-gray-600 ml-2">
+                  {escalation.action === 'remind_staff' ? 'Staff reminded' : 'Admins alerted'} after {escalation.silentMinutes} min
+                  {escalation.timesNotified > 1 && ` (${escalation.timesNotified}x)`}
+                </span>
+              </div>
+              {escalation.status === 'acknowledged' ? (
+                <span className="text-xs text-gray-500">Acknowledged by {escalation.acknowledgedBy}</span>
+              ) : (
+                <button
+                  onClick={() => onAcknowledge(escalation._id)}
+                  disabled={acknowledging === escalation._id}
+                  className="text-xs font-semibold text-red-700 border border-red-300 px-2 py-1 rounded hover:bg-red-100 disabled:opacity-50"
+                >
+                  {acknowledging === escalation._id ? 'Saving...' : 'Acknowledge'}
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Location Details */}
       {bus.lastLocation?.latitude && bus.lastLocation?.longitude && (
         <div className="mt-4 pt-4 border-t grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
@@ -448,4 +589,283 @@ const BusCard = ({ bus, onSendReminder, sendingReminder, getStatusConfig, format
   )
 }
 
+BusCard.propTypes = {
+  bus: PropTypes.shape({
+    status: PropTypes.string,
+    flagged: PropTypes.bool,
+    flagReason: PropTypes.string,
+    lastUpdated: PropTypes.string,
+    remindersSent: PropTypes.number,
+    bus: PropTypes.shape({
+      busNumber: PropTypes.string,
+      operator: PropTypes.string,
+      busType: PropTypes.string,
+      seatType: PropTypes.string
+    }),
+    staff: PropTypes.shape({
+      name: PropTypes.string,
+      phone: PropTypes.string,
+      designation: PropTypes.string
+    }),
+    trip: PropTypes.shape({
+      _id: PropTypes.string,
+      route: PropTypes.shape({
+        sourceCity: PropTypes.string,
+        destinationCity: PropTypes.string
+      })
+    }),
+    lastLocation: PropTypes.shape({
+      latitude: PropTypes.number,
+      longitude: PropTypes.number,
+      speed: PropTypes.number,
+      heading: PropTypes.number
+    }),
+    escalations: PropTypes.arrayOf(PropTypes.shape({
+      _id: PropTypes.string.isRequired,
+      ruleName: PropTypes.string,
+      action: PropTypes.string,
+      silentMinutes: PropTypes.number,
+      timesNotified: PropTypes.number,
+      status: PropTypes.string,
+      acknowledgedBy: PropTypes.string
+    }))
+  }).isRequired,
+  onSendReminder: PropTypes.func.isRequired,
+  sendingReminder: PropTypes.string,
+  onExportTrack: PropTypes.func.isRequired,
+  exportingTrack: PropTypes.string,
+  onAcknowledge: PropTypes.func.isRequired,
+  acknowledging: PropTypes.string,
+  getStatusConfig: PropTypes.func.isRequired,
+  formatLastUpdate: PropTypes.func.isRequired
+}
+
+// Escalation Rules Component
+const EMPTY_RULE = {
+  name: '',
+  triggerStatus: 'sleep',
+  afterMinutes: 5,
+  action: 'remind_staff',
+  channels: ['in_app'],
+  flagTrip: false,
+  repeatEveryMinutes: 0
+}
+
+const EscalationRulesPanel = () => {
+  const [rules, setRules] = useState([])
+  const [history, setHistory] = useState([])
+  const [newRule, setNewRule] = useState(EMPTY_RULE)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    fetchRules()
+  }, [])
+
+  const fetchRules = async () => {
+    try {
+      const [rulesResponse, historyResponse] = await Promise.all([
+        adminService.getEscalationRules(),
+        adminService.getEscalations({ limit: 20 })
+      ])
+      if (rulesResponse?.success) setRules(rulesResponse.data)
+      if (historyResponse?.success) setHistory(historyResponse.data.escalations)
+    } catch (error) {
+      toast.error('Failed to load escalation rules', { duration: 3000 })
+    }
+  }
+
+  const handleToggle = async (rule) => {
+    try {
+      const response = await adminService.updateEscalationRule(rule._id, { isActive: !rule.isActive })
+      if (response?.success) {
+        setRules(prev => prev.map(r => (r._id === rule._id ? response.data : r)))
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update rule', { duration: 3000 })
+    }
+  }
+
+  const handleDelete = async (ruleId) => {
+    if (!window.confirm('Delete this escalation rule? Its history is kept.')) return
+
+    try {
+      await adminService.deleteEscalationRule(ruleId)
+      setRules(prev => prev.filter(r => r._id !== ruleId))
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete rule', { duration: 3000 })
+    }
+  }
+
+  const handleChannelToggle = (channel) => {
+    setNewRule(prev => ({
+      ...prev,
+      channels: prev.channels.includes(channel)
+        ? prev.channels.filter(c => c !== channel)
+        : [...prev.channels, channel]
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setSaving(true)
+
+    try {
+      const response = await adminService.createEscalationRule({
+        ...newRule,
+        afterMinutes: Number(newRule.afterMinutes),
+        repeatEveryMinutes: Number(newRule.repeatEveryMinutes)
+      })
+      if (response?.success) {
+        toast.success('Escalation rule created', { duration: 3000 })
+        setRules(prev => [...prev, response.data])
+        setNewRule(EMPTY_RULE)
+      }
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create rule', { duration: 3000 })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow p-6 mb-6">
+      <h2 className="text-xl font-bold text-gray-900 mb-4">Escalation Rules</h2>
+
+      <div className="overflow-x-auto mb-6">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-2 pr-4">Rule</th>
+              <th className="py-2 pr-4">When</th>
+              <th className="py-2 pr-4">Action</th>
+              <th className="py-2 pr-4">Channels</th>
+              <th className="py-2 pr-4">Repeat</th>
+              <th className="py-2 pr-4">Active</th>
+              <th className="py-2"></th>
+            </tr>
+          </thead>
+          <tbody>
+            {rules.map(rule => (
+              <tr key={rule._id} className="border-b last:border-0">
+                <td className="py-2 pr-4 font-medium text-gray-900">{rule.name}</td>
+                <td className="py-2 pr-4">{rule.afterMinutes} min {rule.triggerStatus}</td>
+                <td className="py-2 pr-4">
+                  {rule.action === 'remind_staff' ? 'Remind staff' : 'Alert admins'}
+                  {rule.flagTrip && ' + flag trip'}
+                </td>
+                <td className="py-2 pr-4">{rule.channels.join(', ')}</td>
+                <td className="py-2 pr-4">{rule.repeatEveryMinutes ? `every ${rule.repeatEveryMinutes} min` : 'once'}</td>
+                <td className="py-2 pr-4">
+                  <input type="checkbox" checked={rule.isActive} onChange={() => handleToggle(rule)} />
+                </td>
+                <td className="py-2 text-right">
+                  <button onClick={() => handleDelete(rule._id)} className="text-red-600 hover:text-red-800" title="Delete rule">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <form onSubmit={handleCreate} className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end text-sm">
+        <input
+          type="text"
+          required
+          placeholder="Rule name"
+          value={newRule.name}
+          onChange={(e) => setNewRule(prev => ({ ...prev, name: e.target.value }))}
+          className="col-span-2 border border-gray-300 rounded-lg px-3 py-2"
+        />
+        <select
+          value={newRule.triggerStatus}
+          onChange={(e) => setNewRule(prev => ({ ...prev, triggerStatus: e.target.value }))}
+          className="border border-gray-300 rounded-lg px-3 py-2"
+        >
+          <option value="sleep">Sleep</option>
+          <option value="offline">Offline</option>
+        </select>
+        <label className="flex items-center space-x-2">
+          <span className="text-gray-600">After</span>
+          <input
+            type="number"
+            min="0"
+            value={newRule.afterMinutes}
+            onChange={(e) => setNewRule(prev => ({ ...prev, afterMinutes: e.target.value }))}
+            className="w-20 border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <span className="text-gray-600">min</span>
+        </label>
+        <select
+          value={newRule.action}
+          onChange={(e) => setNewRule(prev => ({ ...prev, action: e.target.value }))}
+          className="border border-gray-300 rounded-lg px-3 py-2"
+        >
+          <option value="remind_staff">Remind staff</option>
+          <option value="alert_admins">Alert admins</option>
+        </select>
+        <div className="flex items-center space-x-3">
+          {['in_app', 'email'].map(channel => (
+            <label key={channel} className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={newRule.channels.includes(channel)}
+                onChange={() => handleChannelToggle(channel)}
+              />
+              <span>{channel === 'in_app' ? 'In-app' : 'Email'}</span>
+            </label>
+          ))}
+        </div>
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={newRule.flagTrip}
+            onChange={(e) => setNewRule(prev => ({ ...prev, flagTrip: e.target.checked }))}
+          />
+          <span>Flag trip</span>
+        </label>
+        <label className="flex items-center space-x-2">
+          <span className="text-gray-600">Repeat every</span>
+          <input
+            type="number"
+            min="0"
+            value={newRule.repeatEveryMinutes}
+            onChange={(e) => setNewRule(prev => ({ ...prev, repeatEveryMinutes: e.target.value }))}
+            className="w-20 border border-gray-300 rounded-lg px-3 py-2"
+          />
+          <span className="text-gray-600">min</span>
+        </label>
+        <button
+          type="submit"
+          disabled={saving || newRule.channels.length === 0}
+          className="col-span-2 md:col-span-4 flex items-center justify-center space-x-2 bg-accent text-gray-900 px-4 py-2 rounded-lg font-semibold hover:bg-accent/90 disabled:opacity-50"
+        >
+          <Plus className="w-4 h-4" />
+          <span>{saving ? 'Saving...' : 'Add Rule'}</span>
+        </button>
+      </form>
+
+      {history.length > 0 && (
+        <div className="mt-6">
+          <h3 className="font-semibold text-gray-900 mb-2">Recent Escalations</h3>
+          <div className="space-y-1 text-sm">
+            {history.map(escalation => (
+              <div key={escalation._id} className="flex justify-between border-b last:border-0 py-1">
+                <span>
+                  <span className="font-medium">{escalation.bus?.busNumber || 'Bus'}</span>
+                  <span className="text-gray-600 ml-2">{escalation.ruleName}</span>
+                </span>
+                <span className="text-gray-500">
+                  {new Date(escalation.createdAt).toLocaleString()} · <span className="capitalize">{escalation.status}</span>
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
 export default BusLocationMonitorPage
@@ -15,14 +15,42 @@ import AnalyticsCard from '../../components/admin/AnalyticsCard'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
 import adminService from '../../services/adminService'
 import { toast } from 'react-hot-toast'
+import { useAuth } from '../../hooks/useAuth'
+import { PERMISSIONS } from '../../auth/permissions'
+
+const EMPTY_DASHBOARD = {
+  totalBookings: 0,
+  totalRevenue: 0,
+  activeUsers: 0,
+  availableBuses: 0,
+  todayBookings: 0,
+  todayRevenue: 0,
+  pendingReviews: 0,
+  occupancyRate: 0,
+  bookingGrowth: 0,
+  revenueGrowth: 0,
+  userGrowth: 0,
+  recentBookings: [],
+  totalTrips: 0,
+  totalRoutes: 0
+}
 
 const DashboardPage = () => {
   const [dashboardData, setDashboardData] = useState(null)
   const [loading, setLoading] = useState(true)
+  const { hasPermission } = useAuth()
+  const canViewAnalytics = hasPermission(PERMISSIONS.VIEW_ANALYTICS)
 
   useEffect(() => {
     // Fetch real dashboard data from API
     const fetchDashboardData = async () => {
+      // Figures come from analytics - admins without that permission get the quick links only
+      if (!canViewAnalytics) {
+        setDashboardData(EMPTY_DASHBOARD)
+        setLoading(false)
+        return
+      }
+
       setLoading(true)
       try {
         const response = await adminService.getDashboardAnalytics()
@@ -90,29 +118,14 @@ const DashboardPage = () => {
         toast.error('Failed to load dashboard data')
         
         // Set empty data to prevent crashes
-        setDashboardData({
-          totalBookings: 0,
-          totalRevenue: 0,
-          activeUsers: 0,
-          availableBuses: 0,
-          todayBookings: 0,
-          todayRevenue: 0,
-          pendingReviews: 0,
-          occupancyRate: 0,
-          bookingGrowth: 0,
-          revenueGrowth: 0,
-          userGrowth: 0,
-          recentBookings: [],
-          totalTrips: 0,
-          totalRoutes: 0
-        })
+        setDashboardData(EMPTY_DASHBOARD)
       } finally {
         setLoading(false)
       }
     }
 
     fetchDashboardData()
-  }, [])
+  }, [canViewAnalytics])
 
   if (loading || !dashboardData) {
     return (
@@ -132,7 +145,11 @@ const DashboardPage = () => {
       <div className="flex justify-between items-center">
         <div>
           <h1 className="text-2xl font-bold text-gray-900">Admin Dashboard</h1>
-          <p className="text-gray-600">Overview of your bus booking platform</p>
+          <p className="text-gray-600">
+            {canViewAnalytics
+              ? 'Overview of your bus booking platform'
+              : 'Your account does not have the analytics permission, so figures are hidden'}
+          </p>
         </div>
         <button
           onClick={handleRefresh}
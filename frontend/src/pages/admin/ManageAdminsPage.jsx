@@ -0,0 +1,320 @@
+/**
+ * Admin page for managing admin accounts and their permissions (super-admins only)
+ */
+
+import React, { useState, useEffect } from 'react'
+import { ShieldCheck, UserPlus } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import adminService from '../../services/adminService'
+import LoadingSpinner from '../../components/common/LoadingSpinner'
+import ConfirmDialog from '../../components/common/ConfirmDialog'
+import { useAuth } from '../../hooks/useAuth'
+import { PERMISSIONS, PERMISSION_LABELS } from '../../auth/permissions'
+
+const EMPTY_FORM = {
+  name: '',
+  email: '',
+  password: '',
+  permissions: [],
+  isSuperAdmin: false
+}
+
+const ManageAdminsPage = () => {
+  const { user } = useAuth()
+  const [admins, setAdmins] = useState([])
+  const [bootstrapEmail, setBootstrapEmail] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [showForm, setShowForm] = useState(false)
+  const [formData, setFormData] = useState(EMPTY_FORM)
+  const [adminToDelete, setAdminToDelete] = useState(null)
+
+  const fetchAdmins = async () => {
+    try {
+      setLoading(true)
+      const response = await adminService.getAdmins()
+      setAdmins(response.data.admins || [])
+      setBootstrapEmail(response.data.bootstrapEmail)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load admin accounts')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  useEffect(() => {
+    fetchAdmins()
+  }, [])
+
+  const toggleFormPermission = (permission) => {
+    setFormData(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter(p => p !== permission)
+        : [...prev.permissions, permission]
+    }))
+  }
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+
+    try {
+      setSaving(true)
+      await adminService.createAdmin(formData)
+      toast.success(`Admin account created for ${formData.email}`)
+      setFormData(EMPTY_FORM)
+      setShowForm(false)
+      fetchAdmins()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to create admin')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleUpdate = async (admin, updates, successMessage) => {
+    try {
+      await adminService.updateAdmin(admin._id, updates)
+      toast.success(successMessage)
+      fetchAdmins()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update admin')
+    }
+  }
+
+  const handlePermissionToggle = (admin, permission) => {
+    const permissions = admin.permissions.includes(permission)
+      ? admin.permissions.filter(p => p !== permission)
+      : [...admin.permissions, permission]
+
+    handleUpdate(admin, { permissions }, `Permissions of ${admin.name} updated`)
+  }
+
+  const handleDelete = async () => {
+    if (!adminToDelete) return
+
+    try {
+      setSaving(true)
+      await adminService.deleteAdmin(adminToDelete._id)
+      toast.success(`${adminToDelete.name} removed`)
+      setAdminToDelete(null)
+      fetchAdmins()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to delete admin')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <LoadingSpinner size="lg" variant="primary" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <ShieldCheck className="w-7 h-7 text-accent" />
+            Admin Accounts
+          </h1>
+          <p className="text-gray-600 mt-1">Create admins and choose what each one can do</p>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="flex items-center gap-2 bg-accent text-gray-900 px-4 py-2 rounded-lg font-semibold hover:bg-accent-dark transition-colors"
+        >
+          <UserPlus className="w-5 h-5" />
+          {showForm ? 'Close' : 'New Admin'}
+        </button>
+      </div>
+
+      {bootstrapEmail && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+          <strong>{bootstrapEmail}</strong> is the bootstrap super-admin from the server configuration.
+          It always has every permission and is not listed below.
+        </div>
+      )}
+
+      {/* Create Form */}
+      {showForm && (
+        <form onSubmit={handleCreate} className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <input
+              type="text"
+              placeholder="Name"
+              value={formData.name}
+              onChange={(e) => setFormData({ ...formData, name: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent"
+              required
+            />
+            <input
+              type="email"
+              placeholder="Email"
+              value={formData.email}
+              onChange={(e) => setFormData({ ...formData, email: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent"
+              required
+            />
+            <input
+              type="password"
+              placeholder="Password (min 8 characters)"
+              value={formData.password}
+              onChange={(e) => setFormData({ ...formData, password: e.target.value })}
+              className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent"
+              minLength={8}
+              required
+            />
+          </div>
+
+          <div>
+            <p className="text-sm font-medium text-gray-700 mb-2">Permissions</p>
+            <div className="flex flex-wrap gap-3">
+              {Object.values(PERMISSIONS).map(permission => (
+                <label key={permission} className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={formData.isSuperAdmin || formData.permissions.includes(permission)}
+                    disabled={formData.isSuperAdmin}
+                    onChange={() => toggleFormPermission(permission)}
+                  />
+                  {PERMISSION_LABELS[permission]}
+                </label>
+              ))}
+              <label className="flex items-center gap-2 text-sm font-semibold text-gray-900">
+                <input
+                  type="checkbox"
+                  checked={formData.isSuperAdmin}
+                  onChange={(e) => setFormData({ ...formData, isSuperAdmin: e.target.checked })}
+                />
+                Super-admin (all permissions, manages admins)
+              </label>
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="bg-accent text-gray-900 px-6 py-2 rounded-lg font-semibold hover:bg-accent-dark transition-colors disabled:opacity-50"
+          >
+            {saving ? 'Creating...' : 'Create Admin'}
+          </button>
+        </form>
+      )}
+
+      {/* Admin List */}
+      <div className="bg-white rounded-xl shadow-lg overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Admin</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Permissions</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+              <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {admins.map(admin => {
+              const isSelf = admin._id === user?.id
+
+              return (
+                <tr key={admin._id}>
+                  <td className="px-6 py-4">
+                    <p className="font-semibold text-gray-900">{admin.name}{isSelf && ' (you)'}</p>
+                    <p className="text-sm text-gray-500">{admin.email}</p>
+                    <p className="text-xs text-gray-400">
+                      {admin.lastLogin ? `Last login ${new Date(admin.lastLogin).toLocaleString()}` : 'Never logged in'}
+                    </p>
+                  </td>
+                  <td className="px-6 py-4">
+                    {admin.isSuperAdmin ? (
+                      <span className="inline-block bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-xs font-semibold">
+                        Super-admin
+                      </span>
+                    ) : (
+                      <div className="flex flex-wrap gap-2">
+                        {Object.values(PERMISSIONS).map(permission => (
+                          <label key={permission} className="flex items-center gap-1 text-xs text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={admin.permissions.includes(permission)}
+                              onChange={() => handlePermissionToggle(admin, permission)}
+                            />
+                            {PERMISSION_LABELS[permission]}
+                          </label>
+                        ))}
+                      </div>
+                    )}
+                  </td>
+                  <td className="px-6 py-4">
+                    <span className={`inline-block px-3 py-1 rounded-full text-xs font-semibold ${
+                      admin.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                    }`}>
+                      {admin.isActive ? 'Active' : 'Deactivated'}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 text-xs space-x-3 whitespace-nowrap">
+                    {!isSelf && (
+                      <>
+                        <button
+                          onClick={() => handleUpdate(
+                            admin,
+                            { isActive: !admin.isActive },
+                            `${admin.name} ${admin.isActive ? 'deactivated' : 'activated'}`
+                          )}
+                          className="text-black40 hover:text-black40"
+                        >
+                          {admin.isActive ? 'Deactivate' : 'Activate'}
+                        </button>
+                        <button
+                          onClick={() => handleUpdate(
+                            admin,
+                            { isSuperAdmin: !admin.isSuperAdmin },
+                            `${admin.name} is ${admin.isSuperAdmin ? 'no longer' : 'now'} a super-admin`
+                          )}
+                          className="text-black40 hover:text-black40"
+                        >
+                          {admin.isSuperAdmin ? 'Remove Super-admin' : 'Make Super-admin'}
+                        </button>
+                        <button
+                          onClick={() => setAdminToDelete(admin)}
+                          className="text-red-600 hover:text-red-900"
+                        >
+                          Delete
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              )
+            })}
+          </tbody>
+        </table>
+
+        {admins.length === 0 && (
+          <div className="text-center py-12 text-gray-600">
+            No admin accounts yet. Create one to delegate parts of the admin panel.
+          </div>
+        )}
+      </div>
+
+      <ConfirmDialog
+        isOpen={!!adminToDelete}
+        title="Delete Admin"
+        message={`Delete the admin account of ${adminToDelete?.name}? They will be signed out everywhere.`}
+        confirmText="Delete Admin"
+        cancelText="Keep Admin"
+        onConfirm={handleDelete}
+        onCancel={() => setAdminToDelete(null)}
+        type="danger"
+        isLoading={saving}
+      />
+    </div>
+  )
+}
+
+export default ManageAdminsPage
@@ -91,9 +91,12 @@ const ManageBookingsPage = () => {
   const getStatusColor = (status) => {
     const colors = {
       confirmed: 'bg-green-100 text-green-800',
+      partially_cancelled: 'bg-orange-100 text-orange-800',
       pending: 'bg-accent/20 text-black40',
       cancelled: 'bg-red-100 text-red-800',
-      completed: 'bg-accent/20 text-black40'
+      rescheduled: 'bg-gray-200 text-gray-700',
+      completed: 'bg-accent/20 text-black40',
+      no_show: 'bg-red-100 text-red-800'
     }
     return colors[status] || 'bg-gray-100 text-gray-800'
   }
@@ -152,9 +155,12 @@ const ManageBookingsPage = () => {
           >
             <option value="all">All Status</option>
             <option value="confirmed">Confirmed</option>
+            <option value="partially_cancelled">Partially Cancelled</option>
             <option value="pending">Pending</option>
             <option value="cancelled">Cancelled</option>
+            <option value="rescheduled">Rescheduled</option>
             <option value="completed">Completed</option>
+            <option value="no_show">No-show</option>
           </select>
         </div>
       </div>
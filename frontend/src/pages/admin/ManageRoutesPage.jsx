@@ -5,12 +5,38 @@
 
 import React, { useState, useEffect } from 'react'
 import { motion, AnimatePresence } from 'framer-motion'
+import PropTypes from 'prop-types'
 import { toast } from 'react-hot-toast'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
 import ConfirmDialog from '../../components/common/ConfirmDialog'
 import SearchableSelect from '../../components/common/SearchableSelect'
 import routeService from '../../services/routeService'
 
+// Editable form row for a route stop (numbers kept as strings while typing)
+const toStopForm = (stop) => ({
+  _id: stop._id,
+  name: stop.name || stop,
+  lat: stop.location?.lat ?? '',
+  lng: stop.location?.lng ?? '',
+  distanceFromOrigin: stop.distanceFromOrigin ?? 0,
+  offsetMinutes: stop.offsetMinutes ?? 0,
+  isBoarding: stop.isBoarding !== false,
+  isDropping: stop.isDropping !== false
+})
+
+// Stop payload as the API expects it
+const toStopPayload = (stop) => ({
+  ...(stop._id && { _id: stop._id }),
+  name: stop.name,
+  location: stop.lat !== '' && stop.lng !== ''
+    ? { lat: Number(stop.lat), lng: Number(stop.lng) }
+    : undefined,
+  distanceFromOrigin: Number(stop.distanceFromOrigin) || 0,
+  offsetMinutes: Number(stop.offsetMinutes) || 0,
+  isBoarding: stop.isBoarding,
+  isDropping: stop.isDropping
+})
+
 const ManageRoutesPage = () => {
   const [routes, setRoutes] = useState([])
   const [loading, setLoading] = useState(true)
@@ -24,7 +50,8 @@ const ManageRoutesPage = () => {
     distance: '',
     estimatedDuration: '',
     baseFare: '',
-    stops: []
+    stops: [],
+    segmentFares: []
   })
   const [stopInput, setStopInput] = useState('')
 
@@ -67,19 +94,72 @@ const ManageRoutesPage = () => {
   }
 
   const handleAddStop = () => {
-    if (stopInput.trim() && !formData.stops.includes(stopInput.trim())) {
-      setFormData(prev => ({
-        ...prev,
-        stops: [...prev.stops, stopInput.trim()]
-      }))
+    const name = stopInput.trim()
+    if (name && !formData.stops.some(stop => stop.name === name)) {
+      setFormData(prev => {
+        const lastStop = prev.stops[prev.stops.length - 1]
+        return {
+          ...prev,
+          stops: [...prev.stops, toStopForm({
+            name,
+            distanceFromOrigin: lastStop?.distanceFromOrigin ?? 0,
+            offsetMinutes: lastStop?.offsetMinutes ?? 0
+          })]
+        }
+      })
       setStopInput('')
     }
   }
 
+  const handleStopChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      stops: prev.stops.map((stop, i) => (i === index ? { ...stop, [field]: value } : stop))
+    }))
+  }
+
+  const handleMoveStop = (index, direction) => {
+    setFormData(prev => {
+      const target = index + direction
+      if (target < 0 || target >= prev.stops.length) return prev
+      const stops = [...prev.stops]
+      ;[stops[index], stops[target]] = [stops[target], stops[index]]
+      return { ...prev, stops }
+    })
+  }
+
   const handleRemoveStop = (index) => {
+    setFormData(prev => {
+      const removedId = prev.stops[index]?._id
+      return {
+        ...prev,
+        stops: prev.stops.filter((_, i) => i !== index),
+        segmentFares: prev.segmentFares.filter(entry =>
+          !removedId || (entry.fromStopId !== removedId && entry.toStopId !== removedId)
+        )
+      }
+    })
+  }
+
+  // Fixed fares between two saved stops (other segments are prorated by distance)
+  const handleAddSegmentFare = () => {
+    setFormData(prev => ({
+      ...prev,
+      segmentFares: [...prev.segmentFares, { fromStopId: '', toStopId: '', fare: '' }]
+    }))
+  }
+
+  const handleSegmentFareChange = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      segmentFares: prev.segmentFares.map((entry, i) => (i === index ? { ...entry, [field]: value } : entry))
+    }))
+  }
+
+  const handleRemoveSegmentFare = (index) => {
     setFormData(prev => ({
       ...prev,
-      stops: prev.stops.filter((_, i) => i !== index)
+      segmentFares: prev.segmentFares.filter((_, i) => i !== index)
     }))
   }
 
@@ -90,7 +170,8 @@ const ManageRoutesPage = () => {
       distance: '',
       estimatedDuration: '',
       baseFare: '',
-      stops: []
+      stops: [],
+      segmentFares: []
     })
     setStopInput('')
   }
@@ -129,6 +210,8 @@ const ManageRoutesPage = () => {
       // Ensure numbers are sent as numbers
       const routeData = {
         ...formData,
+        stops: formData.stops.map(toStopPayload),
+        segmentFares: [],
         distance: Number(formData.distance),
         estimatedDuration: Number(formData.estimatedDuration),
         baseFare: Number(formData.baseFare)
@@ -157,7 +240,8 @@ const ManageRoutesPage = () => {
       distance: route.distance,
       estimatedDuration: route.estimatedDuration,
       baseFare: route.baseFare,
-      stops: route.stops || []
+      stops: (route.stops || []).map(toStopForm),
+      segmentFares: route.segmentFares || []
     })
     setShowEditModal(true)
   }
@@ -172,7 +256,13 @@ const ManageRoutesPage = () => {
 
     setLoading(true)
     try {
-      const response = await routeService.updateRoute(selectedRoute._id, formData)
+      const response = await routeService.updateRoute(selectedRoute._id, {
+        ...formData,
+        stops: formData.stops.map(toStopPayload),
+        segmentFares: formData.segmentFares
+          .filter(entry => entry.fromStopId && entry.toStopId && entry.fare)
+          .map(entry => ({ ...entry, fare: Number(entry.fare) }))
+      })
       if (response.success) {
         toast.success('Route updated successfully!')
         fetchRoutes()
@@ -416,7 +506,12 @@ const ManageRoutesPage = () => {
             setStopInput={setStopInput}
             onInputChange={handleInputChange}
             onAddStop={handleAddStop}
+            onStopChange={handleStopChange}
+            onMoveStop={handleMoveStop}
             onRemoveStop={handleRemoveStop}
+            onAddSegmentFare={handleAddSegmentFare}
+            onSegmentFareChange={handleSegmentFareChange}
+            onRemoveSegmentFare={handleRemoveSegmentFare}
             onSubmit={handleCreateRoute}
             onClose={() => {
               setShowAddModal(false)
@@ -438,7 +533,12 @@ const ManageRoutesPage = () => {
             setStopInput={setStopInput}
             onInputChange={handleInputChange}
             onAddStop={handleAddStop}
+            onStopChange={handleStopChange}
+            onMoveStop={handleMoveStop}
             onRemoveStop={handleRemoveStop}
+            onAddSegmentFare={handleAddSegmentFare}
+            onSegmentFareChange={handleSegmentFareChange}
+            onRemoveSegmentFare={handleRemoveSegmentFare}
             onSubmit={handleUpdateRoute}
             onClose={() => {
               setShowEditModal(false)
@@ -478,7 +578,12 @@ const RouteFormModal = ({
   setStopInput,
   onInputChange,
   onAddStop,
+  onStopChange,
+  onMoveStop,
   onRemoveStop,
+  onAddSegmentFare,
+  onSegmentFareChange,
+  onRemoveSegmentFare,
   onSubmit,
   onClose,
   isLoading
@@ -588,6 +693,9 @@ const RouteFormModal = ({
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 Stops (Optional)
               </label>
+              <p className="text-xs text-gray-500 mb-3">
+                List stops in travel order, including the origin and destination terminals. Distance and time are measured from the origin.
+              </p>
               <div className="flex gap-2 mb-3">
                 <input
                   type="text"
@@ -595,7 +703,7 @@ const RouteFormModal = ({
                   onChange={(e) => setStopInput(e.target.value)}
                   onKeyPress={(e) => e.key === 'Enter' && (e.preventDefault(), onAddStop())}
                   className="flex-1 px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
-                  placeholder="Enter stop city name"
+                  placeholder="Enter stop name"
                 />
                 <button
                   type="button"
@@ -605,29 +713,188 @@ const RouteFormModal = ({
                   Add
                 </button>
               </div>
-              
+
               {formData.stops.length > 0 && (
-                <div className="flex flex-wrap gap-2">
+                <div className="space-y-3">
                   {formData.stops.map((stop, index) => (
                     <div
-                      key={index}
-                      className="flex items-center space-x-2 bg-gray-100 px-3 py-2 rounded-lg"
+                      key={stop._id || index}
+                      className="bg-gray-50 border border-gray-200 rounded-lg p-3"
                     >
-                      <span className="text-sm text-gray-700">{stop}</span>
-                      <button
-                        type="button"
-                        onClick={() => onRemoveStop(index)}
-                        className="text-red-500 hover:text-red-700"
-                      >
-                        <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                        </svg>
-                      </button>
+                      <div className="flex items-center gap-2 mb-2">
+                        <span className="text-xs font-semibold text-gray-500 w-6">{index + 1}.</span>
+                        <input
+                          type="text"
+                          value={stop.name}
+                          onChange={(e) => onStopChange(index, 'name', e.target.value)}
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-accent focus:border-transparent"
+                          placeholder="Stop name"
+                          required
+                        />
+                        <button
+                          type="button"
+                          onClick={() => onMoveStop(index, -1)}
+                          disabled={index === 0}
+                          className="px-2 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                          title="Move up"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onMoveStop(index, 1)}
+                          disabled={index === formData.stops.length - 1}
+                          className="px-2 py-1 text-gray-500 hover:text-gray-900 disabled:opacity-30"
+                          title="Move down"
+                        >
+                          ↓
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => onRemoveStop(index)}
+                          className="text-red-500 hover:text-red-700"
+                          title="Remove stop"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      </div>
+                      <div className="grid grid-cols-4 gap-2 mb-2">
+                        <input
+                          type="number"
+                          step="any"
+                          min="-90"
+                          max="90"
+                          value={stop.lat}
+                          onChange={(e) => onStopChange(index, 'lat', e.target.value)}
+                          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-accent focus:border-transparent"
+                          placeholder="Latitude"
+                        />
+                        <input
+                          type="number"
+                          step="any"
+                          min="-180"
+                          max="180"
+                          value={stop.lng}
+                          onChange={(e) => onStopChange(index, 'lng', e.target.value)}
+                          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-accent focus:border-transparent"
+                          placeholder="Longitude"
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          value={stop.distanceFromOrigin}
+                          onChange={(e) => onStopChange(index, 'distanceFromOrigin', e.target.value)}
+                          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-accent focus:border-transparent"
+                          placeholder="Km from origin"
+                          title="Distance from origin (km)"
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          value={stop.offsetMinutes}
+                          onChange={(e) => onStopChange(index, 'offsetMinutes', e.target.value)}
+                          className="px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-accent focus:border-transparent"
+                          placeholder="Min after departure"
+                          title="Minutes after departure"
+                        />
+                      </div>
+                      <div className="flex items-center gap-4 text-sm text-gray-700">
+                        <label className="flex items-center gap-1">
+                          <input
+                            type="checkbox"
+                            checked={stop.isBoarding}
+                            onChange={(e) => onStopChange(index, 'isBoarding', e.target.checked)}
+                          />
+                          Boarding
+                        </label>
+                        <label className="flex items-center gap-1">
+                          <input
+                            type="checkbox"
+                            checked={stop.isDropping}
+                            onChange={(e) => onStopChange(index, 'isDropping', e.target.checked)}
+                          />
+                          Dropping
+                        </label>
+                      </div>
                     </div>
                   ))}
                 </div>
               )}
             </div>
+
+            {/* Segment Fares */}
+            {formData.stops.length > 1 && (
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Segment Fares (Optional)
+                  </label>
+                  {formData.stops.some(stop => stop._id) && (
+                    <button
+                      type="button"
+                      onClick={onAddSegmentFare}
+                      className="text-sm text-blue-600 hover:text-blue-800 font-medium"
+                    >
+                      + Add Fare
+                    </button>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500 mb-3">
+                  {formData.stops.some(stop => stop._id)
+                    ? 'Passengers travelling part of the route pay a share of the base fare by distance, unless a fixed fare is set here.'
+                    : 'Save the route first to set fixed fares between stops. Until then, partial journeys are priced by distance.'}
+                </p>
+
+                {formData.segmentFares.length > 0 && (
+                  <div className="space-y-2">
+                    {formData.segmentFares.map((entry, index) => (
+                      <div key={index} className="flex items-center gap-2">
+                        <select
+                          value={entry.fromStopId}
+                          onChange={(e) => onSegmentFareChange(index, 'fromStopId', e.target.value)}
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-accent focus:border-transparent"
+                        >
+                          <option value="">From stop</option>
+                          {formData.stops.filter(stop => stop._id).map(stop => (
+                            <option key={stop._id} value={stop._id}>{stop.name}</option>
+                          ))}
+                        </select>
+                        <select
+                          value={entry.toStopId}
+                          onChange={(e) => onSegmentFareChange(index, 'toStopId', e.target.value)}
+                          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-accent focus:border-transparent"
+                        >
+                          <option value="">To stop</option>
+                          {formData.stops.filter(stop => stop._id).map(stop => (
+                            <option key={stop._id} value={stop._id}>{stop.name}</option>
+                          ))}
+                        </select>
+                        <input
+                          type="number"
+                          min="1"
+                          value={entry.fare}
+                          onChange={(e) => onSegmentFareChange(index, 'fare', e.target.value)}
+                          className="w-28 px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-accent focus:border-transparent"
+                          placeholder="Fare (₹)"
+                        />
+                        <button
+                          type="button"
+                          onClick={() => onRemoveSegmentFare(index)}
+                          className="text-red-500 hover:text-red-700"
+                          title="Remove fare"
+                        >
+                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                          </svg>
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
           </div>
 
           {/* Form Actions */}
@@ -654,4 +921,47 @@ const RouteFormModal = ({
   )
 }
 
+// Form inputs hold numbers as typed, so they may be strings until submitted
+const numericInput = PropTypes.oneOfType([PropTypes.number, PropTypes.string])
+
+RouteFormModal.propTypes = {
+  title: PropTypes.string.isRequired,
+  formData: PropTypes.shape({
+    sourceCity: PropTypes.string,
+    destinationCity: PropTypes.string,
+    distance: numericInput,
+    estimatedDuration: numericInput,
+    baseFare: numericInput,
+    stops: PropTypes.arrayOf(PropTypes.shape({
+      _id: PropTypes.string,
+      name: PropTypes.string,
+      lat: numericInput,
+      lng: numericInput,
+      distanceFromOrigin: numericInput,
+      offsetMinutes: numericInput,
+      isBoarding: PropTypes.bool,
+      isDropping: PropTypes.bool
+    })).isRequired,
+    segmentFares: PropTypes.arrayOf(PropTypes.shape({
+      fromStopId: PropTypes.string,
+      toStopId: PropTypes.string,
+      fare: numericInput
+    })).isRequired
+  }).isRequired,
+  cities: PropTypes.arrayOf(PropTypes.string).isRequired,
+  stopInput: PropTypes.string.isRequired,
+  setStopInput: PropTypes.func.isRequired,
+  onInputChange: PropTypes.func.isRequired,
+  onAddStop: PropTypes.func.isRequired,
+  onStopChange: PropTypes.func.isRequired,
+  onMoveStop: PropTypes.func.isRequired,
+  onRemoveStop: PropTypes.func.isRequired,
+  onAddSegmentFare: PropTypes.func.isRequired,
+  onSegmentFareChange: PropTypes.func.isRequired,
+  onRemoveSegmentFare: PropTypes.func.isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+  isLoading: PropTypes.bool
+}
+
 export default ManageRoutesPage
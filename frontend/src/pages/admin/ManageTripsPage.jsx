@@ -8,6 +8,7 @@ import { toast } from 'react-hot-toast'
 import { Link } from 'react-router-dom'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
 import ConfirmDialog from '../../components/common/ConfirmDialog'
+import CrewPicker from '../../components/admin/CrewPicker'
 import routeService from '../../services/routeService'
 import busService from '../../services/busService'
 import tripService from '../../services/tripService'
@@ -20,16 +21,16 @@ const ManageTripsPage = () => {
   const [showAddModal, setShowAddModal] = useState(false)
   const [showDeleteDialog, setShowDeleteDialog] = useState(false)
   const [selectedTrip, setSelectedTrip] = useState(null)
+  const [tripToCancel, setTripToCancel] = useState(null)
+  const [crewTrip, setCrewTrip] = useState(null)
+  const [crewSelection, setCrewSelection] = useState({ driver: '', conductor: '' })
   const [formData, setFormData] = useState({
     busId: '',
     routeId: '',
     departureDateTime: '',
     arrivalDateTime: '',
     baseFare: '',
-    driverName: '',
-    driverPhone: '',
-    conductorName: '',
-    conductorPhone: ''
+    crew: { driver: '', conductor: '' }
   })
 
   useEffect(() => {
@@ -82,14 +83,8 @@ const ManageTripsPage = () => {
         departureDateTime: formData.departureDateTime,
         arrivalDateTime: formData.arrivalDateTime,
         baseFare: parseInt(formData.baseFare),
-        driver: {
-          name: formData.driverName,
-          phone: formData.driverPhone
-        },
-        conductor: {
-          name: formData.conductorName,
-          phone: formData.conductorPhone
-        }
+        driver: formData.crew.driver || null,
+        conductor: formData.crew.conductor || null
       }
 
       const response = await tripService.createTrip(tripData)
@@ -104,10 +99,7 @@ const ManageTripsPage = () => {
           departureDateTime: '',
           arrivalDateTime: '',
           baseFare: '',
-          driverName: '',
-          driverPhone: '',
-          conductorName: '',
-          conductorPhone: ''
+          crew: { driver: '', conductor: '' }
         })
       }
     } catch (error) {
@@ -137,16 +129,74 @@ const ManageTripsPage = () => {
   }
 
   const updateTripStatus = async (tripId, newStatus) => {
+    // Cancelling refunds every booking on the trip, so ask first
+    if (newStatus === 'cancelled') {
+      setTripToCancel(trips.find(trip => (trip._id || trip.id) === tripId))
+      return
+    }
+
     setLoading(true)
     try {
-      // In real app: await tripService.updateTrip(tripId, { status: newStatus })
-      await new Promise(resolve => setTimeout(resolve, 500))
-      
+      await tripService.updateTripStatus(tripId, newStatus)
+
       setTrips(prev => prev.map(trip => 
         (trip._id || trip.id) === tripId ? { ...trip, status: newStatus } : trip
       ))
     } catch (error) {
       console.error('Failed to update trip status:', error)
+      toast.error(error.message || 'Failed to update trip status')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCancelTrip = async () => {
+    const tripId = tripToCancel._id || tripToCancel.id
+    setLoading(true)
+    try {
+      const response = await tripService.updateTripStatus(tripId, 'cancelled', 'Trip cancelled by operator')
+      const report = response.data?.report
+
+      setTrips(prev => prev.map(trip => 
+        (trip._id || trip.id) === tripId ? { ...trip, status: 'cancelled' } : trip
+      ))
+      toast.success(response.message || 'Trip cancelled')
+      if (report?.failures?.length > 0) {
+        toast.error(`${report.failures.length} booking(s) could not be refunded. Check the cancellation report.`)
+      }
+      setTripToCancel(null)
+    } catch (error) {
+      toast.error(error.message || 'Failed to cancel trip')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const openCrewEditor = (trip) => {
+    setCrewTrip(trip)
+    setCrewSelection({
+      driver: trip.driver?.staff || '',
+      conductor: trip.conductor?.staff || ''
+    })
+  }
+
+  const handleSaveCrew = async () => {
+    const tripId = crewTrip._id || crewTrip.id
+    setLoading(true)
+    try {
+      const response = await tripService.assignCrew(tripId, {
+        driver: crewSelection.driver || null,
+        conductor: crewSelection.conductor || null
+      })
+      const updated = response.data?.trip
+
+      setTrips(prev => prev.map(trip =>
+        (trip._id || trip.id) === tripId ? { ...trip, driver: updated.driver, conductor: updated.conductor } : trip
+      ))
+      toast.success('Crew updated')
+      setCrewTrip(null)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update crew')
     } finally {
       setLoading(false)
     }
@@ -350,6 +400,14 @@ const ManageTripsPage = () => {
                         <option value="delayed">Delayed</option>
                         <option value="expired" disabled>Expired</option>
                       </select>
+                      {!['arrived', 'cancelled', 'expired'].includes(trip.status) && (
+                        <button
+                          onClick={() => openCrewEditor(trip)}
+                          className="text-black40 hover:text-black40 text-xs"
+                        >
+                          Crew
+                        </button>
+                      )}
                       <button
                         onClick={() => {
                           setSelectedTrip(trip)
@@ -511,72 +569,13 @@ const ManageTripsPage = () => {
 
                 {/* Driver & Conductor Section */}
                 <div className="border-t border-gray-200 pt-4 mt-4">
-                  <h4 className="text-lg font-semibold text-gray-900 mb-4">Crew Details</h4>
-                  <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                    {/* Driver Name */}
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Driver Name
-                      </label>
-                      <input
-                        type="text"
-                        required
-                        value={formData.driverName}
-                        onChange={(e) => setFormData(prev => ({ ...prev, driverName: e.target.value }))}
-                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
-                        placeholder="Enter driver name"
-                      />
-                    </div>
-
-                    {/* Driver Phone */}
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Driver Phone
-                      </label>
-                      <input
-                        type="tel"
-                        required
-                        value={formData.driverPhone}
-                        onChange={(e) => setFormData(prev => ({ ...prev, driverPhone: e.target.value }))}
-                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
-                        placeholder="Enter driver phone"
-                        pattern="[0-9]{10}"
-                        maxLength="10"
-                      />
-                    </div>
-
-                    {/* Conductor Name */}
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Conductor Name
-                      </label>
-                      <input
-                        type="text"
-                        required
-                        value={formData.conductorName}
-                        onChange={(e) => setFormData(prev => ({ ...prev, conductorName: e.target.value }))}
-                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
-                        placeholder="Enter conductor name"
-                      />
-                    </div>
-
-                    {/* Conductor Phone */}
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">
-                        Conductor Phone
-                      </label>
-                      <input
-                        type="tel"
-                        required
-                        value={formData.conductorPhone}
-                        onChange={(e) => setFormData(prev => ({ ...prev, conductorPhone: e.target.value }))}
-                        className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
-                        placeholder="Enter conductor phone"
-                        pattern="[0-9]{10}"
-                        maxLength="10"
-                      />
-                    </div>
-                  </div>
+                  <h4 className="text-lg font-semibold text-gray-900 mb-4">Crew</h4>
+                  <CrewPicker
+                    departureDateTime={formData.departureDateTime}
+                    arrivalDateTime={formData.arrivalDateTime}
+                    value={formData.crew}
+                    onChange={(crew) => setFormData(prev => ({ ...prev, crew }))}
+                  />
                 </div>
 
                 {/* Action Buttons */}
@@ -603,7 +602,55 @@ const ManageTripsPage = () => {
         </motion.div>
       )}
 
+      {/* Crew Modal */}
+      {crewTrip && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl shadow-xl max-w-2xl w-full p-6">
+            <h3 className="text-xl font-bold text-gray-900 mb-1">Trip Crew</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              {crewTrip.route?.sourceCity || 'N/A'} → {crewTrip.route?.destinationCity || 'N/A'} · {formatDateTime(crewTrip.departureDateTime)}
+            </p>
+            <CrewPicker
+              departureDateTime={crewTrip.departureDateTime}
+              arrivalDateTime={crewTrip.arrivalDateTime}
+              tripId={crewTrip._id || crewTrip.id}
+              value={crewSelection}
+              onChange={setCrewSelection}
+            />
+            <div className="flex space-x-3 pt-6">
+              <button
+                type="button"
+                onClick={() => setCrewTrip(null)}
+                className="flex-1 bg-gray-300 text-gray-700 py-3 rounded-lg font-semibold hover:bg-gray-400 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleSaveCrew}
+                disabled={loading}
+                className="flex-1 bg-accent text-gray-900 py-3 rounded-lg font-semibold hover:bg-accent-dark transition-colors disabled:opacity-50"
+              >
+                Save Crew
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Dialog */}
+      <ConfirmDialog
+        isOpen={!!tripToCancel}
+        title="Cancel Trip"
+        message={`Cancel the trip from ${tripToCancel?.route?.sourceCity || tripToCancel?.route?.from || 'N/A'} to ${tripToCancel?.route?.destinationCity || tripToCancel?.route?.to || 'N/A'}? Every booking on it will be cancelled with a full refund and passengers will be notified.`}
+        confirmText={loading ? "Cancelling..." : "Cancel Trip"}
+        cancelText="Keep Trip"
+        onConfirm={handleCancelTrip}
+        onCancel={() => setTripToCancel(null)}
+        type="danger"
+        isLoading={loading}
+      />
+
       <ConfirmDialog
         isOpen={showDeleteDialog}
         title="Delete Trip"
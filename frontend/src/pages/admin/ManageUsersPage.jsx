@@ -86,6 +86,17 @@ const ManageUsersPage = () => {
     }
   }
 
+  const handleRevokeSessions = async (user) => {
+    if (!window.confirm(`Sign ${user.name} out of all devices?`)) return
+
+    try {
+      const response = await adminService.revokeUserSessions(user._id)
+      toast.success(response.message || 'Sessions revoked')
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to revoke sessions')
+    }
+  }
+
   const handleDeleteUser = async () => {
     if (!selectedUser) return
     
@@ -314,6 +325,12 @@ const ManageUsersPage = () => {
                       >
                         {user.isActive ? 'Deactivate' : 'Activate'}
                       </button>
+                      <button
+                        onClick={() => handleRevokeSessions(user)}
+                        className="text-black40 hover:text-black40 text-xs"
+                      >
+                        Revoke Sessions
+                      </button>
                       <button
                         onClick={() => {
                           setSelectedUser(user)
@@ -377,14 +394,13 @@ const ManageUsersPage = () => {
                   >
                     <option value="customer">Customer</option>
                     <option value="staff">Staff</option>
-                    <option value="admin">Admin</option>
                   </select>
                 </div>
 
                 <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
                   <p className="text-sm text-yellow-800">
                     <strong>Warning:</strong> Changing user roles may affect their access permissions. 
-                    Admin roles have full system access.
+                    Admins are created under Admin Accounts with their own permissions.
                   </p>
                 </div>
               </div>
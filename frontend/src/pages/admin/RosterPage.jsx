@@ -0,0 +1,359 @@
+/**
+ * Admin duty roster page - weekly calendar of shifts, leave and crew trips,
+ * leave approvals and weekly shift templates
+ */
+
+import React, { useState, useEffect, useCallback } from 'react'
+import { CalendarDays, ChevronLeft, ChevronRight } from 'lucide-react'
+import { toast } from 'react-hot-toast'
+import rosterService from '../../services/rosterService'
+import LoadingSpinner from '../../components/common/LoadingSpinner'
+import { useAuth } from '../../hooks/useAuth'
+import { PERMISSIONS } from '../../auth/permissions'
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+const DUTY_ROLES = ['driver', 'conductor', 'support']
+
+// Monday 00:00 of the week containing a date
+const getWeekStart = (date) => {
+  const start = new Date(date)
+  start.setHours(0, 0, 0, 0)
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7))
+  return start
+}
+
+const addDays = (date, days) => {
+  const result = new Date(date)
+  result.setDate(result.getDate() + days)
+  return result
+}
+
+const overlapsDay = (start, end, day) => new Date(start) < addDays(day, 1) && new Date(end) > day
+
+const formatTime = (date) => new Date(date).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+
+const RosterPage = () => {
+  const { hasPermission } = useAuth()
+  const [weekStart, setWeekStart] = useState(() => getWeekStart(new Date()))
+  const [schedule, setSchedule] = useState(null)
+  const [pendingLeaves, setPendingLeaves] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [templateStaff, setTemplateStaff] = useState(null)
+  const [templateForm, setTemplateForm] = useState(null)
+
+  const canManageShifts = hasPermission(PERMISSIONS.MANAGE_TRIPS)
+  const canReviewLeave = hasPermission(PERMISSIONS.APPROVE_STAFF)
+  const days = Array.from({ length: 7 }, (_, index) => addDays(weekStart, index))
+
+  const fetchRoster = useCallback(async () => {
+    try {
+      setLoading(true)
+      const [scheduleRes, leavesRes] = await Promise.all([
+        rosterService.getSchedule({ from: weekStart.toISOString(), to: addDays(weekStart, 7).toISOString() }),
+        rosterService.getLeaveRequests({ status: 'pending' })
+      ])
+      setSchedule(scheduleRes.data)
+      setPendingLeaves(leavesRes.data?.leaves || [])
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load the roster')
+    } finally {
+      setLoading(false)
+    }
+  }, [weekStart])
+
+  useEffect(() => {
+    fetchRoster()
+  }, [fetchRoster])
+
+  const handleReviewLeave = async (leave, status) => {
+    try {
+      await rosterService.reviewLeave(leave._id, status)
+      toast.success(`Leave of ${leave.staff?.name} ${status}`)
+      fetchRoster()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to review leave')
+    }
+  }
+
+  const openTemplateEditor = (staff) => {
+    const weeklyShifts = staff.template?.weeklyShifts || []
+    const shiftsByDay = {}
+    weeklyShifts.forEach(shift => {
+      shiftsByDay[shift.dayOfWeek] = { startTime: shift.startTime, endTime: shift.endTime }
+    })
+
+    setTemplateStaff(staff)
+    setTemplateForm({
+      dutyRole: staff.template?.dutyRole || (/conductor/i.test(staff.designation) ? 'conductor' : /driver/i.test(staff.designation) ? 'driver' : 'support'),
+      isActive: staff.template?.isActive ?? true,
+      days: DAY_NAMES.map((_, dayOfWeek) => ({
+        enabled: Boolean(shiftsByDay[dayOfWeek]),
+        startTime: shiftsByDay[dayOfWeek]?.startTime || '06:00',
+        endTime: shiftsByDay[dayOfWeek]?.endTime || '14:00'
+      }))
+    })
+  }
+
+  const updateTemplateDay = (dayOfWeek, changes) => {
+    setTemplateForm(prev => ({
+      ...prev,
+      days: prev.days.map((day, index) => (index === dayOfWeek ? { ...day, ...changes } : day))
+    }))
+  }
+
+  const handleSaveTemplate = async () => {
+    try {
+      setSaving(true)
+      await rosterService.saveShiftTemplate(templateStaff._id, {
+        dutyRole: templateForm.dutyRole,
+        isActive: templateForm.isActive,
+        weeklyShifts: templateForm.days
+          .map((day, dayOfWeek) => ({ ...day, dayOfWeek }))
+          .filter(day => day.enabled)
+          .map(day => ({ dayOfWeek: day.dayOfWeek, startTime: day.startTime, endTime: day.endTime }))
+      })
+      toast.success(`Shifts of ${templateStaff.name} saved`)
+      setTemplateStaff(null)
+      fetchRoster()
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to save shifts')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const getCellItems = (staffId, day) => ({
+    shifts: (schedule?.shifts || []).filter(shift => shift.staff === staffId && overlapsDay(shift.start, shift.end, day)),
+    leaves: (schedule?.leaves || []).filter(leave => leave.staff === staffId && overlapsDay(leave.startDate, leave.endDate, day)),
+    trips: (schedule?.trips || []).filter(trip =>
+      (trip.driver?.staff === staffId || trip.conductor?.staff === staffId) &&
+      overlapsDay(trip.departureDateTime, trip.arrivalDateTime, day)
+    )
+  })
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center gap-2">
+            <CalendarDays className="w-7 h-7 text-accent" />
+            Duty Roster
+          </h1>
+          <p className="text-gray-600 mt-1">Shifts, leave and trip crews for the week</p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setWeekStart(addDays(weekStart, -7))}
+            className="p-2 rounded-lg bg-white shadow hover:bg-gray-50"
+            aria-label="Previous week"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <button
+            onClick={() => setWeekStart(getWeekStart(new Date()))}
+            className="px-4 py-2 rounded-lg bg-white shadow hover:bg-gray-50 text-sm font-medium"
+          >
+            This Week
+          </button>
+          <button
+            onClick={() => setWeekStart(addDays(weekStart, 7))}
+            className="p-2 rounded-lg bg-white shadow hover:bg-gray-50"
+            aria-label="Next week"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+
+      {/* Pending Leave */}
+      {pendingLeaves.length > 0 && (
+        <div className="bg-white rounded-xl shadow-lg p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Leave Requests ({pendingLeaves.length})</h2>
+          <div className="space-y-3">
+            {pendingLeaves.map(leave => (
+              <div key={leave._id} className="flex flex-wrap items-center justify-between gap-3 border border-gray-200 rounded-lg p-3">
+                <div>
+                  <p className="font-semibold text-gray-900">
+                    {leave.staff?.name} <span className="text-sm text-gray-500">({leave.staff?.employeeId})</span>
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    <span className="capitalize">{leave.leaveType}</span> leave, {new Date(leave.startDate).toLocaleDateString()} – {new Date(new Date(leave.endDate) - 1).toLocaleDateString()}
+                  </p>
+                  {leave.reason && <p className="text-xs text-gray-500">{leave.reason}</p>}
+                </div>
+                {canReviewLeave && (
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => handleReviewLeave(leave, 'approved')}
+                      className="px-3 py-1 rounded-lg bg-green-100 text-green-800 text-sm font-semibold hover:bg-green-200"
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => handleReviewLeave(leave, 'rejected')}
+                      className="px-3 py-1 rounded-lg bg-red-100 text-red-800 text-sm font-semibold hover:bg-red-200"
+                    >
+                      Reject
+                    </button>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Weekly Calendar */}
+      <div className="bg-white rounded-xl shadow-lg overflow-x-auto">
+        {loading ? (
+          <div className="flex items-center justify-center py-20">
+            <LoadingSpinner size="lg" variant="primary" />
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200 text-xs">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-3 text-left font-medium text-gray-500 uppercase tracking-wider">Staff</th>
+                {days.map(day => (
+                  <th key={day.toISOString()} className="px-2 py-3 text-left font-medium text-gray-500 uppercase tracking-wider">
+                    {DAY_NAMES[day.getDay()]} {day.getDate()}/{day.getMonth() + 1}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {(schedule?.staff || []).map(staff => (
+                <tr key={staff._id} className="align-top">
+                  <td className="px-4 py-3 whitespace-nowrap">
+                    <p className="font-semibold text-gray-900 text-sm">{staff.name}</p>
+                    <p className="text-gray-500">{staff.employeeId} · <span className="capitalize">{staff.template?.dutyRole || staff.designation}</span></p>
+                    {canManageShifts && (
+                      <button onClick={() => openTemplateEditor(staff)} className="text-black40 font-semibold hover:underline mt-1">
+                        {staff.template ? 'Edit shifts' : 'Set shifts'}
+                      </button>
+                    )}
+                  </td>
+                  {days.map(day => {
+                    const { shifts, leaves, trips } = getCellItems(staff._id, day)
+                    return (
+                      <td key={day.toISOString()} className="px-2 py-3 space-y-1 min-w-[110px]">
+                        {leaves.map(leave => (
+                          <div
+                            key={leave._id}
+                            className={`rounded px-2 py-1 font-semibold ${
+                              leave.status === 'approved' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                            }`}
+                          >
+                            {leave.status === 'approved' ? 'On leave' : 'Leave requested'}
+                          </div>
+                        ))}
+                        {shifts.map(shift => (
+                          <div key={shift.start} className="rounded px-2 py-1 bg-gray-100 text-gray-700">
+                            {formatTime(shift.start)}–{formatTime(shift.end)}
+                          </div>
+                        ))}
+                        {trips.map(trip => (
+                          <div key={trip._id} className="rounded px-2 py-1 bg-accent/20 text-gray-900">
+                            <span className="font-semibold">{trip.driver?.staff === staff._id ? 'D' : 'C'}</span>{' '}
+                            {trip.route?.sourceCity} → {trip.route?.destinationCity}
+                            <div className="text-gray-600">{formatTime(trip.departureDateTime)} · {trip.bus?.busNumber}</div>
+                          </div>
+                        ))}
+                      </td>
+                    )
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {!loading && schedule?.staff?.length === 0 && (
+          <div className="text-center py-12 text-gray-600">No active staff to roster.</div>
+        )}
+      </div>
+
+      {/* Shift Template Modal */}
+      {templateStaff && templateForm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-xl shadow-xl max-w-lg w-full p-6 space-y-4">
+            <h3 className="text-xl font-bold text-gray-900">Weekly Shifts – {templateStaff.name}</h3>
+
+            <div className="flex items-center gap-4">
+              <label className="text-sm font-medium text-gray-700">Duty role</label>
+              <select
+                value={templateForm.dutyRole}
+                onChange={(e) => setTemplateForm(prev => ({ ...prev, dutyRole: e.target.value }))}
+                className="px-3 py-2 border border-gray-300 rounded-lg capitalize"
+              >
+                {DUTY_ROLES.map(role => (
+                  <option key={role} value={role}>{role}</option>
+                ))}
+              </select>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={templateForm.isActive}
+                  onChange={(e) => setTemplateForm(prev => ({ ...prev, isActive: e.target.checked }))}
+                />
+                Active
+              </label>
+            </div>
+
+            <div className="space-y-2">
+              {templateForm.days.map((day, dayOfWeek) => (
+                <div key={DAY_NAMES[dayOfWeek]} className="flex items-center gap-3 text-sm">
+                  <label className="flex items-center gap-2 w-20">
+                    <input
+                      type="checkbox"
+                      checked={day.enabled}
+                      onChange={(e) => updateTemplateDay(dayOfWeek, { enabled: e.target.checked })}
+                    />
+                    {DAY_NAMES[dayOfWeek]}
+                  </label>
+                  <input
+                    type="time"
+                    value={day.startTime}
+                    disabled={!day.enabled}
+                    onChange={(e) => updateTemplateDay(dayOfWeek, { startTime: e.target.value })}
+                    className="px-2 py-1 border border-gray-300 rounded disabled:opacity-50"
+                  />
+                  <span>to</span>
+                  <input
+                    type="time"
+                    value={day.endTime}
+                    disabled={!day.enabled}
+                    onChange={(e) => updateTemplateDay(dayOfWeek, { endTime: e.target.value })}
+                    className="px-2 py-1 border border-gray-300 rounded disabled:opacity-50"
+                  />
+                </div>
+              ))}
+              <p className="text-xs text-gray-500">A shift that ends before it starts runs past midnight.</p>
+            </div>
+
+            <div className="flex space-x-3 pt-2">
+              <button
+                type="button"
+                onClick={() => setTemplateStaff(null)}
+                className="flex-1 bg-gray-300 text-gray-700 py-2 rounded-lg font-semibold hover:bg-gray-400 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleSaveTemplate}
+                disabled={saving}
+                className="flex-1 bg-accent text-gray-900 py-2 rounded-lg font-semibold hover:bg-accent-dark transition-colors disabled:opacity-50"
+              >
+                {saving ? 'Saving...' : 'Save Shifts'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default RosterPage
@@ -26,7 +26,24 @@ const LocationUpdatePage = () => {
   const fetchAssignedTrip = async () => {
     setLoading(true)
     try {
-      // First, get staff details to find assigned bus
+      const now = new Date()
+      const isRunningNow = (trip) => (
+        new Date(trip.departureDateTime) <= now &&
+        new Date(trip.arrivalDateTime) >= now &&
+        trip.isActive
+      )
+
+      // Trips the staff member is rostered on take priority
+      const rosterResponse = await staffService.getMyTrips()
+      const rosteredTrip = rosterResponse?.data?.trips?.find(isRunningNow)
+
+      if (rosteredTrip) {
+        setAssignedTrip(rosteredTrip)
+        fetchTripDetails(rosteredTrip._id)
+        return
+      }
+
+      // Otherwise fall back to the trip running on the assigned bus
       const staffResponse = await staffService.getMyProfile()
 
       if (staffResponse?.success && staffResponse.data?.staff?.assignedBus) {
@@ -36,17 +53,9 @@ const LocationUpdatePage = () => {
         const tripsResponse = await tripService.getAllTrips()
 
         if (tripsResponse?.success && tripsResponse.data?.trips) {
-          const now = new Date()
-          const activeTrip = tripsResponse.data.trips.find(trip => {
-            const departure = new Date(trip.departureDateTime)
-            const arrival = new Date(trip.arrivalDateTime)
-            return (
-              (trip.bus?._id === busId || trip.bus?.id === busId) &&
-              departure <= now &&
-              arrival >= now &&
-              trip.isActive
-            )
-          })
+          const activeTrip = tripsResponse.data.trips.find(trip => (
+            (trip.bus?._id === busId || trip.bus?.id === busId) && isRunningNow(trip)
+          ))
 
           if (activeTrip) {
             setAssignedTrip(activeTrip)
@@ -1,200 +1,227 @@
 /**
- * Staff My Trips page - Shows assigned trips for drivers/conductors
+ * Staff My Trips page - Shows the trips the driver/conductor is rostered on
  */
 
-import React, { useState } from 'react'
+import React, { useState, useEffect } from 'react'
+import { useNavigate } from 'react-router-dom'
 import { motion } from 'framer-motion'
+import { toast } from 'react-hot-toast'
 import { useAuth } from '../../hooks/useAuth'
+import staffService from '../../services/staffService'
+import LoadingSpinner from '../../components/common/LoadingSpinner'
+
+const ONGOING_STATUSES = ['boarding', 'departed', 'delayed']
+const FINISHED_STATUSES = ['arrived', 'cancelled', 'expired']
+
+const STATUS_LABELS = {
+  scheduled: 'Scheduled',
+  boarding: 'Boarding',
+  departed: 'In Progress',
+  delayed: 'Delayed',
+  arrived: 'Completed',
+  cancelled: 'Cancelled',
+  expired: 'Expired'
+}
+
+// Sort a trip into the upcoming, ongoing or completed tab
+const getTripTab = (trip) => {
+  if (FINISHED_STATUSES.includes(trip.status)) return 'completed'
+  if (ONGOING_STATUSES.includes(trip.status)) return 'ongoing'
+  return new Date(trip.departureDateTime) <= new Date() ? 'ongoing' : 'upcoming'
+}
+
+// Share of the scheduled journey time that has passed
+const getTripProgress = (trip) => {
+  const start = new Date(trip.departureDateTime).getTime()
+  const end = new Date(trip.arrivalDateTime).getTime()
+  const progress = ((Date.now() - start) / (end - start)) * 100
+  return Math.round(Math.min(100, Math.max(0, progress)))
+}
 
 const MyTripsPage = () => {
   const { user } = useAuth()
+  const navigate = useNavigate()
   const [selectedTab, setSelectedTab] = useState('upcoming') // upcoming, ongoing, completed
+  const [trips, setTrips] = useState({ upcoming: [], ongoing: [], completed: [] })
+  const [loading, setLoading] = useState(true)
+
+  useEffect(() => {
+    fetchMyTrips()
+  }, [])
+
+  const fetchMyTrips = async () => {
+    try {
+      setLoading(true)
+      const response = await staffService.getMyTrips()
+      const rosteredTrips = response.data?.trips || []
+      const grouped = { upcoming: [], ongoing: [], completed: [] }
 
-  const trips = {
-    upcoming: [
-      {
-        id: 'TR001',
-        route: 'Mumbai → Pune',
-        date: '2025-10-12',
-        time: '10:00 AM',
-        busNumber: 'MH-12-AB-1234',
-        seats: 45,
-        status: 'Scheduled'
-      },
-      {
-        id: 'TR002',
-        route: 'Delhi → Jaipur',
-        date: '2025-10-13',
-        time: '02:00 PM',
-        busNumber: 'DL-01-XY-5678',
-        seats: 38,
-        status: 'Scheduled'
-      }
-    ],
-    ongoing: [
-      {
-        id: 'TR003',
-        route: 'Bangalore → Chennai',
-        date: '2025-10-11',
-        time: '08:00 AM',
-        busNumber: 'KA-05-MN-9012',
-        seats: 52,
-        status: 'In Progress',
-        progress: 60
-      }
-    ],
-    completed: [
-      {
-        id: 'TR004',
-        route: 'Kolkata → Delhi',
-        date: '2025-10-10',
-        time: '06:00 AM',
-        busNumber: 'WB-03-CD-3456',
-        seats: 48,
-        status: 'Completed'
-      }
-    ]
+      rosteredTrips.forEach(trip => {
+        grouped[getTripTab(trip)].push(trip)
+      })
+      // Most recent first for finished trips
+      grouped.completed.reverse()
+
+      setTrips(grouped)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load your trips')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const getCrewRole = (trip) => {
+    const staffId = user?.id || user?._id
+    if (trip.driver?.staff === staffId) return 'Driver'
+    if (trip.conductor?.staff === staffId) return 'Conductor'
+    return 'Crew'
   }
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'Scheduled':
+      case 'scheduled':
         return 'bg-accent/20 text-black40'
-      case 'In Progress':
+      case 'boarding':
+      case 'departed':
         return 'bg-green-100 text-green-800'
-      case 'Completed':
-        return 'bg-gray-100 text-gray-800'
+      case 'delayed':
+        return 'bg-yellow-100 text-yellow-800'
+      case 'cancelled':
+        return 'bg-red-100 text-red-800'
       default:
         return 'bg-gray-100 text-gray-800'
     }
   }
 
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center py-20">
+        <LoadingSpinner size="lg" variant="primary" />
+      </div>
+    )
+  }
+
   return (
     <div>
       <div className="mb-6">
         <h2 className="text-2xl font-bold text-gray-900 mb-2">My Trips</h2>
-        <p className="text-gray-600">Manage your assigned trips and schedules</p>
+        <p className="text-gray-600">Trips you are rostered on as driver or conductor</p>
       </div>
 
       {/* Tabs */}
       <div className="bg-white rounded-lg shadow mb-6 hover:shadow-xl transition-all duration-300 hover:-translate-y-1">
         <div className="flex border-b">
-          <button
-            onClick={() => setSelectedTab('upcoming')}
-            className={`flex-1 py-4 px-6 text-center font-medium transition-colors ${
-              selectedTab === 'upcoming'
-                ? 'border-b-2 border-accent text-black40'
-                : 'text-gray-500 hover:text-gray-700'
-            }`}
-          >
-            Upcoming ({trips.upcoming.length})
-          </button>
-          <button
-            onClick={() => setSelectedTab('ongoing')}
-            className={`flex-1 py-4 px-6 text-center font-medium transition-colors ${
-              selectedTab === 'ongoing'
-                ? 'border-b-2 border-accent text-black40'
-                : 'text-gray-500 hover:text-gray-700'
-            }`}
-          >
-            Ongoing ({trips.ongoing.length})
-          </button>
-          <button
-            onClick={() => setSelectedTab('completed')}
-            className={`flex-1 py-4 px-6 text-center font-medium transition-colors ${
-              selectedTab === 'completed'
-                ? 'border-b-2 border-accent text-black40'
-                : 'text-gray-500 hover:text-gray-700'
-            }`}
-          >
-            Completed ({trips.completed.length})
-          </button>
+          {['upcoming', 'ongoing', 'completed'].map(tab => (
+            <button
+              key={tab}
+              onClick={() => setSelectedTab(tab)}
+              className={`flex-1 py-4 px-6 text-center font-medium capitalize transition-colors ${
+                selectedTab === tab
+                  ? 'border-b-2 border-accent text-black40'
+                  : 'text-gray-500 hover:text-gray-700'
+              }`}
+            >
+              {tab} ({trips[tab].length})
+            </button>
+          ))}
         </div>
       </div>
 
       {/* Trip Cards */}
       <div className="space-y-4">
-        {trips[selectedTab].map((trip, index) => (
-          <motion.div
-            key={trip.id}
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            transition={{ delay: index * 0.1 }}
-            className="bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition-shadow hover:shadow-xl transition-all duration-300 hover:-translate-y-1"
-          >
-            <div className="flex justify-between items-start mb-4">
-              <div>
-                <h3 className="text-xl font-bold text-gray-900">{trip.route}</h3>
-                <p className="text-sm text-gray-500">Trip ID: {trip.id}</p>
-              </div>
-              <span className={`px-3 py-1 rounded-full text-sm font-semibold ${getStatusColor(trip.status)}`}>
-                {trip.status}
-              </span>
-            </div>
-
-            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
-              <div>
-                <p className="text-sm text-gray-500">Date</p>
-                <p className="font-semibold">{new Date(trip.date).toLocaleDateString()}</p>
-              </div>
-              <div>
-                <p className="text-sm text-gray-500">Time</p>
-                <p className="font-semibold">{trip.time}</p>
-              </div>
-              <div>
-                <p className="text-sm text-gray-500">Bus Number</p>
-                <p className="font-semibold">{trip.busNumber}</p>
-              </div>
-              <div>
-                <p className="text-sm text-gray-500">Seats Booked</p>
-                <p className="font-semibold">{trip.seats}/60</p>
+        {trips[selectedTab].map((trip, index) => {
+          const departure = new Date(trip.departureDateTime)
+          const arrival = new Date(trip.arrivalDateTime)
+          const seatsBooked = (trip.bus?.totalSeats || 0) - (trip.availableSeats || 0)
+
+          return (
+            <motion.div
+              key={trip._id}
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ delay: index * 0.1 }}
+              className="bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition-all duration-300 hover:-translate-y-1"
+            >
+              <div className="flex justify-between items-start mb-4">
+                <div>
+                  <h3 className="text-xl font-bold text-gray-900">
+                    {trip.route ? `${trip.route.sourceCity} → ${trip.route.destinationCity}` : 'Route unavailable'}
+                  </h3>
+                  <p className="text-sm text-gray-500">
+                    {getCrewRole(trip)} · Trip ID: {trip._id.slice(-6).toUpperCase()}
+                  </p>
+                </div>
+                <span className={`px-3 py-1 rounded-full text-sm font-semibold ${getStatusColor(trip.status)}`}>
+                  {STATUS_LABELS[trip.status] || trip.status}
+                </span>
               </div>
-            </div>
 
-            {trip.progress && (
-              <div className="mb-4">
-                <div className="flex justify-between text-sm text-gray-600 mb-1">
-                  <span>Trip Progress</span>
-                  <span>{trip.progress}%</span>
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                <div>
+                  <p className="text-sm text-gray-500">Departure</p>
+                  <p className="font-semibold">
+                    {departure.toLocaleDateString()} {departure.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Arrival</p>
+                  <p className="font-semibold">
+                    {arrival.toLocaleDateString()} {arrival.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  </p>
                 </div>
-                <div className="w-full bg-gray-200 rounded-full h-2">
-                  <div
-                    className="bg-gradient-to-r from-success-light to-success shadow-lg hover:shadow-xl hover:scale-105 transition-all duration-300 h-2 rounded-full transition-all"
-                    style={{ width: `${trip.progress}%` }}
-                  />
+                <div>
+                  <p className="text-sm text-gray-500">Bus Number</p>
+                  <p className="font-semibold">{trip.bus?.busNumber || 'N/A'}</p>
+                </div>
+                <div>
+                  <p className="text-sm text-gray-500">Seats Booked</p>
+                  <p className="font-semibold">{seatsBooked}/{trip.bus?.totalSeats || 0}</p>
                 </div>
               </div>
-            )}
 
-            <div className="flex gap-3">
-              {selectedTab === 'upcoming' && (
-                <>
-                  <button className="flex-1 bg-accent text-gray-900 py-2 rounded-lg font-semibold hover:bg-gradient-to-r hover:from-accent hover:to-accent-dark hover:shadow-xl hover:scale-105 transition-all duration-300 transition-colors">
-                    View Details
-                  </button>
-                  <button className="flex-1 bg-gray-200 text-gray-700 py-2 rounded-lg font-semibold hover:bg-gray-300 transition-colors">
-                    Check Route
-                  </button>
-                </>
+              {selectedTab === 'ongoing' && (
+                <div className="mb-4">
+                  <div className="flex justify-between text-sm text-gray-600 mb-1">
+                    <span>Trip Progress</span>
+                    <span>{getTripProgress(trip)}%</span>
+                  </div>
+                  <div className="w-full bg-gray-200 rounded-full h-2">
+                    <div
+                      className="bg-gradient-to-r from-success-light to-success h-2 rounded-full transition-all"
+                      style={{ width: `${getTripProgress(trip)}%` }}
+                    />
+                  </div>
+                </div>
               )}
+
               {selectedTab === 'ongoing' && (
-                <>
-                  <button className="flex-1 bg-gradient-to-r from-success to-success-dark shadow-lg hover:shadow-xl hover:scale-105 transition-all duration-300 text-white py-2 rounded-lg font-semibold hover:bg-green-700 transition-colors">
-                    Update Status
+                <div className="flex gap-3">
+                  <button
+                    onClick={() => navigate('/staff/location-update')}
+                    className="flex-1 bg-gradient-to-r from-success to-success-dark shadow-lg hover:shadow-xl hover:scale-105 transition-all duration-300 text-white py-2 rounded-lg font-semibold"
+                  >
+                    Share Location
                   </button>
-                  <button className="flex-1 bg-black40 text-white py-2 rounded-lg font-semibold hover:bg-black40/90 transition-colors">
+                  <button
+                    onClick={() => navigate(`/staff/passengers?tripId=${trip._id}`)}
+                    className="flex-1 bg-black40 text-white py-2 rounded-lg font-semibold hover:bg-black40/90 transition-colors"
+                  >
                     View Passengers
                   </button>
-                </>
+                </div>
               )}
-              {selectedTab === 'completed' && (
-                <button className="w-full bg-gray-200 text-gray-700 py-2 rounded-lg font-semibold hover:bg-gray-300 transition-colors">
-                  View Summary
+
+              {selectedTab === 'upcoming' && (
+                <button
+                  onClick={() => navigate(`/staff/passengers?tripId=${trip._id}`)}
+                  className="w-full bg-black40 text-white py-2 rounded-lg font-semibold hover:bg-black40/90 transition-colors"
+                >
+                  Start Boarding
                 </button>
               )}
-            </div>
-          </motion.div>
-        ))}
+            </motion.div>
+          )
+        })}
       </div>
 
       {trips[selectedTab].length === 0 && (
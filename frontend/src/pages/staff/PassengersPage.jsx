@@ -1,46 +1,259 @@
 /**
- * Staff Passengers page - View and manage passengers for current trip
+ * Staff Passengers page - Live boarding manifest for a rostered trip
+ * Boarding passes are scanned (camera, handheld scanner or typed code) and checked
+ * against the ticket public key, so boarding keeps working offline; offline scans are
+ * queued and sent when the connection is back.
  */
 
-import React, { useState } from 'react'
+import React, { useState, useEffect, useCallback } from 'react'
+import { useSearchParams } from 'react-router-dom'
 import { motion } from 'framer-motion'
+import { toast } from 'react-hot-toast'
+import { useSocket } from '../../hooks/useSocket'
+import staffService from '../../services/staffService'
+import boardingService from '../../services/boardingService'
+import { loadTicketPublicKey, verifyTicketCode } from '../../utils/ticketVerifier'
+import { getQueuedScans, enqueueScan, removeScan } from '../../utils/boardingQueue'
+import TicketScanner from '../../components/staff/TicketScanner'
+import LoadingSpinner from '../../components/common/LoadingSpinner'
+
+const FINISHED_STATUSES = ['arrived', 'cancelled', 'expired']
+
+const BOARDING_LABELS = {
+  pending: 'Pending',
+  boarded: 'Boarded',
+  no_show: 'No-show'
+}
+
+const BOARDING_COLORS = {
+  pending: 'bg-accent text-gray-900',
+  boarded: 'bg-green-100 text-green-800',
+  no_show: 'bg-red-100 text-red-800'
+}
+
+const countPassengers = (passengers) => ({
+  total: passengers.length,
+  boarded: passengers.filter(p => p.boardingStatus === 'boarded').length,
+  pending: passengers.filter(p => p.boardingStatus === 'pending').length,
+  noShow: passengers.filter(p => p.boardingStatus === 'no_show').length
+})
+
+// A request that never reached the server (as opposed to one the server refused)
+const isNetworkError = (error) => !error.response
 
 const PassengersPage = () => {
+  const { socket } = useSocket()
+  const [searchParams, setSearchParams] = useSearchParams()
+  const [trips, setTrips] = useState([])
+  const [manifest, setManifest] = useState(null)
+  const [loading, setLoading] = useState(true)
   const [searchTerm, setSearchTerm] = useState('')
+  const [ticketCode, setTicketCode] = useState('')
+  const [showCamera, setShowCamera] = useState(false)
+  const [keyReady, setKeyReady] = useState(false)
+  const [queuedCount, setQueuedCount] = useState(0)
+  const [lastScan, setLastScan] = useState(null)
+
+  const tripId = searchParams.get('tripId') || ''
+  const passengers = manifest?.passengers || []
+  const counts = countPassengers(passengers)
+
+  useEffect(() => {
+    const fetchTrips = async () => {
+      try {
+        const from = new Date(Date.now() - 24 * 60 * 60 * 1000)
+        const response = await staffService.getMyTrips({ from: from.toISOString() })
+        const openTrips = (response.data?.trips || []).filter(trip => !FINISHED_STATUSES.includes(trip.status))
+        setTrips(openTrips)
+
+        if (openTrips.length === 0) {
+          setLoading(false)
+        }
+      } catch (error) {
+        toast.error(error.response?.data?.message || 'Failed to load your trips')
+        setLoading(false)
+      }
+    }
+
+    loadTicketPublicKey().then(setKeyReady)
+    fetchTrips()
+  }, [])
+
+  // Open the first rostered trip when none is selected
+  useEffect(() => {
+    if (!tripId && trips.length > 0) {
+      setSearchParams({ tripId: trips[0]._id })
+    }
+  }, [tripId, trips, setSearchParams])
+
+  const fetchManifest = useCallback(async () => {
+    if (!tripId) return
+
+    try {
+      setLoading(true)
+      const response = await boardingService.getManifest(tripId)
+      setManifest(response.data)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to load passengers')
+    } finally {
+      setLoading(false)
+    }
+  }, [tripId])
+
+  // Apply a boarding change from a scan, a manual update or another crew member's device
+  const applyPassengerUpdate = useCallback((update) => {
+    setManifest(current => current && {
+      ...current,
+      passengers: current.passengers.map(passenger =>
+        passenger.pnrNumber === update.pnrNumber && passenger.seatNumber === update.seatNumber
+          ? { ...passenger, ...update }
+          : passenger
+      )
+    })
+  }, [])
+
+  // Send scans queued while offline; stops at the first one that cannot reach the server
+  const syncQueuedScans = useCallback(async () => {
+    if (!tripId) return
+
+    for (const scan of getQueuedScans(tripId)) {
+      try {
+        const response = await boardingService.scanTicket(tripId, scan.code, scan.status)
+        applyPassengerUpdate(response.data.passenger)
+      } catch (error) {
+        if (isNetworkError(error)) break
+        toast.error(error.response?.data?.message || 'A queued scan was rejected')
+      }
+      removeScan(tripId, scan)
+    }
+
+    setQueuedCount(getQueuedScans(tripId).length)
+  }, [tripId, applyPassengerUpdate])
+
+  useEffect(() => {
+    fetchManifest().then(syncQueuedScans)
+    setQueuedCount(getQueuedScans(tripId).length)
+  }, [fetchManifest, syncQueuedScans, tripId])
+
+  useEffect(() => {
+    window.addEventListener('online', syncQueuedScans)
+    return () => window.removeEventListener('online', syncQueuedScans)
+  }, [syncQueuedScans])
+
+  // Live updates: boarding changes from other devices and the trip arriving
+  useEffect(() => {
+    if (!socket || !tripId) return undefined
+
+    const handleBoardingUpdate = (data) => applyPassengerUpdate(data.passenger)
+
+    socket.emit('join_manifest', tripId)
+    socket.emit('join_trip', tripId)
+    socket.on('boarding-updated', handleBoardingUpdate)
+    socket.on('trip-status-changed', fetchManifest)
+
+    return () => {
+      socket.emit('leave_manifest', tripId)
+      socket.emit('leave_trip', tripId)
+      socket.off('boarding-updated', handleBoardingUpdate)
+      socket.off('trip-status-changed', fetchManifest)
+    }
+  }, [socket, tripId, applyPassengerUpdate, fetchManifest])
+
+  const handleScan = async (code, status = 'boarded') => {
+    const trimmed = code.trim()
+    if (!trimmed || !tripId) return
+
+    // Signature check first - works without a connection
+    const ticket = await verifyTicketCode(trimmed)
+    if (keyReady && !ticket) {
+      setLastScan({ ok: false, message: 'Invalid ticket - not issued by easyLuxury Go' })
+      toast.error('Invalid ticket')
+      return
+    }
+    if (ticket && ticket.tripId !== tripId) {
+      setLastScan({ ok: false, message: `${ticket.pnrNumber} is for another trip` })
+      toast.error('Ticket is for another trip')
+      return
+    }
 
-  const passengers = [
-    { id: 1, name: 'Raj Sharma', seat: 'U1-1', phone: '9876543210', status: 'Boarded', ticket: 'TK001' },
-    { id: 2, name: 'Priya Patel', seat: 'L1-2', phone: '9876543211', status: 'Boarded', ticket: 'TK002' },
-    { id: 3, name: 'Amit Kumar', seat: 'U2-1', phone: '9876543212', status: 'Pending', ticket: 'TK003' },
-    { id: 4, name: 'Sneha Reddy', seat: 'L2-2', phone: '9876543213', status: 'Boarded', ticket: 'TK004' },
-    { id: 5, name: 'Vikram Singh', seat: 'U3-1', phone: '9876543214', status: 'Pending', ticket: 'TK005' },
-    { id: 6, name: 'Anjali Mehta', seat: 'L3-2', phone: '9876543215', status: 'Boarded', ticket: 'TK006' },
-  ]
+    try {
+      const response = await boardingService.scanTicket(tripId, trimmed, status)
+      const passenger = response.data.passenger
+      applyPassengerUpdate(passenger)
+      setLastScan({ ok: true, message: response.message })
+      toast.success(response.message)
+    } catch (error) {
+      if (isNetworkError(error) && ticket) {
+        setQueuedCount(enqueueScan(tripId, { code: trimmed, status, scannedAt: new Date().toISOString() }))
+        applyPassengerUpdate({ pnrNumber: ticket.pnrNumber, seatNumber: ticket.seatNumber, boardingStatus: status })
+        setLastScan({ ok: true, message: `Seat ${ticket.seatNumber} (${ticket.pnrNumber}) verified offline - will sync` })
+        toast.success('Verified offline')
+        return
+      }
+
+      const message = error.response?.data?.message || 'Scan failed'
+      setLastScan({ ok: false, message })
+      toast.error(message)
+    }
+  }
+
+  const handleCodeSubmit = (e) => {
+    e.preventDefault()
+    handleScan(ticketCode)
+    setTicketCode('')
+  }
+
+  const handleStatusChange = async (passenger, status) => {
+    try {
+      const response = await boardingService.updateBoardingStatus(tripId, {
+        bookingId: passenger.bookingId,
+        seatNumber: passenger.seatNumber,
+        status
+      })
+      applyPassengerUpdate(response.data.passenger)
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Failed to update boarding status')
+    }
+  }
 
   const filteredPassengers = passengers.filter(
     (p) =>
-      p.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      p.seat.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      p.ticket.toLowerCase().includes(searchTerm.toLowerCase())
+      p.passengerName.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      p.seatNumber.toLowerCase().includes(searchTerm.toLowerCase()) ||
+      p.pnrNumber.toLowerCase().includes(searchTerm.toLowerCase())
   )
 
-  const boardedCount = passengers.filter((p) => p.status === 'Boarded').length
-  const pendingCount = passengers.filter((p) => p.status === 'Pending').length
+  const boardingClosed = FINISHED_STATUSES.includes(manifest?.trip?.status)
 
   return (
     <div>
-      <div className="mb-6">
-        <h2 className="text-2xl font-bold text-gray-900 mb-2">Passenger Management</h2>
-        <p className="text-gray-600">View and manage passengers for your current trip</p>
+      <div className="mb-6 flex flex-wrap items-end justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Boarding Manifest</h2>
+          <p className="text-gray-600">Scan boarding passes and track who is on board</p>
+        </div>
+        <select
+          value={tripId}
+          onChange={(e) => setSearchParams({ tripId: e.target.value })}
+          className="px-4 py-2 border border-gray-300 rounded-lg"
+          aria-label="Trip"
+        >
+          {trips.length === 0 && <option value="">No rostered trips</option>}
+          {trips.map(trip => (
+            <option key={trip._id} value={trip._id}>
+              {trip.route?.sourceCity} → {trip.route?.destinationCity} · {new Date(trip.departureDateTime).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })} · {trip.bus?.busNumber}
+            </option>
+          ))}
+        </select>
       </div>
 
       {/* Stats */}
-      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
         <div className="bg-white rounded-xl shadow p-6 hover:shadow-xl transition-all duration-300 hover:-translate-y-1">
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm text-gray-500">Total Passengers</p>
-              <p className="text-3xl font-bold text-gray-900">{passengers.length}</p>
+              <p className="text-3xl font-bold text-gray-900">{counts.total}</p>
             </div>
             <div className="w-12 h-12 bg-accent/20 rounded-full flex items-center justify-center">
               <span className="text-2xl">👥</span>
@@ -51,7 +264,7 @@ const PassengersPage = () => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm text-gray-500">Boarded</p>
-              <p className="text-3xl font-bold text-green-600">{boardedCount}</p>
+              <p className="text-3xl font-bold text-green-600">{counts.boarded}</p>
             </div>
             <div className="w-12 h-12 bg-green-100 rounded-full flex items-center justify-center">
               <span className="text-2xl">✓</span>
@@ -62,20 +275,81 @@ const PassengersPage = () => {
           <div className="flex items-center justify-between">
             <div>
               <p className="text-sm text-gray-500">Pending</p>
-              <p className="text-3xl font-bold text-black40">{pendingCount}</p>
+              <p className="text-3xl font-bold text-black40">{counts.pending}</p>
             </div>
             <div className="w-12 h-12 bg-accent/20 rounded-full flex items-center justify-center">
               <span className="text-2xl">⏳</span>
             </div>
           </div>
         </div>
+        <div className="bg-white rounded-xl shadow p-6 hover:shadow-xl transition-all duration-300 hover:-translate-y-1">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-500">No-show</p>
+              <p className="text-3xl font-bold text-red-600">{counts.noShow}</p>
+            </div>
+            <div className="w-12 h-12 bg-red-100 rounded-full flex items-center justify-center">
+              <span className="text-2xl">✗</span>
+            </div>
+          </div>
+        </div>
       </div>
 
+      {/* Scan */}
+      {tripId && !boardingClosed && (
+        <div className="bg-white rounded-xl shadow p-4 mb-6">
+          <form onSubmit={handleCodeSubmit} className="flex flex-wrap gap-3">
+            <input
+              type="text"
+              placeholder="Scan or paste a boarding pass code..."
+              value={ticketCode}
+              onChange={(e) => setTicketCode(e.target.value)}
+              className="flex-1 min-w-[16rem] px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
+              autoFocus
+            />
+            <button
+              type="submit"
+              className="bg-gradient-to-r from-success to-success-dark text-white px-6 py-3 rounded-lg font-semibold hover:shadow-lg transition-all"
+            >
+              Board
+            </button>
+            <button
+              type="button"
+              onClick={() => setShowCamera(!showCamera)}
+              className="bg-black40 text-white px-6 py-3 rounded-lg font-semibold hover:bg-black40/90 transition-colors"
+            >
+              {showCamera ? 'Hide Camera' : '📷 Camera'}
+            </button>
+          </form>
+          <div className="flex flex-wrap gap-4 mt-3 text-sm">
+            {lastScan && (
+              <span className={lastScan.ok ? 'text-green-700' : 'text-red-600'}>{lastScan.message}</span>
+            )}
+            {!keyReady && (
+              <span className="text-gray-500">Offline ticket check unavailable until the ticket key has loaded once</span>
+            )}
+            {queuedCount > 0 && (
+              <span className="text-yellow-700">{queuedCount} scan(s) waiting to sync</span>
+            )}
+          </div>
+        </div>
+      )}
+
+      {showCamera && !boardingClosed && (
+        <TicketScanner onScan={handleScan} onClose={() => setShowCamera(false)} />
+      )}
+
+      {boardingClosed && (
+        <div className="bg-gray-100 rounded-xl p-4 mb-6 text-gray-700">
+          Boarding is closed - this trip is {manifest.trip.status}.
+        </div>
+      )}
+
       {/* Search */}
       <div className="bg-white rounded-xl shadow p-4 mb-6 hover:shadow-xl transition-all duration-300 hover:-translate-y-1">
         <input
           type="text"
-          placeholder="Search by name, seat, or ticket number..."
+          placeholder="Search by name, seat, or PNR..."
           value={searchTerm}
           onChange={(e) => setSearchTerm(e.target.value)}
           className="w-full px-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-accent focus:border-transparent"
@@ -83,89 +357,115 @@ const PassengersPage = () => {
       </div>
 
       {/* Passenger List */}
-      <div className="bg-white rounded-xl shadow overflow-hidden hover:shadow-xl transition-all duration-300 hover:-translate-y-1">
-        <div className="overflow-x-auto">
-          <table className="w-full">
-            <thead className="bg-gray-50 border-b border-gray-200">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Passenger
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Seat
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Ticket
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Phone
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Status
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
-                  Action
-                </th>
-              </tr>
-            </thead>
-            <tbody className="bg-white divide-y divide-gray-200">
-              {filteredPassengers.map((passenger, index) => (
-                <motion.tr
-                  key={passenger.id}
-                  initial={{ opacity: 0 }}
-                  animate={{ opacity: 1 }}
-                  transition={{ delay: index * 0.05 }}
-                  className="hover:bg-gray-50"
-                >
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <div className="flex items-center">
-                      <div className="w-10 h-10 bg-black40 rounded-full flex items-center justify-center text-white font-semibold">
-                        {passenger.name.charAt(0)}
-                      </div>
-                      <div className="ml-4">
-                        <div className="text-sm font-medium text-gray-900">{passenger.name}</div>
+      {loading ? (
+        <div className="flex justify-center py-12">
+          <LoadingSpinner size="lg" variant="primary" />
+        </div>
+      ) : (
+        <div className="bg-white rounded-xl shadow overflow-hidden hover:shadow-xl transition-all duration-300 hover:-translate-y-1">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Passenger
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Seat
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    PNR
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Boarding Point
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Phone
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Action
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {filteredPassengers.map((passenger, index) => (
+                  <motion.tr
+                    key={`${passenger.bookingId}-${passenger.seatNumber}`}
+                    initial={{ opacity: 0 }}
+                    animate={{ opacity: 1 }}
+                    transition={{ delay: index * 0.05 }}
+                    className="hover:bg-gray-50"
+                  >
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="flex items-center">
+                        <div className="w-10 h-10 bg-black40 rounded-full flex items-center justify-center text-white font-semibold">
+                          {passenger.passengerName.charAt(0)}
+                        </div>
+                        <div className="ml-4">
+                          <div className="text-sm font-medium text-gray-900">{passenger.passengerName}</div>
+                          <div className="text-xs text-gray-500 capitalize">{passenger.passengerAge} · {passenger.passengerGender}</div>
+                        </div>
                       </div>
-                    </div>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span className="px-3 py-1 bg-accent text-gray-900 rounded-full text-sm font-semibold">
-                      {passenger.seat}
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{passenger.ticket}</td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{passenger.phone}</td>
-                  <td className="px-6 py-4 whitespace-nowrap">
-                    <span
-                      className={`px-3 py-1 rounded-full text-xs font-semibold ${
-                        passenger.status === 'Boarded'
-                          ? 'bg-green-100 text-green-800'
-                          : 'bg-accent text-gray-900'
-                      }`}
-                    >
-                      {passenger.status}
-                    </span>
-                  </td>
-                  <td className="px-6 py-4 whitespace-nowrap text-sm">
-                    {passenger.status === 'Pending' ? (
-                      <button className="bg-gradient-to-r from-success to-success-dark shadow-lg hover:shadow-xl hover:scale-105 transition-all duration-300 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors">
-                        Mark Boarded
-                      </button>
-                    ) : (
-                      <button className="bg-gray-200 text-gray-600 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors">
-                        View Details
-                      </button>
-                    )}
-                  </td>
-                </motion.tr>
-              ))}
-            </tbody>
-          </table>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className="px-3 py-1 bg-accent text-gray-900 rounded-full text-sm font-semibold">
+                        {passenger.seatNumber}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{passenger.pnrNumber}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{passenger.boardingPoint || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{passenger.phone || '-'}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`px-3 py-1 rounded-full text-xs font-semibold ${BOARDING_COLORS[passenger.boardingStatus]}`}>
+                        {BOARDING_LABELS[passenger.boardingStatus]}
+                      </span>
+                      {passenger.boardingUpdatedAt && (
+                        <div className="text-xs text-gray-400 mt-1">
+                          {new Date(passenger.boardingUpdatedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {boardingClosed ? null : passenger.boardingStatus === 'pending' ? (
+                        <div className="flex gap-2">
+                          <button
+                            onClick={() => handleStatusChange(passenger, 'boarded')}
+                            className="bg-gradient-to-r from-success to-success-dark shadow-lg hover:shadow-xl transition-all duration-300 text-white px-4 py-2 rounded-lg"
+                          >
+                            Mark Boarded
+                          </button>
+                          <button
+                            onClick={() => handleStatusChange(passenger, 'no_show')}
+                            className="bg-red-100 text-red-700 px-4 py-2 rounded-lg hover:bg-red-200 transition-colors"
+                          >
+                            No-show
+                          </button>
+                        </div>
+                      ) : (
+                        <button
+                          onClick={() => handleStatusChange(passenger, 'pending')}
+                          className="bg-gray-200 text-gray-600 px-4 py-2 rounded-lg hover:bg-gray-300 transition-colors"
+                        >
+                          Undo
+                        </button>
+                      )}
+                    </td>
+                  </motion.tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
         </div>
-      </div>
+      )}
 
-      {filteredPassengers.length === 0 && (
+      {!loading && filteredPassengers.length === 0 && (
         <div className="text-center py-12">
-          <p className="text-gray-500 text-lg">No passengers found</p>
+          <p className="text-gray-500 text-lg">
+            {trips.length === 0 ? 'You are not rostered on any open trips' : 'No passengers found'}
+          </p>
         </div>
       )}
     </div>
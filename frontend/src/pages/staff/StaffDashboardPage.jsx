@@ -10,6 +10,7 @@ import staffService from '../../services/staffService'
 import bookingService from '../../services/bookingService'
 import tripService from '../../services/tripService'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
+import MySchedule from '../../components/staff/MySchedule'
 import { toast } from 'react-hot-toast'
 
 const StaffDashboardPage = () => {
@@ -274,6 +275,9 @@ const StaffDashboardPage = () => {
           </div>
         </div>
       </motion.div>
+
+      {/* My Schedule */}
+      <MySchedule />
     </div>
   )
 }
@@ -6,6 +6,7 @@ import React, { useState, useEffect } from 'react'
 import { motion } from 'framer-motion'
 import { useAuth } from '../../hooks/useAuth'
 import bookingService from '../../services/bookingService'
+import paymentService from '../../services/paymentService'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
 import ConfirmDialog from '../../components/common/ConfirmDialog'
 import { toast } from 'react-hot-toast'
@@ -17,6 +18,9 @@ const MyBookingsPage = () => {
   const [loading, setLoading] = useState(true)
   const [selectedBooking, setSelectedBooking] = useState(null)
   const [showCancelDialog, setShowCancelDialog] = useState(false)
+  const [refundPreview, setRefundPreview] = useState(null)
+  const [seatsToCancel, setSeatsToCancel] = useState(null) // null cancels the whole booking
+  const [payingBookingId, setPayingBookingId] = useState(null)
   const [filters, setFilters] = useState({
     status: 'all' // all, pending, confirmed, ongoing, completed, cancelled
   })
@@ -138,25 +142,73 @@ const MyBookingsPage = () => {
     fetchUserBookings()
   }, [])
 
+  // Show the exact refund from the cancellation policy before the user confirms
+  const openCancelDialog = async (booking, seats = null) => {
+    setSelectedBooking(booking)
+    setSeatsToCancel(seats)
+    setRefundPreview(null)
+    setShowCancelDialog(true)
+    try {
+      const response = await bookingService.getRefundPreview(booking._id || booking.id, seats || [])
+      setRefundPreview(response?.data?.refund || null)
+    } catch {
+      // Without a preview the dialog shows the generic cancellation-fee warning
+    }
+  }
+
+  const getCancelMessage = () => {
+    const route = `${selectedBooking?.trip.route.sourceCity} to ${selectedBooking?.trip.route.destinationCity}`
+    const target = seatsToCancel
+      ? `seat ${seatsToCancel.join(', ')} on your booking from ${route}`
+      : `your booking from ${route}`
+    if (!refundPreview) {
+      return `Are you sure you want to cancel ${target}? A cancellation fee may apply.`
+    }
+    const fees = refundPreview.nonRefundableAmount > 0 ? `, non-refundable fees ₹${refundPreview.nonRefundableAmount}` : ''
+    return `Are you sure you want to cancel ${target}? Under the ${refundPreview.policy.name}, you will be refunded ₹${refundPreview.refundAmount} of ₹${refundPreview.amountPaid} (cancellation charge ₹${refundPreview.deductionAmount}${fees}).`
+  }
+
   const handleCancelBooking = async () => {
     if (!selectedBooking) return
     
     setLoading(true)
     try {
-      const response = await bookingService.cancelBooking(
-        selectedBooking.id,
-        'Customer requested cancellation'
-      )
+      const response = seatsToCancel
+        ? await bookingService.cancelSeats(
+          selectedBooking._id || selectedBooking.id,
+          seatsToCancel,
+          'Customer requested cancellation'
+        )
+        : await bookingService.cancelBooking(
+          selectedBooking._id || selectedBooking.id,
+          'Customer requested cancellation'
+        )
       
-      if (response && response.success) {
+      if (response && response.success && seatsToCancel) {
+        const updated = response.data.booking
+        setBookings(prev => prev.map(booking =>
+          (booking._id || booking.id) === (selectedBooking._id || selectedBooking.id)
+            ? {
+                ...booking,
+                seats: updated.seats,
+                bookingStatus: updated.bookingStatus,
+                paymentStatus: updated.paymentStatus,
+                refundAmount: updated.cancellation?.refundAmount ?? 0
+              }
+            : booking
+        ))
+        toast.success(response.message || 'Seats cancelled successfully!', {
+          duration: 3000
+        })
+      } else if (response && response.success) {
         setBookings(prev => prev.map(booking => 
-          booking.id === selectedBooking.id 
+          (booking._id || booking.id) === (selectedBooking._id || selectedBooking.id)
             ? { 
                 ...booking, 
                 bookingStatus: 'cancelled', 
                 paymentStatus: 'refunded',
                 cancellationTime: new Date().toISOString(),
-                refundAmount: response.data.booking?.refundAmount || Math.round(booking.totalAmount * 0.8)
+                refundAmount: response.data.booking?.cancellation?.refundAmount ?? 0
               }
             : booking
         ))
@@ -168,6 +220,8 @@ const MyBookingsPage = () => {
       }
       setShowCancelDialog(false)
       setSelectedBooking(null)
+      setRefundPreview(null)
+      setSeatsToCancel(null)
     } catch (error) {
       console.error('Failed to cancel booking:', error)
       toast.error(error.response?.data?.message || 'Failed to cancel booking', {
@@ -182,9 +236,12 @@ const MyBookingsPage = () => {
     const colors = {
       pending: 'bg-accent/20 text-black40',
       confirmed: 'bg-green-100 text-green-800',
+      partially_cancelled: 'bg-orange-100 text-orange-800',
       ongoing: 'bg-sky-100 text-sky-800',
       cancelled: 'bg-red-100 text-red-800',
-      completed: 'bg-accent/20 text-black40'
+      rescheduled: 'bg-gray-200 text-gray-700',
+      completed: 'bg-accent/20 text-black40',
+      no_show: 'bg-red-100 text-red-800'
     }
     return colors[status] || 'bg-gray-100 text-gray-800'
   }
@@ -193,9 +250,12 @@ const MyBookingsPage = () => {
     const icons = {
       pending: '⏳',
       confirmed: '✅',
+      partially_cancelled: '➖',
       ongoing: '🚌',
       cancelled: '❌',
-      completed: '✔️'
+      rescheduled: '🔁',
+      completed: '✔️',
+      no_show: '🚫'
     }
     return icons[status] || '❓'
   }
@@ -214,8 +274,50 @@ const MyBookingsPage = () => {
     return new Date(departureDateTime) > new Date()
   }
 
+  // Gateway bookings awaiting payment until their payment window closes
+  const canPay = (booking) => {
+    return booking.bookingStatus === 'pending' &&
+      ['pending', 'failed'].includes(booking.paymentStatus) &&
+      (!booking.paymentExpiresAt || new Date(booking.paymentExpiresAt) > new Date())
+  }
+
+  const handleCompletePayment = async (booking) => {
+    const bookingId = booking._id || booking.id
+    setPayingBookingId(bookingId)
+    try {
+      const paid = await paymentService.payForBooking(bookingId, {
+        name: user?.name,
+        email: user?.email,
+        contact: user?.phone
+      })
+      setBookings(prev => prev.map(item =>
+        (item._id || item.id) === bookingId
+          ? { ...item, bookingStatus: paid.status, paymentStatus: paid.paymentStatus }
+          : item
+      ))
+      toast.success('Payment successful! Booking confirmed ✅')
+    } catch (error) {
+      toast.error(error.message || 'Payment failed')
+    } finally {
+      setPayingBookingId(null)
+    }
+  }
+
   const canCancel = (booking) => {
-    return booking.bookingStatus === 'confirmed' && isUpcoming(booking.trip.departureDateTime)
+    return ['confirmed', 'partially_cancelled'].includes(booking.bookingStatus) && isUpcoming(booking.trip.departureDateTime)
+  }
+
+  const formatStatus = (status) => {
+    const label = status.replace('_', ' ')
+    return label.charAt(0).toUpperCase() + label.slice(1)
+  }
+
+  const getActiveSeats = (booking) => booking.seats?.filter(seat => seat.status === 'booked') || []
+
+  // Seats still travelling on a partially cancelled booking are confirmed
+  const getSeatStatus = (booking, seat) => {
+    if (seat.status === 'cancelled') return 'cancelled'
+    return booking.bookingStatus === 'partially_cancelled' ? 'confirmed' : booking.bookingStatus
   }
 
   const handleDownloadTicket = async (booking) => {
@@ -247,9 +349,9 @@ const MyBookingsPage = () => {
   const filteredBookings = bookings.filter(booking => {
     if (filters.status === 'all') return true
     if (filters.status === 'pending') return booking.bookingStatus === 'pending'
-    if (filters.status === 'confirmed') return booking.bookingStatus === 'confirmed'
+    if (filters.status === 'confirmed') return booking.bookingStatus === 'confirmed' || booking.bookingStatus === 'partially_cancelled'
     if (filters.status === 'ongoing') return booking.bookingStatus === 'ongoing'
-    if (filters.status === 'upcoming') return isUpcoming(booking.trip.departureDateTime) && (booking.bookingStatus === 'confirmed' || booking.bookingStatus === 'pending')
+    if (filters.status === 'upcoming') return isUpcoming(booking.trip.departureDateTime) && ['confirmed', 'partially_cancelled', 'pending'].includes(booking.bookingStatus)
     if (filters.status === 'completed') return booking.bookingStatus === 'completed'
     if (filters.status === 'cancelled') return booking.bookingStatus === 'cancelled'
     return true
@@ -370,13 +472,18 @@ const MyBookingsPage = () => {
                         {booking.trip.route.sourceCity} → {booking.trip.route.destinationCity}
                       </h3>
                       <p className="text-sm text-gray-600">
-                        PNR: {booking.pnr} � Booked on {formatDateTime(booking.createdAt)}
+                        PNR: {booking.pnrNumber || booking.pnr} � Booked on {formatDateTime(booking.createdAt)}
                       </p>
+                      {booking.pnrHistory?.length > 0 && (
+                        <p className="text-xs text-gray-500">
+                          Rescheduled from PNR {booking.pnrHistory.join(' → ')}
+                        </p>
+                      )}
                     </div>
                   </div>
                   <div className="flex items-center space-x-4 mt-2 sm:mt-0">
                     <span className={`inline-flex px-3 py-1 text-sm font-semibold rounded-full ${getStatusColor(booking.bookingStatus)}`}>
-                      {booking.bookingStatus.charAt(0).toUpperCase() + booking.bookingStatus.slice(1)}
+                      {formatStatus(booking.bookingStatus)}
                     </span>
                     <span className="text-lg font-bold text-accent">
                       ₹{booking.totalAmount}
@@ -420,11 +527,30 @@ const MyBookingsPage = () => {
                     <h4 className="font-semibold text-gray-900 mb-3">Passenger Details</h4>
                     <div className="space-y-2">
                       {booking.seats?.map((seat, idx) => (
-                        <div key={`${booking._id || booking.id}-${seat.seatNumber}`} className="flex justify-between text-sm">
-                          <span className="text-gray-900 font-medium">{seat.passengerName}</span>
-                          <span className="text-gray-600">
-                            {seat.passengerAge} yrs • {seat.passengerGender} • {seat.seatNumber}
-                          </span>
+                        <div key={`${booking._id || booking.id}-${seat.seatNumber}`} className="text-sm">
+                          <div className="flex justify-between">
+                            <span className={`font-medium ${seat.status === 'cancelled' ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                              {seat.passengerName}
+                            </span>
+                            <span className="text-gray-600">
+                              {seat.passengerAge} yrs • {seat.passengerGender} • {seat.seatNumber}
+                            </span>
+                          </div>
+                          <div className="flex justify-between items-center mt-1">
+                            <span className={`inline-flex px-2 py-0.5 text-xs font-semibold rounded-full ${getStatusColor(getSeatStatus(booking, seat))}`}>
+                              {seat.status === 'cancelled'
+                                ? `Cancelled${seat.refundAmount > 0 ? ` • ₹${seat.refundAmount} refunded` : ''}`
+                                : formatStatus(getSeatStatus(booking, seat))}
+                            </span>
+                            {canCancel(booking) && seat.status === 'booked' && getActiveSeats(booking).length > 1 && (
+                              <button
+                                onClick={() => openCancelDialog(booking, [seat.seatNumber])}
+                                className="text-xs text-red-600 hover:text-red-800 font-medium"
+                              >
+                                Cancel seat
+                              </button>
+                            )}
+                          </div>
                         </div>
                       ))}
                     </div>
@@ -458,7 +584,7 @@ const MyBookingsPage = () => {
                           <p className="text-sm text-red-700">
                             Cancelled on {formatDateTime(booking.cancellationTime)}
                           </p>
-                          {booking.refundAmount && (
+                          {booking.refundAmount > 0 && (
                             <p className="text-sm text-red-600 mt-1">
                               Refund: ₹{booking.refundAmount} processed
                             </p>
@@ -482,12 +608,18 @@ const MyBookingsPage = () => {
                             Share
                           </button>
                         </div>
+                        {canPay(booking) && (
+                          <button
+                            onClick={() => handleCompletePayment(booking)}
+                            disabled={payingBookingId === (booking._id || booking.id)}
+                            className="w-full bg-green-600 text-white py-2 rounded-lg font-medium hover:bg-green-700 transition-colors text-sm disabled:opacity-50"
+                          >
+                            {payingBookingId === (booking._id || booking.id) ? 'Processing...' : `Complete Payment ₹${booking.totalAmount}`}
+                          </button>
+                        )}
                         {canCancel(booking) && (
                           <button
-                            onClick={() => {
-                              setSelectedBooking(booking)
-                              setShowCancelDialog(true)
-                            }}
+                            onClick={() => openCancelDialog(booking)}
                             className="w-full bg-red-100 text-red-700 py-2 rounded-lg font-medium hover:bg-red-200 transition-colors text-sm"
                           >
                             Cancel Booking
@@ -553,14 +685,16 @@ const MyBookingsPage = () => {
       {/* Cancel Confirmation Dialog */}
       <ConfirmDialog
         isOpen={showCancelDialog}
-        title="Cancel Booking"
-        message={`Are you sure you want to cancel your booking from ${selectedBooking?.trip.route.sourceCity} to ${selectedBooking?.trip.route.destinationCity}? A cancellation fee may apply.`}
-        confirmText={loading ? "Cancelling..." : "Cancel Booking"}
+        title={seatsToCancel ? 'Cancel Seat' : 'Cancel Booking'}
+        message={getCancelMessage()}
+        confirmText={loading ? "Cancelling..." : seatsToCancel ? "Cancel Seat" : "Cancel Booking"}
         cancelText="Keep Booking"
         onConfirm={handleCancelBooking}
         onCancel={() => {
           setShowCancelDialog(false)
           setSelectedBooking(null)
+          setRefundPreview(null)
+          setSeatsToCancel(null)
         }}
         type="danger"
         isLoading={loading}
@@ -10,6 +10,7 @@ import LiveBusMap from '../../components/map/LiveBusMap'
 import LoadingSpinner from '../../components/common/LoadingSpinner'
 import { useSocket } from '../../hooks/useSocket'
 import tripService from '../../services/tripService'
+import locationService from '../../services/locationService'
 import { toast } from 'react-hot-toast'
 
 const TrackBusPage = () => {
@@ -19,6 +20,7 @@ const TrackBusPage = () => {
   const [loading, setLoading] = useState(true)
   const [trip, setTrip] = useState(null)
   const [busLocation, setBusLocation] = useState(null)
+  const [eta, setEta] = useState(null)
 
   useEffect(() => {
     fetchTripDetails()
@@ -43,9 +45,35 @@ const TrackBusPage = () => {
         }
       })
 
+      // Stop ETAs are recomputed on every location update
+      socket.on('eta_update', (data) => {
+        if (data.tripId === tripId) {
+          setEta(data)
+        }
+      })
+
+      // Stop arrivals and departures detected from the bus location
+      socket.on('geofence_event', (data) => {
+        if (data.tripId === tripId) {
+          toast(`${data.type === 'arrival' ? 'Bus arrived at' : 'Bus departed'} ${data.stopName}`, { duration: 4000 })
+        }
+      })
+
+      socket.on('trip-status-changed', (data) => {
+        if (data.tripId === tripId) {
+          setTrip(prev => (prev ? { ...prev, status: data.status } : prev))
+          if (data.message) {
+            toast(data.message, { duration: 4000 })
+          }
+        }
+      })
+
       return () => {
         socket.emit('leave_trip', tripId)
         socket.off('location_update')
+        socket.off('eta_update')
+        socket.off('geofence_event')
+        socket.off('trip-status-changed')
       }
     }
   }, [socket, tripId])
@@ -63,6 +91,11 @@ const TrackBusPage = () => {
           setBusLocation(response.data.trip.currentLocation)
         }
       }
+
+      const etaResponse = await locationService.getTripEta(tripId).catch(() => null)
+      if (etaResponse?.success) {
+        setEta(etaResponse.data.eta)
+      }
     } catch (error) {
       console.error('Failed to fetch trip:', error)
       toast.error('Could not load trip details', {
@@ -76,8 +109,8 @@ const TrackBusPage = () => {
   const calculateETA = () => {
     if (!trip || !busLocation) return 'Calculating...'
     
-    // Simple ETA calculation (you can use actual distance/speed)
-    const arrival = new Date(trip.arrivalDateTime)
+    // Live estimate from the backend, falling back to the scheduled arrival
+    const arrival = new Date(eta?.destination?.eta || trip.arrivalDateTime)
     const now = new Date()
     const diff = arrival - now
     
@@ -101,6 +134,20 @@ const TrackBusPage = () => {
     return 'Completed'
   }
 
+  const formatTime = (dateTime) => {
+    return new Date(dateTime).toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true
+    })
+  }
+
+  const formatDelay = (minutes) => {
+    if (minutes >= 5) return `${minutes} min late`
+    if (minutes <= -5) return `${-minutes} min early`
+    return 'On time'
+  }
+
   const formatDateTime = (dateTime) => {
     if (!dateTime) return 'N/A'
     return new Date(dateTime).toLocaleString('en-IN', {
@@ -175,6 +222,7 @@ const TrackBusPage = () => {
                   tripId={tripId}
                   busLocation={busLocation}
                   route={trip.route}
+                  eta={eta}
                 />
               </div>
             </motion.div>
@@ -199,12 +247,27 @@ const TrackBusPage = () => {
                   {status}
                 </div>
 
+                {trip.status === 'delayed' && (
+                  <div className="ml-2 inline-block px-4 py-2 rounded-full font-semibold bg-red-100 text-red-800">
+                    Delayed{eta?.delayMinutes > 0 ? ` · ${eta.delayMinutes} min` : ''}
+                  </div>
+                )}
+
                 <div className="pt-4 border-t">
                   <div className="flex justify-between items-center mb-2">
                     <span className="text-gray-600">ETA</span>
                     <span className="font-bold text-accent text-xl">{calculateETA()}</span>
                   </div>
                   
+                  {eta?.destination && (
+                    <div className="flex justify-between items-center mb-2 text-sm">
+                      <span className="text-gray-600">Arriving around</span>
+                      <span className="font-semibold text-gray-900">
+                        {formatTime(eta.destination.eta)} · {eta.remainingKm} km left
+                      </span>
+                    </div>
+                  )}
+
                   {busLocation?.speed !== undefined && (
                     <div className="flex justify-between items-center">
                       <span className="text-gray-600">Current Speed</span>
@@ -223,6 +286,39 @@ const TrackBusPage = () => {
               </div>
             </motion.div>
 
+            {/* Upcoming Stops Card */}
+            {eta?.stops?.length > 0 && (
+              <motion.div
+                initial={{ opacity: 0, x: 20 }}
+                animate={{ opacity: 1, x: 0 }}
+                transition={{ delay: 0.05 }}
+                className="bg-white rounded-xl shadow-lg p-6 hover:shadow-xl transition-all duration-300 hover:-translate-y-1"
+              >
+                <h3 className="text-lg font-semibold text-gray-900 mb-4">Upcoming Stops</h3>
+
+                <div className="space-y-3">
+                  {eta.stops.map((stop) => (
+                    <div key={stop.stopId} className="flex justify-between items-start">
+                      <div>
+                        <p className="font-semibold text-gray-900">{stop.name}</p>
+                        <p className="text-xs text-gray-500">
+                          {stop.remainingKm} km · scheduled {formatTime(stop.scheduledTime)}
+                        </p>
+                      </div>
+                      <div className="text-right">
+                        <p className="font-bold text-accent">{formatTime(stop.eta)}</p>
+                        <p className={`text-xs font-medium ${
+                          stop.delayMinutes >= 5 ? 'text-red-600' : 'text-green-600'
+                        }`}>
+                          {formatDelay(stop.delayMinutes)}
+                        </p>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </motion.div>
+            )}
+
             {/* Trip Details Card */}
             <motion.div
               initial={{ opacity: 0, x: 20 }}
@@ -13,6 +13,7 @@ import LoginPage from '../pages/LoginPage'
 import RegisterPage from '../pages/RegisterPage'
 import TripPage from '../pages/TripPage'
 import ViewTicketPage from '../pages/ViewTicketPage'
+import RentalQuotePage from '../pages/RentalQuotePage'
 import NotFoundPage from '../pages/NotFoundPage'
 
 // Customer Pages
@@ -46,6 +47,8 @@ import PassengersPage from '../pages/staff/PassengersPage'
 import TripUpdatesPage from '../pages/staff/TripUpdatesPage'
 import LocationUpdatePage from '../pages/staff/LocationUpdatePage'
 import ManageStaffPage from '../pages/admin/ManageStaffPage'
+import ManageAdminsPage from '../pages/admin/ManageAdminsPage'
+import RosterPage from '../pages/admin/RosterPage'
 
 // Layouts
 import AdminLayout from '../components/layout/AdminLayout'
@@ -81,6 +84,7 @@ const AppRouter = () => {
       <Route path="/register" element={<RegisterPage />} />
       <Route path="/trips" element={<TripPage />} />
       <Route path="/view-ticket" element={<ViewTicketPage />} />
+      <Route path="/rental-quote/:token" element={<RentalQuotePage />} />
       
       {/* Staff Public Routes */}
       <Route path="/staff/login" element={<StaffLoginPage />} />
@@ -227,6 +231,26 @@ const AppRouter = () => {
           </AdminRoute>
         } 
       />
+      <Route 
+        path="/admin/roster" 
+        element={
+          <AdminRoute>
+            <AdminLayout>
+              <RosterPage />
+            </AdminLayout>
+          </AdminRoute>
+        } 
+      />
+      <Route 
+        path="/admin/admins" 
+        element={
+          <AdminRoute>
+            <AdminLayout>
+              <ManageAdminsPage />
+            </AdminLayout>
+          </AdminRoute>
+        } 
+      />
       <Route 
         path="/admin/live-tracking" 
         element={
@@ -35,6 +35,11 @@ class AdminService {
     return apiClient.patch(`/admin/users/${userId}/toggle-status`);
   }
 
+  // Sign the account out of every device
+  revokeUserSessions(userId) {
+    return apiClient.post(`/admin/users/${userId}/revoke-sessions`);
+  }
+
   updateUserRole(userId, role) {
     return apiClient.patch(`/admin/users/${userId}/role`, { role });
   }
@@ -43,6 +48,23 @@ class AdminService {
     return apiClient.delete(`/admin/users/${userId}`);
   }
 
+  // Admin accounts (super-admin only)
+  getAdmins() {
+    return apiClient.get('/admin/admins');
+  }
+
+  createAdmin(adminData) {
+    return apiClient.post('/admin/admins', adminData);
+  }
+
+  updateAdmin(adminId, updates) {
+    return apiClient.put(`/admin/admins/${adminId}`, updates);
+  }
+
+  deleteAdmin(adminId) {
+    return apiClient.delete(`/admin/admins/${adminId}`);
+  }
+
   // System health
   getSystemHealth() {
     return apiClient.get('/admin/system/health');
@@ -69,6 +91,10 @@ class AdminService {
     return apiClient.patch(`/admin/staff/${staffId}/toggle-status`);
   }
 
+  revokeStaffSessions(staffId) {
+    return apiClient.post(`/admin/staff/${staffId}/revoke-sessions`);
+  }
+
   deleteStaff(staffId) {
     return apiClient.delete(`/admin/staff/${staffId}`);
   }
@@ -159,6 +185,39 @@ class AdminService {
       notes 
     });
   }
+
+  // Location escalation rules and history
+  getEscalationRules() {
+    return apiClient.get('/admin/location-monitor/escalation-rules');
+  }
+
+  createEscalationRule(ruleData) {
+    return apiClient.post('/admin/location-monitor/escalation-rules', ruleData);
+  }
+
+  updateEscalationRule(ruleId, updates) {
+    return apiClient.put(`/admin/location-monitor/escalation-rules/${ruleId}`, updates);
+  }
+
+  deleteEscalationRule(ruleId) {
+    return apiClient.delete(`/admin/location-monitor/escalation-rules/${ruleId}`);
+  }
+
+  getEscalations(filters = {}) {
+    return apiClient.get('/admin/location-monitor/escalations', { params: filters });
+  }
+
+  acknowledgeEscalation(escalationId, note = '') {
+    return apiClient.patch(`/admin/location-monitor/escalations/${escalationId}/acknowledge`, { note });
+  }
+
+  // Download a trip's full GPS track (format: 'gpx' or 'geojson')
+  exportTripTrack(tripId, format = 'gpx') {
+    return apiClient.get(`/location/${tripId}/export`, {
+      params: { format },
+      responseType: 'blob'
+    });
+  }
 }
 
 export default new AdminService();
\ No newline at end of file
@@ -1,7 +1,10 @@
 import axios from 'axios';
+import { getAccessToken, getRefreshToken, saveTokens, clearAuthStorage } from '../auth/tokenStorage';
+
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:4000/api/v1';
 
 const apiClient = axios.create({
-  baseURL: import.meta.env.VITE_API_BASE_URL || 'http://localhost:4000/api/v1',
+  baseURL: API_BASE_URL,
   timeout: 60000, // Increased to 60 seconds for Render cold starts
   headers: {
     'Content-Type': 'application/json',
@@ -11,6 +14,57 @@ const apiClient = axios.create({
 // Track first request for "waking up" detection
 let isFirstRequest = true;
 
+// One refresh in flight per role - concurrent 401s wait for the same new token
+const pendingRefreshes = {};
+
+/**
+ * Decide which role's token a request should carry
+ * @param {Object} config - Axios request config
+ * @returns {string} admin, staff or user
+ */
+const getRequestRole = (config) => {
+  // Option 1: Explicitly set role in config (e.g., { role: 'admin' })
+  if (config.role) {
+    return config.role === 'admin' || config.role === 'staff' ? config.role : 'user';
+  }
+
+  // Option 2: Auto-detect based on URL
+  const url = config.url || '';
+  if (url.includes('/admin/')) {
+    return 'admin';
+  }
+  if (url.includes('/staff/')) {
+    return 'staff';
+  }
+
+  // For general endpoints, use active role or fallback
+  const activeRole = sessionStorage.getItem('activeRole');
+  return activeRole === 'admin' || activeRole === 'staff' ? activeRole : 'user';
+};
+
+/**
+ * Exchange the stored refresh token of a role for a new token pair
+ * Uses plain axios so a failing refresh does not re-enter the interceptors.
+ * @param {string} role - admin, staff or user
+ * @returns {Promise<string>} New access token
+ */
+const refreshAccessToken = (role) => {
+  if (!pendingRefreshes[role]) {
+    pendingRefreshes[role] = axios
+      .post(`${API_BASE_URL}/auth/refresh`, { refreshToken: getRefreshToken(role) })
+      .then((response) => {
+        const { token, refreshToken } = response.data.data;
+        saveTokens(role, token, refreshToken);
+        return token;
+      })
+      .finally(() => {
+        delete pendingRefreshes[role];
+      });
+  }
+
+  return pendingRefreshes[role];
+};
+
 apiClient.interceptors.request.use(
   (config) => {
     // Track request start time for slow response detection
@@ -18,42 +72,8 @@ apiClient.interceptors.request.use(
     
     // 🔐 SECURE TOKEN HANDLING - Using sessionStorage for tab-scoped tokens
     // Role-aware token selection based on endpoint or explicit role
-    let token = null;
-    
-    // Option 1: Explicitly set role in config (e.g., { role: 'admin' })
-    if (config.role) {
-      switch (config.role) {
-        case 'admin':
-          token = sessionStorage.getItem('adminToken');
-          break;
-        case 'staff':
-          token = sessionStorage.getItem('staffToken');
-          break;
-        case 'user':
-        case 'customer':
-          token = sessionStorage.getItem('userToken');
-          break;
-      }
-    } 
-    // Option 2: Auto-detect based on URL
-    else {
-      const url = config.url || '';
-      if (url.includes('/admin/')) {
-        token = sessionStorage.getItem('adminToken');
-      } else if (url.includes('/staff/')) {
-        token = sessionStorage.getItem('staffToken');
-      } else {
-        // For general endpoints, use active role or fallback
-        const activeRole = sessionStorage.getItem('activeRole');
-        if (activeRole === 'admin') {
-          token = sessionStorage.getItem('adminToken');
-        } else if (activeRole === 'staff') {
-          token = sessionStorage.getItem('staffToken');
-        } else {
-          token = sessionStorage.getItem('userToken');
-        }
-      }
-    }
+    config.authRole = getRequestRole(config);
+    const token = getAccessToken(config.authRole);
     
     if (token) {
       config.headers.Authorization = `Bearer ${token}`;
@@ -86,7 +106,7 @@ apiClient.interceptors.response.use(
     
     return response.data;
   },
-  (error) => {
+  async (error) => {
     // Enhanced error handling with better messages
     if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
       console.error('❌ Request timeout - Server may be cold starting');
@@ -94,16 +114,29 @@ apiClient.interceptors.response.use(
       error.message = 'Server is taking longer than expected. It may be starting up. Please try again.';
     }
     
+    // 🔐 Access token expired - refresh it once and replay the request
+    const originalRequest = error.config;
+    if (
+      error.response?.status === 401 &&
+      error.response.data?.expired &&
+      originalRequest &&
+      !originalRequest._retry &&
+      getRefreshToken(originalRequest.authRole)
+    ) {
+      originalRequest._retry = true;
+
+      try {
+        const token = await refreshAccessToken(originalRequest.authRole);
+        originalRequest.headers.Authorization = `Bearer ${token}`;
+        return apiClient(originalRequest);
+      } catch {
+        // Refresh token expired or revoked - fall through and sign out below
+      }
+    }
+    
     if (error.response?.status === 401) {
       // 🔐 SECURE TOKEN HANDLING - Clear all role-specific tokens from sessionStorage
-      sessionStorage.removeItem('adminToken');
-      sessionStorage.removeItem('staffToken');
-      sessionStorage.removeItem('userToken');
-      sessionStorage.removeItem('user');
-      sessionStorage.removeItem('activeRole');
-      sessionStorage.removeItem('adminUser');
-      sessionStorage.removeItem('staffUser');
-      sessionStorage.removeItem('customerUser');
+      clearAuthStorage();
       
       // Only redirect if we're not already on a login/pending page
       const currentPath = window.location.pathname;
@@ -126,4 +159,10 @@ apiClient.interceptors.response.use(
   }
 );
 
+/**
+ * Refresh the access token of the active role outside of a request (e.g. before a socket reconnect)
+ * @returns {Promise<string>} New access token
+ */
+export const refreshActiveSession = () => refreshAccessToken(getRequestRole({}));
+
 export default apiClient;
\ No newline at end of file
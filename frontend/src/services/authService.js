@@ -1,4 +1,5 @@
 import apiClient from './apiClient';
+import { clearAuthStorage } from '../auth/tokenStorage';
 
 class AuthService {
   async login(email, password) {
@@ -34,19 +35,30 @@ class AuthService {
 
   async logout() {
     try {
+      // End this device's session on the server before dropping the tokens
+      await apiClient.post('/auth/logout');
+    } finally {
       // 🔐 SECURE TOKEN HANDLING - Clear all role-specific tokens from sessionStorage
-      sessionStorage.removeItem('adminToken');
-      sessionStorage.removeItem('staffToken');
-      sessionStorage.removeItem('userToken');
-      sessionStorage.removeItem('user');
-      sessionStorage.removeItem('activeRole');
-      sessionStorage.removeItem('adminUser');
-      sessionStorage.removeItem('staffUser');
-      sessionStorage.removeItem('customerUser');
-      return { success: true };
-    } catch (error) {
-      throw error;
+      clearAuthStorage();
     }
+    return { success: true };
+  }
+
+  async logoutAll() {
+    try {
+      return await apiClient.post('/auth/logout-all');
+    } finally {
+      clearAuthStorage();
+    }
+  }
+
+  // Current admin account with up-to-date permissions
+  getAdminProfile() {
+    return apiClient.get('/admin/me');
+  }
+
+  getSessions() {
+    return apiClient.get('/auth/sessions');
   }
 
   getToken() {
@@ -0,0 +1,25 @@
+import apiClient from './apiClient';
+
+class BoardingService {
+  // Public key for verifying ticket QR codes offline: { algorithm, keyId, publicKey } (Staff, Admin)
+  getPublicKey() {
+    return apiClient.get('/boarding/public-key');
+  }
+
+  // Trip passengers with their boarding status and counts (trip crew, Admin)
+  getManifest(tripId) {
+    return apiClient.get(`/boarding/trips/${tripId}/manifest`);
+  }
+
+  // Mark the passenger on a scanned ticket: status 'boarded' (default) or 'no_show'
+  scanTicket(tripId, code, status) {
+    return apiClient.post(`/boarding/trips/${tripId}/scan`, { code, status });
+  }
+
+  // Set a passenger's boarding status without a scan: { bookingId, seatNumber, status }
+  updateBoardingStatus(tripId, update) {
+    return apiClient.patch(`/boarding/trips/${tripId}/passengers`, update);
+  }
+}
+
+export default new BoardingService();
@@ -6,6 +6,11 @@ class BookingService {
     return apiClient.post('/bookings', bookingData);
   }
 
+  // Get per-seat fare quote before payment
+  getFareQuote(quoteData) {
+    return apiClient.post('/bookings/quote', quoteData);
+  }
+
   // Get user's bookings
   getUserBookings() {
     return apiClient.get('/bookings/mybookings');
@@ -16,10 +21,52 @@ class BookingService {
     return apiClient.get(`/bookings/${bookingId}`);
   }
 
+  // Public ticket lookup - contact is { email } or { phone } used for the booking
+  getBookingByPnr(pnr, contact) {
+    return apiClient.get(`/bookings/pnr/${encodeURIComponent(pnr)}`, { params: contact });
+  }
+
+  // Preview the refund under the trip's cancellation policy
+  getRefundPreview(bookingId, seats = []) {
+    const params = seats.length > 0 ? { seats: seats.join(',') } : {};
+    return apiClient.get(`/bookings/${bookingId}/refund-preview`, { params });
+  }
+
   // Cancel a booking
   cancelBooking(bookingId, reason = '') {
     return apiClient.put(`/bookings/${bookingId}/cancel`, { reason });
   }
+
+  // Cancel selected seats, keeping the rest of the booking
+  cancelSeats(bookingId, seats, reason = '') {
+    return apiClient.put(`/bookings/${bookingId}/cancel-seats`, { seats, reason });
+  }
+
+  // Other trips on the same route the booking can move to
+  getRescheduleOptions(bookingId, days) {
+    const params = days ? { days } : {};
+    return apiClient.get(`/bookings/${bookingId}/reschedule-options`, { params });
+  }
+
+  // Fare difference and fee for moving to held seats on another trip
+  getRescheduleQuote(bookingId, tripId, seats) {
+    return apiClient.post(`/bookings/${bookingId}/reschedule-quote`, { tripId, seats });
+  }
+
+  // Move the booking to held seats on another trip
+  rescheduleBooking(bookingId, tripId, seats, reason = '') {
+    return apiClient.post(`/bookings/${bookingId}/reschedule`, { tripId, seats, reason });
+  }
+
+  // Signed boarding QR code per active seat: [{ seatNumber, passengerName, code, qrCode }]
+  getTicketCodes(bookingId) {
+    return apiClient.get(`/bookings/${bookingId}/tickets`);
+  }
+
+  // Every PNR in the booking's reschedule chain
+  getRescheduleHistory(bookingId) {
+    return apiClient.get(`/bookings/${bookingId}/reschedule-history`);
+  }
 }
 
 export default new BookingService();
\ No newline at end of file
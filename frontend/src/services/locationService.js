@@ -60,12 +60,13 @@ const getLocation = async (tripId) => {
 /**
  * Get location history for a trip
  * @param {string} tripId - Trip ID
+ * @param {object} options - Optional time window and point limit (from, to, maxPoints)
  */
-const getLocationHistory = async (tripId) => {
+const getLocationHistory = async (tripId, options = {}) => {
   try {
     const response = await axios.get(
       `${API_BASE_URL}/location/${tripId}/history`,
-      getAuthHeader()
+      { ...getAuthHeader(), params: options }
     )
     return response.data
   } catch (error) {
@@ -74,6 +75,18 @@ const getLocationHistory = async (tripId) => {
   }
 }
 
+/**
+ * Get the ETA to each upcoming stop of a trip
+ * @param {string} tripId - Trip ID
+ */
+const getTripEta = async (tripId) => {
+  const response = await axios.get(
+    `${API_BASE_URL}/location/${tripId}/eta`,
+    getAuthHeader()
+  )
+  return response.data
+}
+
 /**
  * Get all active trips with their current locations (Admin only)
  */
@@ -192,6 +205,7 @@ const locationService = {
   updateLocation,
   getLocation,
   getLocationHistory,
+  getTripEta,
   getAllActiveLocations,
   startLocationTracking,
   stopLocationTracking,
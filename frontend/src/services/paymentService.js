@@ -0,0 +1,93 @@
+import apiClient from './apiClient';
+
+const CHECKOUT_SCRIPT_URL = 'https://checkout.razorpay.com/v1/checkout.js';
+
+class PaymentService {
+  // Create a gateway order for a pending booking (amount comes from the booking)
+  createOrder(bookingId) {
+    return apiClient.post('/payment/create-order', { bookingId });
+  }
+
+  // Verify the checkout response and confirm the booking
+  verifyPayment(paymentData) {
+    return apiClient.post('/payment/verify', paymentData);
+  }
+
+  // Record a failed or abandoned payment attempt
+  reportFailure(bookingId, error) {
+    return apiClient.post('/payment/failure', { bookingId, error });
+  }
+
+  // Capture or fail the order on the local fake gateway (PAYMENT_GATEWAY=fake)
+  payWithFakeGateway(bookingId, outcome = 'captured') {
+    return apiClient.post('/payment/fake/pay', { bookingId, outcome });
+  }
+
+  // Load Razorpay checkout.js once
+  loadCheckout() {
+    if (window.Razorpay) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = CHECKOUT_SCRIPT_URL;
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error('Could not load the payment gateway'));
+      document.body.appendChild(script);
+    });
+  }
+
+  // Open Razorpay checkout; resolves with the signed checkout response
+  async openCheckout(order, prefill = {}) {
+    await this.loadCheckout();
+
+    return new Promise((resolve, reject) => {
+      const checkout = new window.Razorpay({
+        key: order.keyId,
+        order_id: order.orderId,
+        amount: order.amount,
+        currency: order.currency,
+        name: 'easyLuxury Go',
+        description: 'Bus ticket booking',
+        prefill,
+        handler: resolve,
+        modal: {
+          ondismiss: () => reject(new Error('Payment cancelled'))
+        }
+      });
+
+      checkout.on('payment.failed', (response) => {
+        reject(new Error(response.error?.description || 'Payment failed'));
+      });
+      checkout.open();
+    });
+  }
+
+  // Run the whole payment for a pending booking; resolves with the confirmed booking summary
+  async payForBooking(bookingId, prefill = {}) {
+    const { data: order } = await this.createOrder(bookingId);
+
+    try {
+      const checkout = order.fakeGateway
+        ? (await this.payWithFakeGateway(bookingId)).data.checkout
+        : await this.openCheckout(order, prefill);
+
+      const response = await this.verifyPayment({ ...checkout, bookingId });
+      return response.data.booking;
+    } catch (error) {
+      const reason = error.response?.data?.message || error.message;
+      // The booking expired before the capture landed and the money was sent back - there is nothing to retry
+      if (error.response?.data?.data?.paymentRefunded) {
+        throw new Error(reason);
+      }
+      await this.reportFailure(bookingId, { description: reason }).catch(() => {});
+      const holdUntil = order.expiresAt
+        ? ` Your seats are held until ${new Date(order.expiresAt).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit' })}.`
+        : '';
+      throw new Error(`${reason}.${holdUntil} You can retry from My Bookings.`);
+    }
+  }
+}
+
+export default new PaymentService();
@@ -0,0 +1,15 @@
+import apiClient from './apiClient';
+
+class RentalService {
+  // Quote behind an emailed quote link (Public)
+  getQuote(token) {
+    return apiClient.get(`/rentals/quote/${token}`);
+  }
+
+  // Respond to a quote: response 'accept', 'decline' or 'counter' with { amount, message } (Public)
+  respondToQuote(token, response, details = {}) {
+    return apiClient.post(`/rentals/quote/${token}/respond`, { response, ...details });
+  }
+}
+
+export default new RentalService();
@@ -0,0 +1,50 @@
+import apiClient from './apiClient';
+
+class RosterService {
+  // Get own shifts, leave and rostered trips (Staff; defaults to the next 7 days)
+  getMySchedule(params = {}) {
+    return apiClient.get('/roster/my-schedule', { params });
+  }
+
+  // Get own leave requests (Staff)
+  getMyLeaves() {
+    return apiClient.get('/roster/my-leaves');
+  }
+
+  // Request leave: { startDate, endDate (last day of leave), leaveType, reason } (Staff)
+  requestLeave(leaveData) {
+    return apiClient.post('/roster/leaves', leaveData);
+  }
+
+  // Cancel own leave request before it starts (Staff)
+  cancelLeave(leaveId) {
+    return apiClient.patch(`/roster/leaves/${leaveId}/cancel`);
+  }
+
+  // Get the roster calendar for a period: { from, to } (Admin only)
+  getSchedule(params) {
+    return apiClient.get('/roster/schedule', { params });
+  }
+
+  // List leave requests, optionally by status (Admin only)
+  getLeaveRequests(params = {}) {
+    return apiClient.get('/roster/leaves', { params });
+  }
+
+  // Approve or reject a leave request (Admin only)
+  reviewLeave(leaveId, status, note) {
+    return apiClient.patch(`/roster/leaves/${leaveId}/review`, { status, note });
+  }
+
+  // Save a weekly shift template: { dutyRole, weeklyShifts: [{ dayOfWeek, startTime, endTime }], isActive } (Admin only)
+  saveShiftTemplate(staffId, template) {
+    return apiClient.put(`/roster/templates/${staffId}`, template);
+  }
+
+  // Suggest crew for a trip window: { departureDateTime, arrivalDateTime, tripId } (Admin only)
+  getCrewSuggestions(params) {
+    return apiClient.get('/roster/crew-suggestions', { params });
+  }
+}
+
+export default new RosterService();
@@ -20,6 +20,12 @@ class StaffService {
     return apiClient.get('/staff/drivers/available');
   }
 
+  // Get staff who can crew a trip window (Admin only)
+  // params: { role: 'driver' | 'conductor', departureDateTime, arrivalDateTime, tripId }
+  getCrewAvailability(params) {
+    return apiClient.get('/staff/crew/available', { params });
+  }
+
   // Get staff by ID (Admin only)
   getStaffById(staffId) {
     return apiClient.get(`/staff/${staffId}`);
@@ -65,19 +71,29 @@ class StaffService {
     return apiClient.get('/staff/me');
   }
 
+  // Get the trips the logged-in staff member is rostered on (params: from, to, status)
+  getMyTrips(params = {}) {
+    return apiClient.get('/staff/my-trips', { params });
+  }
+
   // Update location for a trip (Staff accessible)
   updateLocation(locationData) {
     return apiClient.post('/location/update', locationData);
   }
 
+  // Upload fixes queued while offline ({ latitude, longitude, ..., recordedAt })
+  uploadLocationBatch(tripId, points) {
+    return apiClient.post('/location/batch', { tripId, points });
+  }
+
   // Get location for a trip
   getLocation(tripId) {
     return apiClient.get(`/location/${tripId}`);
   }
 
-  // Get location history for a trip
-  getLocationHistory(tripId) {
-    return apiClient.get(`/location/${tripId}/history`);
+  // Get location history for a trip (options: from, to, maxPoints)
+  getLocationHistory(tripId, options = {}) {
+    return apiClient.get(`/location/${tripId}/history`, { params: options });
   }
 }
 
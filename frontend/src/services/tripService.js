@@ -36,9 +36,34 @@ class TripService {
     return apiClient.put(`/trips/${tripId}`, updateData);
   }
 
-  // Update trip status (Admin only)
-  updateTripStatus(tripId, status) {
-    return apiClient.patch(`/trips/${tripId}/status`, { status });
+  // Assign driver and conductor by staff ID; an empty ID clears the role (Admin only)
+  assignCrew(tripId, crew) {
+    return apiClient.patch(`/trips/${tripId}/crew`, crew);
+  }
+
+  // Hold seats during checkout for the { boardingStopId, droppingStopId } segment
+  holdSeats(tripId, seats, stops = {}) {
+    return apiClient.post(`/trips/${tripId}/holds`, { seats, ...stops });
+  }
+
+  // Extend the current seat hold
+  extendSeatHold(tripId) {
+    return apiClient.patch(`/trips/${tripId}/holds`);
+  }
+
+  // Release the current seat hold
+  releaseSeatHold(tripId, seats = []) {
+    return apiClient.delete(`/trips/${tripId}/holds`, { data: { seats } });
+  }
+
+  // Get seats currently held by other users (on the { boardingStopId, droppingStopId } segment if given)
+  getHeldSeats(tripId, stops = {}) {
+    return apiClient.get(`/trips/${tripId}/holds`, { params: stops });
+  }
+
+  // Update trip status (Admin only) - cancelling refunds every booking on the trip
+  updateTripStatus(tripId, status, reason) {
+    return apiClient.patch(`/trips/${tripId}/status`, { status, reason });
   }
 }
 
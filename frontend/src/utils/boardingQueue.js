@@ -0,0 +1,59 @@
+/**
+ * Offline queue for boarding scans
+ * Scans verified offline are kept in localStorage per trip and sent to the server
+ * once the connection is back.
+ */
+
+const STORAGE_PREFIX = 'boardingQueue_'
+
+const storageKey = (tripId) => `${STORAGE_PREFIX}${tripId}`
+
+/**
+ * Read the queued scans of a trip
+ * @param {string} tripId - Trip ID
+ * @returns {Array} Scans ({ code, status, scannedAt }), oldest first
+ */
+export const getQueuedScans = (tripId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(tripId))) || []
+  } catch {
+    // Unreadable storage counts as an empty queue
+    return []
+  }
+}
+
+const saveQueue = (tripId, scans) => {
+  try {
+    if (scans.length === 0) {
+      localStorage.removeItem(storageKey(tripId))
+    } else {
+      localStorage.setItem(storageKey(tripId), JSON.stringify(scans))
+    }
+  } catch {
+    // Storage full or blocked - the scan stays unsynced, as it would be without the queue
+  }
+}
+
+/**
+ * Queue a scan for later upload (a repeat scan of the same ticket replaces the earlier one)
+ * @param {string} tripId - Trip ID
+ * @param {Object} scan - { code, status, scannedAt }
+ * @returns {number} Queue size after adding
+ */
+export const enqueueScan = (tripId, scan) => {
+  const scans = [...getQueuedScans(tripId).filter(queued => queued.code !== scan.code), scan]
+  saveQueue(tripId, scans)
+  return scans.length
+}
+
+/**
+ * Remove a scan once the server has handled it
+ * @param {string} tripId - Trip ID
+ * @param {Object} scan - Scan that was sent
+ * @returns {number} Queue size after removing
+ */
+export const removeScan = (tripId, scan) => {
+  const scans = getQueuedScans(tripId).filter(queued => queued.code !== scan.code)
+  saveQueue(tripId, scans)
+  return scans.length
+}
@@ -0,0 +1,63 @@
+/**
+ * Offline queue for staff location fixes
+ * Fixes that cannot be sent are kept in localStorage per trip (so they survive a reload)
+ * and uploaded later in batches with their original timestamps.
+ */
+
+const STORAGE_PREFIX = 'locationQueue_'
+
+// Oldest fixes are dropped beyond this so a long outage cannot fill storage
+const MAX_QUEUE_SIZE = 5000
+
+const storageKey = (tripId) => `${STORAGE_PREFIX}${tripId}`
+
+/**
+ * Read the queued fixes of a trip
+ * @param {string} tripId - Trip ID
+ * @returns {Array} Fixes, oldest first
+ */
+export const getQueuedFixes = (tripId) => {
+  try {
+    return JSON.parse(localStorage.getItem(storageKey(tripId))) || []
+  } catch {
+    // Unreadable storage counts as an empty queue
+    return []
+  }
+}
+
+const saveQueue = (tripId, fixes) => {
+  try {
+    if (fixes.length === 0) {
+      localStorage.removeItem(storageKey(tripId))
+    } else {
+      localStorage.setItem(storageKey(tripId), JSON.stringify(fixes))
+    }
+  } catch {
+    // Storage full or blocked - the fix is lost, as it would be without the queue
+  }
+}
+
+/**
+ * Queue a fix for later upload
+ * @param {string} tripId - Trip ID
+ * @param {Object} fix - { latitude, longitude, speed, heading, accuracy, recordedAt }
+ * @returns {number} Queue size after adding
+ */
+export const enqueueFix = (tripId, fix) => {
+  const fixes = [...getQueuedFixes(tripId), fix].slice(-MAX_QUEUE_SIZE)
+  saveQueue(tripId, fixes)
+  return fixes.length
+}
+
+/**
+ * Remove fixes once they have been uploaded
+ * @param {string} tripId - Trip ID
+ * @param {Array} uploaded - Fixes that were sent
+ * @returns {number} Queue size after removing
+ */
+export const removeFixes = (tripId, uploaded) => {
+  const sent = new Set(uploaded.map(fix => fix.recordedAt))
+  const fixes = getQueuedFixes(tripId).filter(fix => !sent.has(fix.recordedAt))
+  saveQueue(tripId, fixes)
+  return fixes.length
+}
@@ -1,4 +1,5 @@
 import jsPDF from 'jspdf'
+import bookingService from '../services/bookingService'
 
 /**
  * Generates a QR code data URL using free QR code API
@@ -46,6 +47,23 @@ const generateQRCode = async (text) => {
   }
 }
 
+/**
+ * Fetches the signed boarding QR code of each seat from the server
+ * @param {Object} booking - Booking data
+ * @returns {Promise<Array>} [{ seatNumber, passengerName, code, qrCode }] (empty if unavailable)
+ */
+const fetchBoardingPasses = async (booking) => {
+  if (!booking._id) return []
+
+  try {
+    const response = await bookingService.getTicketCodes(booking._id)
+    return response.data?.tickets || []
+  } catch {
+    // The ticket is still generated, just without boarding pass pages
+    return []
+  }
+}
+
 /**
  * Generates a PDF ticket for a booking - IRCTC Style
  * @param {Object} booking - Booking data
@@ -201,7 +219,7 @@ export const generateTicketPDF = async (booking, trip = null, bus = null) => {
   doc.text('PNR', col1X, gridY)
   doc.setFontSize(9)
   doc.setFont('helvetica', 'bold')
-  doc.text(booking.pnr || booking._id?.slice(-8).toUpperCase() || 'N/A', col1X, gridY + 4)
+  doc.text(booking.pnrNumber || booking.pnr || booking._id?.slice(-8).toUpperCase() || 'N/A', col1X, gridY + 4)
   
   doc.setFontSize(7)
   doc.setFont('helvetica', 'normal')
@@ -295,7 +313,8 @@ export const generateTicketPDF = async (booking, trip = null, bus = null) => {
   
   // Passenger rows
   doc.setFont('helvetica', 'normal')
-  const seats = booking.seats || []
+  // Cancelled seats and seats moved to a rescheduled booking are not valid for travel
+  const seats = (booking.seats || []).filter(seat => !seat.status || seat.status === 'booked')
   seats.forEach((seat, index) => {
     yPos += 4
     doc.text((index + 1).toString(), slnoX, yPos)
@@ -333,13 +352,13 @@ export const generateTicketPDF = async (booking, trip = null, bus = null) => {
   doc.setFontSize(7)
   doc.setFont('helvetica', 'normal')
   
-  // Calculate fare breakdown
-  const ticketFare = booking.totalAmount || 0
-  const convenienceFee = 0
+  // Fare breakdown stored on the booking by the server (older bookings only have the total)
+  const convenienceFee = booking.fareBreakdown?.convenienceFee || 0
+  const ticketFare = (booking.totalAmount || 0) - convenienceFee
   const insurancePremium = 0
   const cancellationPremium = 0
   const pgCharges = 0
-  const totalFare = ticketFare
+  const totalFare = booking.totalAmount || 0
   
   // Define column positions for better alignment
   const labelX = margin + 10
@@ -347,7 +366,7 @@ export const generateTicketPDF = async (booking, trip = null, bus = null) => {
   
   // Generate QR code with URL to view ticket online
   const frontendUrl = window.location.origin || 'https://easyluxurygo.com'
-  const ticketViewUrl = `${frontendUrl}/view-ticket?pnr=${booking.pnr || booking._id?.slice(-8) || 'N/A'}`
+  const ticketViewUrl = `${frontendUrl}/view-ticket?pnr=${booking.pnrNumber || booking.pnr || booking._id?.slice(-8) || 'N/A'}`
   const qrCodeImage = await generateQRCode(ticketViewUrl)
   
   // Payment details (no QR code here anymore)
@@ -452,6 +471,41 @@ export const generateTicketPDF = async (booking, trip = null, bus = null) => {
   doc.setFont('helvetica', 'bold')
   doc.setFontSize(6)
   doc.text('Contact us on: care@easyluxurygo.com OR 24/7 Customer Support at 1800-123-4567', pageWidth / 2, footerY, { align: 'center' })
+
+  // One boarding pass page per passenger - the conductor scans its QR code at boarding
+  const boardingPasses = await fetchBoardingPasses(booking)
+  const boardingPoint = booking.boardingPoint?.terminal || tripData.route?.sourceCity || 'N/A'
+
+  boardingPasses.forEach((pass) => {
+    doc.addPage()
+    doc.setDrawColor(0)
+    doc.setLineWidth(0.5)
+    doc.rect(margin, margin, contentWidth, 120)
+
+    doc.setTextColor(30, 64, 175)
+    doc.setFontSize(16)
+    doc.setFont('helvetica', 'bold')
+    doc.text('Boarding Pass', pageWidth / 2, margin + 12, { align: 'center' })
+    doc.setTextColor(0, 0, 0)
+
+    doc.setFontSize(10)
+    doc.text(`PNR: ${booking.pnrNumber || 'N/A'}`, margin + 8, margin + 28)
+    doc.setFont('helvetica', 'normal')
+    doc.text(`Passenger: ${pass.passengerName}`, margin + 8, margin + 38)
+    doc.text(`Seat: ${pass.seatNumber}`, margin + 8, margin + 48)
+    doc.text(`Departure: ${formatDateTime(tripData.departureDateTime)}`, margin + 8, margin + 58)
+    doc.text(`Boarding at: ${boardingPoint}`, margin + 8, margin + 68)
+    doc.text(`Bus: ${busData.busNumber || 'N/A'}`, margin + 8, margin + 78)
+
+    try {
+      doc.addImage(pass.qrCode, 'PNG', pageWidth - margin - 85, margin + 22, 75, 75)
+    } catch {
+      // Leave the QR area blank rather than fail the whole ticket
+    }
+
+    doc.setFontSize(7)
+    doc.text('Show this QR code to the conductor when boarding. Valid for this passenger and seat only.', pageWidth / 2, margin + 110, { align: 'center' })
+  })
   
   return doc
 }
@@ -464,7 +518,7 @@ export const generateTicketPDF = async (booking, trip = null, bus = null) => {
  */
 export const downloadTicketPDF = async (booking, trip = null, bus = null) => {
   const doc = await generateTicketPDF(booking, trip, bus)
-  const fileName = `EasyLuxuryGo_Ticket_${booking.pnr || booking._id?.slice(-8) || 'ticket'}.pdf`
+  const fileName = `EasyLuxuryGo_Ticket_${booking.pnrNumber || booking.pnr || booking._id?.slice(-8) || 'ticket'}.pdf`
   doc.save(fileName)
 }
 
@@ -476,7 +530,7 @@ export const downloadTicketPDF = async (booking, trip = null, bus = null) => {
  */
 export const shareTicket = async (booking, trip = null, bus = null) => {
   const doc = await generateTicketPDF(booking, trip, bus)
-  const fileName = `EasyLuxuryGo_Ticket_${booking.pnr || booking._id?.slice(-8) || 'ticket'}.pdf`
+  const fileName = `EasyLuxuryGo_Ticket_${booking.pnrNumber || booking.pnr || booking._id?.slice(-8) || 'ticket'}.pdf`
   
   // Convert PDF to Blob
   const pdfBlob = doc.output('blob')
@@ -489,7 +543,7 @@ export const shareTicket = async (booking, trip = null, bus = null) => {
       try {
         await navigator.share({
           title: 'EasyLuxury Go - Bus Ticket',
-          text: `Bus Ticket - PNR: ${booking.pnr || 'N/A'}`,
+          text: `Bus Ticket - PNR: ${booking.pnrNumber || booking.pnr || 'N/A'}`,
           files: [file]
         })
         return { success: true, method: 'native' }
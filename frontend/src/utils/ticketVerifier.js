@@ -0,0 +1,87 @@
+/**
+ * Offline check of boarding QR codes
+ * Ticket codes look like EG1.<payload>.<signature>: the payload is base64url JSON
+ * { p: PNR, s: seat, t: trip ID, i: issued-at seconds } signed with ECDSA P-256 / SHA-256.
+ * The server's public key is cached in localStorage so scans can be verified without a
+ * connection (WebCrypto needs a secure context - HTTPS or localhost).
+ */
+
+import boardingService from '../services/boardingService'
+
+const STORAGE_KEY = 'ticketPublicKey'
+const CODE_PREFIX = 'EG1'
+
+let importedKey = null
+
+// Decodes base64 or base64url
+const decodeBase64 = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='))
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+}
+
+const importPublicKey = (pem) => {
+  const der = decodeBase64(pem.replace(/-----[^-]+-----|\s/g, ''))
+  return crypto.subtle.importKey('spki', der, { name: 'ECDSA', namedCurve: 'P-256' }, false, ['verify'])
+}
+
+/**
+ * Fetch the ticket public key, falling back to the cached copy when offline
+ * @returns {Promise<boolean>} True if a key is available for verification
+ */
+export const loadTicketPublicKey = async () => {
+  let pem = null
+
+  try {
+    const response = await boardingService.getPublicKey()
+    pem = response.data.publicKey
+    localStorage.setItem(STORAGE_KEY, pem)
+  } catch {
+    // Offline - fall back to the copy cached on the last successful fetch
+    pem = localStorage.getItem(STORAGE_KEY)
+  }
+
+  if (!pem || !window.crypto?.subtle) {
+    return false
+  }
+
+  importedKey = await importPublicKey(pem)
+  return true
+}
+
+/**
+ * Verify a scanned ticket code against the cached public key
+ * @param {string} code - Scanned ticket code
+ * @returns {Promise<Object|null>} { pnrNumber, seatNumber, tripId, issuedAt } or null if not genuine
+ */
+export const verifyTicketCode = async (code) => {
+  const parts = (code || '').trim().split('.')
+
+  if (!importedKey || parts.length !== 3 || parts[0] !== CODE_PREFIX) {
+    return null
+  }
+
+  try {
+    const valid = await crypto.subtle.verify(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      importedKey,
+      decodeBase64(parts[2]),
+      new TextEncoder().encode(`${parts[0]}.${parts[1]}`)
+    )
+
+    if (!valid) {
+      return null
+    }
+
+    const payload = JSON.parse(new TextDecoder().decode(decodeBase64(parts[1])))
+    return {
+      pnrNumber: payload.p,
+      seatNumber: payload.s,
+      tripId: payload.t,
+      issuedAt: new Date(payload.i * 1000)
+    }
+  } catch {
+    // Malformed code - treat it as not genuine
+    return null
+  }
+}